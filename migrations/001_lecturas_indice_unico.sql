@@ -0,0 +1,19 @@
+-- migrations/001_lecturas_indice_unico.sql
+-- Ingesta idempotente de lecturas (agenteApiController.recibirLecturas)
+--
+-- Los reenvíos de un lote se ignoran con ON CONFLICT (registrador_id, timestamp), que necesita
+-- este índice único. Antes de crearlo se borran los duplicados que ya existan: se conserva una
+-- fila por lectura, la exitosa si la hay.
+--
+-- CREATE INDEX CONCURRENTLY no puede correr dentro de una transacción: ejecutar este archivo
+-- fuera de BEGIN/COMMIT.
+
+DELETE FROM lecturas l
+USING (
+  SELECT ctid, row_number() OVER (PARTITION BY registrador_id, timestamp ORDER BY exito DESC, ctid) AS n
+  FROM lecturas
+) d
+WHERE l.ctid = d.ctid AND d.n > 1;
+
+CREATE UNIQUE INDEX CONCURRENTLY IF NOT EXISTS lecturas_registrador_timestamp_key
+  ON lecturas (registrador_id, timestamp);
@@ -0,0 +1,48 @@
+-- migrations/002_alarmas.sql
+-- Reglas de alarma por umbral y alarmas (alarmasService, alarmasController)
+
+CREATE TABLE IF NOT EXISTS reglas_alarma (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  nombre text NOT NULL,
+  tipo text NOT NULL CHECK (tipo IN ('limite_superior', 'limite_inferior', 'tasa_cambio', 'bit')),
+  registro integer NOT NULL,
+  umbral double precision,
+  histeresis double precision NOT NULL DEFAULT 0,
+  bit smallint CHECK (bit BETWEEN 0 AND 15),
+  severidad text NOT NULL DEFAULT 'media' CHECK (severidad IN ('baja', 'media', 'alta', 'critica')),
+  aplicar_transformador boolean NOT NULL DEFAULT false,
+  notificar boolean NOT NULL DEFAULT true,
+  activo boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CHECK (CASE WHEN tipo = 'bit' THEN bit IS NOT NULL ELSE umbral IS NOT NULL END)
+);
+
+CREATE INDEX IF NOT EXISTS reglas_alarma_workspace_idx ON reglas_alarma (workspace_id);
+CREATE INDEX IF NOT EXISTS reglas_alarma_registrador_idx ON reglas_alarma (registrador_id) WHERE activo;
+
+CREATE TABLE IF NOT EXISTS alarmas (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  regla_id uuid NOT NULL REFERENCES reglas_alarma(id) ON DELETE CASCADE,
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  estado text NOT NULL DEFAULT 'activa' CHECK (estado IN ('activa', 'reconocida', 'normalizada')),
+  severidad text NOT NULL DEFAULT 'media',
+  valor double precision,
+  mensaje text,
+  activada_at timestamptz NOT NULL,
+  reconocida_at timestamptz,
+  reconocida_por uuid REFERENCES usuarios(id) ON DELETE SET NULL,
+  comentario_reconocimiento text,
+  normalizada_at timestamptz,
+  valor_normalizacion double precision,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Una sola alarma abierta por regla
+CREATE UNIQUE INDEX IF NOT EXISTS alarmas_regla_abierta_key
+  ON alarmas (regla_id) WHERE estado IN ('activa', 'reconocida');
+CREATE INDEX IF NOT EXISTS alarmas_workspace_activada_idx ON alarmas (workspace_id, activada_at DESC);
@@ -0,0 +1,27 @@
+-- migrations/003_estado_registradores.sql
+-- Estado de los registradores actualizado por lote de lecturas (estadoRegistradoresService)
+
+-- Timestamp de la lectura más reciente aplicada al estado (exitosa o no): un lote que llega
+-- tarde (buffer del agente, reintento) no pisa el error ni los fallos consecutivos de uno posterior
+ALTER TABLE registradores
+  ADD COLUMN IF NOT EXISTS ultima_lectura_at timestamptz;
+
+CREATE OR REPLACE FUNCTION actualizar_estado_registradores(p_estados jsonb)
+RETURNS void LANGUAGE sql AS $$
+  UPDATE registradores r SET
+    ultima_lectura_exitosa = COALESCE(GREATEST(r.ultima_lectura_exitosa, e.ultima_lectura_exitosa), r.ultima_lectura_exitosa),
+    ultimo_error = CASE WHEN r.ultima_lectura_at >= e.ultimo_timestamp THEN r.ultimo_error
+                        WHEN e.hubo_exito AND e.ultimo_error IS NULL THEN NULL
+                        ELSE COALESCE(e.ultimo_error, r.ultimo_error) END,
+    lecturas_exitosas = COALESCE(r.lecturas_exitosas, 0) + e.exitosas,
+    lecturas_fallidas = COALESCE(r.lecturas_fallidas, 0) + e.fallidas,
+    fallos_consecutivos = CASE WHEN r.ultima_lectura_at >= e.ultimo_timestamp THEN r.fallos_consecutivos
+                               WHEN e.hubo_exito THEN e.fallos_finales
+                               ELSE COALESCE(r.fallos_consecutivos, 0) + e.fallos_finales END,
+    ultima_lectura_at = GREATEST(r.ultima_lectura_at, e.ultimo_timestamp),
+    updated_at = now()
+  FROM jsonb_to_recordset(p_estados) AS e(
+    id uuid, ultima_lectura_exitosa timestamptz, ultimo_error text, hubo_exito boolean,
+    exitosas int, fallidas int, fallos_finales int, ultimo_timestamp timestamptz)
+  WHERE r.id = e.id;
+$$;
@@ -0,0 +1,58 @@
+-- migrations/004_comandos_modbus.sql
+-- Comandos de escritura Modbus y su auditoría (comandosController)
+
+CREATE TABLE IF NOT EXISTS comandos_modbus (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  agente_id uuid NOT NULL REFERENCES agentes(id) ON DELETE CASCADE,
+  tipo text NOT NULL CHECK (tipo IN ('escribir_coil', 'escribir_coils', 'escribir_registro')),
+  direccion integer NOT NULL CHECK (direccion BETWEEN 0 AND 65535),
+  valor jsonb,    -- boolean (coil) o entero (registro)
+  valores jsonb,  -- array de booleanos (escribir_coils)
+  motivo text,
+  estado text NOT NULL CHECK (estado IN ('pendiente_confirmacion', 'pendiente', 'enviado', 'completado',
+                                         'error', 'timeout', 'expirado')),
+  solicitado_por uuid REFERENCES usuarios(id) ON DELETE SET NULL,
+  confirmado_at timestamptz,
+  enviado_at timestamptz,
+  completado_at timestamptz,
+  tiempo_respuesta_ms integer,
+  error_mensaje text,
+  resultado_tardio boolean NOT NULL DEFAULT false,  -- el resultado llegó después del timeout
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comandos_modbus_registrador_idx ON comandos_modbus (registrador_id, created_at DESC);
+
+-- Un registro por intento: solo inserciones
+CREATE TABLE IF NOT EXISTS auditoria_comandos (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  comando_id uuid REFERENCES comandos_modbus(id) ON DELETE SET NULL,
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  registrador_id uuid REFERENCES registradores(id) ON DELETE SET NULL,
+  usuario_id uuid REFERENCES usuarios(id) ON DELETE SET NULL,
+  agente_id uuid REFERENCES agentes(id) ON DELETE SET NULL,
+  accion text NOT NULL,
+  detalles jsonb NOT NULL DEFAULT '{}',
+  exito boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS auditoria_comandos_workspace_idx ON auditoria_comandos (workspace_id, created_at DESC);
+
+CREATE OR REPLACE FUNCTION auditoria_comandos_inmutable()
+RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  -- Las FK con ON DELETE SET NULL / CASCADE siguen funcionando: solo se bloquean los cambios directos
+  IF pg_trigger_depth() > 1 THEN
+    RETURN COALESCE(NEW, OLD);
+  END IF;
+  RAISE EXCEPTION 'auditoria_comandos es de solo inserción';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS auditoria_comandos_inmutable ON auditoria_comandos;
+CREATE TRIGGER auditoria_comandos_inmutable
+  BEFORE UPDATE OR DELETE ON auditoria_comandos
+  FOR EACH ROW EXECUTE FUNCTION auditoria_comandos_inmutable();
@@ -0,0 +1,18 @@
+-- migrations/005_comandos_agente.sql
+-- Cola persistente (outbox) de comandos para agentes (outboxAgenteService)
+
+CREATE TABLE IF NOT EXISTS comandos_agente (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  agente_id uuid NOT NULL REFERENCES agentes(id) ON DELETE CASCADE,
+  evento text NOT NULL,
+  datos jsonb NOT NULL DEFAULT '{}',
+  estado text NOT NULL DEFAULT 'pendiente' CHECK (estado IN ('pendiente', 'entregado', 'confirmado', 'expirado')),
+  intentos integer NOT NULL DEFAULT 0,
+  expira_at timestamptz NOT NULL,
+  entregado_at timestamptz,
+  confirmado_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comandos_agente_pendientes_idx
+  ON comandos_agente (agente_id, created_at) WHERE estado IN ('pendiente', 'entregado');
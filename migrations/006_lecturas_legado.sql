@@ -0,0 +1,59 @@
+-- migrations/006_lecturas_legado.sql
+-- Eliminación de las tablas de lecturas por registrador del modelo anterior (migracionLecturasService)
+-- Las funciones reciben el id del registrador, no un nombre de tabla, y citan el identificador con %I.
+
+DROP FUNCTION IF EXISTS eliminar_tabla_lecturas_legado(uuid);
+
+-- Después de migrar: solo elimina la tabla si tiene exactamente las filas que se copiaron y
+-- todas están en `lecturas`. Si la tabla ya no existe, solo limpia registradores.tabla_lecturas.
+CREATE OR REPLACE FUNCTION eliminar_tabla_lecturas_legado(p_registrador_id uuid, p_filas_copiadas bigint)
+RETURNS void LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE
+  v_tabla text;
+  v_filas bigint;
+  v_faltantes bigint;
+BEGIN
+  SELECT tabla_lecturas INTO v_tabla FROM registradores WHERE id = p_registrador_id;
+  IF v_tabla IS NULL THEN RETURN; END IF;
+  IF v_tabla !~ '^lecturas_[a-z0-9_]+$' THEN
+    RAISE EXCEPTION 'Nombre de tabla de lecturas inesperado: %', v_tabla;
+  END IF;
+
+  IF to_regclass(format('public.%I', v_tabla)) IS NOT NULL THEN
+    EXECUTE format('SELECT count(*) FROM public.%I', v_tabla) INTO v_filas;
+    IF p_filas_copiadas IS NULL OR v_filas <> p_filas_copiadas THEN
+      RAISE EXCEPTION 'La tabla % tiene % filas y se copiaron %; no se elimina', v_tabla, v_filas, p_filas_copiadas;
+    END IF;
+
+    EXECUTE format(
+      'SELECT count(*) FROM public.%I t WHERE NOT EXISTS ('
+      '  SELECT 1 FROM lecturas l WHERE l.registrador_id = $1 AND l.timestamp = t.timestamp)',
+      v_tabla
+    ) INTO v_faltantes USING p_registrador_id;
+    IF v_faltantes > 0 THEN
+      RAISE EXCEPTION '% filas de % no están en lecturas; no se elimina', v_faltantes, v_tabla;
+    END IF;
+
+    EXECUTE format('DROP TABLE public.%I', v_tabla);
+  END IF;
+
+  UPDATE registradores SET tabla_lecturas = NULL WHERE id = p_registrador_id;
+END;
+$$;
+REVOKE ALL ON FUNCTION eliminar_tabla_lecturas_legado(uuid, bigint) FROM PUBLIC, anon, authenticated;
+
+-- Al eliminar un registrador: sus lecturas se descartan a propósito, sin verificar la copia
+CREATE OR REPLACE FUNCTION descartar_tabla_lecturas_legado(p_registrador_id uuid)
+RETURNS void LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE v_tabla text;
+BEGIN
+  SELECT tabla_lecturas INTO v_tabla FROM registradores WHERE id = p_registrador_id;
+  IF v_tabla IS NULL THEN RETURN; END IF;
+  IF v_tabla !~ '^lecturas_[a-z0-9_]+$' THEN
+    RAISE EXCEPTION 'Nombre de tabla de lecturas inesperado: %', v_tabla;
+  END IF;
+  EXECUTE format('DROP TABLE IF EXISTS public.%I', v_tabla);
+  UPDATE registradores SET tabla_lecturas = NULL WHERE id = p_registrador_id;
+END;
+$$;
+REVOKE ALL ON FUNCTION descartar_tabla_lecturas_legado(uuid) FROM PUBLIC, anon, authenticated;
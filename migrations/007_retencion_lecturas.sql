@@ -0,0 +1,52 @@
+-- migrations/007_retencion_lecturas.sql
+-- Retención de lecturas por niveles: políticas, agregados por minuto y hora (retencionLecturasService)
+
+CREATE TABLE IF NOT EXISTS politicas_retencion (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  registrador_id uuid REFERENCES registradores(id) ON DELETE CASCADE,
+  crudo_dias integer CHECK (crudo_dias > 0),    -- NULL = sin límite
+  minuto_dias integer CHECK (minuto_dias > 0),
+  hora_dias integer CHECK (hora_dias > 0),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_por uuid REFERENCES usuarios(id) ON DELETE SET NULL
+);
+
+-- Una política por workspace y, opcionalmente, una por registrador dentro del workspace
+CREATE UNIQUE INDEX IF NOT EXISTS politicas_retencion_workspace_key
+  ON politicas_retencion (workspace_id) WHERE registrador_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS politicas_retencion_registrador_key
+  ON politicas_retencion (workspace_id, registrador_id) WHERE registrador_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS lecturas_agregadas (
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  intervalo text NOT NULL CHECK (intervalo IN ('1m', '1h')),
+  timestamp timestamptz NOT NULL,
+  muestras integer NOT NULL,
+  valores_min jsonb,
+  valores_max jsonb,
+  valores_promedio jsonb,
+  valores_ultimo jsonb,
+  PRIMARY KEY (registrador_id, intervalo, timestamp)
+);
+
+-- Guarda los agregados y borra las crudas consolidadas de forma atómica
+CREATE OR REPLACE FUNCTION consolidar_lecturas_hora(p_registrador_id uuid, p_agregados jsonb, p_timestamps timestamptz[])
+RETURNS integer LANGUAGE plpgsql SECURITY DEFINER AS $$
+DECLARE v_borradas integer;
+BEGIN
+  INSERT INTO lecturas_agregadas (registrador_id, intervalo, timestamp, muestras,
+                                  valores_min, valores_max, valores_promedio, valores_ultimo)
+  SELECT registrador_id, intervalo, timestamp, muestras,
+         valores_min, valores_max, valores_promedio, valores_ultimo
+  FROM jsonb_populate_recordset(NULL::lecturas_agregadas, p_agregados)
+  ON CONFLICT (registrador_id, intervalo, timestamp) DO UPDATE SET
+    muestras = EXCLUDED.muestras, valores_min = EXCLUDED.valores_min,
+    valores_max = EXCLUDED.valores_max, valores_promedio = EXCLUDED.valores_promedio,
+    valores_ultimo = EXCLUDED.valores_ultimo;
+  DELETE FROM lecturas WHERE registrador_id = p_registrador_id AND timestamp = ANY (p_timestamps);
+  GET DIAGNOSTICS v_borradas = ROW_COUNT;
+  RETURN v_borradas;
+END;
+$$;
+REVOKE ALL ON FUNCTION consolidar_lecturas_hora(uuid, jsonb, timestamptz[]) FROM PUBLIC, anon, authenticated;
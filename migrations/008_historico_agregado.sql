@@ -0,0 +1,53 @@
+-- migrations/008_historico_agregado.sql
+-- Agregación del histórico por intervalo en la base (historicoService.obtenerLecturasAgregadas)
+-- Devuelve solo los buckets, con el mismo formato que lecturas_agregadas. Agrega las lecturas
+-- crudas exitosas (p_nivel NULL, hasta incluido) o las filas de un nivel guardado (hasta excluido).
+
+CREATE OR REPLACE FUNCTION valor_numerico(v jsonb) RETURNS double precision
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN jsonb_typeof(v) = 'number' THEN (v #>> '{}')::double precision END
+$$;
+
+CREATE OR REPLACE FUNCTION agregar_historico(p_registrador_id uuid, p_nivel text,
+  p_desde timestamptz, p_hasta timestamptz, p_intervalo interval)
+RETURNS TABLE ("timestamp" timestamptz, muestras bigint, valores_min jsonb, valores_max jsonb,
+               valores_promedio jsonb, valores_ultimo jsonb)
+LANGUAGE sql STABLE AS $$
+  WITH filas AS (
+    SELECT date_bin(p_intervalo, l.timestamp, 'epoch') AS inicio, l.timestamp AS momento, 1 AS muestras,
+           l.valores AS minimos, l.valores AS maximos, l.valores AS promedios, l.valores AS ultimos
+    FROM lecturas l
+    WHERE p_nivel IS NULL AND l.registrador_id = p_registrador_id AND l.exito
+      AND l.timestamp >= p_desde AND l.timestamp <= p_hasta
+    UNION ALL
+    SELECT date_bin(p_intervalo, a.timestamp, 'epoch'), a.timestamp, a.muestras,
+           a.valores_min, a.valores_max, a.valores_promedio, a.valores_ultimo
+    FROM lecturas_agregadas a
+    WHERE a.intervalo = p_nivel AND a.registrador_id = p_registrador_id
+      AND a.timestamp >= p_desde AND a.timestamp < p_hasta
+  ),
+  buckets AS (
+    SELECT inicio, sum(muestras) AS muestras, max(jsonb_array_length(promedios)) AS longitud
+    FROM filas GROUP BY inicio
+  ),
+  por_registro AS (
+    SELECT f.inicio, p.i,
+           min(coalesce(valor_numerico(f.minimos -> (p.i::int - 1)), valor_numerico(p.valor))) AS minimo,
+           max(coalesce(valor_numerico(f.maximos -> (p.i::int - 1)), valor_numerico(p.valor))) AS maximo,
+           sum(valor_numerico(p.valor) * f.muestras)
+             / nullif(sum(f.muestras) FILTER (WHERE valor_numerico(p.valor) IS NOT NULL), 0) AS promedio,
+           (array_agg(valor_numerico(f.ultimos -> (p.i::int - 1)) ORDER BY f.momento DESC)
+             FILTER (WHERE valor_numerico(f.ultimos -> (p.i::int - 1)) IS NOT NULL))[1] AS ultimo
+    FROM filas f
+    CROSS JOIN LATERAL jsonb_array_elements(f.promedios) WITH ORDINALITY AS p(valor, i)
+    GROUP BY f.inicio, p.i
+  )
+  SELECT b.inicio, b.muestras,
+         jsonb_agg(r.minimo ORDER BY g.i), jsonb_agg(r.maximo ORDER BY g.i),
+         jsonb_agg(r.promedio ORDER BY g.i), jsonb_agg(r.ultimo ORDER BY g.i)
+  FROM buckets b
+  CROSS JOIN LATERAL generate_series(1, b.longitud) AS g(i)
+  LEFT JOIN por_registro r ON r.inicio = b.inicio AND r.i = g.i
+  GROUP BY b.inicio, b.muestras
+  ORDER BY b.inicio;
+$$;
@@ -0,0 +1,31 @@
+-- migrations/009_energia.sql
+-- Energía por intervalos de demanda de 15 minutos (energiaService)
+
+CREATE TABLE IF NOT EXISTS energia_intervalos (
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  inicio timestamptz NOT NULL,
+  kwh double precision,
+  kvarh double precision,
+  cobertura double precision NOT NULL DEFAULT 0,
+  estimado boolean NOT NULL DEFAULT false,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (registrador_id, inicio)
+);
+
+CREATE TABLE IF NOT EXISTS energia_estado (
+  registrador_id uuid PRIMARY KEY REFERENCES registradores(id) ON DELETE CASCADE,
+  procesado_hasta timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Lecturas que llegan tarde: la ingesta retrocede procesado_hasta hasta la más antigua del lote
+-- para que el job recalcule desde ahí. p_pendientes: [{ registrador_id, desde }]
+CREATE OR REPLACE FUNCTION reabrir_energia(p_pendientes jsonb)
+RETURNS void LANGUAGE sql AS $$
+  UPDATE energia_estado s SET
+    procesado_hasta = p.desde,
+    updated_at = now()
+  FROM jsonb_to_recordset(p_pendientes) AS p(registrador_id uuid, desde timestamptz)
+  WHERE s.registrador_id = p.registrador_id
+    AND s.procesado_hasta > p.desde;
+$$;
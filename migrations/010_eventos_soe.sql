@@ -0,0 +1,18 @@
+-- migrations/010_eventos_soe.sql
+-- Secuencia de eventos decodificada de los bits de estado de relés (eventosSoeService)
+
+CREATE TABLE IF NOT EXISTS eventos_soe (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  registrador_id uuid NOT NULL REFERENCES registradores(id) ON DELETE CASCADE,
+  timestamp timestamptz NOT NULL,
+  registro integer NOT NULL,
+  bit smallint NOT NULL CHECK (bit BETWEEN 0 AND 15),
+  activo boolean NOT NULL,
+  etiqueta text,
+  mensaje text NOT NULL,
+  severidad text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (registrador_id, registro, bit, timestamp)
+);
+
+CREATE INDEX IF NOT EXISTS eventos_soe_registrador_timestamp_idx ON eventos_soe (registrador_id, timestamp DESC);
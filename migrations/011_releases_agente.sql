@@ -0,0 +1,37 @@
+-- migrations/011_releases_agente.sql
+-- Distribución de versiones del agente: releases, despliegues y canal por agente (releasesAgenteService)
+
+CREATE TABLE IF NOT EXISTS releases_agente (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  version text NOT NULL UNIQUE,
+  canal text NOT NULL DEFAULT 'stable' CHECK (canal IN ('stable', 'beta')),
+  nombre_archivo text NOT NULL,
+  archivo text NOT NULL,   -- nombre del artefacto en AGENTE_RELEASES_DIRECTORIO
+  tamanio_bytes bigint NOT NULL,
+  sha256 text NOT NULL,
+  notas text,
+  retirado boolean NOT NULL DEFAULT false,
+  creado_por uuid REFERENCES usuarios(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS despliegues_agente (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  release_id uuid NOT NULL REFERENCES releases_agente(id) ON DELETE CASCADE,
+  agente_id uuid NOT NULL REFERENCES agentes(id) ON DELETE CASCADE,
+  version_anterior text,
+  estado text NOT NULL DEFAULT 'en_curso'
+    CHECK (estado IN ('en_curso', 'exitoso', 'fallido', 'cancelado', 'expirado')),
+  comando_agente_id uuid REFERENCES comandos_agente(id) ON DELETE SET NULL,
+  mensaje text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completado_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS despliegues_agente_agente_idx ON despliegues_agente (agente_id, created_at DESC);
+
+ALTER TABLE agentes
+  ADD COLUMN IF NOT EXISTS canal_actualizacion text NOT NULL DEFAULT 'stable'
+    CHECK (canal_actualizacion IN ('stable', 'beta')),
+  ADD COLUMN IF NOT EXISTS version_fijada text;
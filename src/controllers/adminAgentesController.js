@@ -2,42 +2,11 @@
 // Controlador para gestión de agentes (Panel Superadmin)
 
 const supabase = require('../config/supabase');
-const bcrypt = require('bcrypt');
-const crypto = require('crypto');
 const { notificarConfiguracionCambiada } = require('./sseController');
-
-/**
- * Genera una clave secreta para el agente
- */
-function generarClaveSecreta() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
-/**
- * Verifica si el usuario es superadmin
- */
-async function esSuperadmin(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', userId)
-    .single();
-
-  return usuario?.roles?.codigo === 'superadmin';
-}
-
-/**
- * Verifica si el usuario es admin o superior
- */
-async function esAdminOSuperior(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', userId)
-    .single();
-
-  return ['superadmin', 'admin'].includes(usuario?.roles?.codigo);
-}
+const { ESTADOS_OUTBOX, listarComandos } = require('../servicios/outboxAgenteService');
+const { esSuperadmin } = require('../middleware/politicas');
+const { generarClave, rotarClave, revocarClaveAnterior, mensajeRotacion } = require('../servicios/clavesAgenteService');
+const { revocarSesionesAgente } = require('../servicios/tokensAgenteService');
 
 // ============================================
 // CRUD de Agentes (Solo Superadmin)
@@ -49,12 +18,6 @@ async function esAdminOSuperior(userId) {
  */
 async function listarAgentes(req, res) {
   try {
-    const userId = req.user.id;
-
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede ver todos los agentes' });
-    }
-
     const { data: agentes, error } = await supabase
       .from('agentes')
       .select(`
@@ -97,26 +60,21 @@ async function listarAgentes(req, res) {
  */
 async function crearAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { nombre, descripcion } = req.body;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede crear agentes' });
-    }
-
     if (!nombre) {
       return res.status(400).json({ error: 'El nombre es requerido' });
     }
 
     // Generar clave secreta
-    const claveSecreta = generarClaveSecreta();
-    const claveHash = await bcrypt.hash(claveSecreta, 10);
+    const { claveSecreta, claveId, claveHash } = await generarClave();
 
     const { data: agente, error } = await supabase
       .from('agentes')
       .insert({
         nombre,
         descripcion: descripcion || null,
+        clave_id: claveId,
         clave_hash: claveHash,
         activo: true,
       })
@@ -152,14 +110,9 @@ async function crearAgente(req, res) {
  */
 async function actualizarAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
     const { nombre, descripcion, activo } = req.body;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede editar agentes' });
-    }
-
     const updateData = { updated_at: new Date().toISOString() };
     if (nombre !== undefined) updateData.nombre = nombre;
     if (descripcion !== undefined) updateData.descripcion = descripcion;
@@ -177,6 +130,11 @@ async function actualizarAgente(req, res) {
       return res.status(500).json({ error: 'Error actualizando agente' });
     }
 
+    // Un agente desactivado pierde sus sesiones y su conexión SSE
+    if (activo === false) {
+      await revocarSesionesAgente(id, 'Agente desactivado');
+    }
+
     res.json(agente);
   } catch (err) {
     console.error('Error en actualizarAgente:', err);
@@ -190,13 +148,8 @@ async function actualizarAgente(req, res) {
  */
 async function eliminarAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede eliminar agentes' });
-    }
-
     // Verificar que no tenga workspaces vinculados
     const { data: vinculaciones } = await supabase
       .from('workspace_agentes')
@@ -220,6 +173,8 @@ async function eliminarAgente(req, res) {
       return res.status(500).json({ error: 'Error eliminando agente' });
     }
 
+    await revocarSesionesAgente(id, 'Agente eliminado');
+
     res.json({ mensaje: 'Agente eliminado correctamente' });
   } catch (err) {
     console.error('Error en eliminarAgente:', err);
@@ -230,53 +185,69 @@ async function eliminarAgente(req, res) {
 /**
  * POST /api/admin/agentes/:id/rotar-clave
  * Rota la clave de un agente
+ * Body opcional: { horasGracia } - tiempo que sigue valiendo la clave anterior (0 = nada)
  */
 async function rotarClaveAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede rotar claves' });
+    const resultado = await rotarClave(id, { horasGracia: req.body?.horasGracia });
+    if (!resultado) {
+      return res.status(404).json({ error: 'Agente no encontrado' });
     }
 
-    // Obtener clave actual
-    const { data: agente, error: errorGet } = await supabase
-      .from('agentes')
-      .select('clave_hash')
-      .eq('id', id)
-      .single();
+    res.json({
+      nuevaClave: resultado.nuevaClave,
+      claveAnteriorExpiraAt: resultado.anteriorExpiraAt,
+      mensaje: mensajeRotacion(resultado.anteriorExpiraAt),
+    });
+  } catch (err) {
+    console.error('Error en rotarClaveAgente:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
 
-    if (errorGet || !agente) {
+/**
+ * DELETE /api/admin/agentes/:id/clave-anterior
+ * Invalida de inmediato la clave anterior (sin esperar el fin de la ventana de gracia)
+ */
+async function revocarClaveAnteriorAgente(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!await revocarClaveAnterior(id)) {
       return res.status(404).json({ error: 'Agente no encontrado' });
     }
 
-    // Generar nueva clave
-    const nuevaClave = generarClaveSecreta();
-    const nuevoHash = await bcrypt.hash(nuevaClave, 10);
+    res.json({ mensaje: 'Clave anterior revocada' });
+  } catch (err) {
+    console.error('Error en revocarClaveAnteriorAgente:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
 
-    // Actualizar: mover actual a anterior, poner nueva
-    const { error: errorUpdate } = await supabase
-      .from('agentes')
-      .update({
-        clave_anterior_hash: agente.clave_hash,
-        clave_hash: nuevoHash,
-        clave_rotada_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', id);
+/**
+ * GET /api/admin/agentes/:id/comandos
+ * Lista la cola de comandos de un agente con su estado (pendiente, entregado, confirmado, expirado)
+ * Query params: estado, limite (default 100)
+ */
+async function listarComandosAgente(req, res) {
+  try {
+    const { id } = req.params;
+    const { estado, limite = 100 } = req.query;
 
-    if (errorUpdate) {
-      console.error('Error rotando clave:', errorUpdate);
-      return res.status(500).json({ error: 'Error rotando clave' });
+    if (estado && !ESTADOS_OUTBOX.includes(estado)) {
+      return res.status(400).json({ error: `Estado inválido. Debe ser: ${ESTADOS_OUTBOX.join(', ')}` });
     }
 
-    res.json({
-      nuevaClave,
-      mensaje: 'Clave rotada. La anterior será válida por 24 horas.',
+    const comandos = await listarComandos(id, {
+      estado,
+      limite: Math.min(parseInt(limite) || 100, 1000),
     });
+
+    res.json({ comandos });
   } catch (err) {
-    console.error('Error en rotarClaveAgente:', err);
+    console.error('Error en listarComandosAgente:', err);
     res.status(500).json({ error: 'Error interno del servidor' });
   }
 }
@@ -296,7 +267,7 @@ async function listarAgentesDisponibles(req, res) {
     const userId = req.user.id;
 
     // Verificar si es superadmin
-    const esSuperAdmin = await esSuperadmin(userId);
+    const esSuperAdmin = await esSuperadmin(req);
 
     // Si no es superadmin, obtener permisos de la tabla usuario_agentes
     let agentesPermitidosIds = null;
@@ -374,24 +345,8 @@ async function listarAgentesDisponibles(req, res) {
  */
 async function listarAgentesWorkspace(req, res) {
   try {
-    const userId = req.user.id;
     const { workspaceId } = req.params;
 
-    // Verificar acceso al workspace
-    const { data: permiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', userId)
-      .single();
-
-    // Si no tiene permiso directo, verificar si es superadmin
-    if (!permiso) {
-      if (!await esSuperadmin(userId)) {
-        return res.status(403).json({ error: 'No tienes acceso a este workspace' });
-      }
-    }
-
     // Obtener agentes vinculados
     const { data: vinculaciones, error } = await supabase
       .from('workspace_agentes')
@@ -438,7 +393,6 @@ async function listarAgentesWorkspace(req, res) {
  */
 async function vincularAgenteWorkspace(req, res) {
   try {
-    const userId = req.user.id;
     const { workspaceId } = req.params;
     const { agenteId } = req.body;
 
@@ -446,20 +400,6 @@ async function vincularAgenteWorkspace(req, res) {
       return res.status(400).json({ error: 'agenteId es requerido' });
     }
 
-    // Verificar permisos (admin+ en el workspace o superadmin)
-    const { data: permiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', userId)
-      .single();
-
-    const tienePermiso = permiso && ['superadmin', 'admin'].includes(permiso.roles?.codigo);
-
-    if (!tienePermiso && !await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo admin puede vincular agentes' });
-    }
-
     // Verificar que el agente existe y está activo
     const { data: agente, error: errorAgente } = await supabase
       .from('agentes')
@@ -519,23 +459,8 @@ async function vincularAgenteWorkspace(req, res) {
  */
 async function desvincularAgenteWorkspace(req, res) {
   try {
-    const userId = req.user.id;
     const { workspaceId, agenteId } = req.params;
 
-    // Verificar permisos (admin+ en el workspace o superadmin)
-    const { data: permiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', userId)
-      .single();
-
-    const tienePermiso = permiso && ['superadmin', 'admin'].includes(permiso.roles?.codigo);
-
-    if (!tienePermiso && !await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo admin puede desvincular agentes' });
-    }
-
     // Eliminar vinculación
     const { error } = await supabase
       .from('workspace_agentes')
@@ -569,7 +494,7 @@ async function listarRegistradoresAgente(req, res) {
     const { agenteId } = req.params;
 
     // Superadmin puede ver todos, otros solo si el agente está vinculado a un workspace al que tienen acceso
-    const esSuperadminUser = await esSuperadmin(userId);
+    const esSuperadminUser = await esSuperadmin(req);
 
     if (!esSuperadminUser) {
       // Verificar que el usuario tenga acceso a algún workspace vinculado a este agente
@@ -622,17 +547,12 @@ async function listarRegistradoresAgente(req, res) {
  */
 async function crearRegistradorAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { agenteId } = req.params;
     const {
       nombre, tipo, ip, puerto, unitId, indiceInicial, cantidadRegistros,
       intervaloSegundos, alimentadorId, tipoDispositivo, plantillaId, configuracionRele
     } = req.body;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede crear registradores' });
-    }
-
     // Validaciones
     if (!nombre || !ip || !puerto || indiceInicial === undefined || !cantidadRegistros) {
       return res.status(400).json({ error: 'Faltan campos requeridos: nombre, ip, puerto, indiceInicial, cantidadRegistros' });
@@ -706,17 +626,12 @@ async function crearRegistradorAgente(req, res) {
  */
 async function actualizarRegistradorAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { agenteId, registradorId } = req.params;
     const {
       nombre, tipo, ip, puerto, unitId, indiceInicial, cantidadRegistros,
       intervaloSegundos, activo, alimentadorId, tipoDispositivo, plantillaId, configuracionRele
     } = req.body;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede editar registradores' });
-    }
-
     // Verificar que el registrador pertenece al agente
     const { data: regExistente, error: errorVerificar } = await supabase
       .from('registradores')
@@ -773,13 +688,8 @@ async function actualizarRegistradorAgente(req, res) {
  */
 async function eliminarRegistradorAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { agenteId, registradorId } = req.params;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede eliminar registradores' });
-    }
-
     // Verificar que el registrador pertenece al agente
     const { data: regExistente, error: errorVerificar } = await supabase
       .from('registradores')
@@ -819,13 +729,8 @@ async function eliminarRegistradorAgente(req, res) {
  */
 async function toggleRegistradorAgente(req, res) {
   try {
-    const userId = req.user.id;
     const { agenteId, registradorId } = req.params;
 
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede cambiar estado de registradores' });
-    }
-
     // Obtener estado actual
     const { data: regExistente, error: errorVerificar } = await supabase
       .from('registradores')
@@ -873,6 +778,8 @@ module.exports = {
   actualizarAgente,
   eliminarAgente,
   rotarClaveAgente,
+  revocarClaveAnteriorAgente,
+  listarComandosAgente,
 
   // Disponibles para vincular
   listarAgentesDisponibles,
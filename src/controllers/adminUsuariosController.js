@@ -3,32 +3,12 @@
 
 const supabase = require('../config/supabase');
 
-/**
- * Helper: Verifica si el usuario actual es superadmin
- */
-async function esSuperadmin(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('roles(codigo)')
-    .eq('id', userId)
-    .single();
-
-  return usuario?.roles?.codigo === 'superadmin';
-}
-
 /**
  * Listar todos los usuarios (excepto superadmins)
  * GET /api/admin/usuarios
  */
 async function listarUsuarios(req, res) {
   try {
-    const userId = req.user.id;
-
-    // Verificar que es superadmin
-    if (!(await esSuperadmin(userId))) {
-      return res.status(403).json({ error: 'Se requiere rol superadmin' });
-    }
-
     // Obtener todos los usuarios con su rol
     const { data: usuarios, error: errorUsuarios } = await supabase
       .from('usuarios')
@@ -116,15 +96,9 @@ async function listarUsuarios(req, res) {
  */
 async function cambiarRolUsuario(req, res) {
   try {
-    const userId = req.user.id;
     const { id: usuarioId } = req.params;
     const { rolCodigo } = req.body;
 
-    // Verificar que es superadmin
-    if (!(await esSuperadmin(userId))) {
-      return res.status(403).json({ error: 'Se requiere rol superadmin' });
-    }
-
     // Validar rol
     const rolesPermitidos = ['admin', 'operador', 'observador'];
     if (!rolesPermitidos.includes(rolCodigo)) {
@@ -179,15 +153,9 @@ async function cambiarRolUsuario(req, res) {
  */
 async function actualizarAgentesUsuario(req, res) {
   try {
-    const userId = req.user.id;
     const { id: usuarioId } = req.params;
     const { accesoTotal, agentesIds = [] } = req.body;
 
-    // Verificar que es superadmin
-    if (!(await esSuperadmin(userId))) {
-      return res.status(403).json({ error: 'Se requiere rol superadmin' });
-    }
-
     // Verificar que el usuario objetivo no es superadmin
     const { data: usuarioObjetivo } = await supabase
       .from('usuarios')
@@ -278,13 +246,6 @@ async function actualizarAgentesUsuario(req, res) {
  */
 async function listarAgentesDisponibles(req, res) {
   try {
-    const userId = req.user.id;
-
-    // Verificar que es superadmin
-    if (!(await esSuperadmin(userId))) {
-      return res.status(403).json({ error: 'Se requiere rol superadmin' });
-    }
-
     const { data: agentes, error } = await supabase
       .from('agentes')
       .select('id, nombre, activo')
@@ -312,14 +273,8 @@ async function listarAgentesDisponibles(req, res) {
  */
 async function obtenerDetallesUsuario(req, res) {
   try {
-    const userId = req.user.id;
     const { id: usuarioId } = req.params;
 
-    // Verificar que es superadmin
-    if (!(await esSuperadmin(userId))) {
-      return res.status(403).json({ error: 'Se requiere rol superadmin' });
-    }
-
     // 1. Obtener workspaces propios del usuario (creado_por = ID del creador)
     const { data: workspacesPropios, error: errorWs } = await supabase
       .from('workspaces')
@@ -329,6 +284,7 @@ async function obtenerDetallesUsuario(req, res) {
         created_at
       `)
       .eq('creado_por', usuarioId)
+      .is('eliminado_at', null)
       .order('created_at', { ascending: true });
 
     if (errorWs) {
@@ -344,6 +300,7 @@ async function obtenerDetallesUsuario(req, res) {
           .from('puestos')
           .select('id, nombre')
           .eq('workspace_id', ws.id)
+          .is('eliminado_at', null)
           .order('orden', { ascending: true });
 
         // Obtener agentes vinculados al workspace
@@ -1,10 +1,21 @@
 // src/controllers/agenteApiController.js
 // Controlador REST para comunicación con agentes
+//
+// La ingesta de lecturas es idempotente: los reenvíos de un lote se ignoran con
+// ON CONFLICT (registrador_id, timestamp), que necesita el índice único de
+// migrations/001_lecturas_indice_unico.sql.
 
 const supabase = require('../config/supabase');
-const bcrypt = require('bcrypt');
-const { generarTokenAgente } = require('../middleware/authAgente');
 const { registrarLogAgente } = require('./agentesController');
+const { evaluarReglasAlarma } = require('../servicios/alarmasService');
+const { actualizarEstadoRegistradores } = require('../servicios/estadoRegistradoresService');
+const { registrarEventosSoe } = require('../servicios/eventosSoeService');
+const { reabrirEnergia } = require('../servicios/energiaService');
+const { confirmarComando } = require('../servicios/outboxAgenteService');
+const { publicarLecturas } = require('../servicios/tiempoRealService');
+const { buscarAgentePorClave } = require('../servicios/clavesAgenteService');
+const { emitirSesionAgente, refrescarSesionAgente } = require('../servicios/tokensAgenteService');
+const { confirmarVersionReportada } = require('../servicios/releasesAgenteService');
 
 // ============================================
 // POST /api/agente/auth
@@ -19,54 +30,26 @@ async function autenticar(req, res) {
       return res.status(400).json({ error: 'claveSecreta es requerida' });
     }
 
-    // Obtener todos los agentes activos
-    const { data: agentes, error } = await supabase
-      .from('agentes')
-      .select('id, nombre, clave_hash, clave_anterior_hash, clave_rotada_at, activo')
-      .eq('activo', true);
-
-    if (error) {
-      console.error('[AgenteAPI] Error obteniendo agentes:', error);
+    // Buscar el agente por el claveId de la clave (una consulta, una comparación bcrypt)
+    let resultado;
+    try {
+      resultado = await buscarAgentePorClave(claveSecreta);
+    } catch (error) {
+      console.error('[AgenteAPI] Error obteniendo agente:', error);
       return res.status(500).json({ error: 'Error de base de datos' });
     }
 
-    // Buscar el agente cuya clave coincida
-    let agenteEncontrado = null;
-    let usoClavePrincipal = true;
-    let advertencia = null;
-
-    for (const agente of agentes) {
-      // Verificar clave actual
-      const coincideActual = await bcrypt.compare(claveSecreta, agente.clave_hash);
-      if (coincideActual) {
-        agenteEncontrado = agente;
-        usoClavePrincipal = true;
-        break;
-      }
-
-      // Verificar clave anterior (si existe y no ha expirado - 24h)
-      if (agente.clave_anterior_hash && agente.clave_rotada_at) {
-        const rotadaHace = Date.now() - new Date(agente.clave_rotada_at).getTime();
-        const veinticuatroHoras = 24 * 60 * 60 * 1000;
-
-        if (rotadaHace < veinticuatroHoras) {
-          const coincideAnterior = await bcrypt.compare(claveSecreta, agente.clave_anterior_hash);
-          if (coincideAnterior) {
-            agenteEncontrado = agente;
-            usoClavePrincipal = false;
-            advertencia = 'Usando clave anterior, por favor actualice la configuración del agente';
-            break;
-          }
-        }
-      }
-    }
-
-    if (!agenteEncontrado) {
+    if (!resultado) {
       return res.status(401).json({ error: 'Clave inválida' });
     }
 
-    // Generar token JWT
-    const token = generarTokenAgente(agenteEncontrado.id, agenteEncontrado.nombre);
+    const { agente: agenteEncontrado, usoClavePrincipal } = resultado;
+    const advertencia = usoClavePrincipal
+      ? null
+      : 'Usando clave anterior, por favor actualice la configuración del agente';
+
+    // Access token de corta duración + refresh token
+    const sesion = await emitirSesionAgente(agenteEncontrado, clientIp);
 
     // Actualizar ultimo_heartbeat e IP
     await supabase
@@ -91,7 +74,7 @@ async function autenticar(req, res) {
 
     res.json({
       exito: true,
-      token,
+      ...sesion,
       agente: {
         id: agenteEncontrado.id,
         nombre: agenteEncontrado.nombre,
@@ -106,6 +89,30 @@ async function autenticar(req, res) {
   }
 }
 
+// ============================================
+// POST /api/agente/refresh
+// Canjea el refresh token por un access token nuevo (y un refresh token nuevo)
+// ============================================
+async function refrescarToken(req, res) {
+  try {
+    const { refreshToken } = req.body;
+    const clientIp = req.ip || req.headers['x-forwarded-for'] || 'unknown';
+
+    const resultado = await refrescarSesionAgente(refreshToken, clientIp);
+    if (resultado.error) {
+      return res.status(401).json({ error: resultado.error, code: 'REFRESH_INVALID' });
+    }
+
+    res.json({
+      exito: true,
+      ...resultado.sesion,
+    });
+  } catch (err) {
+    console.error('[AgenteAPI] Error en refrescarToken:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 // ============================================
 // POST /api/agente/heartbeat
 // El agente reporta que está vivo
@@ -132,6 +139,13 @@ async function heartbeat(req, res) {
       return res.status(500).json({ error: 'Error actualizando heartbeat' });
     }
 
+    // Un agente que reinició con la versión de su despliegue en curso ya se actualizó
+    try {
+      await confirmarVersionReportada(agenteId, version);
+    } catch (errVersion) {
+      console.error('[AgenteAPI] Error confirmando versión reportada:', errVersion);
+    }
+
     res.json({
       ok: true,
       timestamp: new Date().toISOString(),
@@ -216,10 +230,15 @@ async function obtenerConfiguracion(req, res) {
 // ============================================
 // POST /api/agente/lecturas
 // El agente envía lecturas
+//
+// Ingesta idempotente: el agente puede reenviar un lote (loteId) tras un corte
+// sin duplicar el histórico. Las lecturas se deduplican por (registrador_id, timestamp)
+// y la respuesta indica, por número de secuencia, cuáles quedaron persistidas.
+// Si una lectura no trae secuencia se usa su posición en el array.
 // ============================================
 async function enviarLecturas(req, res) {
   try {
-    const { lecturas } = req.body;
+    const { loteId, lecturas } = req.body;
     const agenteId = req.agente.id;
 
     if (!lecturas || !Array.isArray(lecturas)) {
@@ -227,7 +246,7 @@ async function enviarLecturas(req, res) {
     }
 
     if (lecturas.length === 0) {
-      return res.json({ ok: true, insertadas: 0 });
+      return res.json({ ok: true, loteId: loteId || null, insertadas: 0, duplicadas: 0, rechazadas: 0, confirmadas: [], resultados: [] });
     }
 
     // Validar que los registradores pertenecen a este agente
@@ -235,7 +254,7 @@ async function enviarLecturas(req, res) {
 
     const { data: registradoresValidos, error: errorReg } = await supabase
       .from('registradores')
-      .select('id')
+      .select('id, indice_inicial')
       .eq('agente_id', agenteId)
       .in('id', registradorIds);
 
@@ -245,63 +264,127 @@ async function enviarLecturas(req, res) {
     }
 
     const idsValidos = new Set(registradoresValidos.map(r => r.id));
+    const ahora = new Date().toISOString();
+
+    // Estado por lectura: secuencia -> 'insertada' | 'duplicada' | 'rechazada'
+    const resultados = [];
+    // Lecturas a insertar, indexadas por (registrador_id, timestamp) para deduplicar dentro del lote
+    const porClave = new Map();
+
+    lecturas.forEach((l, indice) => {
+      const secuencia = l.secuencia ?? indice;
+      const fecha = new Date(l.timestamp || ahora);
+
+      if (!idsValidos.has(l.registradorId)) {
+        resultados.push({ secuencia, estado: 'rechazada', motivo: 'Registrador no pertenece al agente' });
+        return;
+      }
+      if (Number.isNaN(fecha.getTime())) {
+        resultados.push({ secuencia, estado: 'rechazada', motivo: 'Timestamp inválido' });
+        return;
+      }
 
-    // Filtrar lecturas válidas y formatear para inserción
-    // Nota: No guardamos indice_inicial en la lectura - se obtiene del registrador al consultar
-    const lecturasValidas = lecturas
-      .filter(l => idsValidos.has(l.registradorId))
-      .map(l => ({
-        registrador_id: l.registradorId,
-        timestamp: l.timestamp || new Date().toISOString(),
-        valores: l.valores,
-        tiempo_respuesta_ms: l.tiempoMs || null,
-        exito: l.exito !== false,
-        error_mensaje: l.error || null,
-      }));
+      const timestamp = fecha.toISOString();
+      const clave = `${l.registradorId}|${timestamp}`;
+      const resultado = { secuencia, estado: 'duplicada' };
+      resultados.push(resultado);
+
+      if (porClave.has(clave)) {
+        // Repetida dentro del mismo lote: se persiste una sola vez
+        porClave.get(clave).resultados.push(resultado);
+        return;
+      }
+
+      // Nota: No guardamos indice_inicial en la lectura - se obtiene del registrador al consultar
+      porClave.set(clave, {
+        fila: {
+          registrador_id: l.registradorId,
+          timestamp,
+          valores: l.valores,
+          tiempo_respuesta_ms: l.tiempoMs || null,
+          exito: l.exito !== false,
+          error_mensaje: l.error || null,
+        },
+        resultados: [resultado],
+      });
+    });
+
+    const lecturasValidas = [...porClave.values()].map(p => p.fila);
 
     if (lecturasValidas.length === 0) {
-      return res.status(400).json({ error: 'Ninguna lectura válida para este agente' });
+      return res.status(400).json({ error: 'Ninguna lectura válida para este agente', loteId: loteId || null, resultados });
     }
 
-    // Insertar lecturas
-    const { error: errorInsert } = await supabase
+    // Insertar lecturas ignorando las que ya existen (reenvíos).
+    // Con ON CONFLICT DO NOTHING solo vuelven las filas realmente insertadas.
+    const { data: insertadas, error: errorInsert } = await supabase
       .from('lecturas')
-      .insert(lecturasValidas);
+      .upsert(lecturasValidas, { onConflict: 'registrador_id,timestamp', ignoreDuplicates: true })
+      .select('registrador_id, timestamp');
 
     if (errorInsert) {
       console.error('[AgenteAPI] Error insertando lecturas:', errorInsert);
-      return res.status(500).json({ error: 'Error guardando lecturas' });
+      return res.status(500).json({ error: 'Error guardando lecturas', loteId: loteId || null });
+    }
+
+    const lecturasNuevas = [];
+    for (const fila of insertadas || []) {
+      const pendiente = porClave.get(`${fila.registrador_id}|${new Date(fila.timestamp).toISOString()}`);
+      if (!pendiente) continue;
+      pendiente.resultados[0].estado = 'insertada';
+      lecturasNuevas.push(pendiente.fila);
+    }
+
+    // Actualizar estado de los registradores (última lectura, error y contadores) en una sola llamada.
+    // Las lecturas ya quedaron guardadas: un fallo aquí no debe impedir confirmarlas al agente.
+    try {
+      await actualizarEstadoRegistradores(lecturasNuevas);
+    } catch (errEstado) {
+      console.error('[AgenteAPI] Error actualizando estado de registradores:', errEstado);
+    }
+
+    // Evaluar reglas de alarma solo sobre lo nuevo, para que un reenvío no reabra alarmas
+    // (un fallo aquí no afecta la ingesta)
+    try {
+      await evaluarReglasAlarma(lecturasNuevas);
+    } catch (errAlarmas) {
+      console.error('[AgenteAPI] Error evaluando reglas de alarma:', errAlarmas);
     }
 
-    // Actualizar ultima_lectura_exitosa en registradores
-    const exitosas = lecturasValidas.filter(l => l.exito);
-    for (const lectura of exitosas) {
-      await supabase
-        .from('registradores')
-        .update({
-          ultima_lectura_exitosa: lectura.timestamp,
-          ultimo_error: null,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', lectura.registrador_id);
+    // Secuencia de eventos: cambios de bits de estado etiquetados (un fallo aquí no afecta la ingesta)
+    try {
+      await registrarEventosSoe(lecturasNuevas, agenteId);
+    } catch (errEventos) {
+      console.error('[AgenteAPI] Error registrando eventos SOE:', errEventos);
     }
 
-    // Actualizar errores
-    const fallidas = lecturasValidas.filter(l => !l.exito);
-    for (const lectura of fallidas) {
-      await supabase
-        .from('registradores')
-        .update({
-          ultimo_error: lectura.error_mensaje,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('id', lectura.registrador_id);
+    // Lecturas anteriores a lo ya calculado: la energía se recalcula desde la más antigua
+    try {
+      await reabrirEnergia(lecturasNuevas);
+    } catch (errEnergia) {
+      console.error('[AgenteAPI] Error marcando energía para recalcular:', errEnergia);
+    }
+
+    // Difundir lo nuevo a los usuarios conectados al canal en tiempo real
+    publicarLecturas(agenteId, lecturasNuevas, new Map(registradoresValidos.map(r => [r.id, r.indice_inicial])))
+      .catch(err => console.error('[AgenteAPI] Error publicando lecturas en tiempo real:', err));
+
+    const contar = (estado) => resultados.filter(r => r.estado === estado).length;
+    const duplicadas = contar('duplicada');
+
+    if (loteId && duplicadas > 0) {
+      console.log(`[AgenteAPI] Lote ${loteId} del agente ${agenteId}: ${duplicadas} lecturas ya existentes`);
     }
 
     res.json({
       ok: true,
-      insertadas: lecturasValidas.length,
-      rechazadas: lecturas.length - lecturasValidas.length,
+      loteId: loteId || null,
+      insertadas: contar('insertada'),
+      duplicadas,
+      rechazadas: contar('rechazada'),
+      // Secuencias que el agente puede descartar de su buffer (insertadas o ya existentes)
+      confirmadas: resultados.filter(r => r.estado !== 'rechazada').map(r => r.secuencia),
+      resultados,
     });
 
   } catch (err) {
@@ -347,6 +430,29 @@ async function enviarLog(req, res) {
   }
 }
 
+// ============================================
+// POST /api/agente/eventos/:comandoAgenteId/ack
+// El agente confirma que procesó un comando de su cola
+// ============================================
+async function confirmarEvento(req, res) {
+  try {
+    const { comandoAgenteId } = req.params;
+    const agenteId = req.agente.id;
+
+    const comando = await confirmarComando(agenteId, comandoAgenteId);
+
+    if (!comando) {
+      return res.status(404).json({ error: 'Comando no encontrado o ya confirmado' });
+    }
+
+    res.json({ ok: true, comandoAgenteId: comando.id, estado: comando.estado });
+
+  } catch (err) {
+    console.error('[AgenteAPI] Error en confirmarEvento:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 // ============================================
 // POST /api/agente/vincular
 // El agente se vincula a un workspace usando código
@@ -443,10 +549,12 @@ async function ping(req, res) {
 
 module.exports = {
   autenticar,
+  refrescarToken,
   heartbeat,
   obtenerConfiguracion,
   enviarLecturas,
   enviarLog,
+  confirmarEvento,
   vincular,
   ping,
 };
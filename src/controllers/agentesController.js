@@ -2,8 +2,7 @@
 // Controlador para gestión de agentes y vinculación con workspaces
 
 const supabase = require('../config/supabase');
-const bcrypt = require('bcrypt');
-const crypto = require('crypto');
+const { rotarClave: rotarClaveAgente, revocarClaveAnterior, mensajeRotacion } = require('../servicios/clavesAgenteService');
 
 // ============================================
 // Funciones auxiliares
@@ -22,13 +21,6 @@ function generarCodigoVinculacion() {
   return codigo;
 }
 
-/**
- * Genera una clave secreta para el agente
- */
-function generarClaveSecreta() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
 // ============================================
 // Funciones auxiliares
 // ============================================
@@ -67,33 +59,6 @@ async function solicitarVinculacion(req, res) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar que el usuario tiene permisos sobre el workspace (usando nueva tabla usuario_workspaces)
-    const { data: permiso, error: errorPermiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo, nivel)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', usuarioId)
-      .single();
-
-    if (errorPermiso || !permiso) {
-      // También verificar si es superadmin (tiene acceso global)
-      const { data: usuario } = await supabase
-        .from('usuarios')
-        .select('rol_id, roles (codigo)')
-        .eq('id', usuarioId)
-        .single();
-
-      if (!usuario || usuario.roles?.codigo !== 'superadmin') {
-        return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-      }
-    } else {
-      const rolCodigo = permiso.roles?.codigo;
-      // Solo superadmin y admin pueden vincular agentes
-      if (!['superadmin', 'admin'].includes(rolCodigo)) {
-        return res.status(403).json({ error: 'Necesitas rol admin o superior para vincular agentes' });
-      }
-    }
-
     // Verificar que el workspace existe
     const { data: workspace, error: errorWorkspace } = await supabase
       .from('workspaces')
@@ -248,27 +213,6 @@ async function obtenerEstadoVinculacion(req, res) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (usando nueva tabla usuario_workspaces)
-    const { data: permiso, error: errorPermiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo, nivel)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', usuarioId)
-      .single();
-
-    if (errorPermiso || !permiso) {
-      // También verificar si es superadmin (tiene acceso global)
-      const { data: usuario } = await supabase
-        .from('usuarios')
-        .select('rol_id, roles (codigo)')
-        .eq('id', usuarioId)
-        .single();
-
-      if (!usuario || usuario.roles?.codigo !== 'superadmin') {
-        return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-      }
-    }
-
     // Obtener workspace
     const { data: workspace, error: errorWorkspace } = await supabase
       .from('workspaces')
@@ -348,37 +292,11 @@ async function obtenerEstadoVinculacion(req, res) {
 async function desvincularAgente(req, res) {
   try {
     const { workspaceId } = req.body;
-    const usuarioId = req.user.id;
 
     if (!workspaceId) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (solo admin o superadmin)
-    const { data: permiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', usuarioId)
-      .single();
-
-    let tienePermiso = permiso && ['superadmin', 'admin'].includes(permiso.roles?.codigo);
-
-    // Si no tiene permiso en workspace, verificar si es superadmin global
-    if (!tienePermiso) {
-      const { data: usuario } = await supabase
-        .from('usuarios')
-        .select('rol_id, roles (codigo)')
-        .eq('id', usuarioId)
-        .single();
-
-      tienePermiso = usuario?.roles?.codigo === 'superadmin';
-    }
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'Solo administradores pueden desvincular agentes' });
-    }
-
     // Desvincular
     const { error } = await supabase
       .from('workspaces')
@@ -398,85 +316,54 @@ async function desvincularAgente(req, res) {
   }
 }
 
+/**
+ * Obtiene el agente del workspace (modelo anterior: workspaces.agente_id)
+ */
+async function obtenerAgenteDeWorkspace(workspaceId) {
+  const { data: workspace } = await supabase
+    .from('workspaces')
+    .select('agente_id')
+    .eq('id', workspaceId)
+    .single();
+
+  return workspace?.agente_id || null;
+}
+
 /**
  * POST /api/agentes/rotar-clave
- * Rota la clave del agente (genera nueva, guarda anterior)
+ * Rota la clave del agente (genera nueva, la anterior vale durante horasGracia)
  */
 async function rotarClave(req, res) {
   try {
-    const { workspaceId } = req.body;
+    const { workspaceId, horasGracia } = req.body;
     const usuarioId = req.user.id;
 
     if (!workspaceId) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (solo admin o superadmin)
-    const { data: permiso } = await supabase
-      .from('usuario_workspaces')
-      .select('rol_id, roles (codigo)')
-      .eq('workspace_id', workspaceId)
-      .eq('usuario_id', usuarioId)
-      .single();
-
-    let tienePermiso = permiso && ['superadmin', 'admin'].includes(permiso.roles?.codigo);
-
-    // Si no tiene permiso en workspace, verificar si es superadmin global
-    if (!tienePermiso) {
-      const { data: usuario } = await supabase
-        .from('usuarios')
-        .select('rol_id, roles (codigo)')
-        .eq('id', usuarioId)
-        .single();
-
-      tienePermiso = usuario?.roles?.codigo === 'superadmin';
-    }
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'Solo administradores pueden rotar claves' });
-    }
-
-    // Obtener workspace con agente
-    const { data: workspace, error: errorWs } = await supabase
-      .from('workspaces')
-      .select('agente_id, agentes(id, clave_hash)')
-      .eq('id', workspaceId)
-      .single();
-
-    if (errorWs || !workspace || !workspace.agente_id) {
+    const agenteId = await obtenerAgenteDeWorkspace(workspaceId);
+    if (!agenteId) {
       return res.status(400).json({ error: 'Workspace no tiene agente vinculado' });
     }
 
-    // Generar nueva clave
-    const nuevaClave = generarClaveSecreta();
-    const nuevoHash = await bcrypt.hash(nuevaClave, 10);
-
-    // Actualizar agente: mover clave actual a anterior, poner nueva clave
-    const { error: errorUpdate } = await supabase
-      .from('agentes')
-      .update({
-        clave_anterior_hash: workspace.agentes.clave_hash,
-        clave_hash: nuevoHash,
-        clave_rotada_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      })
-      .eq('id', workspace.agente_id);
-
-    if (errorUpdate) {
-      console.error('Error rotando clave:', errorUpdate);
-      return res.status(500).json({ error: 'Error rotando clave' });
+    const resultado = await rotarClaveAgente(agenteId, { horasGracia });
+    if (!resultado) {
+      return res.status(400).json({ error: 'Workspace no tiene agente vinculado' });
     }
 
     // Registrar log
-    await registrarLogAgente(workspace.agente_id, 'rotacion_clave', req.ip, {
+    await registrarLogAgente(agenteId, 'rotacion_clave', req.ip, {
       usuario_id: usuarioId,
+      clave_anterior_expira_at: resultado.anteriorExpiraAt,
     }, true);
 
     // La nueva clave solo se muestra una vez
     res.json({
       exito: true,
-      nuevaClave,
-      mensaje: 'Clave rotada. La clave anterior será válida por 24 horas.',
+      nuevaClave: resultado.nuevaClave,
+      claveAnteriorExpiraAt: resultado.anteriorExpiraAt,
+      mensaje: mensajeRotacion(resultado.anteriorExpiraAt),
     });
 
   } catch (err) {
@@ -485,15 +372,41 @@ async function rotarClave(req, res) {
   }
 }
 
+/**
+ * POST /api/agentes/revocar-clave-anterior
+ * Invalida de inmediato la clave anterior del agente del workspace
+ */
+async function revocarClaveAnteriorWorkspace(req, res) {
+  try {
+    const { workspaceId } = req.body;
+
+    const agenteId = await obtenerAgenteDeWorkspace(workspaceId);
+    if (!agenteId) {
+      return res.status(400).json({ error: 'Workspace no tiene agente vinculado' });
+    }
+
+    await revocarClaveAnterior(agenteId);
+
+    await registrarLogAgente(agenteId, 'revocacion_clave_anterior', req.ip, {
+      usuario_id: req.user.id,
+    }, true);
+
+    res.json({ exito: true, mensaje: 'Clave anterior revocada' });
+  } catch (err) {
+    console.error('Error en revocarClaveAnteriorWorkspace:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 module.exports = {
   // Funciones auxiliares
   validarVinculacion,
   registrarLogAgente,
-  generarClaveSecreta,
 
   // Endpoints HTTP
   solicitarVinculacion,
   obtenerEstadoVinculacion,
   desvincularAgente,
   rotarClave,
+  revocarClaveAnteriorWorkspace,
 };
@@ -0,0 +1,326 @@
+// src/controllers/alarmasController.js
+// Controlador para reglas de alarma por workspace y gestión de alarmas (listar/reconocer)
+
+const supabase = require('../config/supabase');
+const { puede } = require('../middleware/politicas');
+
+/**
+ * Verifica que el registrador pertenezca a un agente vinculado al workspace
+ */
+async function registradorPerteneceAWorkspace(registradorId, workspaceId) {
+  const { data: registrador } = await supabase
+    .from('registradores')
+    .select('agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (!registrador?.agente_id) return false;
+
+  const { data: vinculacion } = await supabase
+    .from('workspace_agentes')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('agente_id', registrador.agente_id)
+    .limit(1);
+
+  return !!(vinculacion && vinculacion.length > 0);
+}
+
+// ============================================
+// CRUD de Reglas de Alarma
+// ============================================
+
+/**
+ * GET /api/workspaces/:workspaceId/reglas-alarma
+ * Obtiene las reglas de alarma del workspace
+ * Query params: registradorId (opcional)
+ */
+async function obtenerReglas(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { registradorId } = req.query;
+
+    let query = supabase
+      .from('reglas_alarma')
+      .select('*, registradores (id, nombre)')
+      .eq('workspace_id', workspaceId)
+      .order('nombre', { ascending: true });
+
+    if (registradorId) {
+      query = query.eq('registrador_id', registradorId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error obteniendo reglas de alarma:', error);
+      return res.status(500).json({ error: 'Error obteniendo reglas de alarma' });
+    }
+
+    res.json({ reglas: data || [] });
+
+  } catch (err) {
+    console.error('Error en obtenerReglas:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/workspaces/:workspaceId/reglas-alarma
+ * Crea una regla de alarma para un registrador del workspace (admin o superior)
+ */
+async function crearRegla(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const usuarioId = req.user.id;
+    const {
+      registradorId, nombre, tipo, registro, umbral, histeresis, bit,
+      severidad, aplicarTransformador, notificar, activo
+    } = req.body;
+
+    if (!await registradorPerteneceAWorkspace(registradorId, workspaceId)) {
+      return res.status(400).json({ error: 'El registrador no pertenece a un agente vinculado a este workspace' });
+    }
+
+    const { data, error } = await supabase
+      .from('reglas_alarma')
+      .insert({
+        workspace_id: workspaceId,
+        registrador_id: registradorId,
+        nombre: nombre.trim(),
+        tipo,
+        registro,
+        umbral: umbral ?? null,
+        histeresis: histeresis ?? 0,
+        bit: bit ?? null,
+        severidad: severidad || 'media',
+        aplicar_transformador: aplicarTransformador ?? false,
+        notificar: notificar ?? true,
+        activo: activo ?? true,
+        created_by: usuarioId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error creando regla de alarma:', error);
+      return res.status(500).json({ error: 'Error creando regla de alarma' });
+    }
+
+    res.status(201).json({ regla: data });
+
+  } catch (err) {
+    console.error('Error en crearRegla:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * PUT /api/reglas-alarma/:id
+ * Actualiza una regla de alarma (admin o superior)
+ */
+async function actualizarRegla(req, res) {
+  try {
+    const { id } = req.params;
+    const {
+      nombre, registro, umbral, histeresis, bit,
+      severidad, aplicarTransformador, notificar, activo
+    } = req.body;
+
+    const { data: regla, error: errorBuscar } = await supabase
+      .from('reglas_alarma')
+      .select('workspace_id')
+      .eq('id', id)
+      .single();
+
+    if (errorBuscar || !regla) {
+      return res.status(404).json({ error: 'Regla de alarma no encontrada' });
+    }
+
+    if (!await puede(req, 'alarma:configurar', regla.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes permisos para editar reglas de alarma' });
+    }
+
+    const datosActualizacion = { updated_at: new Date().toISOString() };
+    if (nombre) datosActualizacion.nombre = nombre.trim();
+    if (registro !== undefined) datosActualizacion.registro = registro;
+    if (umbral !== undefined) datosActualizacion.umbral = umbral;
+    if (histeresis !== undefined) datosActualizacion.histeresis = histeresis;
+    if (bit !== undefined) datosActualizacion.bit = bit;
+    if (severidad !== undefined) datosActualizacion.severidad = severidad;
+    if (aplicarTransformador !== undefined) datosActualizacion.aplicar_transformador = aplicarTransformador;
+    if (notificar !== undefined) datosActualizacion.notificar = notificar;
+    if (activo !== undefined) datosActualizacion.activo = activo;
+
+    const { data, error } = await supabase
+      .from('reglas_alarma')
+      .update(datosActualizacion)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error actualizando regla de alarma:', error);
+      return res.status(500).json({ error: 'Error actualizando regla de alarma' });
+    }
+
+    res.json({ regla: data });
+
+  } catch (err) {
+    console.error('Error en actualizarRegla:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * DELETE /api/reglas-alarma/:id
+ * Elimina una regla de alarma (admin o superior)
+ */
+async function eliminarRegla(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: regla, error: errorBuscar } = await supabase
+      .from('reglas_alarma')
+      .select('workspace_id')
+      .eq('id', id)
+      .single();
+
+    if (errorBuscar || !regla) {
+      return res.status(404).json({ error: 'Regla de alarma no encontrada' });
+    }
+
+    if (!await puede(req, 'alarma:configurar', regla.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes permisos para eliminar reglas de alarma' });
+    }
+
+    const { error } = await supabase
+      .from('reglas_alarma')
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error eliminando regla de alarma:', error);
+      return res.status(500).json({ error: 'Error eliminando regla de alarma' });
+    }
+
+    res.json({ mensaje: 'Regla de alarma eliminada correctamente' });
+
+  } catch (err) {
+    console.error('Error en eliminarRegla:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+// ============================================
+// Alarmas
+// ============================================
+
+/**
+ * GET /api/workspaces/:workspaceId/alarmas
+ * Lista las alarmas del workspace (más recientes primero)
+ * Query params: estado (activa|reconocida|normalizada|abiertas), registradorId, limite (default 100)
+ */
+async function obtenerAlarmas(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { estado, registradorId, limite = 100 } = req.query;
+
+    let query = supabase
+      .from('alarmas')
+      .select('*, reglas_alarma (id, nombre, tipo), registradores (id, nombre)')
+      .eq('workspace_id', workspaceId)
+      .order('activada_at', { ascending: false })
+      .limit(Math.min(parseInt(limite) || 100, 1000));
+
+    if (estado === 'abiertas') {
+      query = query.in('estado', ['activa', 'reconocida']);
+    } else if (estado) {
+      query = query.eq('estado', estado);
+    }
+
+    if (registradorId) {
+      query = query.eq('registrador_id', registradorId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error obteniendo alarmas:', error);
+      return res.status(500).json({ error: 'Error obteniendo alarmas' });
+    }
+
+    res.json({ alarmas: data || [] });
+
+  } catch (err) {
+    console.error('Error en obtenerAlarmas:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/alarmas/:id/reconocer
+ * Reconoce una alarma (operador o superior)
+ * Una alarma activa pasa a 'reconocida'; una ya normalizada solo registra el reconocimiento
+ */
+async function reconocerAlarma(req, res) {
+  try {
+    const { id } = req.params;
+    const { comentario } = req.body;
+    const usuarioId = req.user.id;
+
+    const { data: alarma, error: errorBuscar } = await supabase
+      .from('alarmas')
+      .select('id, workspace_id, estado, reconocida_at')
+      .eq('id', id)
+      .single();
+
+    if (errorBuscar || !alarma) {
+      return res.status(404).json({ error: 'Alarma no encontrada' });
+    }
+
+    if (!await puede(req, 'alarma:reconocer', alarma.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes permisos para reconocer alarmas' });
+    }
+
+    if (alarma.reconocida_at) {
+      return res.status(400).json({ error: 'La alarma ya fue reconocida' });
+    }
+
+    const datosActualizacion = {
+      reconocida_at: new Date().toISOString(),
+      reconocida_por: usuarioId,
+      comentario_reconocimiento: comentario || null,
+    };
+    if (alarma.estado === 'activa') {
+      datosActualizacion.estado = 'reconocida';
+    }
+
+    const { data, error } = await supabase
+      .from('alarmas')
+      .update(datosActualizacion)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error reconociendo alarma:', error);
+      return res.status(500).json({ error: 'Error reconociendo alarma' });
+    }
+
+    res.json({ alarma: data });
+
+  } catch (err) {
+    console.error('Error en reconocerAlarma:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerReglas,
+  crearRegla,
+  actualizarRegla,
+  eliminarRegla,
+  obtenerAlarmas,
+  reconocerAlarma,
+};
@@ -2,46 +2,36 @@
 // Controlador para gestionar alimentadores
 
 const supabase = require('../config/supabase');
+const { puede } = require('../middleware/politicas');
+const papelera = require('../servicios/papeleraService');
 
 // ============================================
 // Funciones auxiliares de verificación de acceso
 // ============================================
 
 /**
- * Verifica si el usuario tiene acceso a un workspace
- */
-async function verificarAccesoWorkspace(workspaceId, userId) {
-  const { data: asignacion } = await supabase
-    .from('usuario_workspaces')
-    .select('id')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', userId)
-    .single();
-
-  return !!asignacion;
-}
-
-/**
- * Obtiene el workspace_id de un puesto
+ * Obtiene el workspace_id de un puesto (null si no existe o está en la papelera)
  */
 async function obtenerWorkspaceIdDePuesto(puestoId) {
   const { data: puesto } = await supabase
     .from('puestos')
     .select('workspace_id')
     .eq('id', puestoId)
+    .is('eliminado_at', null)
     .single();
 
   return puesto?.workspace_id || null;
 }
 
 /**
- * Obtiene el workspace_id de un alimentador (via su puesto)
+ * Obtiene el workspace_id de un alimentador (via su puesto; null si está en la papelera)
  */
 async function obtenerWorkspaceIdDeAlimentador(alimentadorId) {
   const { data: alimentador } = await supabase
     .from('alimentadores')
     .select('puesto_id')
     .eq('id', alimentadorId)
+    .is('eliminado_at', null)
     .single();
 
   if (!alimentador?.puesto_id) return null;
@@ -58,7 +48,6 @@ async function obtenerWorkspaceIdDeAlimentador(alimentadorId) {
  */
 const obtenerAlimentadores = async (req, res) => {
   const { puestoId } = req.params;
-  const userId = req.user.id;
 
   try {
     // SEGURIDAD: Verificar acceso al workspace del puesto
@@ -67,8 +56,7 @@ const obtenerAlimentadores = async (req, res) => {
       return res.status(404).json({ error: 'Puesto no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'workspace:ver', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este puesto' });
     }
 
@@ -76,6 +64,7 @@ const obtenerAlimentadores = async (req, res) => {
       .from('alimentadores')
       .select('*')
       .eq('puesto_id', puestoId)
+      .is('eliminado_at', null)
       .order('orden', { ascending: true });
 
     if (error) throw error;
@@ -93,7 +82,6 @@ const obtenerAlimentadores = async (req, res) => {
 const crearAlimentador = async (req, res) => {
   const { puestoId } = req.params;
   const { nombre, color, orden, registrador_id, intervalo_consulta_ms, card_design, gap_horizontal, config_tarjeta } = req.body;
-  const userId = req.user.id;
 
   if (!nombre || nombre.trim() === '') {
     return res.status(400).json({ error: 'El nombre es requerido' });
@@ -106,8 +94,7 @@ const crearAlimentador = async (req, res) => {
       return res.status(404).json({ error: 'Puesto no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'alimentador:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este puesto' });
     }
 
@@ -160,15 +147,13 @@ const actualizarAlimentador = async (req, res) => {
       nombre, color, orden, registrador_id, intervalo_consulta_ms,
       card_design, gap_horizontal, escala, config_tarjeta
     } = req.body;
-    const userId = req.user.id;
     // SEGURIDAD: Verificar acceso al workspace del alimentador
     const workspaceId = await obtenerWorkspaceIdDeAlimentador(id);
     if (!workspaceId) {
       return res.status(404).json({ error: 'Alimentador no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'alimentador:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este alimentador' });
     }
 
@@ -200,11 +185,10 @@ const actualizarAlimentador = async (req, res) => {
 };
 
 /**
- * Eliminar un alimentador
+ * Eliminar un alimentador (lo envía a la papelera)
  */
 const eliminarAlimentador = async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.id;
 
   try {
     // SEGURIDAD: Verificar acceso al workspace del alimentador
@@ -213,32 +197,54 @@ const eliminarAlimentador = async (req, res) => {
       return res.status(404).json({ error: 'Alimentador no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'alimentador:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este alimentador' });
     }
 
-    const { error } = await supabase
-      .from('alimentadores')
-      .delete()
-      .eq('id', id);
+    await papelera.eliminarAlimentador(id, req.user.id);
 
-    if (error) throw error;
-
-    res.json({ mensaje: 'Alimentador eliminado' });
+    res.json({ mensaje: 'Alimentador enviado a la papelera', retencionDias: papelera.RETENCION_DIAS });
   } catch (error) {
     console.error('Error eliminando alimentador:', error);
     res.status(500).json({ error: 'Error al eliminar alimentador' });
   }
 };
 
+/**
+ * Restaurar un alimentador de la papelera
+ */
+const restaurarAlimentador = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const alimentador = await papelera.obtenerEliminado('alimentadores', id, 'puestos (workspace_id, eliminado_at)');
+    if (!alimentador?.puestos) {
+      return res.status(404).json({ error: 'Alimentador no encontrado en la papelera' });
+    }
+
+    if (!await puede(req, 'alimentador:editar', alimentador.puestos.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes acceso a este alimentador' });
+    }
+
+    if (alimentador.puestos.eliminado_at) {
+      return res.status(409).json({ error: 'El puesto del alimentador está en la papelera; restaura primero el puesto' });
+    }
+
+    await papelera.restaurarLote(alimentador.eliminacion_id);
+
+    res.json({ mensaje: 'Alimentador restaurado' });
+  } catch (error) {
+    console.error('Error restaurando alimentador:', error);
+    res.status(500).json({ error: 'Error al restaurar alimentador' });
+  }
+};
+
 /**
  * Reordenar alimentadores dentro de un puesto
  */
 const reordenarAlimentadores = async (req, res) => {
   const { puestoId } = req.params;
   const { ordenes } = req.body; // Array de { id, orden }
-  const userId = req.user.id;
 
   if (!Array.isArray(ordenes)) {
     return res.status(400).json({ error: 'Se requiere un array de ordenes' });
@@ -251,8 +257,7 @@ const reordenarAlimentadores = async (req, res) => {
       return res.status(404).json({ error: 'Puesto no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'alimentador:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este puesto' });
     }
 
@@ -277,7 +282,6 @@ const reordenarAlimentadores = async (req, res) => {
 const moverAlimentador = async (req, res) => {
   const { id } = req.params;
   const { nuevo_puesto_id, orden } = req.body;
-  const userId = req.user.id;
 
   // Soportar ambos nombres de parámetro por compatibilidad
   const nuevoPuestoId = nuevo_puesto_id;
@@ -293,8 +297,7 @@ const moverAlimentador = async (req, res) => {
       return res.status(404).json({ error: 'Alimentador no encontrado' });
     }
 
-    const tieneAccesoOrigen = await verificarAccesoWorkspace(workspaceIdOrigen, userId);
-    if (!tieneAccesoOrigen) {
+    if (!await puede(req, 'alimentador:editar', workspaceIdOrigen)) {
       return res.status(403).json({ error: 'No tienes acceso a este alimentador' });
     }
 
@@ -304,8 +307,7 @@ const moverAlimentador = async (req, res) => {
       return res.status(404).json({ error: 'Puesto destino no encontrado' });
     }
 
-    const tieneAccesoDestino = await verificarAccesoWorkspace(workspaceIdDestino, userId);
-    if (!tieneAccesoDestino) {
+    if (!await puede(req, 'alimentador:editar', workspaceIdDestino)) {
       return res.status(403).json({ error: 'No tienes acceso al puesto destino' });
     }
 
@@ -333,6 +335,7 @@ module.exports = {
   crearAlimentador,
   actualizarAlimentador,
   eliminarAlimentador,
+  restaurarAlimentador,
   reordenarAlimentadores,
   moverAlimentador,
 };
@@ -0,0 +1,63 @@
+// src/controllers/auditoriaController.js
+// Consulta del registro de auditoría de cambios de configuración
+
+const { consultarAuditoria } = require('../servicios/auditoriaService');
+
+/**
+ * Filtros comunes de la query
+ *   entidad, entidadId, usuarioId, accion, desde, hasta (ISO), limite (máx. 500), pagina
+ */
+function filtrosDeQuery(query) {
+  const { entidad, entidadId, usuarioId, accion, desde, hasta, limite, pagina } = query;
+  return { entidad, entidadId, usuarioId, accion, desde, hasta, limite, pagina };
+}
+
+/**
+ * Valida las fechas del rango (si vienen)
+ */
+function fechasInvalidas({ desde, hasta }) {
+  return [desde, hasta].some(fecha => fecha && isNaN(Date.parse(fecha)));
+}
+
+/**
+ * GET /api/workspaces/:id/auditoria
+ * Cambios de configuración de un workspace, del más reciente al más antiguo
+ */
+async function obtenerAuditoriaWorkspace(req, res) {
+  try {
+    const filtros = filtrosDeQuery(req.query);
+    if (fechasInvalidas(filtros)) {
+      return res.status(400).json({ error: 'Fechas inválidas: desde y hasta deben ser ISO 8601' });
+    }
+
+    const { entradas, total } = await consultarAuditoria({ ...filtros, workspaceId: req.params.id });
+    res.json({ auditoria: entradas, total });
+  } catch (err) {
+    console.error('Error en obtenerAuditoriaWorkspace:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/admin/auditoria
+ * Todos los cambios, incluidos los globales del panel admin (agentes, usuarios, modelos)
+ */
+async function obtenerAuditoriaGlobal(req, res) {
+  try {
+    const filtros = filtrosDeQuery(req.query);
+    if (fechasInvalidas(filtros)) {
+      return res.status(400).json({ error: 'Fechas inválidas: desde y hasta deben ser ISO 8601' });
+    }
+
+    const { entradas, total } = await consultarAuditoria({ ...filtros, workspaceId: req.query.workspaceId || null });
+    res.json({ auditoria: entradas, total });
+  } catch (err) {
+    console.error('Error en obtenerAuditoriaGlobal:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerAuditoriaWorkspace,
+  obtenerAuditoriaGlobal,
+};
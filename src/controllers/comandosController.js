@@ -0,0 +1,510 @@
+// src/controllers/comandosController.js
+// Controlador para comandos de escritura Modbus (coils y holding registers)
+// Igual que los tests de registrador: el usuario solicita, el agente ejecuta via SSE y reporta el resultado.
+// Cada intento queda en auditoria_comandos (solo inserciones, nunca se modifica ni se borra).
+// Tablas comandos_modbus y auditoria_comandos: migrations/004_comandos_modbus.sql
+
+const supabase = require('../config/supabase');
+const { entregarEventoAgente } = require('./sseController');
+const { puede, obtenerRolEfectivo, mensajeSinPermiso } = require('../middleware/politicas');
+
+const TIMEOUT_SEGUNDOS = 30; // Tiempo máximo de espera para resultado
+const CONFIRMACION_SEGUNDOS = 60; // Tiempo que tiene un operador para confirmar el comando
+
+/**
+ * Registra un evento en la auditoría de comandos (inmutable)
+ * @param {object} datos - comando_id, workspace_id, registrador_id, usuario_id, agente_id, accion, detalles, exito
+ */
+async function registrarAuditoriaComando({ comandoId = null, workspaceId, registradorId, usuarioId = null, agenteId = null, accion, detalles = {}, exito = true }) {
+  try {
+    const { error } = await supabase.from('auditoria_comandos').insert({
+      comando_id: comandoId,
+      workspace_id: workspaceId,
+      registrador_id: registradorId,
+      usuario_id: usuarioId,
+      agente_id: agenteId,
+      accion,
+      detalles,
+      exito,
+    });
+
+    if (error) throw error;
+  } catch (err) {
+    console.error(`Error registrando auditoría de comando (${accion}):`, err.message || err);
+  }
+}
+
+/**
+ * Obtiene el registrador si pertenece a un agente vinculado al workspace
+ */
+async function obtenerRegistradorDeWorkspace(registradorId, workspaceId) {
+  const { data: registrador } = await supabase
+    .from('registradores')
+    .select('id, nombre, ip, puerto, unit_id, agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (!registrador?.agente_id) return null;
+
+  const { data: vinculacion } = await supabase
+    .from('workspace_agentes')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('agente_id', registrador.agente_id)
+    .limit(1);
+
+  return vinculacion && vinculacion.length > 0 ? registrador : null;
+}
+
+/**
+ * Capacidad necesaria para un tipo de escritura (coils y registros se otorgan por separado)
+ */
+function capacidadEscritura(tipo) {
+  return tipo === 'escribir_registro' ? 'comando:escribir-registro' : 'comando:escribir-coil';
+}
+
+/**
+ * Descripción de lo que se escribe, para la auditoría
+ */
+function describirEscritura(comando) {
+  return {
+    tipo: comando.tipo,
+    direccion: comando.direccion,
+    valor: comando.valor ?? null,
+    valores: comando.valores ?? null,
+  };
+}
+
+/**
+ * Envía el comando al agente via SSE y lo marca como enviado
+ * No usa la cola persistente de comandos: una maniobra diferida hasta que el agente
+ * se reconecte sería peligrosa, así que si no está conectado el comando falla.
+ * @returns {Promise<boolean>} - false si el agente no está conectado o su instancia no confirmó la entrega
+ */
+async function despacharComando(comando, registrador, usuarioId) {
+  const auditoria = {
+    comandoId: comando.id,
+    workspaceId: comando.workspace_id,
+    registradorId: comando.registrador_id,
+    usuarioId,
+    agenteId: comando.agente_id,
+  };
+
+  const enviado = await entregarEventoAgente(comando.agente_id, 'escribir-modbus', {
+    comandoId: comando.id,
+    tipo: comando.tipo,
+    ip: registrador.ip,
+    puerto: registrador.puerto,
+    unitId: registrador.unit_id || 1,
+    direccion: comando.direccion,
+    valor: comando.valor,
+    valores: comando.valores,
+  }, { diferible: false });
+
+  if (!enviado) {
+    await supabase
+      .from('comandos_modbus')
+      .update({
+        estado: 'error',
+        error_mensaje: 'El agente no está conectado',
+        completado_at: new Date().toISOString(),
+      })
+      .eq('id', comando.id);
+
+    await registrarAuditoriaComando({ ...auditoria, accion: 'envio_fallido', detalles: { error: 'El agente no está conectado' }, exito: false });
+    return false;
+  }
+
+  await supabase
+    .from('comandos_modbus')
+    .update({ estado: 'enviado', enviado_at: new Date().toISOString() })
+    .eq('id', comando.id);
+
+  await registrarAuditoriaComando({ ...auditoria, accion: 'enviado', detalles: describirEscritura(comando) });
+  return true;
+}
+
+/**
+ * POST /api/registradores/:registradorId/comandos
+ * Solicita una escritura Modbus sobre un registrador (operador o superior)
+ * Admin/superadmin: se envía al agente inmediatamente.
+ * Operador: queda pendiente de confirmación (POST /api/comandos/:id/confirmar).
+ */
+async function solicitarComando(req, res) {
+  try {
+    const usuarioId = req.user.id;
+    const { registradorId } = req.params;
+    const { workspaceId, tipo, direccion, valor, valores, motivo } = req.body;
+    const escritura = { tipo, direccion, valor, valores };
+
+    const rol = await obtenerRolEfectivo(req, workspaceId);
+    const capacidad = capacidadEscritura(tipo);
+    if (!await puede(req, capacidad, workspaceId)) {
+      await registrarAuditoriaComando({
+        workspaceId, registradorId, usuarioId, accion: 'rechazado',
+        detalles: { ...describirEscritura(escritura), rol, motivo: 'Sin permisos' }, exito: false,
+      });
+      return res.status(403).json({ error: mensajeSinPermiso(capacidad) });
+    }
+
+    const registrador = await obtenerRegistradorDeWorkspace(registradorId, workspaceId);
+    if (!registrador) {
+      return res.status(404).json({ error: 'Registrador no encontrado en este workspace' });
+    }
+
+    // Quien no puede enviar sin confirmación (operador) debe confirmar en un segundo paso
+    const requiereConfirmacion = !await puede(req, 'comando:sin-confirmacion', workspaceId);
+
+    const { data: comando, error: errorCrear } = await supabase
+      .from('comandos_modbus')
+      .insert({
+        workspace_id: workspaceId,
+        registrador_id: registradorId,
+        agente_id: registrador.agente_id,
+        tipo,
+        direccion,
+        valor: valor ?? null,
+        valores: valores ?? null,
+        motivo: motivo || null,
+        estado: requiereConfirmacion ? 'pendiente_confirmacion' : 'pendiente',
+        solicitado_por: usuarioId,
+      })
+      .select()
+      .single();
+
+    if (errorCrear) {
+      console.error('Error creando comando:', errorCrear);
+      return res.status(500).json({ error: 'Error creando comando' });
+    }
+
+    await registrarAuditoriaComando({
+      comandoId: comando.id, workspaceId, registradorId, usuarioId, agenteId: registrador.agente_id,
+      accion: 'solicitado', detalles: { ...describirEscritura(comando), rol, motivo: motivo || null },
+    });
+
+    if (requiereConfirmacion) {
+      return res.status(201).json({
+        comandoId: comando.id,
+        estado: comando.estado,
+        mensaje: `Confirme el comando dentro de ${CONFIRMACION_SEGUNDOS} segundos para enviarlo`,
+        confirmacionSegundos: CONFIRMACION_SEGUNDOS,
+      });
+    }
+
+    if (!await despacharComando(comando, registrador, usuarioId)) {
+      return res.status(503).json({
+        error: 'El agente no está conectado',
+        comandoId: comando.id,
+      });
+    }
+
+    res.status(201).json({
+      comandoId: comando.id,
+      estado: 'enviado',
+      mensaje: 'Comando enviado al agente. Esperando resultado...',
+      timeoutSegundos: TIMEOUT_SEGUNDOS,
+    });
+  } catch (err) {
+    console.error('Error en solicitarComando:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/comandos/:id/confirmar
+ * Segundo paso para comandos de operadores: solo quien lo solicitó puede confirmarlo
+ */
+async function confirmarComando(req, res) {
+  try {
+    const usuarioId = req.user.id;
+    const { id } = req.params;
+
+    const { data: comando, error } = await supabase
+      .from('comandos_modbus')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !comando) {
+      return res.status(404).json({ error: 'Comando no encontrado' });
+    }
+
+    const auditoria = {
+      comandoId: comando.id,
+      workspaceId: comando.workspace_id,
+      registradorId: comando.registrador_id,
+      usuarioId,
+      agenteId: comando.agente_id,
+    };
+
+    if (comando.solicitado_por !== usuarioId) {
+      await registrarAuditoriaComando({ ...auditoria, accion: 'confirmacion_rechazada', detalles: { motivo: 'Usuario distinto al solicitante' }, exito: false });
+      return res.status(403).json({ error: 'Solo quien solicitó el comando puede confirmarlo' });
+    }
+
+    if (comando.estado !== 'pendiente_confirmacion') {
+      return res.status(400).json({ error: 'El comando no está pendiente de confirmación' });
+    }
+
+    // El rol pudo cambiar entre la solicitud y la confirmación
+    const capacidad = capacidadEscritura(comando.tipo);
+    if (!await puede(req, capacidad, comando.workspace_id)) {
+      await registrarAuditoriaComando({ ...auditoria, accion: 'confirmacion_rechazada', detalles: { motivo: 'Sin permisos' }, exito: false });
+      return res.status(403).json({ error: mensajeSinPermiso(capacidad) });
+    }
+
+    const esperando = (Date.now() - new Date(comando.created_at).getTime()) / 1000;
+    if (esperando > CONFIRMACION_SEGUNDOS) {
+      await supabase
+        .from('comandos_modbus')
+        .update({
+          estado: 'expirado',
+          error_mensaje: 'No se confirmó a tiempo',
+          completado_at: new Date().toISOString(),
+        })
+        .eq('id', id);
+
+      await registrarAuditoriaComando({ ...auditoria, accion: 'expirado', detalles: { esperandoSegundos: Math.round(esperando) }, exito: false });
+      return res.status(410).json({ error: 'El tiempo para confirmar el comando expiró' });
+    }
+
+    // Pasar a 'pendiente' solo si sigue esperando confirmación (evita dobles confirmaciones)
+    const { data: confirmado } = await supabase
+      .from('comandos_modbus')
+      .update({ estado: 'pendiente', confirmado_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('estado', 'pendiente_confirmacion')
+      .select()
+      .single();
+
+    if (!confirmado) {
+      return res.status(400).json({ error: 'El comando no está pendiente de confirmación' });
+    }
+
+    await registrarAuditoriaComando({ ...auditoria, accion: 'confirmado' });
+
+    const { data: registrador } = await supabase
+      .from('registradores')
+      .select('id, ip, puerto, unit_id')
+      .eq('id', comando.registrador_id)
+      .single();
+
+    if (!registrador || !await despacharComando(confirmado, registrador, usuarioId)) {
+      return res.status(503).json({
+        error: 'No se pudo enviar el comando al agente',
+        comandoId: comando.id,
+      });
+    }
+
+    res.json({
+      comandoId: comando.id,
+      estado: 'enviado',
+      mensaje: 'Comando enviado al agente. Esperando resultado...',
+      timeoutSegundos: TIMEOUT_SEGUNDOS,
+    });
+  } catch (err) {
+    console.error('Error en confirmarComando:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/comandos/:id
+ * Consulta el estado/resultado de un comando (cualquier rol del workspace)
+ */
+async function consultarComando(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: comando, error } = await supabase
+      .from('comandos_modbus')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !comando) {
+      return res.status(404).json({ error: 'Comando no encontrado' });
+    }
+
+    if (!await puede(req, 'comando:ver', comando.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
+    }
+
+    // Verificar timeout si sigue enviado
+    if (comando.estado === 'enviado' && comando.enviado_at) {
+      const tiempoEsperando = (Date.now() - new Date(comando.enviado_at).getTime()) / 1000;
+      if (tiempoEsperando > TIMEOUT_SEGUNDOS) {
+        const { data: actualizado } = await supabase
+          .from('comandos_modbus')
+          .update({
+            estado: 'timeout',
+            error_mensaje: 'El agente no respondió a tiempo',
+            completado_at: new Date().toISOString(),
+          })
+          .eq('id', id)
+          .eq('estado', 'enviado')
+          .select()
+          .single();
+
+        if (actualizado) {
+          await registrarAuditoriaComando({
+            comandoId: comando.id, workspaceId: comando.workspace_id, registradorId: comando.registrador_id,
+            agenteId: comando.agente_id, accion: 'timeout', exito: false,
+          });
+          return res.json(actualizado);
+        }
+      }
+    }
+
+    res.json(comando);
+  } catch (err) {
+    console.error('Error en consultarComando:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/comandos/auditoria
+ * Historial de auditoría de comandos del workspace (admin o superior)
+ * Query params: registradorId, limite (default 100)
+ */
+async function obtenerAuditoriaComandos(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { registradorId, limite = 100 } = req.query;
+
+    let query = supabase
+      .from('auditoria_comandos')
+      .select('*, usuarios (id, nombre, email), registradores (id, nombre)')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limite) || 100, 1000));
+
+    if (registradorId) {
+      query = query.eq('registrador_id', registradorId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Error obteniendo auditoría de comandos:', error);
+      return res.status(500).json({ error: 'Error obteniendo auditoría de comandos' });
+    }
+
+    res.json({ auditoria: data || [] });
+  } catch (err) {
+    console.error('Error en obtenerAuditoriaComandos:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+// ============================================
+// Endpoints para el AGENTE
+// ============================================
+
+/**
+ * POST /api/agente/comandos/:comandoId/resultado
+ * El agente reporta el resultado de una escritura (autenticado con JWT de agente)
+ * Un resultado que llega después del timeout se acepta igual: la escritura pudo ejecutarse
+ * en el equipo. El comando pasa a completado/error con resultado_tardio y queda en la auditoría.
+ */
+async function reportarResultadoComando(req, res) {
+  try {
+    const agenteId = req.agente.id;
+    const { comandoId } = req.params;
+    const { exito, tiempoRespuestaMs, errorMensaje } = req.body;
+
+    const { data: comando, error: errorComando } = await supabase
+      .from('comandos_modbus')
+      .select('id, estado, workspace_id, registrador_id')
+      .eq('id', comandoId)
+      .eq('agente_id', agenteId)
+      .single();
+
+    if (errorComando || !comando) {
+      return res.status(404).json({ error: 'Comando no encontrado' });
+    }
+
+    const auditoria = {
+      comandoId,
+      workspaceId: comando.workspace_id,
+      registradorId: comando.registrador_id,
+      agenteId,
+      exito,
+    };
+    const detalles = { tiempoRespuestaMs: tiempoRespuestaMs ?? null, errorMensaje: errorMensaje || null };
+    const resultado = {
+      estado: exito ? 'completado' : 'error',
+      tiempo_respuesta_ms: tiempoRespuestaMs ? Math.round(tiempoRespuestaMs) : null,
+      error_mensaje: exito ? null : (errorMensaje || 'Error desconocido'),
+      completado_at: new Date().toISOString(),
+    };
+
+    // Se actualiza solo desde el estado leído: si el timeout lo cerró mientras tanto, es tardío
+    const esperando = comando.estado === 'enviado' || comando.estado === 'pendiente';
+    const tardio = comando.estado === 'timeout';
+
+    if (!esperando && !tardio) {
+      await registrarAuditoriaComando({
+        ...auditoria,
+        accion: 'resultado_tardio',
+        detalles: { ...detalles, estadoAnterior: comando.estado, aplicado: false },
+      });
+      return res.status(400).json({ error: 'Este comando ya fue procesado' });
+    }
+
+    const { data: actualizado, error: errorUpdate } = await supabase
+      .from('comandos_modbus')
+      .update(tardio ? { ...resultado, resultado_tardio: true } : resultado)
+      .eq('id', comandoId)
+      .eq('estado', comando.estado)
+      .select('id')
+      .maybeSingle();
+
+    if (errorUpdate) {
+      console.error('Error actualizando comando:', errorUpdate);
+      return res.status(500).json({ error: 'Error guardando resultado', detalle: errorUpdate.message });
+    }
+
+    if (!actualizado) {
+      // Otro proceso cambió el estado (timeout) entre la lectura y la actualización
+      const { data: cerrado } = await supabase
+        .from('comandos_modbus')
+        .update({ ...resultado, resultado_tardio: true })
+        .eq('id', comandoId)
+        .eq('estado', 'timeout')
+        .select('id')
+        .maybeSingle();
+
+      await registrarAuditoriaComando({
+        ...auditoria,
+        accion: 'resultado_tardio',
+        detalles: { ...detalles, estadoAnterior: 'timeout', aplicado: !!cerrado },
+      });
+      return cerrado
+        ? res.json({ mensaje: 'Resultado registrado después del timeout' })
+        : res.status(400).json({ error: 'Este comando ya fue procesado' });
+    }
+
+    await registrarAuditoriaComando({
+      ...auditoria,
+      accion: tardio ? 'resultado_tardio' : (exito ? 'completado' : 'error'),
+      detalles: tardio ? { ...detalles, estadoAnterior: 'timeout', aplicado: true } : detalles,
+    });
+
+    res.json({ mensaje: tardio ? 'Resultado registrado después del timeout' : 'Resultado registrado correctamente' });
+  } catch (err) {
+    console.error('Error en reportarResultadoComando:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  // Para frontend
+  solicitarComando,
+  confirmarComando,
+  consultarComando,
+  obtenerAuditoriaComandos,
+  // Para agente
+  reportarResultadoComando,
+};
@@ -0,0 +1,140 @@
+// src/controllers/energiaController.js
+// Controlador para los reportes de energía y demanda máxima de un alimentador
+
+const supabase = require('../config/supabase');
+const { puede } = require('../middleware/politicas');
+const { obtenerIntervalos, resumirEnergia, resumirDemanda } = require('../servicios/energiaService');
+const { zonaHorariaValida, crearFormateadorFecha } = require('../servicios/exportacionService');
+
+const AGRUPACIONES = ['intervalo', 'dia', 'mes'];
+const MAX_RANGO_DIAS = 400;
+
+/**
+ * Carga el alimentador y verifica que el usuario pueda ver el histórico de su workspace
+ * Si no corresponde, responde el error y devuelve null.
+ */
+async function obtenerAlimentadorConAcceso(req, res) {
+  const { data: alimentador } = await supabase
+    .from('alimentadores')
+    .select('id, nombre, registrador_id, puestos (workspace_id, eliminado_at)')
+    .eq('id', req.params.id)
+    .is('eliminado_at', null)
+    .maybeSingle();
+
+  if (!alimentador || !alimentador.puestos || alimentador.puestos.eliminado_at) {
+    res.status(404).json({ error: 'Alimentador no encontrado' });
+    return null;
+  }
+
+  if (!await puede(req, 'lecturas:historico', alimentador.puestos.workspace_id)) {
+    res.status(403).json({ error: 'No tienes permiso para ver el histórico de este alimentador' });
+    return null;
+  }
+
+  if (!alimentador.registrador_id) {
+    res.status(400).json({ error: 'El alimentador no tiene un registrador vinculado' });
+    return null;
+  }
+
+  return alimentador;
+}
+
+/**
+ * Valida los query params comunes: desde, hasta, agrupacion, zonaHoraria
+ * @returns {{error: string}|{desde: string, hasta: string, agrupacion: string, zonaHoraria: string}}
+ */
+function leerConsulta(query) {
+  const { desde, hasta, agrupacion = 'dia', zonaHoraria = 'UTC' } = query;
+
+  if (!desde || !hasta) {
+    return { error: 'Se requieren parámetros desde y hasta' };
+  }
+
+  const desdeMs = new Date(desde).getTime();
+  const hastaMs = new Date(hasta).getTime();
+  if (Number.isNaN(desdeMs) || Number.isNaN(hastaMs) || hastaMs <= desdeMs) {
+    return { error: 'Rango inválido: desde y hasta deben ser fechas ISO y desde anterior a hasta' };
+  }
+
+  if (hastaMs - desdeMs > MAX_RANGO_DIAS * 24 * 60 * 60 * 1000) {
+    return { error: `El rango no puede superar ${MAX_RANGO_DIAS} días` };
+  }
+
+  if (!AGRUPACIONES.includes(agrupacion)) {
+    return { error: `Agrupación inválida. Debe ser: ${AGRUPACIONES.join(', ')}` };
+  }
+
+  if (!zonaHorariaValida(zonaHoraria)) {
+    return { error: `Zona horaria inválida: ${zonaHoraria}` };
+  }
+
+  return {
+    desde: new Date(desdeMs).toISOString(),
+    hasta: new Date(hastaMs).toISOString(),
+    agrupacion,
+    zonaHoraria,
+  };
+}
+
+/**
+ * GET /api/alimentadores/:id/energia
+ * Energía activa (kWh) y reactiva (kvarh) por intervalo de 15 min, día o mes
+ * Query params: desde, hasta, agrupacion (intervalo | dia | mes, default dia), zonaHoraria (default UTC)
+ */
+async function obtenerEnergia(req, res) {
+  try {
+    const consulta = leerConsulta(req.query);
+    if (consulta.error) {
+      return res.status(400).json({ error: consulta.error });
+    }
+
+    const alimentador = await obtenerAlimentadorConAcceso(req, res);
+    if (!alimentador) return;
+
+    const intervalos = await obtenerIntervalos(alimentador.registrador_id, consulta.desde, consulta.hasta);
+    const resumen = resumirEnergia(intervalos, consulta.agrupacion, crearFormateadorFecha(consulta.zonaHoraria));
+
+    res.json({
+      alimentador: { id: alimentador.id, nombre: alimentador.nombre },
+      ...consulta,
+      ...resumen,
+    });
+  } catch (err) {
+    console.error('Error en obtenerEnergia:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/alimentadores/:id/demanda
+ * Demanda de 15 min (kW / kvar) por intervalo, o la máxima de cada día o mes con su momento
+ * Query params: desde, hasta, agrupacion (intervalo | dia | mes, default dia), zonaHoraria (default UTC)
+ */
+async function obtenerDemanda(req, res) {
+  try {
+    const consulta = leerConsulta(req.query);
+    if (consulta.error) {
+      return res.status(400).json({ error: consulta.error });
+    }
+
+    const alimentador = await obtenerAlimentadorConAcceso(req, res);
+    if (!alimentador) return;
+
+    const intervalos = await obtenerIntervalos(alimentador.registrador_id, consulta.desde, consulta.hasta);
+    const resumen = resumirDemanda(intervalos, consulta.agrupacion, crearFormateadorFecha(consulta.zonaHoraria));
+
+    res.json({
+      alimentador: { id: alimentador.id, nombre: alimentador.nombre },
+      ...consulta,
+      ...resumen,
+    });
+  } catch (err) {
+    console.error('Error en obtenerDemanda:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerEnergia,
+  obtenerDemanda,
+};
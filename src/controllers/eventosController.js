@@ -0,0 +1,118 @@
+// src/controllers/eventosController.js
+// Controlador para la secuencia de eventos (SOE) de registradores y la línea de tiempo del workspace
+
+const supabase = require('../config/supabase');
+const { consultarEventos, leerCursor } = require('../servicios/eventosSoeService');
+const { tieneCapacidadSobreRegistrador, obtenerAgentesVisibles } = require('../servicios/accesoService');
+
+/**
+ * Lee y valida los filtros comunes de la query
+ * @returns {{error: string}|object} - Filtros para consultarEventos (sin registradorIds)
+ */
+function leerFiltros(query) {
+  const { desde, hasta, cursor, registro, estado, texto, severidad, limite } = query;
+
+  for (const [nombre, valor] of Object.entries({ desde, hasta })) {
+    if (valor && Number.isNaN(new Date(valor).getTime())) {
+      return { error: `${nombre} debe ser una fecha ISO válida` };
+    }
+  }
+
+  if (cursor && !leerCursor(cursor)) {
+    return { error: 'cursor inválido: use el `siguiente` de la página anterior' };
+  }
+
+  if (registro !== undefined && !/^\d+$/.test(registro)) {
+    return { error: 'registro debe ser una dirección Modbus' };
+  }
+
+  if (estado && !['activo', 'inactivo'].includes(estado)) {
+    return { error: 'Estado inválido. Debe ser: activo o inactivo' };
+  }
+
+  return {
+    desde,
+    hasta,
+    cursor,
+    registro: registro !== undefined ? parseInt(registro, 10) : undefined,
+    activo: estado ? estado === 'activo' : undefined,
+    texto: texto?.trim() || undefined,
+    severidad,
+    limite,
+  };
+}
+
+/**
+ * GET /api/registradores/:registradorId/eventos
+ * Eventos SOE de un registrador (más recientes primero)
+ * Query params: desde, hasta, registro, estado (activo|inactivo), texto, severidad,
+ *   limite (default 200, máx 1000), cursor (el `siguiente` de la página anterior)
+ */
+async function obtenerEventosRegistrador(req, res) {
+  try {
+    const { registradorId } = req.params;
+
+    if (!await tieneCapacidadSobreRegistrador(req, registradorId, 'lecturas:historico')) {
+      return res.status(403).json({ error: 'No tiene permiso para ver los eventos de este registrador' });
+    }
+
+    const filtros = leerFiltros(req.query);
+    if (filtros.error) {
+      return res.status(400).json({ error: filtros.error });
+    }
+
+    res.json(await consultarEventos({ ...filtros, registradorIds: [registradorId] }));
+  } catch (err) {
+    console.error('Error en obtenerEventosRegistrador:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/eventos
+ * Línea de tiempo SOE de los registradores de los agentes vinculados al workspace que el usuario puede ver
+ * Query params: los de /registradores/:registradorId/eventos más registradorId (uno o varios, separados por coma)
+ */
+async function obtenerEventosWorkspace(req, res) {
+  try {
+    const { workspaceId } = req.params;
+
+    const filtros = leerFiltros(req.query);
+    if (filtros.error) {
+      return res.status(400).json({ error: filtros.error });
+    }
+
+    // Solo los agentes del workspace a los que el usuario tiene acceso (como el canal en tiempo real)
+    const agenteIds = [...await obtenerAgentesVisibles(req.user.id, workspaceId)];
+    if (agenteIds.length === 0) {
+      return res.json({ eventos: [], siguiente: null });
+    }
+
+    const { data: registradores, error: errorReg } = await supabase
+      .from('registradores')
+      .select('id')
+      .in('agente_id', agenteIds);
+
+    if (errorReg) throw errorReg;
+
+    let registradorIds = (registradores || []).map(r => r.id);
+    if (req.query.registradorId) {
+      const pedidos = new Set(String(req.query.registradorId).split(','));
+      registradorIds = registradorIds.filter(id => pedidos.has(id));
+    }
+
+    if (registradorIds.length === 0) {
+      return res.json({ eventos: [], siguiente: null });
+    }
+
+    res.json(await consultarEventos({ ...filtros, registradorIds }));
+  } catch (err) {
+    console.error('Error en obtenerEventosWorkspace:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerEventosRegistrador,
+  obtenerEventosWorkspace,
+};
@@ -2,110 +2,41 @@
 // Controlador para lecturas de Modbus
 
 const supabase = require('../config/supabase');
+const { obtenerConfiguracionRegistrador, obtenerFormulasPorRegistro } = require('../servicios/funcionalidadesService');
+const { convertirValores } = require('../servicios/formulasService');
+const {
+  INTERVALOS_AGREGACION,
+  elegirIntervalo,
+  obtenerLecturasHistoricas: obtenerHistoricoRegistrador,
+  obtenerLecturasAgregadas,
+} = require('../servicios/historicoService');
+const {
+  FORMATOS_EXPORTACION,
+  CONTENT_TYPES,
+  zonaHorariaValida,
+  crearFormateadorFecha,
+  construirColumnas,
+  exportarCsv,
+  exportarXlsx,
+} = require('../servicios/exportacionService');
+const { tieneAccesoARegistrador, tieneCapacidadSobreRegistrador } = require('../servicios/accesoService');
 
 /**
- * Helper: Obtiene los IDs de agentes a los que el usuario tiene acceso
- * @returns {null} si tiene acceso total (sin filtro)
- * @returns {string[]} array de IDs de agentes permitidos
- * @returns {[]} array vacío si no tiene permisos configurados
+ * Valida los parámetros desde/hasta de las consultas por rango
+ * @returns {string|null} - Mensaje de error, o null si el rango es válido
  */
-async function obtenerAgentesPermitidos(usuarioId) {
-  if (!usuarioId) {
-    return [];
+function validarRango(desde, hasta) {
+  if (!desde || !hasta) {
+    return 'Se requieren parámetros desde y hasta';
   }
 
-  // Primero verificar si es superadmin (tiene acceso a todo)
-  const { data: usuario, error: errorUsuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', usuarioId)
-    .single();
-
-  if (errorUsuario || !usuario) {
-    return [];
-  }
-
-  if (usuario?.roles?.codigo === 'superadmin') {
-    return null; // Acceso total
-  }
-
-  // Obtener permisos de agentes del usuario
-  const { data: permisos } = await supabase
-    .from('usuario_agentes')
-    .select('agente_id, acceso_total')
-    .eq('usuario_id', usuarioId);
-
-  if (!permisos || permisos.length === 0) {
-    return []; // Sin permisos configurados
-  }
-
-  // Si tiene acceso total, retornar null (sin filtro)
-  if (permisos.some(p => p.acceso_total)) {
-    return null;
+  const desdeMs = new Date(desde).getTime();
+  const hastaMs = new Date(hasta).getTime();
+  if (Number.isNaN(desdeMs) || Number.isNaN(hastaMs) || hastaMs < desdeMs) {
+    return 'Rango inválido: desde y hasta deben ser fechas ISO y desde no puede ser posterior a hasta';
   }
 
-  // Retornar array de IDs de agentes específicos
-  return permisos.filter(p => p.agente_id).map(p => p.agente_id);
-}
-
-/**
- * Helper: Verifica si el usuario tiene acceso a un registrador específico
- *
- * El acceso puede ser:
- * 1. DIRECTO: usuario tiene permisos en usuario_agentes (acceso_total o agente específico)
- * 2. TRANSITIVO: usuario es invitado a un workspace que tiene vinculado el agente del registrador
- *    (usuario_workspaces → workspace → workspace_agentes → agente → registrador)
- */
-async function tieneAccesoARegistrador(usuarioId, registradorId) {
-  // Primero obtener el agente del registrador (lo necesitamos para ambas verificaciones)
-  const { data: registrador } = await supabase
-    .from('registradores')
-    .select('agente_id')
-    .eq('id', registradorId)
-    .single();
-
-  if (!registrador) {
-    return false;
-  }
-
-  const agenteId = registrador.agente_id;
-
-  // 1. Verificar acceso DIRECTO (permisos en usuario_agentes)
-  const agentesPermitidos = await obtenerAgentesPermitidos(usuarioId);
-
-  // Acceso total directo
-  if (agentesPermitidos === null) {
-    return true;
-  }
-
-  // Acceso directo a este agente específico
-  if (agentesPermitidos.length > 0 && agentesPermitidos.includes(agenteId)) {
-    return true;
-  }
-
-  // 2. Verificar acceso TRANSITIVO (vía workspace compartido)
-  // El usuario tiene acceso si pertenece a algún workspace que tiene vinculado este agente
-  const { data: accesoTransitivo, error } = await supabase
-    .from('usuario_workspaces')
-    .select(`
-      workspace_id,
-      workspaces!inner (
-        workspace_agentes!inner (
-          agente_id
-        )
-      )
-    `)
-    .eq('usuario_id', usuarioId)
-    .eq('workspaces.workspace_agentes.agente_id', agenteId)
-    .limit(1);
-
-  if (error) {
-    console.error('Error verificando acceso transitivo:', error);
-    return false;
-  }
-
-  // Si encontró al menos un workspace donde el usuario tiene acceso y el agente está vinculado
-  return accesoTransitivo && accesoTransitivo.length > 0;
+  return null;
 }
 
 /**
@@ -150,8 +81,9 @@ async function obtenerLecturasHistoricas(req, res) {
     const { alimentadorId } = req.params;
     const { desde, hasta, tipo } = req.query;
 
-    if (!desde || !hasta) {
-      return res.status(400).json({ error: 'Se requieren parámetros desde y hasta' });
+    const errorRango = validarRango(desde, hasta);
+    if (errorRango) {
+      return res.status(400).json({ error: errorRango });
     }
 
     let query = supabase
@@ -192,7 +124,8 @@ async function obtenerUltimaLecturaPorWorkspace(req, res) {
     const { data: puestos, error: errorPuestos } = await supabase
       .from('puestos')
       .select('id')
-      .eq('workspace_id', workspaceId);
+      .eq('workspace_id', workspaceId)
+      .is('eliminado_at', null);
 
     if (errorPuestos) {
       return res.status(500).json({ error: errorPuestos.message });
@@ -207,7 +140,8 @@ async function obtenerUltimaLecturaPorWorkspace(req, res) {
     const { data: alimentadores, error: errorAlim } = await supabase
       .from('alimentadores')
       .select('id')
-      .in('puesto_id', puestoIds);
+      .in('puesto_id', puestoIds)
+      .is('eliminado_at', null);
 
     if (errorAlim) {
       return res.status(500).json({ error: errorAlim.message });
@@ -254,6 +188,13 @@ async function obtenerUltimaLecturaPorWorkspace(req, res) {
  * Query params:
  *   - desde: fecha ISO inicio del rango
  *   - hasta: fecha ISO fin del rango
+ *   - agregacion (opcional): 1m | 15m | 1h | 1d | auto
+ *       Sin agregacion devuelve las lecturas crudas. Con agregacion devuelve un punto por
+ *       intervalo con valores_min/valores_max/valores_promedio/valores_ultimo por registro
+ *       (valores = promedio). 'auto' elige el intervalo según el largo del rango.
+ *
+ * Las partes del rango cuyas lecturas crudas ya se purgaron (retención) se leen de los
+ * agregados guardados: esos puntos traen `intervalo` ('1m' o '1h') y min/max/promedio/último.
  *
  * Incluye indice_inicial para que el frontend pueda mapear valores a direcciones Modbus.
  *
@@ -263,19 +204,26 @@ async function obtenerUltimaLecturaPorWorkspace(req, res) {
 async function obtenerLecturasHistoricasPorRegistrador(req, res) {
   try {
     const { registradorId } = req.params;
-    const { desde, hasta } = req.query;
+    const { desde, hasta, agregacion } = req.query;
     const usuarioId = req.user?.id;
 
     // Verificar permisos de acceso al registrador (directo o transitivo vía workspace)
     if (usuarioId) {
-      const tieneAcceso = await tieneAccesoARegistrador(usuarioId, registradorId);
+      const tieneAcceso = await tieneCapacidadSobreRegistrador(req, registradorId, 'lecturas:historico');
       if (!tieneAcceso) {
         return res.status(403).json({ error: 'No tiene permiso para ver lecturas históricas de este registrador' });
       }
     }
 
-    if (!desde || !hasta) {
-      return res.status(400).json({ error: 'Se requieren parámetros desde y hasta' });
+    const errorRango = validarRango(desde, hasta);
+    if (errorRango) {
+      return res.status(400).json({ error: errorRango });
+    }
+
+    if (agregacion && agregacion !== 'auto' && !INTERVALOS_AGREGACION[agregacion]) {
+      return res.status(400).json({
+        error: `Agregación inválida. Debe ser: auto, ${Object.keys(INTERVALOS_AGREGACION).join(', ')}`
+      });
     }
 
     // Obtener el indice_inicial del registrador
@@ -290,40 +238,23 @@ async function obtenerLecturasHistoricasPorRegistrador(req, res) {
       // Continuar sin el indice_inicial si hay error
     }
 
-    // Obtener TODAS las lecturas paginando (Supabase límite 1000 por consulta)
-    const PAGE_SIZE = 1000;
-    let allData = [];
-    let offset = 0;
-    let hasMore = true;
-
-    while (hasMore) {
-      const { data, error } = await supabase
-        .from('lecturas')
-        .select('*')
-        .eq('registrador_id', registradorId)
-        .gte('timestamp', desde)
-        .lte('timestamp', hasta)
-        .order('timestamp', { ascending: true })
-        .range(offset, offset + PAGE_SIZE - 1);
-
-      if (error) {
-        return res.status(500).json({ error: error.message });
-      }
-
-      if (data && data.length > 0) {
-        allData = allData.concat(data);
-        offset += PAGE_SIZE;
-        // Si recibimos menos de PAGE_SIZE, no hay más datos
-        hasMore = data.length === PAGE_SIZE;
+    let lecturas;
+    try {
+      if (agregacion) {
+        const intervalo = agregacion === 'auto' ? elegirIntervalo(desde, hasta) : agregacion;
+        const { puntos, totalLecturas } = await obtenerLecturasAgregadas(registradorId, desde, hasta, intervalo);
+        console.log(`[Lecturas] Registrador ${registradorId}: ${totalLecturas} lecturas agregadas en ${puntos.length} puntos de ${intervalo} entre ${desde} y ${hasta}`);
+        lecturas = puntos;
       } else {
-        hasMore = false;
+        lecturas = await obtenerHistoricoRegistrador(registradorId, desde, hasta);
+        console.log(`[Lecturas] Registrador ${registradorId}: ${lecturas.length} lecturas entre ${desde} y ${hasta}`);
       }
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
     }
 
-    console.log(`[Lecturas] Registrador ${registradorId}: ${allData.length} lecturas entre ${desde} y ${hasta}`);
-
     // Agregar indice_inicial del registrador a cada lectura
-    const lecturasConIndice = allData.map(lectura => ({
+    const lecturasConIndice = lecturas.map(lectura => ({
       ...lectura,
       indice_inicial: registrador?.indice_inicial ?? 0,
       cantidad_registros: registrador?.cantidad_registros ?? (lectura.valores?.length || 0),
@@ -336,6 +267,90 @@ async function obtenerLecturasHistoricasPorRegistrador(req, res) {
   }
 }
 
+/**
+ * Exporta lecturas históricas de un registrador a CSV o XLSX
+ * GET /api/registradores/:registradorId/lecturas/historico/exportar
+ *
+ * Query params:
+ *   - desde, hasta: fechas ISO del rango
+ *   - formato: csv (default) | xlsx
+ *   - aplicarFormulas: 'true' para convertir con el transformador vinculado a cada registro
+ *   - zonaHoraria: zona IANA para las fechas (default UTC)
+ *   - separador: ',' (default) o ';' (solo CSV)
+ *
+ * Los encabezados salen de las funcionalidades de la plantilla (etiqueta + dirección Modbus).
+ * Las filas se escriben página por página, sin cargar todo el rango en memoria.
+ */
+async function exportarLecturasHistoricasPorRegistrador(req, res) {
+  const { registradorId } = req.params;
+  const { desde, hasta, formato = 'csv', aplicarFormulas, zonaHoraria = 'UTC', separador = ',' } = req.query;
+  const usuarioId = req.user?.id;
+
+  try {
+    if (usuarioId) {
+      const tieneAcceso = await tieneCapacidadSobreRegistrador(req, registradorId, 'lecturas:exportar');
+      if (!tieneAcceso) {
+        return res.status(403).json({ error: 'No tiene permiso para exportar lecturas de este registrador' });
+      }
+    }
+
+    const errorRango = validarRango(desde, hasta);
+    if (errorRango) {
+      return res.status(400).json({ error: errorRango });
+    }
+
+    if (!FORMATOS_EXPORTACION.includes(formato)) {
+      return res.status(400).json({ error: `Formato inválido. Debe ser: ${FORMATOS_EXPORTACION.join(', ')}` });
+    }
+
+    if (!zonaHorariaValida(zonaHoraria)) {
+      return res.status(400).json({ error: `Zona horaria inválida: ${zonaHoraria}` });
+    }
+
+    if (![',', ';'].includes(separador)) {
+      return res.status(400).json({ error: 'Separador inválido. Debe ser , o ;' });
+    }
+
+    const configuracion = await obtenerConfiguracionRegistrador(registradorId);
+    if (!configuracion) {
+      return res.status(404).json({ error: 'Registrador no encontrado' });
+    }
+
+    const formulasPorRegistro = aplicarFormulas === 'true'
+      ? await obtenerFormulasPorRegistro(configuracion.funcionalidades)
+      : null;
+
+    const opciones = {
+      registradorId,
+      desde,
+      hasta,
+      columnas: construirColumnas(configuracion, formulasPorRegistro),
+      formatearFecha: crearFormateadorFecha(zonaHoraria),
+      separador,
+      nombreHoja: configuracion.registrador.nombre,
+    };
+
+    const nombreArchivo = `lecturas_${configuracion.registrador.nombre}_${desde.slice(0, 10)}_${hasta.slice(0, 10)}`
+      .replace(/[^\w.-]+/g, '_');
+
+    res.setHeader('Content-Type', CONTENT_TYPES[formato]);
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.${formato}"`);
+
+    const total = formato === 'xlsx'
+      ? await exportarXlsx(res, opciones)
+      : await exportarCsv(res, opciones);
+
+    console.log(`[Lecturas] Registrador ${registradorId}: ${total} lecturas exportadas a ${formato}`);
+  } catch (error) {
+    console.error('Error exportando lecturas históricas:', error);
+    if (res.headersSent) {
+      // La respuesta ya empezó a enviarse: cortar la conexión para que el archivo quede incompleto
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 /**
  * Obtiene las últimas lecturas de un registrador
  * GET /api/registradores/:registradorId/lecturas
@@ -343,6 +358,9 @@ async function obtenerLecturasHistoricasPorRegistrador(req, res) {
  * Incluye indice_inicial y cantidad_registros del registrador para que
  * el frontend pueda mapear los valores del array a direcciones Modbus.
  *
+ * Incluye valores_ingenieria: los valores convertidos con la fórmula del transformador
+ * vinculado a cada registro en la plantilla (los registros sin transformador quedan crudos).
+ *
  * NOTA: Filtra según los permisos del usuario (tabla usuario_agentes)
  */
 async function obtenerUltimasLecturasPorRegistrador(req, res) {
@@ -359,18 +377,17 @@ async function obtenerUltimasLecturasPorRegistrador(req, res) {
       }
     }
 
-    // Primero obtener el indice_inicial del registrador
-    const { data: registrador, error: errorReg } = await supabase
-      .from('registradores')
-      .select('indice_inicial, cantidad_registros')
-      .eq('id', registradorId)
-      .single();
+    // Primero obtener el registrador con sus funcionalidades (indice_inicial y transformadores)
+    const configuracion = await obtenerConfiguracionRegistrador(registradorId);
+    const registrador = configuracion?.registrador;
 
-    if (errorReg) {
-      console.error('Error obteniendo registrador:', errorReg);
+    if (!registrador) {
+      console.error(`Error obteniendo registrador ${registradorId}`);
       // Continuar sin el indice_inicial si hay error
     }
 
+    const formulasPorRegistro = await obtenerFormulasPorRegistro(configuracion?.funcionalidades || []);
+
     // Obtener las lecturas
     const { data, error } = await supabase
       .from('lecturas')
@@ -385,10 +402,12 @@ async function obtenerUltimasLecturasPorRegistrador(req, res) {
 
     // Agregar indice_inicial del registrador a cada lectura
     // Esto permite al frontend mapear valores[0] a la dirección correcta
+    const indiceInicial = registrador?.indice_inicial ?? 0;
     const lecturasConIndice = data.map(lectura => ({
       ...lectura,
-      indice_inicial: registrador?.indice_inicial ?? 0,
+      indice_inicial: indiceInicial,
       cantidad_registros: registrador?.cantidad_registros ?? (lectura.valores?.length || 0),
+      valores_ingenieria: convertirValores(lectura.valores, indiceInicial, formulasPorRegistro),
     }));
 
     res.json(lecturasConIndice);
@@ -404,4 +423,5 @@ module.exports = {
   obtenerUltimaLecturaPorWorkspace,
   obtenerUltimasLecturasPorRegistrador,
   obtenerLecturasHistoricasPorRegistrador,
+  exportarLecturasHistoricasPorRegistrador,
 };
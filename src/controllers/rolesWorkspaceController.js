@@ -0,0 +1,216 @@
+// src/controllers/rolesWorkspaceController.js
+// Controlador de roles personalizados por workspace
+// Un rol personalizado es una lista de capacidades (ver middleware/politicas.js)
+// que se asigna a miembros del workspace en lugar de los roles fijos.
+
+const supabase = require('../config/supabase');
+const {
+  CAPACIDADES,
+  MATRIZ_ROLES,
+  puede,
+  mensajeSinPermiso,
+  capacidadesNoDelegables,
+} = require('../middleware/politicas');
+
+// Solo las capacidades de alcance workspace pueden formar parte de un rol personalizado
+const CAPACIDADES_WORKSPACE = Object.keys(CAPACIDADES).filter(c => CAPACIDADES[c].alcance === 'workspace');
+
+/**
+ * Valida las capacidades de un rol: que existan y que quien lo define las tenga
+ * @returns {Promise<{status: number, error: string}|null>}
+ */
+async function validarCapacidades(req, capacidades, workspaceId) {
+  const desconocidas = capacidades.filter(c => !CAPACIDADES_WORKSPACE.includes(c));
+  if (desconocidas.length > 0) {
+    return { status: 400, error: `Capacidades inválidas: ${desconocidas.join(', ')}` };
+  }
+
+  const faltantes = await capacidadesNoDelegables(req, capacidades, workspaceId);
+  if (faltantes.length > 0) {
+    return { status: 403, error: `No puedes otorgar capacidades que no tienes: ${faltantes.join(', ')}` };
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/workspaces/:workspaceId/roles
+ * Catálogo de capacidades, roles fijos y roles personalizados del workspace
+ */
+async function obtenerRoles(req, res) {
+  try {
+    const { workspaceId } = req.params;
+
+    const { data, error } = await supabase
+      .from('roles_workspace')
+      .select('id, nombre, descripcion, capacidades, created_at, updated_at')
+      .eq('workspace_id', workspaceId)
+      .order('nombre', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      capacidades: CAPACIDADES_WORKSPACE.map(codigo => ({ codigo, descripcion: CAPACIDADES[codigo].descripcion })),
+      rolesFijos: Object.entries(MATRIZ_ROLES).map(([codigo, capacidades]) => ({
+        codigo,
+        capacidades: CAPACIDADES_WORKSPACE.filter(c => capacidades.has(c)),
+      })),
+      rolesPersonalizados: data,
+    });
+  } catch (err) {
+    console.error('Error en obtenerRoles:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * POST /api/workspaces/:workspaceId/roles
+ * Crea un rol personalizado (ej: "Ingeniero de protecciones": plantilla:gestionar sin permisos:gestionar)
+ */
+async function crearRol(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const { nombre, descripcion, capacidades } = req.body;
+
+    const capacidadesUnicas = [...new Set(capacidades)];
+    const errorCapacidades = await validarCapacidades(req, capacidadesUnicas, workspaceId);
+    if (errorCapacidades) {
+      return res.status(errorCapacidades.status).json({ error: errorCapacidades.error });
+    }
+
+    const { data, error } = await supabase
+      .from('roles_workspace')
+      .insert({
+        workspace_id: workspaceId,
+        nombre,
+        descripcion: descripcion || null,
+        capacidades: capacidadesUnicas,
+        creado_por: req.user.id,
+      })
+      .select('id, nombre, descripcion, capacidades, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Ya existe un rol con ese nombre en el workspace' });
+      }
+      throw error;
+    }
+
+    res.status(201).json(data);
+  } catch (err) {
+    console.error('Error en crearRol:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * PUT /api/roles-workspace/:id
+ * Actualiza un rol personalizado. Los cambios de capacidades aplican de inmediato a sus miembros.
+ */
+async function actualizarRol(req, res) {
+  try {
+    const { id } = req.params;
+    const { nombre, descripcion, capacidades } = req.body;
+
+    const { data: rol } = await supabase
+      .from('roles_workspace')
+      .select('id, workspace_id')
+      .eq('id', id)
+      .single();
+
+    if (!rol) {
+      return res.status(404).json({ error: 'Rol no encontrado' });
+    }
+
+    if (!await puede(req, 'permisos:gestionar', rol.workspace_id)) {
+      return res.status(403).json({ error: mensajeSinPermiso('permisos:gestionar') });
+    }
+
+    const updates = { updated_at: new Date().toISOString() };
+    if (nombre !== undefined) updates.nombre = nombre;
+    if (descripcion !== undefined) updates.descripcion = descripcion;
+
+    if (capacidades !== undefined) {
+      const capacidadesUnicas = [...new Set(capacidades)];
+      const errorCapacidades = await validarCapacidades(req, capacidadesUnicas, rol.workspace_id);
+      if (errorCapacidades) {
+        return res.status(errorCapacidades.status).json({ error: errorCapacidades.error });
+      }
+      updates.capacidades = capacidadesUnicas;
+    }
+
+    const { data, error } = await supabase
+      .from('roles_workspace')
+      .update(updates)
+      .eq('id', id)
+      .select('id, nombre, descripcion, capacidades, created_at, updated_at')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Ya existe un rol con ese nombre en el workspace' });
+      }
+      throw error;
+    }
+
+    res.json(data);
+  } catch (err) {
+    console.error('Error en actualizarRol:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+/**
+ * DELETE /api/roles-workspace/:id
+ * Elimina un rol personalizado que no esté asignado a ningún miembro
+ */
+async function eliminarRol(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: rol } = await supabase
+      .from('roles_workspace')
+      .select('id, workspace_id')
+      .eq('id', id)
+      .single();
+
+    if (!rol) {
+      return res.status(404).json({ error: 'Rol no encontrado' });
+    }
+
+    if (!await puede(req, 'permisos:gestionar', rol.workspace_id)) {
+      return res.status(403).json({ error: mensajeSinPermiso('permisos:gestionar') });
+    }
+
+    const { count, error: errorConteo } = await supabase
+      .from('usuario_workspaces')
+      .select('id', { count: 'exact', head: true })
+      .eq('rol_workspace_id', id);
+
+    if (errorConteo) throw errorConteo;
+
+    if (count > 0) {
+      return res.status(409).json({ error: `El rol está asignado a ${count} miembro(s); reasígnalos antes de eliminarlo` });
+    }
+
+    const { error } = await supabase
+      .from('roles_workspace')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+
+    res.json({ mensaje: 'Rol eliminado' });
+  } catch (err) {
+    console.error('Error en eliminarRol:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  obtenerRoles,
+  crearRol,
+  actualizarRol,
+  eliminarRol,
+};
@@ -1,11 +1,35 @@
 // src/controllers/sseController.js
 // Controlador para Server-Sent Events (SSE) con agentes
 
+const crypto = require('crypto');
 const { verificarTokenAgente } = require('../middleware/authAgente');
+const { encolarComando, obtenerComandosPendientes, marcarEntregado } = require('../servicios/outboxAgenteService');
+const { INSTANCIA_ID, obtenerPubSub } = require('../servicios/pubsubService');
 
 // Mapa de agentes conectados: agenteId -> { res, ultimoEvento }
 const agentesConectados = new Map();
 
+// Agentes conectados a OTRAS instancias del backend: agenteId -> { instancia, vistoAt }
+// Se mantiene con los anuncios de presencia que cada instancia publica por pub/sub
+const presenciaRemota = new Map();
+const CANAL_SSE = 'sse_agentes';
+const PRESENCIA_INTERVALO_MS = 15000;
+const PRESENCIA_VIGENCIA_MS = 45000;
+const pubsub = obtenerPubSub();
+let distribucionIniciada = false;
+
+// Eventos derivados a otra instancia esperando su confirmación: entregaId -> resolver(entregado)
+const entregasEnCurso = new Map();
+const ENTREGA_TIMEOUT_MS = 5000;
+// pg_notify rechaza payloads de 8000 bytes o más
+const PAYLOAD_MAX_BYTES = 7900;
+
+// Historial de eventos por agente para reanudar con Last-Event-ID:
+// agenteId -> { ultimoId, eventos: [{ id, evento, datos, enviadoAt }], descartadoHasta }
+const historialEventos = new Map();
+const HISTORIAL_MAX_EVENTOS = 100;
+const HISTORIAL_MAX_MS = 10 * 60 * 1000; // 10 minutos
+
 // Cooldown por IP:puerto - Map de "ip:puerto" -> timestamp último test
 const cooldownTests = new Map();
 const COOLDOWN_MS = 60000; // 60 segundos
@@ -32,9 +56,16 @@ function conectarSSE(req, res) {
   });
 
   // Enviar evento inicial de conexión
+  // Los eventos de control (conectado, heartbeat) no llevan id: no cambian el Last-Event-ID del agente
   res.write(`event: conectado\n`);
   res.write(`data: ${JSON.stringify({ mensaje: 'Conexión SSE establecida', agenteId })}\n\n`);
 
+  // Reenviar los eventos que el agente no recibió si se reconecta con Last-Event-ID
+  const ultimoIdRecibido = req.headers['last-event-id'];
+  const comandosReenviados = ultimoIdRecibido
+    ? reenviarDesdeHistorial(agenteId, res, ultimoIdRecibido)
+    : new Set();
+
   // Registrar agente conectado
   agentesConectados.set(agenteId, {
     res,
@@ -43,6 +74,13 @@ function conectarSSE(req, res) {
   });
 
   console.log(`[SSE] Agente conectado: ${agenteNombre} (${agenteId.substring(0, 8)}...) - Total: ${agentesConectados.size}`);
+  publicarPresencia();
+
+  // Reenviar en orden los comandos que quedaron en cola mientras estaba desconectado
+  // (sin repetir los que ya llegaron con el historial)
+  reenviarComandosPendientes(agenteId, comandosReenviados).catch(err =>
+    console.error(`[SSE] Error reenviando comandos pendientes: ${err.message}`)
+  );
 
   // Heartbeat con datos reales cada 20s para que el agente sepa que sigue conectado
   // Nota: Los comentarios SSE (: keep-alive) no funcionan bien con proxies como Render
@@ -55,35 +93,129 @@ function conectarSSE(req, res) {
   }, 20000); // Cada 20 segundos - suficiente para evitar timeout de 60s en agente
 
   // Limpiar al desconectar
+  // Solo se borra la entrada si sigue siendo esta conexión: si el agente ya se reconectó,
+  // el cierre tardío de la conexión vieja no debe desregistrar la nueva
+  const quitarConexion = () => {
+    if (agentesConectados.get(agenteId)?.res === res) {
+      agentesConectados.delete(agenteId);
+      publicarPresencia();
+    }
+  };
+
   req.on('close', () => {
     clearInterval(heartbeatInterval);
-    agentesConectados.delete(agenteId);
+    quitarConexion();
     console.log(`[SSE] Agente desconectado: ${agenteNombre} - Total: ${agentesConectados.size}`);
   });
 
   req.on('error', (err) => {
     clearInterval(heartbeatInterval);
-    agentesConectados.delete(agenteId);
+    quitarConexion();
     console.log(`[SSE] Error en conexión: ${err.message}`);
   });
 }
 
 /**
- * Envía un evento a un agente específico
+ * Asigna el siguiente id de evento del agente y lo guarda en el historial
+ * El id es "<instancia>:<número>": el número crece por agente y se basa en Date.now()
+ * para seguir creciendo aunque el servidor se reinicie; la instancia permite reconocer
+ * un Last-Event-ID emitido por otra instancia, cuyo historial no está en esta.
+ * @returns {string} - id asignado
+ */
+function registrarEnHistorial(agenteId, evento, datos) {
+  let historial = historialEventos.get(agenteId);
+  if (!historial) {
+    // Cualquier id anterior al primero de este proceso no está en el historial
+    historial = { ultimoId: 0, eventos: [], descartadoHasta: Date.now() - 1 };
+    historialEventos.set(agenteId, historial);
+  }
+
+  const id = Math.max(historial.ultimoId + 1, Date.now());
+  historial.ultimoId = id;
+  historial.eventos.push({ id, evento, datos, enviadoAt: Date.now() });
+
+  // Recortar por cantidad y antigüedad, recordando hasta qué id se descartó
+  const limite = Date.now() - HISTORIAL_MAX_MS;
+  while (historial.eventos.length > HISTORIAL_MAX_EVENTOS || historial.eventos[0].enviadoAt < limite) {
+    historial.descartadoHasta = historial.eventos.shift().id;
+  }
+
+  return formatearIdEvento(id);
+}
+
+function formatearIdEvento(numero) {
+  return `${INSTANCIA_ID}:${numero}`;
+}
+
+/**
+ * Interpreta un Last-Event-ID
+ * @returns {number|null} - número del evento, o null si no lo emitió esta instancia
+ */
+function interpretarIdEvento(idEvento) {
+  const separador = idEvento.lastIndexOf(':');
+  if (separador === -1 || idEvento.slice(0, separador) !== INSTANCIA_ID) return null;
+
+  const numero = parseInt(idEvento.slice(separador + 1), 10);
+  return Number.isNaN(numero) ? null : numero;
+}
+
+/**
+ * Reenvía al agente los eventos del historial posteriores a Last-Event-ID
+ * Si el historial no cubre ese id (eventos descartados, servidor reiniciado o id emitido
+ * por otra instancia), envía 'resincronizar' para que el agente vuelva a pedir su configuración.
+ * @returns {Set<string>} - comandoAgenteId de los comandos de la cola que se reenviaron
+ */
+function reenviarDesdeHistorial(agenteId, res, ultimoIdRecibido) {
+  const ultimoId = interpretarIdEvento(ultimoIdRecibido);
+  const historial = historialEventos.get(agenteId);
+  const comandos = new Set();
+
+  const cubierto = ultimoId !== null && historial && ultimoId >= historial.descartadoHasta;
+  if (!cubierto) {
+    res.write(`event: resincronizar\n`);
+    res.write(`data: ${JSON.stringify({ motivo: 'Eventos anteriores no disponibles', ultimoId: ultimoIdRecibido })}\n\n`);
+    console.log(`[SSE] Agente ${agenteId.substring(0, 8)}... pidió eventos desde ${ultimoIdRecibido}, fuera del historial`);
+    return comandos;
+  }
+
+  const pendientes = historial.eventos.filter(e => e.id > ultimoId);
+  for (const e of pendientes) {
+    res.write(`id: ${formatearIdEvento(e.id)}\n`);
+    res.write(`event: ${e.evento}\n`);
+    res.write(`data: ${JSON.stringify(e.datos)}\n\n`);
+    if (e.datos?.comandoAgenteId) comandos.add(e.datos.comandoAgenteId);
+  }
+
+  if (pendientes.length > 0) {
+    console.log(`[SSE] ${pendientes.length} eventos reenviados al agente ${agenteId.substring(0, 8)}... desde id ${ultimoIdRecibido}`);
+  }
+  return comandos;
+}
+
+/**
+ * Envía un evento a un agente conectado a esta instancia
+ * El evento queda en el historial aunque el agente no esté conectado, para que lo reciba
+ * al reconectar con Last-Event-ID; salvo con diferible: false (escrituras Modbus), que
+ * solo se registra si se entrega en el momento.
+ * Para llegar también a agentes conectados a otra instancia, usar entregarEventoAgente.
  * @param {string} agenteId - ID del agente
  * @param {string} evento - Nombre del evento
  * @param {object} datos - Datos del evento
- * @returns {boolean} - true si se envió, false si el agente no está conectado
+ * @param {{diferible?: boolean}} opciones
+ * @returns {boolean} - true solo si se escribió en una conexión de esta instancia
  */
-function enviarEventoAgente(agenteId, evento, datos) {
+function enviarEventoAgente(agenteId, evento, datos, { diferible = true } = {}) {
   const conexion = agentesConectados.get(agenteId);
+  const conectado = conexion && !conexion.res.writableEnded;
+  const id = (conectado || diferible) ? registrarEnHistorial(agenteId, evento, datos) : null;
 
-  if (!conexion || conexion.res.writableEnded) {
+  if (!conectado) {
     console.log(`[SSE] Agente ${agenteId.substring(0, 8)}... no conectado`);
     return false;
   }
 
   try {
+    conexion.res.write(`id: ${id}\n`);
     conexion.res.write(`event: ${evento}\n`);
     conexion.res.write(`data: ${JSON.stringify(datos)}\n\n`);
     console.log(`[SSE] Evento '${evento}' enviado a ${conexion.nombre}`);
@@ -95,12 +227,260 @@ function enviarEventoAgente(agenteId, evento, datos) {
   }
 }
 
+/**
+ * Envía un evento al agente en esta instancia o, si está conectado a otra, se lo deriva
+ * por pub/sub y espera la confirmación de entrega de esa instancia.
+ * Si la otra instancia no confirma a tiempo (o el mensaje no entra en un NOTIFY), se
+ * considera no entregado: los comandos de la cola quedan pendientes para la reconexión.
+ * @param {string} agenteId - ID del agente
+ * @param {string} evento - Nombre del evento
+ * @param {object} datos - Datos del evento
+ * @param {{diferible?: boolean}} opciones - Ver enviarEventoAgente
+ * @returns {Promise<boolean>} - true si alguna instancia lo escribió en la conexión del agente
+ */
+async function entregarEventoAgente(agenteId, evento, datos, { diferible = true } = {}) {
+  const conexion = agentesConectados.get(agenteId);
+  const remota = (conexion && !conexion.res.writableEnded) ? null : obtenerPresenciaRemota(agenteId);
+  if (!remota || !distribucionIniciada) {
+    return enviarEventoAgente(agenteId, evento, datos, { diferible });
+  }
+
+  const entregaId = crypto.randomUUID();
+  const mensaje = {
+    tipo: 'evento',
+    instancia: INSTANCIA_ID,
+    destino: remota.instancia,
+    entregaId,
+    expiraAt: Date.now() + ENTREGA_TIMEOUT_MS,
+    agenteId,
+    evento,
+    datos,
+    diferible,
+  };
+
+  const bytes = Buffer.byteLength(JSON.stringify(mensaje));
+  if (bytes > PAYLOAD_MAX_BYTES) {
+    console.error(`[SSE] Evento '${evento}' demasiado grande para derivar (${bytes} bytes)`);
+    return false;
+  }
+
+  const confirmacion = new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      entregasEnCurso.delete(entregaId);
+      resolve(false);
+    }, ENTREGA_TIMEOUT_MS);
+    entregasEnCurso.set(entregaId, (entregado) => {
+      clearTimeout(timer);
+      entregasEnCurso.delete(entregaId);
+      resolve(entregado);
+    });
+  });
+
+  try {
+    await pubsub.publicar(CANAL_SSE, mensaje);
+  } catch (err) {
+    console.error(`[SSE] Error publicando evento '${evento}': ${err.message}`);
+    entregasEnCurso.get(entregaId)?.(false);
+  }
+
+  const entregado = await confirmacion;
+  console.log(`[SSE] Evento '${evento}' derivado a la instancia ${remota.instancia}: ${entregado ? 'entregado' : 'sin confirmar'}`);
+  return entregado;
+}
+
+/**
+ * Encola un comando para el agente y lo envía si está conectado
+ * Si está desconectado queda en la cola y se reenvía al reconectar (hasta que venza el TTL).
+ * El agente debe confirmar cada comando con POST /api/agente/eventos/:comandoId/ack
+ * (el id viaja en datos.comandoAgenteId).
+ * @param {string} agenteId - ID del agente
+ * @param {string} evento - Nombre del evento
+ * @param {object} datos - Datos del evento
+ * @param {{ttlSegundos?: number, unico?: boolean}} opciones - Ver encolarComando
+ * @returns {Promise<{comandoAgenteId: string, entregado: boolean}>}
+ */
+async function encolarEventoAgente(agenteId, evento, datos, opciones = {}) {
+  const comando = await encolarComando(agenteId, evento, datos, opciones);
+  const entregado = await entregarEventoAgente(agenteId, evento, { ...datos, comandoAgenteId: comando.id });
+
+  if (entregado) {
+    await marcarEntregado(comando.id, comando.intentos || 0);
+  }
+
+  return { comandoAgenteId: comando.id, entregado };
+}
+
+/**
+ * Reenvía al agente los comandos sin confirmar de su cola, en orden de creación
+ * @param {Set<string>} yaReenviados - Comandos que ya llegaron con el historial (Last-Event-ID): no se repiten
+ */
+async function reenviarComandosPendientes(agenteId, yaReenviados = new Set()) {
+  const pendientes = await obtenerComandosPendientes(agenteId);
+
+  for (const comando of pendientes) {
+    if (yaReenviados.has(comando.id)) {
+      await marcarEntregado(comando.id, comando.intentos || 0);
+      continue;
+    }
+    const enviado = enviarEventoAgente(agenteId, comando.evento, { ...comando.datos, comandoAgenteId: comando.id });
+    if (!enviado) break; // Se desconectó: el resto queda para la próxima conexión
+    await marcarEntregado(comando.id, comando.intentos || 0);
+  }
+
+  if (pendientes.length > 0) {
+    console.log(`[SSE] ${pendientes.length} comandos pendientes reenviados al agente ${agenteId.substring(0, 8)}...`);
+  }
+}
+
 /**
  * Verifica si un agente está conectado por SSE
  */
 function agenteConectado(agenteId) {
   const conexion = agentesConectados.get(agenteId);
-  return conexion && !conexion.res.writableEnded;
+  if (conexion && !conexion.res.writableEnded) {
+    return true;
+  }
+  return !!obtenerPresenciaRemota(agenteId);
+}
+
+// ============================================
+// Distribución entre instancias (pub/sub)
+// ============================================
+
+/**
+ * Devuelve la instancia remota que tiene conectado al agente, si el anuncio sigue vigente
+ */
+function obtenerPresenciaRemota(agenteId) {
+  const remota = presenciaRemota.get(agenteId);
+  if (!remota) return null;
+
+  if (Date.now() - remota.vistoAt > PRESENCIA_VIGENCIA_MS) {
+    presenciaRemota.delete(agenteId);
+    return null;
+  }
+  return remota;
+}
+
+/**
+ * Anuncia a las demás instancias qué agentes están conectados a esta
+ */
+function publicarPresencia() {
+  if (!distribucionIniciada) return;
+
+  pubsub.publicar(CANAL_SSE, {
+    tipo: 'presencia',
+    instancia: INSTANCIA_ID,
+    agentes: Array.from(agentesConectados.keys()),
+  }).catch(err => console.error(`[SSE] Error publicando presencia: ${err.message}`));
+}
+
+/**
+ * Procesa los mensajes de otras instancias
+ */
+function procesarMensajeDistribuido(mensaje) {
+  if (!mensaje || mensaje.instancia === INSTANCIA_ID) return;
+
+  if (mensaje.tipo === 'presencia') {
+    // El anuncio es la lista completa de la instancia: reemplazar lo que se sabía de ella
+    for (const [agenteId, remota] of presenciaRemota) {
+      if (remota.instancia === mensaje.instancia) {
+        presenciaRemota.delete(agenteId);
+      }
+    }
+    const vistoAt = Date.now();
+    for (const agenteId of mensaje.agentes || []) {
+      presenciaRemota.set(agenteId, { instancia: mensaje.instancia, vistoAt });
+    }
+    return;
+  }
+
+  if (mensaje.tipo === 'desconectar') {
+    cerrarConexionLocal(mensaje.agenteId, mensaje.motivo);
+    return;
+  }
+
+  if (mensaje.tipo === 'entrega' && mensaje.destino === INSTANCIA_ID) {
+    entregasEnCurso.get(mensaje.entregaId)?.(!!mensaje.entregado);
+    return;
+  }
+
+  if (mensaje.tipo === 'evento' && mensaje.destino === INSTANCIA_ID) {
+    // Vencida la espera, el origen ya lo dio por no entregado (un comando Modbus ya figura como error)
+    const conexion = agentesConectados.get(mensaje.agenteId);
+    let entregado = false;
+    if (Date.now() > mensaje.expiraAt) {
+      console.log(`[SSE] Evento '${mensaje.evento}' derivado llegó vencido, se descarta`);
+    } else if (conexion && !conexion.res.writableEnded) {
+      entregado = enviarEventoAgente(mensaje.agenteId, mensaje.evento, mensaje.datos, { diferible: mensaje.diferible });
+    } else {
+      console.log(`[SSE] Evento '${mensaje.evento}' recibido para agente no conectado a esta instancia`);
+    }
+
+    pubsub.publicar(CANAL_SSE, {
+      tipo: 'entrega',
+      instancia: INSTANCIA_ID,
+      destino: mensaje.instancia,
+      entregaId: mensaje.entregaId,
+      entregado,
+    }).catch(err => console.error(`[SSE] Error confirmando entrega: ${err.message}`));
+  }
+}
+
+/**
+ * Inicia la distribución de eventos y presencia entre instancias
+ * Con el adaptador en memoria (default) el comportamiento es el de una sola instancia.
+ */
+async function iniciarDistribucionSSE() {
+  if (distribucionIniciada) return;
+
+  await pubsub.suscribir(CANAL_SSE, procesarMensajeDistribuido);
+  distribucionIniciada = true;
+
+  const intervalo = setInterval(publicarPresencia, PRESENCIA_INTERVALO_MS);
+  intervalo.unref();
+  publicarPresencia();
+
+  console.log(`[SSE] Distribución entre instancias activa (adaptador: ${pubsub.nombre}, instancia: ${INSTANCIA_ID})`);
+}
+
+/**
+ * Cierra la conexión SSE del agente en esta instancia, avisándole el motivo
+ * @returns {boolean} - true si estaba conectado aquí
+ */
+function cerrarConexionLocal(agenteId, motivo) {
+  const conexion = agentesConectados.get(agenteId);
+  if (!conexion) return false;
+
+  if (!conexion.res.writableEnded) {
+    conexion.res.write(`event: sesion-revocada\n`);
+    conexion.res.write(`data: ${JSON.stringify({ motivo, timestamp: new Date().toISOString() })}\n\n`);
+    conexion.res.end();
+  }
+  agentesConectados.delete(agenteId);
+  publicarPresencia();
+
+  console.log(`[SSE] Agente desconectado por el servidor: ${conexion.nombre} (${motivo})`);
+  return true;
+}
+
+/**
+ * Corta la conexión SSE de un agente (en esta instancia o en la que lo tenga conectado)
+ * Se usa al revocar sus sesiones: desactivado, eliminado o con la clave rotada.
+ * Al reconectar, su token ya no es válido.
+ * @param {string} agenteId
+ * @param {string} motivo
+ */
+function desconectarAgente(agenteId, motivo) {
+  cerrarConexionLocal(agenteId, motivo);
+
+  if (distribucionIniciada) {
+    pubsub.publicar(CANAL_SSE, {
+      tipo: 'desconectar',
+      instancia: INSTANCIA_ID,
+      agenteId,
+      motivo,
+    }).catch(err => console.error(`[SSE] Error publicando desconexión: ${err.message}`));
+  }
 }
 
 /**
@@ -149,15 +529,22 @@ function registrarTestRealizado(ip, puerto) {
 /**
  * Notifica a un agente que su configuración ha cambiado
  * El agente debe hacer GET /agente/config para obtener la nueva configuración
+ * Si está desconectado, la notificación queda en cola (una sola, aunque haya varios cambios)
  * @param {string} agenteId - ID del agente a notificar
  * @param {string} motivo - Descripción del cambio (crear/actualizar/eliminar registrador)
- * @returns {boolean} - true si se notificó, false si el agente no está conectado
+ * @returns {Promise<boolean>} - true si se entregó, false si quedó en cola o falló
  */
-function notificarConfiguracionCambiada(agenteId, motivo = 'Configuración actualizada') {
-  return enviarEventoAgente(agenteId, 'config-actualizada', {
-    motivo,
-    timestamp: new Date().toISOString(),
-  });
+async function notificarConfiguracionCambiada(agenteId, motivo = 'Configuración actualizada') {
+  try {
+    const { entregado } = await encolarEventoAgente(agenteId, 'config-actualizada', {
+      motivo,
+      timestamp: new Date().toISOString(),
+    }, { unico: true });
+    return entregado;
+  } catch (error) {
+    console.error(`[SSE] Error encolando config-actualizada: ${error.message}`);
+    return false;
+  }
 }
 
 /**
@@ -165,7 +552,9 @@ function notificarConfiguracionCambiada(agenteId, motivo = 'Configuración actua
  */
 function obtenerEstadisticas() {
   return {
+    instancia: INSTANCIA_ID,
     agentesConectados: agentesConectados.size,
+    agentesEnOtrasInstancias: Array.from(presenciaRemota.keys()).filter(id => obtenerPresenciaRemota(id)).length,
     agentes: Array.from(agentesConectados.entries()).map(([id, conn]) => ({
       id: id.substring(0, 8) + '...',
       nombre: conn.nombre,
@@ -177,9 +566,13 @@ function obtenerEstadisticas() {
 module.exports = {
   conectarSSE,
   enviarEventoAgente,
+  entregarEventoAgente,
+  encolarEventoAgente,
   agenteConectado,
+  desconectarAgente,
   verificarCooldown,
   registrarTestRealizado,
   notificarConfiguracionCambiada,
   obtenerEstadisticas,
+  iniciarDistribucionSSE,
 };
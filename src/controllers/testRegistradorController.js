@@ -3,26 +3,13 @@
 // Usa SSE para notificar al agente en tiempo real
 
 const supabase = require('../config/supabase');
-const { enviarEventoAgente, agenteConectado, verificarCooldown, registrarTestRealizado } = require('./sseController');
+const { encolarEventoAgente, verificarCooldown, registrarTestRealizado } = require('./sseController');
 
 const TIMEOUT_SEGUNDOS = 30; // Tiempo máximo de espera para resultado
 
-/**
- * Verifica si el usuario es superadmin
- */
-async function esSuperadmin(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', userId)
-    .single();
-
-  return usuario?.roles?.codigo === 'superadmin';
-}
-
 /**
  * POST /api/agentes/:agenteId/test-registrador
- * Solicita un test de conexión para un registrador (solo superadmin)
+ * Solicita un test de conexión para un registrador (superadmin o rol con registrador:probar)
  * Envía el comando al agente via SSE en tiempo real
  */
 async function solicitarTest(req, res) {
@@ -31,11 +18,6 @@ async function solicitarTest(req, res) {
     const { agenteId } = req.params;
     const { ip, puerto, unitId, indiceInicial, cantidadRegistros } = req.body;
 
-    // Verificar permisos
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede solicitar tests' });
-    }
-
     // Validar campos requeridos
     if (!ip || !puerto || indiceInicial === undefined || !cantidadRegistros) {
       return res.status(400).json({
@@ -54,14 +36,6 @@ async function solicitarTest(req, res) {
       return res.status(404).json({ error: 'Agente no encontrado' });
     }
 
-    // Verificar que el agente está conectado por SSE
-    if (!agenteConectado(agenteId)) {
-      return res.status(503).json({
-        error: 'El agente no está conectado',
-        detalle: 'El agente debe estar en línea para ejecutar tests'
-      });
-    }
-
     // Verificar cooldown por IP:puerto (no por agente)
     const puertoNum = parseInt(puerto);
     const cooldown = verificarCooldown(ip, puertoNum);
@@ -97,42 +71,30 @@ async function solicitarTest(req, res) {
       return res.status(500).json({ error: 'Error creando test' });
     }
 
-    // Enviar comando al agente via SSE
-    const enviado = enviarEventoAgente(agenteId, 'test-registrador', {
+    // Enviar comando al agente via SSE (si está desconectado queda en cola hasta el timeout del test)
+    const { entregado } = await encolarEventoAgente(agenteId, 'test-registrador', {
       testId: test.id,
       ip: test.ip,
       puerto: test.puerto,
       unitId: test.unit_id,
       indiceInicial: test.indice_inicial,
       cantidadRegistros: test.cantidad_registros,
-    });
+    }, { ttlSegundos: TIMEOUT_SEGUNDOS });
 
-    if (!enviado) {
-      // El agente se desconectó justo después de verificar
+    // Actualizar estado a "enviado"
+    if (entregado) {
       await supabase
         .from('test_registrador')
-        .update({
-          estado: 'error',
-          error_mensaje: 'El agente se desconectó antes de recibir el comando',
-          completado_at: new Date().toISOString()
-        })
+        .update({ estado: 'enviado' })
         .eq('id', test.id);
-
-      return res.status(503).json({
-        error: 'No se pudo enviar el comando al agente',
-        testId: test.id
-      });
     }
 
-    // Actualizar estado a "enviado"
-    await supabase
-      .from('test_registrador')
-      .update({ estado: 'enviado' })
-      .eq('id', test.id);
-
     res.status(201).json({
       testId: test.id,
-      mensaje: 'Test enviado al agente. Esperando resultado...',
+      encolado: !entregado,
+      mensaje: entregado
+        ? 'Test enviado al agente. Esperando resultado...'
+        : 'El agente no está conectado. El test se enviará si se reconecta antes del timeout',
       timeoutSegundos: TIMEOUT_SEGUNDOS,
     });
   } catch (err) {
@@ -143,18 +105,12 @@ async function solicitarTest(req, res) {
 
 /**
  * GET /api/agentes/:agenteId/test-registrador/:testId
- * Consulta el estado/resultado de un test (solo superadmin)
+ * Consulta el estado/resultado de un test (superadmin o rol con registrador:probar)
  */
 async function consultarTest(req, res) {
   try {
-    const userId = req.user.id;
     const { agenteId, testId } = req.params;
 
-    // Verificar permisos
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede consultar tests' });
-    }
-
     // Obtener el test
     const { data: test, error } = await supabase
       .from('test_registrador')
@@ -278,11 +234,6 @@ async function solicitarTestCoils(req, res) {
     const { agenteId } = req.params;
     const { ip, puerto, unitId, direccionCoil, cantidadBits } = req.body;
 
-    // Verificar permisos
-    if (!await esSuperadmin(userId)) {
-      return res.status(403).json({ error: 'Solo superadmin puede solicitar tests' });
-    }
-
     // Validar campos requeridos
     if (!ip || !puerto || direccionCoil === undefined || !cantidadBits) {
       return res.status(400).json({
@@ -301,14 +252,6 @@ async function solicitarTestCoils(req, res) {
       return res.status(404).json({ error: 'Agente no encontrado' });
     }
 
-    // Verificar que el agente está conectado por SSE
-    if (!agenteConectado(agenteId)) {
-      return res.status(503).json({
-        error: 'El agente no está conectado',
-        detalle: 'El agente debe estar en línea para ejecutar tests'
-      });
-    }
-
     // Verificar cooldown por IP:puerto
     const puertoNum = parseInt(puerto);
     const cooldown = verificarCooldown(ip, puertoNum);
@@ -346,40 +289,30 @@ async function solicitarTestCoils(req, res) {
     }
 
     // Enviar comando al agente via SSE con evento específico para coils
-    const enviado = enviarEventoAgente(agenteId, 'test-coils', {
+    // (si está desconectado queda en cola hasta el timeout del test)
+    const { entregado } = await encolarEventoAgente(agenteId, 'test-coils', {
       testId: test.id,
       ip: test.ip,
       puerto: test.puerto,
       unitId: test.unit_id,
       direccionCoil: parseInt(direccionCoil),
       cantidadBits: parseInt(cantidadBits),
-    });
+    }, { ttlSegundos: TIMEOUT_SEGUNDOS });
 
-    if (!enviado) {
+    // Actualizar estado a "enviado"
+    if (entregado) {
       await supabase
         .from('test_registrador')
-        .update({
-          estado: 'error',
-          error_mensaje: 'El agente se desconectó antes de recibir el comando',
-          completado_at: new Date().toISOString()
-        })
+        .update({ estado: 'enviado' })
         .eq('id', test.id);
-
-      return res.status(503).json({
-        error: 'No se pudo enviar el comando al agente',
-        testId: test.id
-      });
     }
 
-    // Actualizar estado a "enviado"
-    await supabase
-      .from('test_registrador')
-      .update({ estado: 'enviado' })
-      .eq('id', test.id);
-
     res.status(201).json({
       testId: test.id,
-      mensaje: 'Test de coils enviado al agente. Esperando resultado...',
+      encolado: !entregado,
+      mensaje: entregado
+        ? 'Test de coils enviado al agente. Esperando resultado...'
+        : 'El agente no está conectado. El test se enviará si se reconecta antes del timeout',
       timeoutSegundos: TIMEOUT_SEGUNDOS,
     });
   } catch (err) {
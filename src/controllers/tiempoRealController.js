@@ -0,0 +1,102 @@
+// src/controllers/tiempoRealController.js
+// Controlador del stream SSE en tiempo real para usuarios del dashboard
+
+const { obtenerAgentesVisibles } = require('../servicios/accesoService');
+const { agregarSuscriptor, quitarSuscriptor } = require('../servicios/tiempoRealService');
+const { puede } = require('../middleware/politicas');
+
+// Cada cuánto se recalculan los agentes visibles de una conexión abierta,
+// para que un permiso revocado deje de recibir eventos sin esperar a que el usuario reconecte
+const REFRESCO_ACCESO_MS = 5 * 60 * 1000;
+
+/**
+ * GET /api/workspaces/:workspaceId/tiempo-real
+ * Stream SSE con las lecturas, el estado de los registradores y las alarmas del workspace
+ *
+ * Autenticación: el mismo token de Supabase que el resto de la API, en el header
+ * Authorization o en ?token= (EventSource del navegador no permite headers).
+ *
+ * Eventos:
+ *   conectado           { workspaceId, agentes }
+ *   lectura             { registradorId, timestamp, exito, valores, indiceInicial, tiempoMs, error }
+ *   estado-registrador  { registradorId, conectado, ultimaLecturaExitosa, ultimoError, fallosEnLote, timestamp }
+ *   alarma              { tipo: 'activada' | 'normalizada', alarma }
+ *   acceso-revocado     { mensaje } (el servidor cierra el stream)
+ *   heartbeat           { timestamp }
+ *
+ * Los eventos no se reenvían al reconectar: el dashboard debe volver a pedir
+ * las últimas lecturas por REST al recibir 'conectado'.
+ */
+async function conectarTiempoReal(req, res) {
+  try {
+    const { workspaceId } = req.params;
+    const usuarioId = req.user.id;
+
+    const suscriptor = {
+      usuarioId,
+      res,
+      agentes: await obtenerAgentesVisibles(usuarioId, workspaceId),
+    };
+
+    // El cliente pudo cerrar mientras se consultaban los agentes: 'close' ya no se va a emitir
+    if (req.destroyed) return;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no', // Para nginx/proxies
+    });
+
+    res.write(`event: conectado\n`);
+    res.write(`data: ${JSON.stringify({ workspaceId, agentes: [...suscriptor.agentes] })}\n\n`);
+
+    agregarSuscriptor(workspaceId, suscriptor);
+
+    // Heartbeat con datos reales (los comentarios SSE se pierden en proxies con buffering)
+    const heartbeatInterval = setInterval(() => {
+      if (!res.writableEnded) {
+        res.write(`event: heartbeat\n`);
+        res.write(`data: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
+      }
+    }, 20000);
+
+    // Recalcular permisos periódicamente
+    const refrescoInterval = setInterval(async () => {
+      try {
+        // Request nuevo para no reutilizar el rol cacheado al abrir la conexión
+        if (!await puede({ user: req.user }, 'lecturas:ver', workspaceId)) {
+          res.write(`event: acceso-revocado\n`);
+          res.write(`data: ${JSON.stringify({ mensaje: 'Ya no tienes acceso a este workspace' })}\n\n`);
+          res.end();
+          return;
+        }
+        suscriptor.agentes = await obtenerAgentesVisibles(usuarioId, workspaceId);
+      } catch (err) {
+        console.error('[TiempoReal] Error refrescando permisos:', err.message);
+      }
+    }, REFRESCO_ACCESO_MS);
+
+    const limpiar = () => {
+      clearInterval(heartbeatInterval);
+      clearInterval(refrescoInterval);
+      quitarSuscriptor(workspaceId, suscriptor);
+    };
+
+    req.on('close', limpiar);
+    req.on('error', (err) => {
+      limpiar();
+      console.log(`[TiempoReal] Error en conexión: ${err.message}`);
+    });
+
+  } catch (err) {
+    console.error('Error en conectarTiempoReal:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  }
+}
+
+module.exports = {
+  conectarTiempoReal,
+};
@@ -2,38 +2,9 @@
 // Controlador para CRUD de transformadores (TI/TV)
 
 const supabase = require('../config/supabase');
-
-/**
- * Verifica si el usuario tiene permisos sobre el workspace
- */
-async function verificarPermisoWorkspace(usuarioId, workspaceId, rolesPermitidos = null) {
-  const { data: permiso } = await supabase
-    .from('usuario_workspaces')
-    .select('rol_id, roles (codigo)')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', usuarioId)
-    .single();
-
-  if (permiso) {
-    const rolCodigo = permiso.roles?.codigo;
-    if (!rolesPermitidos || rolesPermitidos.includes(rolCodigo)) {
-      return { tienePermiso: true, rol: rolCodigo };
-    }
-  }
-
-  // Verificar si es superadmin global
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', usuarioId)
-    .single();
-
-  if (usuario?.roles?.codigo === 'superadmin') {
-    return { tienePermiso: true, rol: 'superadmin' };
-  }
-
-  return { tienePermiso: false, rol: null };
-}
+const { validarFormula } = require('../servicios/formulasService');
+const { puede } = require('../middleware/politicas');
+const { prepararTransformador } = require('../servicios/respaldoWorkspaceService');
 
 // ============================================
 // CRUD de Transformadores
@@ -46,13 +17,6 @@ async function verificarPermisoWorkspace(usuarioId, workspaceId, rolesPermitidos
 async function obtenerTransformadores(req, res) {
   try {
     const { workspaceId } = req.params;
-    const usuarioId = req.user.id;
-
-    // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos sobre este workspace' });
-    }
 
     // Obtener transformadores del workspace
     const { data, error } = await supabase
@@ -95,10 +59,10 @@ async function crearTransformador(req, res) {
       return res.status(400).json({ error: 'Tipo debe ser TI, TV o REL' });
     }
 
-    // Verificar permisos (admin o superior)
-    const { tienePermiso, rol } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['admin', 'superadmin']);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos para crear transformadores' });
+    // Validar sintaxis de la fórmula
+    const validacion = validarFormula(formula);
+    if (!validacion.valida) {
+      return res.status(400).json({ error: `Fórmula inválida: ${validacion.error}` });
     }
 
     // Crear transformador
@@ -135,7 +99,6 @@ async function crearTransformador(req, res) {
 async function actualizarTransformador(req, res) {
   try {
     const { id } = req.params;
-    const usuarioId = req.user.id;
     const { tipo, nombre, formula, descripcion } = req.body;
 
     // Obtener el transformador para verificar workspace
@@ -150,8 +113,7 @@ async function actualizarTransformador(req, res) {
     }
 
     // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, transformador.workspace_id, ['admin', 'superadmin']);
-    if (!tienePermiso) {
+    if (!await puede(req, 'transformador:gestionar', transformador.workspace_id)) {
       return res.status(403).json({ error: 'No tienes permisos para editar transformadores' });
     }
 
@@ -160,6 +122,14 @@ async function actualizarTransformador(req, res) {
       return res.status(400).json({ error: 'Tipo debe ser TI, TV o REL' });
     }
 
+    // Validar sintaxis de la fórmula si se proporciona
+    if (formula) {
+      const validacion = validarFormula(formula);
+      if (!validacion.valida) {
+        return res.status(400).json({ error: `Fórmula inválida: ${validacion.error}` });
+      }
+    }
+
     // Preparar datos de actualización
     const datosActualizacion = {};
     if (tipo) datosActualizacion.tipo = tipo;
@@ -195,7 +165,6 @@ async function actualizarTransformador(req, res) {
 async function eliminarTransformador(req, res) {
   try {
     const { id } = req.params;
-    const usuarioId = req.user.id;
 
     // Obtener el transformador para verificar workspace
     const { data: transformador, error: errorBuscar } = await supabase
@@ -209,8 +178,7 @@ async function eliminarTransformador(req, res) {
     }
 
     // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, transformador.workspace_id, ['admin', 'superadmin']);
-    if (!tienePermiso) {
+    if (!await puede(req, 'transformador:gestionar', transformador.workspace_id)) {
       return res.status(403).json({ error: 'No tienes permisos para eliminar transformadores' });
     }
 
@@ -247,21 +215,16 @@ async function migrarTransformadores(req, res) {
       return res.status(400).json({ error: 'Se requiere un array de transformadores' });
     }
 
-    // Verificar permisos
-    const { tienePermiso } = await verificarPermisoWorkspace(usuarioId, workspaceId, ['admin', 'superadmin']);
-    if (!tienePermiso) {
-      return res.status(403).json({ error: 'No tienes permisos para migrar transformadores' });
+    // Validar sintaxis de todas las fórmulas antes de insertar
+    for (const t of transformadores) {
+      const validacion = validarFormula(t.formula?.trim() || 'x');
+      if (!validacion.valida) {
+        return res.status(400).json({ error: `Fórmula inválida en "${t.nombre}": ${validacion.error}` });
+      }
     }
 
     // Preparar datos para inserción
-    const datosInsertar = transformadores.map(t => ({
-      tipo: t.tipo || 'TI',
-      nombre: t.nombre?.trim() || 'Sin nombre',
-      formula: t.formula?.trim() || 'x',
-      descripcion: t.descripcion?.trim() || null,
-      workspace_id: workspaceId,
-      created_by: usuarioId
-    }));
+    const datosInsertar = transformadores.map(t => prepararTransformador(t, workspaceId, usuarioId));
 
     // Insertar todos
     const { data, error } = await supabase
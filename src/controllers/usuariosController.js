@@ -2,6 +2,27 @@
 // Controlador para gestionar usuarios
 
 const supabase = require('../config/supabase');
+const { aceptarInvitacionesPendientes } = require('../servicios/invitacionesService');
+
+/**
+ * Acepta las invitaciones pendientes del email del usuario autenticado
+ * Solo con el email confirmado en Supabase Auth: sin confirmación cualquiera podría registrarse
+ * con el email invitado. Mientras no lo confirme, las invitaciones siguen pendientes y se
+ * vuelven a intentar en cada GET /usuarios/perfil.
+ * Un error aquí no impide crear ni devolver el perfil.
+ * @param {object} user - req.user (usuario de Supabase Auth)
+ * @returns {Promise<string[]>} - IDs de los workspaces adjuntados
+ */
+async function adjuntarWorkspacesInvitados(user) {
+  if (!user.email_confirmed_at) return [];
+
+  try {
+    return await aceptarInvitacionesPendientes(user.id, user.email);
+  } catch (err) {
+    console.error('Error aceptando invitaciones pendientes:', err);
+    return [];
+  }
+}
 
 /**
  * Crear perfil de usuario después del registro en Supabase Auth
@@ -68,11 +89,14 @@ const crearPerfil = async (req, res) => {
 
     console.log(`[Usuarios] Perfil creado para: ${userEmail}`);
 
+    const workspacesInvitados = await adjuntarWorkspacesInvitados(req.user);
+
     res.status(201).json({
       ...nuevoUsuario,
       rolGlobal: nuevoUsuario.roles?.codigo || 'observador',
       nivelRol: nuevoUsuario.roles?.nivel || 4,
       puedeCrearWorkspaces: false,
+      workspacesInvitados,
     });
   } catch (error) {
     console.error('Error en crearPerfil:', error);
@@ -146,11 +170,14 @@ const obtenerPerfil = async (req, res) => {
 
       if (errorCrear) throw errorCrear;
 
+      const workspacesInvitados = await adjuntarWorkspacesInvitados(req.user);
+
       return res.json({
         ...nuevoUsuario,
         rolGlobal: rolObservador?.codigo || 'observador',
         nivelRol: rolObservador?.nivel || 4,
         puedeCrearWorkspaces: false,
+        workspacesInvitados,
       });
     }
 
@@ -161,11 +188,15 @@ const obtenerPerfil = async (req, res) => {
     const nivelRol = usuario.roles?.nivel || 4;
     const puedeCrearWorkspaces = ['superadmin', 'admin'].includes(rolCodigo);
 
+    // Invitaciones que llegaron antes de confirmar el email (o después de crear el perfil)
+    const workspacesInvitados = await adjuntarWorkspacesInvitados(req.user);
+
     res.json({
       ...usuario,
       rolGlobal: rolCodigo,
       nivelRol,
       puedeCrearWorkspaces,
+      workspacesInvitados,
     });
   } catch (error) {
     console.error('Error obteniendo perfil:', error);
@@ -2,6 +2,10 @@
 // Controlador para gestionar workspaces
 
 const supabase = require('../config/supabase');
+const { obtenerRolEfectivo, capacidadesEnWorkspace, puedeEnAgente } = require('../middleware/politicas');
+const papelera = require('../servicios/papeleraService');
+const { exportarWorkspace, importarWorkspace } = require('../servicios/respaldoWorkspaceService');
+const { validarFormula } = require('../servicios/formulasService');
 
 /**
  * Obtener todos los workspaces del usuario autenticado
@@ -24,8 +28,8 @@ const obtenerWorkspaces = async (req, res) => {
 
     if (errorAsignaciones) throw errorAsignaciones;
 
-    // Formatear resultados
-    const workspaces = asignaciones.map(a => {
+    // Formatear resultados (los workspaces en la papelera no se listan)
+    const workspaces = asignaciones.filter(a => a.workspaces && !a.workspaces.eliminado_at).map(a => {
       return {
         ...a.workspaces,
         rol: a.roles?.codigo || 'observador',
@@ -56,15 +60,8 @@ const obtenerWorkspaces = async (req, res) => {
  */
 const obtenerWorkspace = async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.id;
 
   try {
-    // Verificar que el usuario tiene acceso
-    const tieneAcceso = await verificarAcceso(id, userId);
-    if (!tieneAcceso) {
-      return res.status(403).json({ error: 'No tienes acceso a este workspace' });
-    }
-
     // Obtener workspace con puestos y alimentadores
     const { data: workspace, error } = await supabase
       .from('workspaces')
@@ -76,13 +73,21 @@ const obtenerWorkspace = async (req, res) => {
         )
       `)
       .eq('id', id)
-      .single();
+      .is('eliminado_at', null)
+      .is('puestos.eliminado_at', null)
+      .is('puestos.alimentadores.eliminado_at', null)
+      .maybeSingle();
 
     if (error) throw error;
 
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace no encontrado' });
+    }
+
     // Obtener el rol del usuario en este workspace
-    const rol = await obtenerRolUsuario(id, userId);
+    const rol = await obtenerRolEfectivo(req, id);
     workspace.rolUsuario = rol;
+    workspace.capacidadesUsuario = await capacidadesEnWorkspace(req, id);
 
     res.json(workspace);
   } catch (error) {
@@ -109,14 +114,6 @@ const crearWorkspace = async (req, res) => {
     // Asegurar que el usuario existe en la tabla usuarios
     await asegurarUsuarioExiste(userId, userEmail, userName);
 
-    // Verificar que el usuario tiene permiso para crear workspaces (superadmin o admin)
-    const rolGlobal = await obtenerRolGlobalUsuario(userId);
-    if (!['superadmin', 'admin'].includes(rolGlobal)) {
-      return res.status(403).json({
-        error: 'No tienes permiso para crear workspaces. Solo superadmin y admin pueden hacerlo.'
-      });
-    }
-
     // Crear el workspace
     const { data: workspace, error: errorWorkspace } = await supabase
       .from('workspaces')
@@ -209,15 +206,8 @@ async function asegurarUsuarioExiste(userId, email, nombre) {
 const actualizarWorkspace = async (req, res) => {
   const { id } = req.params;
   const { nombre, descripcion } = req.body;
-  const userId = req.user.id;
 
   try {
-    // Verificar que el usuario puede editar (admin o creador)
-    const rol = await obtenerRolUsuario(id, userId);
-    if (!['admin', 'superadmin'].includes(rol)) {
-      return res.status(403).json({ error: 'No tienes permiso para editar este workspace' });
-    }
-
     const { data, error } = await supabase
       .from('workspaces')
       .update({
@@ -238,7 +228,7 @@ const actualizarWorkspace = async (req, res) => {
 };
 
 /**
- * Eliminar un workspace
+ * Eliminar un workspace (lo envía a la papelera junto con sus puestos y alimentadores)
  */
 const eliminarWorkspace = async (req, res) => {
   const { id } = req.params;
@@ -250,77 +240,134 @@ const eliminarWorkspace = async (req, res) => {
       .from('workspaces')
       .select('creado_por')
       .eq('id', id)
-      .single();
+      .is('eliminado_at', null)
+      .maybeSingle();
 
-    if (workspace?.creado_por !== userId) {
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace no encontrado' });
+    }
+
+    if (workspace.creado_por !== userId) {
       return res.status(403).json({ error: 'Solo el creador puede eliminar el workspace' });
     }
 
-    // Eliminar todas las preferencias de usuario asociadas al workspace
-    const { error: errorPreferencias } = await supabase
-      .from('preferencias_usuario')
-      .delete()
-      .eq('workspace_id', id);
+    await papelera.eliminarWorkspace(id, userId);
+
+    res.json({ mensaje: 'Workspace enviado a la papelera', retencionDias: papelera.RETENCION_DIAS });
+  } catch (error) {
+    console.error('Error eliminando workspace:', error);
+    res.status(500).json({ error: 'Error al eliminar workspace' });
+  }
+};
+
+/**
+ * Restaurar un workspace de la papelera (con lo que se eliminó junto a él)
+ */
+const restaurarWorkspace = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const workspace = await papelera.obtenerEliminado('workspaces', id, 'creado_por');
 
-    if (errorPreferencias) {
-      console.error('Error eliminando preferencias del workspace:', errorPreferencias);
-      // Continuar aunque falle, el workspace se eliminará igual
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace no encontrado en la papelera' });
     }
 
-    const { error } = await supabase
-      .from('workspaces')
-      .delete()
-      .eq('id', id);
+    if (workspace.creado_por !== req.user.id) {
+      return res.status(403).json({ error: 'Solo el creador puede restaurar el workspace' });
+    }
 
-    if (error) throw error;
+    await papelera.restaurarLote(workspace.eliminacion_id);
 
-    res.json({ mensaje: 'Workspace eliminado' });
+    res.json({ mensaje: 'Workspace restaurado' });
   } catch (error) {
-    console.error('Error eliminando workspace:', error);
-    res.status(500).json({ error: 'Error al eliminar workspace' });
+    console.error('Error restaurando workspace:', error);
+    res.status(500).json({ error: 'Error al restaurar workspace' });
+  }
+};
+
+/**
+ * Workspaces del usuario que están en la papelera
+ */
+const obtenerWorkspacesEliminados = async (req, res) => {
+  try {
+    res.json(await papelera.listarWorkspacesEliminados(req.user.id));
+  } catch (error) {
+    console.error('Error obteniendo workspaces eliminados:', error);
+    res.status(500).json({ error: 'Error al obtener la papelera' });
   }
 };
 
-// ============================================
-// Funciones auxiliares
-// ============================================
+/**
+ * Papelera de un workspace: puestos y alimentadores eliminados
+ */
+const obtenerPapelera = async (req, res) => {
+  const { workspaceId } = req.params;
 
-async function verificarAcceso(workspaceId, userId) {
-  // Verificar si tiene asignación en usuario_workspaces
-  const { data: asignacion } = await supabase
-    .from('usuario_workspaces')
-    .select('id')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', userId)
-    .single();
+  try {
+    res.json(await papelera.listarPapelera(workspaceId));
+  } catch (error) {
+    console.error('Error obteniendo papelera:', error);
+    res.status(500).json({ error: 'Error al obtener la papelera' });
+  }
+};
 
-  return !!asignacion;
-}
+/**
+ * Exportar un workspace como paquete JSON (respaldo o base para clonarlo)
+ * GET /api/workspaces/:id/export
+ */
+const exportarWorkspaceJson = async (req, res) => {
+  const { id } = req.params;
 
-async function obtenerRolUsuario(workspaceId, userId) {
-  // Obtener rol desde usuario_workspaces con join a roles
-  const { data: asignacion } = await supabase
-    .from('usuario_workspaces')
-    .select('rol_id, roles (codigo)')
-    .eq('workspace_id', workspaceId)
-    .eq('usuario_id', userId)
-    .single();
+  try {
+    const paquete = await exportarWorkspace(id);
+    if (!paquete) {
+      return res.status(404).json({ error: 'Workspace no encontrado' });
+    }
 
-  return asignacion?.roles?.codigo || null;
-}
+    const nombreArchivo = `workspace-${paquete.workspace.nombre.replace(/[^\w-]+/g, '_')}-${paquete.exportado_at.slice(0, 10)}.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+    res.json(paquete);
+  } catch (error) {
+    console.error('Error exportando workspace:', error);
+    res.status(500).json({ error: 'Error al exportar workspace' });
+  }
+};
 
 /**
- * Obtiene el rol global del usuario (desde la tabla usuarios)
+ * Crear un workspace nuevo a partir de un paquete exportado
+ * POST /api/workspaces/import
+ * Body: { paquete, nombre?, vincularAgentes? (default true) }
  */
-async function obtenerRolGlobalUsuario(userId) {
-  const { data: usuario } = await supabase
-    .from('usuarios')
-    .select('rol_id, roles (codigo)')
-    .eq('id', userId)
-    .single();
+const importarWorkspaceJson = async (req, res) => {
+  const { paquete, nombre, vincularAgentes } = req.body;
+
+  // Validar sintaxis de todas las fórmulas antes de crear nada
+  for (const t of paquete.transformadores) {
+    const validacion = validarFormula(t.formula);
+    if (!validacion.valida) {
+      return res.status(400).json({ error: `Fórmula inválida en "${t.nombre}": ${validacion.error}` });
+    }
+  }
 
-  return usuario?.roles?.codigo || 'observador';
-}
+  try {
+    const { workspace, resumen, advertencias } = await importarWorkspace(paquete, {
+      usuarioId: req.user.id,
+      nombre,
+      vincularAgentes: vincularAgentes ?? true,
+      puedeVincularAgente: (agenteId) => puedeEnAgente(req, 'agente:vincular', agenteId),
+    });
+
+    res.status(201).json({
+      workspace: { ...workspace, rol: 'admin', esCreador: true },
+      resumen,
+      advertencias,
+    });
+  } catch (error) {
+    console.error('Error importando workspace:', error);
+    res.status(500).json({ error: 'Error al importar workspace' });
+  }
+};
 
 module.exports = {
   obtenerWorkspaces,
@@ -328,4 +375,9 @@ module.exports = {
   crearWorkspace,
   actualizarWorkspace,
   eliminarWorkspace,
+  restaurarWorkspace,
+  obtenerWorkspacesEliminados,
+  obtenerPapelera,
+  exportarWorkspaceJson,
+  importarWorkspaceJson,
 };
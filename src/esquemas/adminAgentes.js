@@ -14,6 +14,11 @@ const esquemaActualizarAgente = z.object({
   activo: z.boolean().optional(),
 });
 
+// Body opcional: sin body se usa la ventana de gracia por defecto
+const esquemaRotarClaveAgente = z.object({
+  horasGracia: z.number().min(0, 'horasGracia no puede ser negativo').max(720, 'horasGracia máximo: 720 (30 días)').optional(),
+}).default({});
+
 const esquemaVincularAgenteWorkspace = z.object({
   agenteId: z.string().uuid('agenteId debe ser un UUID válido'),
 });
@@ -52,6 +57,7 @@ const esquemaActualizarRegistradorAgente = z.object({
 module.exports = {
   esquemaCrearAgente,
   esquemaActualizarAgente,
+  esquemaRotarClaveAgente,
   esquemaVincularAgenteWorkspace,
   esquemaCrearRegistradorAgente,
   esquemaActualizarRegistradorAgente,
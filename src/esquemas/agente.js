@@ -5,12 +5,17 @@ const esquemaAuth = z.object({
   claveSecreta: z.string().trim().min(1, 'La clave secreta es requerida').max(500),
 });
 
+const esquemaRefresh = z.object({
+  refreshToken: z.string().trim().min(1, 'El refresh token es requerido').max(200),
+});
+
 const esquemaHeartbeat = z.object({
   version: z.string().trim().max(50).optional(),
 });
 
 const esquemaLectura = z.object({
   registradorId: z.string().uuid('registradorId debe ser un UUID válido'),
+  secuencia: z.number().int().min(0).optional(),
   timestamp: z.string().max(100).optional(),
   valores: z.array(z.number()),
   tiempoMs: z.number().int().min(0).optional(),
@@ -19,6 +24,7 @@ const esquemaLectura = z.object({
 });
 
 const esquemaLecturas = z.object({
+  loteId: z.string().trim().min(1).max(100).optional(),
   lecturas: z.array(esquemaLectura).min(1, 'Se requiere al menos una lectura'),
 });
 
@@ -34,6 +40,7 @@ const esquemaVincular = z.object({
 
 module.exports = {
   esquemaAuth,
+  esquemaRefresh,
   esquemaHeartbeat,
   esquemaLecturas,
   esquemaLog,
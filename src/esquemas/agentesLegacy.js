@@ -11,10 +11,16 @@ const esquemaDesvincularAgente = z.object({
 
 const esquemaRotarClave = z.object({
   workspaceId: z.string().uuid('workspaceId debe ser un UUID válido'),
+  horasGracia: z.number().min(0).max(720).optional(),
+});
+
+const esquemaRevocarClaveAnterior = z.object({
+  workspaceId: z.string().uuid('workspaceId debe ser un UUID válido'),
 });
 
 module.exports = {
   esquemaSolicitarVinculacion,
   esquemaDesvincularAgente,
   esquemaRotarClave,
+  esquemaRevocarClaveAnterior,
 };
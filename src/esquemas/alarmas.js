@@ -0,0 +1,43 @@
+// src/esquemas/alarmas.js
+const { z } = require('zod');
+
+const esquemaCrearReglaAlarma = z.object({
+  registradorId: z.string().uuid('registradorId debe ser un UUID válido'),
+  nombre: z.string().trim().min(1, 'El nombre es requerido').max(100),
+  tipo: z.enum(['limite_superior', 'limite_inferior', 'tasa_cambio', 'bit'], {
+    errorMap: () => ({ message: 'Tipo inválido. Debe ser: limite_superior, limite_inferior, tasa_cambio o bit' }),
+  }),
+  registro: z.number().int().min(0).max(65535),
+  umbral: z.number().optional(),
+  histeresis: z.number().min(0).optional(),
+  bit: z.number().int().min(0).max(15).optional(),
+  severidad: z.enum(['baja', 'media', 'alta', 'critica']).optional(),
+  aplicarTransformador: z.boolean().optional(),
+  notificar: z.boolean().optional(),
+  activo: z.boolean().optional(),
+}).refine(
+  (r) => (r.tipo === 'bit' ? r.bit !== undefined : r.umbral !== undefined),
+  { message: 'Las reglas de tipo bit requieren bit; las demás requieren umbral', path: ['umbral'] }
+);
+
+const esquemaActualizarReglaAlarma = z.object({
+  nombre: z.string().trim().min(1, 'El nombre no puede estar vacío').max(100).optional(),
+  registro: z.number().int().min(0).max(65535).optional(),
+  umbral: z.number().optional(),
+  histeresis: z.number().min(0).optional(),
+  bit: z.number().int().min(0).max(15).optional(),
+  severidad: z.enum(['baja', 'media', 'alta', 'critica']).optional(),
+  aplicarTransformador: z.boolean().optional(),
+  notificar: z.boolean().optional(),
+  activo: z.boolean().optional(),
+});
+
+const esquemaReconocerAlarma = z.object({
+  comentario: z.string().trim().max(500).optional(),
+});
+
+module.exports = {
+  esquemaCrearReglaAlarma,
+  esquemaActualizarReglaAlarma,
+  esquemaReconocerAlarma,
+};
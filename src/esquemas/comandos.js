@@ -0,0 +1,34 @@
+// src/esquemas/comandos.js
+const { z } = require('zod');
+
+const esquemaSolicitarComando = z.object({
+  workspaceId: z.string().uuid('workspaceId debe ser un UUID válido'),
+  tipo: z.enum(['escribir_coil', 'escribir_coils', 'escribir_registro'], {
+    errorMap: () => ({ message: 'Tipo inválido. Debe ser: escribir_coil, escribir_coils o escribir_registro' }),
+  }),
+  direccion: z.number().int().min(0).max(65535),
+  valor: z.union([z.boolean(), z.number().int().min(0).max(65535)]).optional(),
+  valores: z.array(z.boolean()).min(1).max(1968).optional(),
+  motivo: z.string().trim().max(500).optional(),
+}).superRefine((c, ctx) => {
+  if (c.tipo === 'escribir_coil' && typeof c.valor !== 'boolean') {
+    ctx.addIssue({ code: 'custom', path: ['valor'], message: 'escribir_coil requiere valor booleano' });
+  }
+  if (c.tipo === 'escribir_registro' && typeof c.valor !== 'number') {
+    ctx.addIssue({ code: 'custom', path: ['valor'], message: 'escribir_registro requiere valor entero (0-65535)' });
+  }
+  if (c.tipo === 'escribir_coils' && !c.valores) {
+    ctx.addIssue({ code: 'custom', path: ['valores'], message: 'escribir_coils requiere valores (array de booleanos)' });
+  }
+});
+
+const esquemaReportarResultadoComando = z.object({
+  exito: z.boolean(),
+  tiempoRespuestaMs: z.number().min(0).optional(),
+  errorMensaje: z.string().max(1000).optional(),
+});
+
+module.exports = {
+  esquemaSolicitarComando,
+  esquemaReportarResultadoComando,
+};
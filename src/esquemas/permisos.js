@@ -1,14 +1,26 @@
 // src/esquemas/permisos.js
 const { z } = require('zod');
 
+// rolPersonalizadoId: rol de roles_workspace; sus capacidades reemplazan a las del rol fijo
 const esquemaAgregarPermiso = z.object({
   email: z.string().trim().email('Debe ser un email válido').max(200),
-  rol: z.string().trim().min(1, 'El rol es requerido').max(50),
-});
+  rol: z.string().trim().min(1, 'El rol es requerido').max(50).optional(),
+  rolPersonalizadoId: z.string().uuid('rolPersonalizadoId debe ser un UUID válido').optional(),
+  // Vigencia de la invitación si el email todavía no tiene cuenta
+  diasVigencia: z.number().int().min(1).max(90).optional(),
+}).refine(
+  (p) => p.rol !== undefined || p.rolPersonalizadoId !== undefined,
+  { message: 'El rol es requerido', path: ['rol'] }
+);
 
+// rolPersonalizadoId: null quita el rol personalizado y vuelve al rol fijo
 const esquemaActualizarPermiso = z.object({
-  rol: z.string().trim().min(1, 'El rol es requerido').max(50),
-});
+  rol: z.string().trim().min(1, 'El rol no puede estar vacío').max(50).optional(),
+  rolPersonalizadoId: z.string().uuid('rolPersonalizadoId debe ser un UUID válido').nullable().optional(),
+}).refine(
+  (p) => p.rol !== undefined || p.rolPersonalizadoId !== undefined,
+  { message: 'Debe indicar rol o rolPersonalizadoId', path: ['rol'] }
+);
 
 module.exports = {
   esquemaAgregarPermiso,
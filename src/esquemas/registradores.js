@@ -30,8 +30,14 @@ const esquemaToggleActivo = z.object({
   activo: z.boolean(),
 });
 
+const esquemaMigrarLecturasLegado = z.object({
+  registradorIds: z.array(z.string().uuid('registradorIds debe contener UUIDs válidos')).max(500).optional(),
+  simular: z.boolean().optional(),
+}).default({});
+
 module.exports = {
   esquemaCrearRegistrador,
   esquemaActualizarRegistrador,
   esquemaToggleActivo,
+  esquemaMigrarLecturasLegado,
 };
@@ -0,0 +1,46 @@
+// src/esquemas/releasesAgente.js
+const { z } = require('zod');
+
+const version = z.string().trim().regex(/^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/, 'La versión debe tener el formato x.y.z (opcionalmente x.y.z-sufijo)').max(50);
+const canal = z.enum(['stable', 'beta'], { message: 'Canal inválido. Debe ser: stable o beta' });
+
+// Metadatos de la subida (van en la query: el body es el archivo)
+const esquemaSubirRelease = z.object({
+  version,
+  canal: canal.default('stable'),
+  nombreArchivo: z.string().trim().regex(/^[A-Za-z0-9._-]{1,200}$/, 'nombreArchivo solo admite letras, números, punto, guion y guion bajo').optional(),
+  sha256: z.string().trim().regex(/^[0-9a-fA-F]{64}$/, 'sha256 debe ser un hash hexadecimal de 64 caracteres').optional(),
+  notas: z.string().trim().max(2000).optional(),
+});
+
+const esquemaActualizarRelease = z.object({
+  canal: canal.optional(),
+  retirado: z.boolean().optional(),
+  notas: z.string().trim().max(2000).nullable().optional(),
+});
+
+// Body opcional: sin agenteIds se evalúan todos los agentes activos
+const esquemaDesplegarRelease = z.object({
+  agenteIds: z.array(z.string().uuid('agenteIds debe contener UUIDs válidos')).min(1).max(500).optional(),
+}).default({});
+
+const esquemaConfigurarActualizacionAgente = z.object({
+  canal: canal.optional(),
+  versionFijada: version.nullable().optional(),
+}).refine(d => d.canal !== undefined || d.versionFijada !== undefined, {
+  message: 'Indique canal o versionFijada',
+});
+
+const esquemaResultadoActualizacion = z.object({
+  exito: z.boolean(),
+  version: z.string().trim().max(50).optional(),
+  error: z.string().max(2000).optional(),
+});
+
+module.exports = {
+  esquemaSubirRelease,
+  esquemaActualizarRelease,
+  esquemaDesplegarRelease,
+  esquemaConfigurarActualizacionAgente,
+  esquemaResultadoActualizacion,
+};
@@ -0,0 +1,28 @@
+// src/esquemas/retencion.js
+const { z } = require('zod');
+
+// Días de un nivel; null = sin límite
+const dias = z.number().int().min(1).max(36500).nullable();
+
+// a <= b con null = sin límite
+const noSupera = (a, b) => b === null || (a !== null && a <= b);
+
+// Cada nivel debe durar al menos lo que el anterior: el histórico ubica el límite entre
+// niveles a partir de los agregados de hora, así que no pueden purgarse antes que los de minuto
+const esquemaGuardarRetencion = z.object({
+  registradorId: z.string().uuid('registradorId debe ser un UUID válido').optional(),
+  crudoDias: dias,
+  minutoDias: dias,
+  horaDias: dias,
+}).superRefine((p, ctx) => {
+  if (!noSupera(p.crudoDias, p.minutoDias)) {
+    ctx.addIssue({ code: 'custom', path: ['minutoDias'], message: 'minutoDias debe ser mayor o igual que crudoDias (null = sin límite)' });
+  }
+  if (!noSupera(p.minutoDias, p.horaDias)) {
+    ctx.addIssue({ code: 'custom', path: ['horaDias'], message: 'horaDias debe ser mayor o igual que minutoDias (null = sin límite)' });
+  }
+});
+
+module.exports = {
+  esquemaGuardarRetencion,
+};
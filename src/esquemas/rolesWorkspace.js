@@ -0,0 +1,22 @@
+// src/esquemas/rolesWorkspace.js
+const { z } = require('zod');
+
+// Las capacidades se validan contra el catálogo en el controlador
+const capacidades = z.array(z.string().trim().min(1).max(50)).min(1, 'Debe incluir al menos una capacidad').max(100);
+
+const esquemaCrearRolWorkspace = z.object({
+  nombre: z.string().trim().min(1, 'El nombre es requerido').max(100),
+  descripcion: z.string().trim().max(500).optional(),
+  capacidades,
+});
+
+const esquemaActualizarRolWorkspace = z.object({
+  nombre: z.string().trim().min(1, 'El nombre no puede estar vacío').max(100).optional(),
+  descripcion: z.string().trim().max(500).nullable().optional(),
+  capacidades: capacidades.optional(),
+});
+
+module.exports = {
+  esquemaCrearRolWorkspace,
+  esquemaActualizarRolWorkspace,
+};
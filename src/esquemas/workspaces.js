@@ -11,7 +11,71 @@ const esquemaActualizarWorkspace = z.object({
   descripcion: z.string().trim().max(500).optional(),
 });
 
+// Paquete generado por GET /workspaces/:id/export (versión 1)
+// Los objetos de configuración (card_design, funcionalidades...) se copian tal cual
+const esquemaPaqueteWorkspace = z.object({
+  formato: z.literal('lector-mediciones/workspace', { message: 'El archivo no es un paquete de workspace' }),
+  version: z.literal(1, { message: 'Versión de paquete no soportada' }),
+  workspace: z.object({
+    nombre: z.string().trim().min(1).max(100),
+    descripcion: z.string().max(500).nullable().optional(),
+  }),
+  transformadores: z.array(z.object({
+    id: z.string().optional(),
+    tipo: z.enum(['TI', 'TV', 'REL']),
+    nombre: z.string().trim().min(1).max(100),
+    formula: z.string().trim().min(1).max(500),
+    descripcion: z.string().max(500).nullable().optional(),
+  })).default([]),
+  plantillas: z.array(z.object({
+    id: z.string().optional(),
+    tipo_dispositivo: z.enum(['rele', 'analizador']),
+    nombre: z.string().trim().min(1).max(100),
+    descripcion: z.string().max(500).nullable().optional(),
+    funcionalidades: z.record(z.string(), z.unknown()).nullable().optional(),
+    etiquetas_bits: z.record(z.string(), z.unknown()).nullable().optional(),
+    plantilla_etiquetas_id: z.string().nullable().optional(),
+  })).default([]),
+  agentes: z.array(z.object({
+    id: z.string().uuid(),
+    nombre: z.string().optional(),
+  })).default([]),
+  registradores: z.array(z.object({
+    id: z.string().uuid(),
+    agente_id: z.string().uuid().nullable().optional(),
+  })).default([]),
+  puestos: z.array(z.object({
+    id: z.string().optional(),
+    nombre: z.string().trim().min(1).max(100),
+    descripcion: z.string().max(500).nullable().optional(),
+    orden: z.number().int().min(0).nullable().optional(),
+    color: z.string().max(20).nullable().optional(),
+    bg_color: z.string().max(20).nullable().optional(),
+    gaps_verticales: z.number().min(0).nullable().optional(),
+    escala: z.number().min(0.1).max(10).nullable().optional(),
+    alimentadores: z.array(z.object({
+      id: z.string().optional(),
+      nombre: z.string().trim().min(1).max(100),
+      color: z.string().max(20).nullable().optional(),
+      orden: z.number().int().min(0).nullable().optional(),
+      registrador_id: z.string().uuid().nullable().optional(),
+      intervalo_consulta_ms: z.number().int().min(1000).max(60000).nullable().optional(),
+      card_design: z.record(z.string(), z.unknown()).nullable().optional(),
+      gap_horizontal: z.number().min(0).nullable().optional(),
+      escala: z.number().min(0.1).max(10).nullable().optional(),
+      config_tarjeta: z.record(z.string(), z.unknown()).nullable().optional(),
+    })).default([]),
+  })).default([]),
+});
+
+const esquemaImportarWorkspace = z.object({
+  paquete: esquemaPaqueteWorkspace,
+  nombre: z.string().trim().min(1, 'El nombre no puede estar vacío').max(100).optional(),
+  vincularAgentes: z.boolean().optional(),
+});
+
 module.exports = {
   esquemaCrearWorkspace,
   esquemaActualizarWorkspace,
+  esquemaImportarWorkspace,
 };
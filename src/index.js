@@ -7,6 +7,12 @@ const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
 const { inicializarFirebase, firebaseDisponible } = require('./servicios/notificacionesService');
+const { iniciarWatchdog } = require('./servicios/watchdogService');
+const { iniciarDistribucionSSE } = require('./controllers/sseController');
+const { iniciarTiempoReal } = require('./servicios/tiempoRealService');
+const { iniciarPurgaPapelera } = require('./servicios/papeleraService');
+const { iniciarRetencionLecturas } = require('./servicios/retencionLecturasService');
+const { iniciarEnergia } = require('./servicios/energiaService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -50,6 +56,9 @@ app.use(cors({
 console.log('[CORS] Orígenes permitidos:', process.env.CORS_ALLOW_ALL === 'true' ? 'TODOS' : origensPermitidos);
 
 // Parsear JSON
+// Los paquetes de POST /workspaces/import pueden superar los 100kb por defecto: esa ruta
+// se parsea antes con límite ampliado y el parser global la saltea (el body ya está leído)
+app.post('/api/workspaces/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Logging básico de requests
@@ -108,6 +117,28 @@ app.use((err, req, res, next) => {
 // Intentar inicializar Firebase para push notifications
 inicializarFirebase();
 
+// Watchdog de agentes/registradores sin datos
+iniciarWatchdog();
+
+// Purga periódica de la papelera (workspaces, puestos y alimentadores eliminados)
+iniciarPurgaPapelera();
+
+// Retención de lecturas: consolida las crudas vencidas en agregados y purga por niveles
+iniciarRetencionLecturas();
+
+// Energía y demanda de 15 min por registrador (reportes por alimentador)
+iniciarEnergia();
+
+// Pub/sub entre instancias para entregar eventos SSE a agentes conectados en otra instancia
+iniciarDistribucionSSE().catch(err => {
+  console.error('[SSE] No se pudo iniciar la distribución entre instancias:', err.message);
+});
+
+// Canal en tiempo real para usuarios del dashboard (recibe eventos de otras instancias)
+iniciarTiempoReal().catch(err => {
+  console.error('[TiempoReal] No se pudo iniciar la distribución entre instancias:', err.message);
+});
+
 app.listen(PORT, () => {
   const firebaseStatus = firebaseDisponible() ? '✓ Push Notifications activas' : '✗ Push Notifications deshabilitadas';
   console.log(`
@@ -0,0 +1,130 @@
+// src/middleware/auditoria.js
+// Middleware auditar(): registra en auditoría los cambios hechos por una ruta
+//
+// Uso en rutas (después de validar, antes del controlador):
+//   router.put('/puestos/:id', verificarToken, validar(esquema), auditar('puesto', { tabla: 'puestos' }), ...)
+//
+// Con `tabla`, carga la fila antes del controlador y la vuelve a leer al terminar para
+// guardar el diff. Sin fila que comparar (reordenar, migrar, vincular...) se guarda el body.
+// Solo se registran respuestas exitosas (2xx); el registro corre después de responder.
+
+const supabase = require('../config/supabase');
+const { registrarAuditoria } = require('../servicios/auditoriaService');
+
+const ACCION_POR_METODO = {
+  POST: 'crear',
+  PUT: 'actualizar',
+  PATCH: 'actualizar',
+  DELETE: 'eliminar',
+};
+
+/**
+ * Lee una fila por id (null si no existe o falla la consulta)
+ */
+async function cargarFila(tabla, id) {
+  const { data } = await supabase
+    .from(tabla)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+  return data || null;
+}
+
+/**
+ * ID de la entidad creada, tomado de la respuesta: { id } o { <entidad>: { id } }
+ */
+function idDeRespuesta(cuerpo) {
+  if (!cuerpo || typeof cuerpo !== 'object') return null;
+  if (cuerpo.id) return cuerpo.id;
+  const anidado = Object.values(cuerpo).find(v => v && typeof v === 'object' && !Array.isArray(v) && v.id);
+  return anidado?.id || null;
+}
+
+/**
+ * Workspace al que pertenece el cambio
+ * Orden: workspace_id de la fila, workspace del puesto de la fila, params/body/query.
+ */
+async function resolverWorkspace(req, fila) {
+  if (fila?.workspace_id) return fila.workspace_id;
+
+  const puestoId = fila?.puesto_id || req.params.puestoId;
+  if (puestoId) {
+    const { data: puesto } = await supabase
+      .from('puestos')
+      .select('workspace_id')
+      .eq('id', puestoId)
+      .maybeSingle();
+    if (puesto) return puesto.workspace_id;
+  }
+
+  return req.params.workspaceId || req.body?.workspaceId || req.query.workspaceId || null;
+}
+
+/**
+ * Middleware que audita la ruta
+ * @param {string} entidad - Tipo de entidad (puesto, alimentador, registrador...)
+ * @param {object} [opciones]
+ * @param {string} [opciones.tabla] - Tabla de la entidad, para guardar antes/después
+ * @param {string} [opciones.accion] - Default según el método: POST crear, PUT/PATCH actualizar, DELETE eliminar
+ * @param {(req) => string|null} [opciones.id] - ID de la entidad existente (default: req.params.id)
+ * @param {(req, fila) => string|null} [opciones.workspace] - Workspace del cambio (default: resolverWorkspace)
+ */
+function auditar(entidad, opciones = {}) {
+  const obtenerId = opciones.id || ((req) => req.params.id || null);
+
+  return async (req, res, next) => {
+    const accion = opciones.accion || ACCION_POR_METODO[req.method] || req.method.toLowerCase();
+    const idSolicitud = obtenerId(req);
+
+    let antes = null;
+    if (opciones.tabla && idSolicitud) {
+      try {
+        antes = await cargarFila(opciones.tabla, idSolicitud);
+      } catch (err) {
+        console.error(`Error cargando ${entidad} para auditoría:`, err.message);
+      }
+    }
+
+    let cuerpoRespuesta;
+    const jsonOriginal = res.json.bind(res);
+    res.json = (cuerpo) => {
+      cuerpoRespuesta = cuerpo;
+      return jsonOriginal(cuerpo);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+      (async () => {
+        const entidadId = idSolicitud || idDeRespuesta(cuerpoRespuesta);
+        const despues = opciones.tabla && entidadId && accion !== 'eliminar'
+          ? await cargarFila(opciones.tabla, entidadId)
+          : null;
+        const fila = despues || antes;
+        const workspaceId = opciones.workspace
+          ? await opciones.workspace(req, fila)
+          : await resolverWorkspace(req, fila);
+
+        await registrarAuditoria({
+          usuarioId: req.user?.id || null,
+          usuarioEmail: req.user?.email || null,
+          accion,
+          entidad,
+          entidadId,
+          workspaceId,
+          antes,
+          despues,
+          detalles: fila ? null : (req.body && Object.keys(req.body).length > 0 ? req.body : null),
+          ip: req.ip || req.headers['x-forwarded-for'] || null,
+          ruta: `${req.method} ${req.originalUrl.split('?')[0]}`,
+        });
+      })().catch(err => console.error(`Error auditando ${accion} ${entidad}:`, err.message));
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  auditar,
+};
@@ -7,18 +7,9 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 /**
- * Middleware que verifica el token JWT del usuario
- * Extrae el usuario del token y lo agrega a req.user
+ * Valida el token con Supabase y agrega el usuario al request
  */
-const verificarToken = async (req, res, next) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Token no proporcionado' });
-  }
-
-  const token = authHeader.split(' ')[1];
-
+async function autenticarConToken(token, req, res, next) {
   try {
     // Crear cliente temporal con el token del usuario
     const supabaseClient = createClient(supabaseUrl, supabaseAnonKey, {
@@ -43,6 +34,40 @@ const verificarToken = async (req, res, next) => {
     console.error('Error verificando token:', error);
     return res.status(500).json({ error: 'Error al verificar autenticación' });
   }
+}
+
+/**
+ * Middleware que verifica el token JWT del usuario
+ * Extrae el usuario del token y lo agrega a req.user
+ */
+const verificarToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Token no proporcionado' });
+  }
+
+  return autenticarConToken(authHeader.split(' ')[1], req, res, next);
+};
+
+/**
+ * Variante para streams SSE del navegador
+ * EventSource no permite enviar headers, así que además del header Authorization
+ * acepta el mismo token de Supabase en el query param ?token=
+ * Usar solo en endpoints SSE: en el resto el token no debe viajar en la URL.
+ */
+const verificarTokenSSE = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return autenticarConToken(authHeader.split(' ')[1], req, res, next);
+  }
+
+  if (typeof req.query.token === 'string' && req.query.token) {
+    return autenticarConToken(req.query.token, req, res, next);
+  }
+
+  return res.status(401).json({ error: 'Token no proporcionado' });
 };
 
-module.exports = { verificarToken };
+module.exports = { verificarToken, verificarTokenSSE };
@@ -5,19 +5,31 @@ const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'lector-mediciones-secret-key-cambiar-en-produccion';
-const TOKEN_EXPIRY = '24h';
+
+// Access token de corta duración; el agente lo renueva con su refresh token (POST /agente/refresh)
+const DURACION_TOKEN_SEGUNDOS = parseInt(process.env.AGENTE_TOKEN_DURACION_SEGUNDOS) || 15 * 60;
 
 /**
  * Genera un token JWT para el agente
+ * emitidoAt (ms) permite compararlo con agentes.tokens_revocados_at sin perder precisión
  */
 function generarTokenAgente(agenteId, nombre) {
   return jwt.sign(
-    { agenteId, nombre, tipo: 'agente' },
+    { agenteId, nombre, tipo: 'agente', emitidoAt: Date.now() },
     JWT_SECRET,
-    { expiresIn: TOKEN_EXPIRY }
+    { expiresIn: DURACION_TOKEN_SEGUNDOS }
   );
 }
 
+/**
+ * Indica si el token se emitió antes de la última revocación de sesiones del agente
+ */
+function tokenRevocado(decoded, tokensRevocadosAt) {
+  if (!tokensRevocadosAt) return false;
+  const emitidoAt = decoded.emitidoAt || decoded.iat * 1000;
+  return emitidoAt < new Date(tokensRevocadosAt).getTime();
+}
+
 /**
  * Middleware que verifica el token JWT del agente
  * Extrae el agente del token y lo agrega a req.agente
@@ -42,7 +54,7 @@ async function verificarTokenAgente(req, res, next) {
     // Verificar que el agente sigue activo en la BD
     const { data: agente, error } = await supabase
       .from('agentes')
-      .select('id, nombre, activo')
+      .select('id, nombre, activo, tokens_revocados_at')
       .eq('id', decoded.agenteId)
       .eq('activo', true)
       .single();
@@ -51,6 +63,10 @@ async function verificarTokenAgente(req, res, next) {
       return res.status(401).json({ error: 'Agente no encontrado o inactivo' });
     }
 
+    if (tokenRevocado(decoded, agente.tokens_revocados_at)) {
+      return res.status(401).json({ error: 'Token revocado', code: 'TOKEN_REVOKED' });
+    }
+
     // Agregar agente al request
     req.agente = {
       id: agente.id,
@@ -71,6 +87,7 @@ async function verificarTokenAgente(req, res, next) {
 }
 
 module.exports = {
+  DURACION_TOKEN_SEGUNDOS,
   generarTokenAgente,
   verificarTokenAgente,
   JWT_SECRET,
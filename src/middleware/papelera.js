@@ -0,0 +1,37 @@
+// src/middleware/papelera.js
+// Middleware workspaceActivo(): rechaza crear elementos dentro de un workspace que está en la papelera
+//
+// Los miembros de un workspace eliminado ya no tienen capacidades en él (politicas.obtenerMembresia),
+// pero el superadmin sí: este 404 evita que se le agreguen puestos, permisos, roles... mientras espera
+// la purga o la restauración.
+
+const supabase = require('../config/supabase');
+
+/**
+ * Middleware que exige que req.params.workspaceId exista y no esté en la papelera
+ */
+async function workspaceActivo(req, res, next) {
+  try {
+    const { data: workspace, error } = await supabase
+      .from('workspaces')
+      .select('id')
+      .eq('id', req.params.workspaceId)
+      .is('eliminado_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!workspace) {
+      return res.status(404).json({ error: 'Workspace no encontrado' });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Error verificando workspace:', err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+}
+
+module.exports = {
+  workspaceActivo,
+};
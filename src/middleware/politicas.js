@@ -0,0 +1,420 @@
+// src/middleware/politicas.js
+// Política centralizada de permisos: matriz rol -> capacidades y middleware requiere()
+//
+// Cada capacidad tiene un alcance:
+//   - workspace: se evalúa con el rol del usuario en el workspace (usuario_workspaces)
+//   - global:    se evalúa con el rol global del usuario (usuarios.rol_id)
+// El superadmin global tiene todas las capacidades en todos los workspaces.
+//
+// Además de los roles fijos, cada workspace puede definir roles personalizados
+// (tabla roles_workspace) con una lista de capacidades de alcance workspace.
+// Un miembro con rol personalizado (usuario_workspaces.rol_workspace_id) tiene
+// exactamente esas capacidades; su rol fijo queda solo como referencia.
+//
+// Uso en rutas:
+//   router.post('/registradores/:id/toggle-activo', verificarToken, requiere('registrador:toggle'), ...)
+// El workspace se toma de req.params.workspaceId, req.body.workspaceId o req.query.workspaceId.
+// Para rutas de un agente, requiere(cap, { agente: (req) => req.params.agenteId }) acepta
+// la capacidad en cualquier workspace vinculado al agente.
+// Cuando el workspace sale de un recurso (una regla, una plantilla...) el controlador
+// carga el recurso y llama a puede(req, capacidad, workspaceId).
+//
+// El acceso a lecturas por agente (usuario_agentes / workspace compartido) no depende
+// del rol y vive en servicios/accesoService.js.
+
+const supabase = require('../config/supabase');
+
+/**
+ * Catálogo de capacidades
+ * descripcion completa el mensaje de error: "No tienes permiso para <descripcion>"
+ */
+const CAPACIDADES = {
+  'workspace:ver': { alcance: 'workspace', descripcion: 'ver este workspace' },
+  'workspace:editar': { alcance: 'workspace', descripcion: 'editar este workspace' },
+  'workspace:crear': { alcance: 'global', descripcion: 'crear workspaces' },
+  'workspace:exportar': { alcance: 'workspace', descripcion: 'exportar la configuración del workspace' },
+  'permisos:ver': { alcance: 'workspace', descripcion: 'ver los usuarios del workspace' },
+  'permisos:gestionar': { alcance: 'workspace', descripcion: 'gestionar los usuarios del workspace' },
+  'puesto:editar': { alcance: 'workspace', descripcion: 'modificar puestos' },
+  'alimentador:editar': { alcance: 'workspace', descripcion: 'modificar alimentadores' },
+  'lecturas:ver': { alcance: 'workspace', descripcion: 'ver lecturas de este workspace' },
+  'lecturas:historico': { alcance: 'workspace', descripcion: 'ver el histórico de lecturas' },
+  'lecturas:exportar': { alcance: 'workspace', descripcion: 'exportar lecturas' },
+  'registrador:ver': { alcance: 'workspace', descripcion: 'ver registradores' },
+  'registrador:crear': { alcance: 'workspace', descripcion: 'crear registradores' },
+  'registrador:editar': { alcance: 'workspace', descripcion: 'editar registradores' },
+  'registrador:eliminar': { alcance: 'workspace', descripcion: 'eliminar registradores' },
+  'registrador:toggle': { alcance: 'workspace', descripcion: 'iniciar o detener mediciones' },
+  'registrador:probar': { alcance: 'workspace', descripcion: 'probar conexiones de registradores' },
+  'transformador:ver': { alcance: 'workspace', descripcion: 'ver transformadores' },
+  'transformador:gestionar': { alcance: 'workspace', descripcion: 'gestionar transformadores' },
+  'plantilla:ver': { alcance: 'workspace', descripcion: 'ver plantillas' },
+  'plantilla:gestionar': { alcance: 'workspace', descripcion: 'gestionar plantillas' },
+  'alarma:ver': { alcance: 'workspace', descripcion: 'ver alarmas' },
+  'alarma:reconocer': { alcance: 'workspace', descripcion: 'reconocer alarmas' },
+  'alarma:configurar': { alcance: 'workspace', descripcion: 'configurar reglas de alarma' },
+  'agente:ver': { alcance: 'workspace', descripcion: 'ver los agentes del workspace' },
+  'agente:vincular': { alcance: 'workspace', descripcion: 'vincular o desvincular agentes' },
+  'agente:rotar-clave': { alcance: 'workspace', descripcion: 'rotar la clave del agente' },
+  'agente:administrar': { alcance: 'global', descripcion: 'administrar agentes' },
+  'comando:ver': { alcance: 'workspace', descripcion: 'ver comandos' },
+  'comando:escribir-registro': { alcance: 'workspace', descripcion: 'escribir registros' },
+  'comando:escribir-coil': { alcance: 'workspace', descripcion: 'escribir coils' },
+  'comando:sin-confirmacion': { alcance: 'workspace', descripcion: 'enviar comandos sin confirmación' },
+  'comando:auditoria': { alcance: 'workspace', descripcion: 'ver la auditoría de comandos' },
+  'auditoria:ver': { alcance: 'workspace', descripcion: 'ver la auditoría del workspace' },
+  'usuario:administrar': { alcance: 'global', descripcion: 'administrar usuarios' },
+  'modelo:gestionar': { alcance: 'global', descripcion: 'gestionar el catálogo de modelos' },
+};
+
+const CAPACIDADES_OBSERVADOR = [
+  'workspace:ver',
+  'permisos:ver',
+  'lecturas:ver',
+  'lecturas:historico',
+  'lecturas:exportar',
+  'registrador:ver',
+  'transformador:ver',
+  'plantilla:ver',
+  'alarma:ver',
+  'agente:ver',
+  'comando:ver',
+];
+
+const CAPACIDADES_OPERADOR = [
+  ...CAPACIDADES_OBSERVADOR,
+  'puesto:editar',
+  'alimentador:editar',
+  'registrador:toggle',
+  'alarma:reconocer',
+  'comando:escribir-registro',
+  'comando:escribir-coil',
+];
+
+const CAPACIDADES_ADMIN = [
+  ...CAPACIDADES_OPERADOR,
+  'workspace:editar',
+  'workspace:exportar',
+  'workspace:crear',
+  'permisos:gestionar',
+  'registrador:crear',
+  'registrador:editar',
+  'registrador:eliminar',
+  'transformador:gestionar',
+  'plantilla:gestionar',
+  'alarma:configurar',
+  'agente:vincular',
+  'agente:rotar-clave',
+  'comando:sin-confirmacion',
+  'comando:auditoria',
+  'auditoria:ver',
+];
+
+/**
+ * Matriz rol -> capacidades
+ * superadmin no figura: tiene todas. Las capacidades que no aparecen en ningún rol
+ * (agente:administrar, usuario:administrar...) son exclusivas del superadmin,
+ * salvo registrador:probar, que un rol personalizado puede otorgar en su workspace.
+ */
+const MATRIZ_ROLES = {
+  observador: new Set(CAPACIDADES_OBSERVADOR),
+  operador: new Set(CAPACIDADES_OPERADOR),
+  admin: new Set(CAPACIDADES_ADMIN),
+};
+
+// Roles ya consultados por request: req -> { global: Promise<string|null>, workspaces: Map<id, Promise<Membresia>> }
+const cachePorRequest = new WeakMap();
+
+function obtenerCache(req) {
+  let cache = cachePorRequest.get(req);
+  if (!cache) {
+    cache = { global: null, workspaces: new Map() };
+    cachePorRequest.set(req, cache);
+  }
+  return cache;
+}
+
+/**
+ * Indica si un rol tiene una capacidad (sin consultar la base de datos)
+ * @param {string|null} rol - Código de rol
+ * @param {string} capacidad - Capacidad del catálogo
+ * @returns {boolean}
+ */
+function tieneCapacidad(rol, capacidad) {
+  if (!rol) return false;
+  if (rol === 'superadmin') return true;
+  return MATRIZ_ROLES[rol]?.has(capacidad) || false;
+}
+
+/**
+ * Rol global del usuario autenticado (consultado una sola vez por request)
+ * @returns {Promise<string|null>}
+ */
+function obtenerRolGlobal(req) {
+  const cache = obtenerCache(req);
+  if (!cache.global) {
+    cache.global = supabase
+      .from('usuarios')
+      .select('rol_id, roles (codigo)')
+      .eq('id', req.user.id)
+      .single()
+      .then(({ data }) => data?.roles?.codigo || null);
+  }
+  return cache.global;
+}
+
+/**
+ * @typedef {object} Membresia
+ * @property {string|null} rol - Código del rol fijo (null si no pertenece al workspace)
+ * @property {{id: string, nombre: string, capacidades: Set<string>}|null} rolPersonalizado
+ */
+
+/**
+ * Membresía del usuario autenticado en un workspace (consultada una sola vez por request y workspace)
+ * Si el workspace está en la papelera se trata como si no fuera miembro.
+ * @returns {Promise<Membresia>}
+ */
+function obtenerMembresia(req, workspaceId) {
+  const cache = obtenerCache(req);
+  if (!cache.workspaces.has(workspaceId)) {
+    cache.workspaces.set(workspaceId, supabase
+      .from('usuario_workspaces')
+      .select('rol_id, roles (codigo), roles_workspace (id, nombre, capacidades), workspaces (eliminado_at)')
+      .eq('workspace_id', workspaceId)
+      .eq('usuario_id', req.user.id)
+      .single()
+      .then(({ data }) => {
+        // Un workspace en la papelera no otorga nada a sus miembros (solo el creador puede restaurarlo)
+        if (!data || data.workspaces?.eliminado_at) {
+          return { rol: null, rolPersonalizado: null };
+        }
+        return {
+          rol: data.roles?.codigo || null,
+          rolPersonalizado: data.roles_workspace
+            ? { ...data.roles_workspace, capacidades: new Set(data.roles_workspace.capacidades || []) }
+            : null,
+        };
+      }));
+  }
+  return cache.workspaces.get(workspaceId);
+}
+
+/**
+ * Rol fijo del usuario autenticado en un workspace
+ * @returns {Promise<string|null>} - null si no pertenece al workspace
+ */
+async function obtenerRolWorkspace(req, workspaceId) {
+  return (await obtenerMembresia(req, workspaceId)).rol;
+}
+
+/**
+ * Indica si el usuario autenticado es superadmin global
+ */
+async function esSuperadmin(req) {
+  return (await obtenerRolGlobal(req)) === 'superadmin';
+}
+
+/**
+ * Rol con el que el usuario actúa en un workspace
+ * El superadmin global actúa como 'superadmin' aunque no sea miembro.
+ * @returns {Promise<string|null>}
+ */
+async function obtenerRolEfectivo(req, workspaceId) {
+  if (await esSuperadmin(req)) {
+    return 'superadmin';
+  }
+  return workspaceId ? obtenerRolWorkspace(req, workspaceId) : null;
+}
+
+/**
+ * Verifica si el usuario autenticado tiene una capacidad
+ * @param {object} req - Request con req.user
+ * @param {string} capacidad - Capacidad del catálogo
+ * @param {string|null} workspaceId - Requerido para capacidades de alcance workspace
+ * @returns {Promise<boolean>}
+ */
+async function puede(req, capacidad, workspaceId = null) {
+  const definicion = CAPACIDADES[capacidad];
+  if (!definicion) {
+    throw new Error(`Capacidad desconocida: ${capacidad}`);
+  }
+
+  const rolGlobal = await obtenerRolGlobal(req);
+  if (rolGlobal === 'superadmin') {
+    return true;
+  }
+
+  if (definicion.alcance === 'global') {
+    return tieneCapacidad(rolGlobal, capacidad);
+  }
+
+  if (!workspaceId) {
+    return false;
+  }
+
+  const { rol, rolPersonalizado } = await obtenerMembresia(req, workspaceId);
+  if (rolPersonalizado) {
+    return rolPersonalizado.capacidades.has(capacidad);
+  }
+  return tieneCapacidad(rol, capacidad);
+}
+
+/**
+ * Verifica si el usuario tiene una capacidad en alguno de los workspaces vinculados a un agente
+ * @returns {Promise<boolean>}
+ */
+async function puedeEnAgente(req, capacidad, agenteId) {
+  if (await esSuperadmin(req)) {
+    return true;
+  }
+
+  const { data: vinculos } = await supabase
+    .from('workspace_agentes')
+    .select('workspace_id')
+    .eq('agente_id', agenteId);
+
+  for (const { workspace_id: workspaceId } of vinculos || []) {
+    if (await puede(req, capacidad, workspaceId)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Agente al que pertenece un registrador
+ * @returns {Promise<string|null>} - null si el registrador no existe
+ */
+async function agenteDeRegistrador(registradorId) {
+  const { data, error } = await supabase
+    .from('registradores')
+    .select('agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (error || !data) return null;
+  return data.agente_id;
+}
+
+/**
+ * Capacidades de alcance workspace que tiene el usuario autenticado (para que el frontend adapte la UI)
+ * @returns {Promise<string[]>}
+ */
+async function capacidadesEnWorkspace(req, workspaceId) {
+  const capacidades = [];
+  for (const [capacidad, { alcance }] of Object.entries(CAPACIDADES)) {
+    if (alcance === 'workspace' && await puede(req, capacidad, workspaceId)) {
+      capacidades.push(capacidad);
+    }
+  }
+  return capacidades;
+}
+
+/**
+ * Capacidades de la lista que el usuario autenticado no tiene en el workspace
+ * Nadie puede otorgar (vía roles personalizados) capacidades que no tiene.
+ * @returns {Promise<string[]>}
+ */
+async function capacidadesNoDelegables(req, capacidades, workspaceId) {
+  const faltantes = [];
+  for (const capacidad of capacidades) {
+    if (!await puede(req, capacidad, workspaceId)) {
+      faltantes.push(capacidad);
+    }
+  }
+  return faltantes;
+}
+
+/**
+ * Mensaje de error 403 para una capacidad
+ */
+function mensajeSinPermiso(capacidad) {
+  return `No tienes permiso para ${CAPACIDADES[capacidad]?.descripcion || capacidad}`;
+}
+
+/**
+ * Workspace por defecto de una ruta: params, body o query
+ */
+function workspaceDeRequest(req) {
+  return req.params.workspaceId || req.body?.workspaceId || req.query.workspaceId || null;
+}
+
+/**
+ * Middleware que exige una capacidad
+ * @param {string} capacidad - Capacidad del catálogo
+ * @param {{workspace?: (req) => string|null, agente?: (req) => string|null, registrador?: (req) => string|null}} opciones
+ *   workspace: cómo obtener el workspace (default: workspaceDeRequest)
+ *   agente: evaluar en los workspaces vinculados a este agente en lugar de uno solo
+ *   registrador: como agente, con el agente del registrador (404 si no existe); el workspace
+ *     sale del recurso, no de lo que envía el cliente
+ */
+function requiere(capacidad, opciones = {}) {
+  const definicion = CAPACIDADES[capacidad];
+  if (!definicion) {
+    // Falla al registrar la ruta, no en el primer request
+    throw new Error(`Capacidad desconocida: ${capacidad}`);
+  }
+
+  const resolverWorkspace = opciones.workspace || workspaceDeRequest;
+
+  const middleware = async (req, res, next) => {
+    try {
+      if (definicion.alcance === 'workspace' && opciones.registrador) {
+        const agenteId = await agenteDeRegistrador(opciones.registrador(req));
+        if (!agenteId) {
+          return res.status(404).json({ error: 'Registrador no encontrado' });
+        }
+        if (!await puedeEnAgente(req, capacidad, agenteId)) {
+          return res.status(403).json({ error: mensajeSinPermiso(capacidad) });
+        }
+        return next();
+      }
+
+      if (definicion.alcance === 'workspace' && opciones.agente) {
+        if (!await puedeEnAgente(req, capacidad, opciones.agente(req))) {
+          return res.status(403).json({ error: mensajeSinPermiso(capacidad) });
+        }
+        return next();
+      }
+
+      let workspaceId = null;
+
+      if (definicion.alcance === 'workspace') {
+        workspaceId = resolverWorkspace(req);
+        if (!workspaceId) {
+          return res.status(400).json({ error: 'workspaceId es requerido' });
+        }
+      }
+
+      if (!await puede(req, capacidad, workspaceId)) {
+        return res.status(403).json({ error: mensajeSinPermiso(capacidad) });
+      }
+
+      next();
+    } catch (err) {
+      console.error('Error verificando permisos:', err);
+      res.status(500).json({ error: 'Error interno del servidor' });
+    }
+  };
+
+  // Permite recorrer el router y saber qué capacidad exige cada ruta (test/rutasPermisos.test.js)
+  middleware.capacidad = capacidad;
+  return middleware;
+}
+
+module.exports = {
+  CAPACIDADES,
+  MATRIZ_ROLES,
+  tieneCapacidad,
+  obtenerRolGlobal,
+  obtenerMembresia,
+  obtenerRolWorkspace,
+  obtenerRolEfectivo,
+  esSuperadmin,
+  puede,
+  puedeEnAgente,
+  capacidadesEnWorkspace,
+  capacidadesNoDelegables,
+  mensajeSinPermiso,
+  requiere,
+};
@@ -8,6 +8,7 @@ const VENTANA_MS = 60 * 1000; // 60 segundos
 const LIMPIEZA_MS = 5 * 60 * 1000; // 5 minutos
 
 // Limpiar entries viejas cada 5 minutos para evitar memory leak
+// (unref: la limpieza sola no mantiene vivo el proceso, por ejemplo al cargar las rutas en los tests)
 setInterval(() => {
   const ahora = Date.now();
   for (const [clave, valor] of almacen) {
@@ -15,7 +16,7 @@ setInterval(() => {
       almacen.delete(clave);
     }
   }
-}, LIMPIEZA_MS);
+}, LIMPIEZA_MS).unref();
 
 /**
  * Crea un middleware de rate limiting por IP
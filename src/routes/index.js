@@ -4,34 +4,43 @@
 const express = require('express');
 const router = express.Router();
 
-const { verificarToken } = require('../middleware/auth');
+const { verificarToken, verificarTokenSSE } = require('../middleware/auth');
 const { verificarTokenAgente } = require('../middleware/authAgente');
 const { rateLimitAuth, rateLimitAgente, rateLimitPing } = require('../middleware/rateLimiter');
 const { validar } = require('../middleware/validar');
+const { workspaceActivo } = require('../middleware/papelera');
+const { requiere } = require('../middleware/politicas');
+const { auditar } = require('../middleware/auditoria');
 
 // Importar esquemas de validación
 const { esquemaCrearPerfil, esquemaActualizarWorkspaceDefault } = require('../esquemas/usuarios');
-const { esquemaCrearWorkspace, esquemaActualizarWorkspace } = require('../esquemas/workspaces');
+const { esquemaCrearWorkspace, esquemaActualizarWorkspace, esquemaImportarWorkspace } = require('../esquemas/workspaces');
 const { esquemaCrearPuesto, esquemaActualizarPuesto, esquemaReordenarPuestos } = require('../esquemas/puestos');
 const { esquemaCrearAlimentador, esquemaActualizarAlimentador, esquemaReordenarAlimentadores, esquemaMoverAlimentador } = require('../esquemas/alimentadores');
 const { esquemaAgregarPermiso, esquemaActualizarPermiso } = require('../esquemas/permisos');
+const { esquemaCrearRolWorkspace, esquemaActualizarRolWorkspace } = require('../esquemas/rolesWorkspace');
 const { esquemaGuardarPreferencias, esquemaActualizarPreferencias } = require('../esquemas/preferencias');
 const { esquemaRegistrarDispositivo } = require('../esquemas/dispositivos');
-const { esquemaSolicitarVinculacion, esquemaDesvincularAgente, esquemaRotarClave } = require('../esquemas/agentesLegacy');
-const { esquemaCrearAgente, esquemaActualizarAgente, esquemaVincularAgenteWorkspace, esquemaCrearRegistradorAgente, esquemaActualizarRegistradorAgente } = require('../esquemas/adminAgentes');
+const { esquemaSolicitarVinculacion, esquemaDesvincularAgente, esquemaRotarClave, esquemaRevocarClaveAnterior } = require('../esquemas/agentesLegacy');
+const { esquemaCrearAgente, esquemaActualizarAgente, esquemaRotarClaveAgente, esquemaVincularAgenteWorkspace, esquemaCrearRegistradorAgente, esquemaActualizarRegistradorAgente } = require('../esquemas/adminAgentes');
 const { esquemaCambiarRolUsuario, esquemaActualizarAgentesUsuario } = require('../esquemas/adminUsuarios');
-const { esquemaCrearRegistrador, esquemaActualizarRegistrador, esquemaToggleActivo } = require('../esquemas/registradores');
+const { esquemaCrearRegistrador, esquemaActualizarRegistrador, esquemaToggleActivo, esquemaMigrarLecturasLegado } = require('../esquemas/registradores');
 const { esquemaSolicitarTest, esquemaSolicitarTestCoils, esquemaReportarResultadoTest } = require('../esquemas/testRegistrador');
 const { esquemaCrearTransformador, esquemaActualizarTransformador, esquemaMigrarTransformadores } = require('../esquemas/transformadores');
 const { esquemaCrearPlantilla, esquemaActualizarPlantilla, esquemaMigrarPlantillas } = require('../esquemas/plantillasDispositivo');
 const { esquemaCrearModelo, esquemaCrearConfiguracion } = require('../esquemas/modelosDispositivo');
-const { esquemaAuth, esquemaHeartbeat, esquemaLecturas, esquemaLog, esquemaVincular } = require('../esquemas/agente');
+const { esquemaAuth, esquemaRefresh, esquemaHeartbeat, esquemaLecturas, esquemaLog, esquemaVincular } = require('../esquemas/agente');
+const { esquemaCrearReglaAlarma, esquemaActualizarReglaAlarma, esquemaReconocerAlarma } = require('../esquemas/alarmas');
+const { esquemaSolicitarComando, esquemaReportarResultadoComando } = require('../esquemas/comandos');
+const { esquemaGuardarRetencion } = require('../esquemas/retencion');
+const { esquemaActualizarRelease, esquemaDesplegarRelease, esquemaConfigurarActualizacionAgente, esquemaResultadoActualizacion } = require('../esquemas/releasesAgente');
 
 // Importar controladores
 const workspacesController = require('../controllers/workspacesController');
 const puestosController = require('../controllers/puestosController');
 const alimentadoresController = require('../controllers/alimentadoresController');
 const permisosController = require('../controllers/permisosController');
+const rolesWorkspaceController = require('../controllers/rolesWorkspaceController');
 const preferenciasController = require('../controllers/preferenciasController');
 const lecturasController = require('../controllers/lecturasController');
 const agentesController = require('../controllers/agentesController');
@@ -46,6 +55,14 @@ const dispositivosController = require('../controllers/dispositivosController');
 const transformadoresController = require('../controllers/transformadoresController');
 const plantillasDispositivoController = require('../controllers/plantillasDispositivoController');
 const modelosDispositivoController = require('../controllers/modelosDispositivoController');
+const alarmasController = require('../controllers/alarmasController');
+const comandosController = require('../controllers/comandosController');
+const tiempoRealController = require('../controllers/tiempoRealController');
+const auditoriaController = require('../controllers/auditoriaController');
+const retencionController = require('../controllers/retencionController');
+const energiaController = require('../controllers/energiaController');
+const eventosController = require('../controllers/eventosController');
+const releasesAgenteController = require('../controllers/releasesAgenteController');
 
 // ============================================
 // Rutas de salud/status
@@ -110,37 +127,57 @@ router.put('/usuarios/workspace-default', verificarToken, validar(esquemaActuali
 // Rutas de workspaces
 // ============================================
 router.get('/workspaces', verificarToken, workspacesController.obtenerWorkspaces);
-router.get('/workspaces/:id', verificarToken, workspacesController.obtenerWorkspace);
-router.post('/workspaces', verificarToken, validar(esquemaCrearWorkspace), workspacesController.crearWorkspace);
-router.put('/workspaces/:id', verificarToken, validar(esquemaActualizarWorkspace), workspacesController.actualizarWorkspace);
-router.delete('/workspaces/:id', verificarToken, workspacesController.eliminarWorkspace);
+router.get('/workspaces/papelera', verificarToken, workspacesController.obtenerWorkspacesEliminados);
+router.post('/workspaces/import', verificarToken, requiere('workspace:crear'), validar(esquemaImportarWorkspace), auditar('workspace', { tabla: 'workspaces', accion: 'importar', workspace: (req, fila) => fila?.id || null }), workspacesController.importarWorkspaceJson);
+router.get('/workspaces/:id', verificarToken, requiere('workspace:ver', { workspace: (req) => req.params.id }), workspacesController.obtenerWorkspace);
+router.post('/workspaces', verificarToken, requiere('workspace:crear'), validar(esquemaCrearWorkspace), auditar('workspace', { tabla: 'workspaces', workspace: (req, fila) => fila?.id || req.params.id }), workspacesController.crearWorkspace);
+router.put('/workspaces/:id', verificarToken, requiere('workspace:editar', { workspace: (req) => req.params.id }), validar(esquemaActualizarWorkspace), auditar('workspace', { tabla: 'workspaces', workspace: (req, fila) => fila?.id || req.params.id }), workspacesController.actualizarWorkspace);
+router.get('/workspaces/:id/export', verificarToken, requiere('workspace:exportar', { workspace: (req) => req.params.id }), workspacesController.exportarWorkspaceJson);
+router.get('/workspaces/:id/auditoria', verificarToken, requiere('auditoria:ver', { workspace: (req) => req.params.id }), auditoriaController.obtenerAuditoriaWorkspace);
+router.delete('/workspaces/:id', verificarToken, auditar('workspace', { tabla: 'workspaces', workspace: (req, fila) => fila?.id || req.params.id }), workspacesController.eliminarWorkspace);
+router.post('/workspaces/:id/restaurar', verificarToken, auditar('workspace', { tabla: 'workspaces', accion: 'restaurar', workspace: (req, fila) => fila?.id || req.params.id }), workspacesController.restaurarWorkspace);
+
+// Papelera del workspace (puestos y alimentadores eliminados; se purgan tras PAPELERA_RETENCION_DIAS)
+router.get('/workspaces/:workspaceId/papelera', verificarToken, requiere('workspace:ver'), workspacesController.obtenerPapelera);
 
 // ============================================
 // Rutas de puestos
 // ============================================
-router.get('/workspaces/:workspaceId/puestos', verificarToken, puestosController.obtenerPuestos);
-router.post('/workspaces/:workspaceId/puestos', verificarToken, validar(esquemaCrearPuesto), puestosController.crearPuesto);
-router.put('/workspaces/:workspaceId/puestos/reordenar', verificarToken, validar(esquemaReordenarPuestos), puestosController.reordenarPuestos);
-router.put('/puestos/:id', verificarToken, validar(esquemaActualizarPuesto), puestosController.actualizarPuesto);
-router.delete('/puestos/:id', verificarToken, puestosController.eliminarPuesto);
+router.get('/workspaces/:workspaceId/puestos', verificarToken, requiere('workspace:ver'), puestosController.obtenerPuestos);
+router.post('/workspaces/:workspaceId/puestos', verificarToken, requiere('puesto:editar'), workspaceActivo, validar(esquemaCrearPuesto), auditar('puesto', { tabla: 'puestos' }), puestosController.crearPuesto);
+router.put('/workspaces/:workspaceId/puestos/reordenar', verificarToken, requiere('puesto:editar'), validar(esquemaReordenarPuestos), auditar('puesto', { accion: 'reordenar' }), puestosController.reordenarPuestos);
+router.put('/puestos/:id', verificarToken, validar(esquemaActualizarPuesto), auditar('puesto', { tabla: 'puestos' }), puestosController.actualizarPuesto);
+router.delete('/puestos/:id', verificarToken, auditar('puesto', { tabla: 'puestos' }), puestosController.eliminarPuesto);
+router.post('/puestos/:id/restaurar', verificarToken, auditar('puesto', { tabla: 'puestos', accion: 'restaurar' }), puestosController.restaurarPuesto);
 
 // ============================================
 // Rutas de alimentadores
 // ============================================
 router.get('/puestos/:puestoId/alimentadores', verificarToken, alimentadoresController.obtenerAlimentadores);
-router.post('/puestos/:puestoId/alimentadores', verificarToken, validar(esquemaCrearAlimentador), alimentadoresController.crearAlimentador);
-router.put('/puestos/:puestoId/alimentadores/reordenar', verificarToken, validar(esquemaReordenarAlimentadores), alimentadoresController.reordenarAlimentadores);
-router.put('/alimentadores/:id', verificarToken, validar(esquemaActualizarAlimentador), alimentadoresController.actualizarAlimentador);
-router.put('/alimentadores/:id/mover', verificarToken, validar(esquemaMoverAlimentador), alimentadoresController.moverAlimentador);
-router.delete('/alimentadores/:id', verificarToken, alimentadoresController.eliminarAlimentador);
+router.post('/puestos/:puestoId/alimentadores', verificarToken, validar(esquemaCrearAlimentador), auditar('alimentador', { tabla: 'alimentadores' }), alimentadoresController.crearAlimentador);
+router.put('/puestos/:puestoId/alimentadores/reordenar', verificarToken, validar(esquemaReordenarAlimentadores), auditar('alimentador', { accion: 'reordenar' }), alimentadoresController.reordenarAlimentadores);
+router.put('/alimentadores/:id', verificarToken, validar(esquemaActualizarAlimentador), auditar('alimentador', { tabla: 'alimentadores' }), alimentadoresController.actualizarAlimentador);
+router.put('/alimentadores/:id/mover', verificarToken, validar(esquemaMoverAlimentador), auditar('alimentador', { tabla: 'alimentadores', accion: 'mover' }), alimentadoresController.moverAlimentador);
+router.delete('/alimentadores/:id', verificarToken, auditar('alimentador', { tabla: 'alimentadores' }), alimentadoresController.eliminarAlimentador);
+router.post('/alimentadores/:id/restaurar', verificarToken, auditar('alimentador', { tabla: 'alimentadores', accion: 'restaurar' }), alimentadoresController.restaurarAlimentador);
 
 // ============================================
 // Rutas de permisos
 // ============================================
-router.get('/workspaces/:workspaceId/permisos', verificarToken, permisosController.obtenerPermisos);
-router.post('/workspaces/:workspaceId/permisos', verificarToken, validar(esquemaAgregarPermiso), permisosController.agregarPermiso);
-router.put('/permisos/:id', verificarToken, validar(esquemaActualizarPermiso), permisosController.actualizarPermiso);
-router.delete('/permisos/:id', verificarToken, permisosController.eliminarPermiso);
+router.get('/workspaces/:workspaceId/permisos', verificarToken, requiere('permisos:ver'), permisosController.obtenerPermisos);
+router.post('/workspaces/:workspaceId/permisos', verificarToken, requiere('permisos:gestionar'), workspaceActivo, validar(esquemaAgregarPermiso), auditar('permiso', { tabla: 'usuario_workspaces' }), permisosController.agregarPermiso);
+router.put('/permisos/:id', verificarToken, validar(esquemaActualizarPermiso), auditar('permiso', { tabla: 'usuario_workspaces' }), permisosController.actualizarPermiso);
+router.delete('/permisos/:id', verificarToken, auditar('permiso', { tabla: 'usuario_workspaces' }), permisosController.eliminarPermiso);
+
+// Invitaciones pendientes (POST /workspaces/:workspaceId/permisos invita si el email no tiene cuenta)
+router.get('/workspaces/:workspaceId/invitaciones', verificarToken, requiere('permisos:ver'), permisosController.obtenerInvitaciones);
+router.delete('/invitaciones/:id', verificarToken, auditar('invitacion', { tabla: 'invitaciones_workspace', accion: 'revocar' }), permisosController.revocarInvitacion);
+
+// Roles personalizados del workspace (capacidades granulares)
+router.get('/workspaces/:workspaceId/roles', verificarToken, requiere('permisos:ver'), rolesWorkspaceController.obtenerRoles);
+router.post('/workspaces/:workspaceId/roles', verificarToken, requiere('permisos:gestionar'), workspaceActivo, validar(esquemaCrearRolWorkspace), auditar('rol_workspace', { tabla: 'roles_workspace' }), rolesWorkspaceController.crearRol);
+router.put('/roles-workspace/:id', verificarToken, validar(esquemaActualizarRolWorkspace), auditar('rol_workspace', { tabla: 'roles_workspace' }), rolesWorkspaceController.actualizarRol);
+router.delete('/roles-workspace/:id', verificarToken, auditar('rol_workspace', { tabla: 'roles_workspace' }), rolesWorkspaceController.eliminarRol);
 
 // ============================================
 // Rutas de preferencias de usuario
@@ -155,9 +192,19 @@ router.delete('/workspaces/:workspaceId/preferencias', verificarToken, preferenc
 // ============================================
 router.get('/alimentadores/:alimentadorId/lecturas', verificarToken, lecturasController.obtenerUltimasLecturas);
 router.get('/alimentadores/:alimentadorId/lecturas/historico', verificarToken, lecturasController.obtenerLecturasHistoricas);
+router.get('/alimentadores/:id/energia', verificarToken, energiaController.obtenerEnergia);
+router.get('/alimentadores/:id/demanda', verificarToken, energiaController.obtenerDemanda);
 router.get('/workspaces/:workspaceId/lecturas/ultima', verificarToken, lecturasController.obtenerUltimaLecturaPorWorkspace);
 router.get('/registradores/:registradorId/lecturas', verificarToken, lecturasController.obtenerUltimasLecturasPorRegistrador);
 router.get('/registradores/:registradorId/lecturas/historico', verificarToken, lecturasController.obtenerLecturasHistoricasPorRegistrador);
+router.get('/registradores/:registradorId/lecturas/historico/exportar', verificarToken, lecturasController.exportarLecturasHistoricasPorRegistrador);
+
+// Secuencia de eventos (cambios de bits de estado etiquetados, detectados en la ingesta)
+router.get('/registradores/:registradorId/eventos', verificarToken, eventosController.obtenerEventosRegistrador);
+router.get('/workspaces/:workspaceId/eventos', verificarToken, requiere('lecturas:historico'), eventosController.obtenerEventosWorkspace);
+
+// Stream SSE en tiempo real para el dashboard (lecturas, estado de registradores y alarmas)
+router.get('/workspaces/:workspaceId/tiempo-real', verificarTokenSSE, requiere('lecturas:ver'), tiempoRealController.conectarTiempoReal);
 
 // ============================================
 // Rutas de dispositivos (Push Notifications)
@@ -169,58 +216,74 @@ router.get('/dispositivos', verificarToken, dispositivosController.obtenerDispos
 // ============================================
 // Rutas de agentes (legacy - mantener por compatibilidad)
 // ============================================
-router.post('/agentes/solicitar-vinculacion', verificarToken, validar(esquemaSolicitarVinculacion), agentesController.solicitarVinculacion);
-router.get('/agentes/estado', verificarToken, agentesController.obtenerEstadoVinculacion);
-router.post('/agentes/desvincular', verificarToken, validar(esquemaDesvincularAgente), agentesController.desvincularAgente);
-router.post('/agentes/rotar-clave', verificarToken, validar(esquemaRotarClave), agentesController.rotarClave);
+router.post('/agentes/solicitar-vinculacion', verificarToken, requiere('agente:vincular'), validar(esquemaSolicitarVinculacion), auditar('agente', { accion: 'solicitar_vinculacion' }), agentesController.solicitarVinculacion);
+router.get('/agentes/estado', verificarToken, requiere('agente:ver'), agentesController.obtenerEstadoVinculacion);
+router.post('/agentes/desvincular', verificarToken, requiere('agente:vincular'), validar(esquemaDesvincularAgente), auditar('agente', { accion: 'desvincular' }), agentesController.desvincularAgente);
+router.post('/agentes/rotar-clave', verificarToken, requiere('agente:rotar-clave'), validar(esquemaRotarClave), auditar('agente', { accion: 'rotar_clave' }), agentesController.rotarClave);
+router.post('/agentes/revocar-clave-anterior', verificarToken, requiere('agente:rotar-clave'), validar(esquemaRevocarClaveAnterior), auditar('agente', { accion: 'revocar_clave_anterior' }), agentesController.revocarClaveAnteriorWorkspace);
 
 // ============================================
 // Rutas de agentes (nueva arquitectura N:M)
 // ============================================
 // Panel Admin - CRUD de agentes (solo superadmin)
-router.get('/admin/agentes', verificarToken, adminAgentesController.listarAgentes);
-router.post('/admin/agentes', verificarToken, validar(esquemaCrearAgente), adminAgentesController.crearAgente);
-router.put('/admin/agentes/:id', verificarToken, validar(esquemaActualizarAgente), adminAgentesController.actualizarAgente);
-router.delete('/admin/agentes/:id', verificarToken, adminAgentesController.eliminarAgente);
-router.post('/admin/agentes/:id/rotar-clave', verificarToken, adminAgentesController.rotarClaveAgente);
+router.get('/admin/agentes', verificarToken, requiere('agente:administrar'), adminAgentesController.listarAgentes);
+router.post('/admin/agentes', verificarToken, requiere('agente:administrar'), validar(esquemaCrearAgente), auditar('agente', { tabla: 'agentes' }), adminAgentesController.crearAgente);
+router.put('/admin/agentes/:id', verificarToken, requiere('agente:administrar'), validar(esquemaActualizarAgente), auditar('agente', { tabla: 'agentes' }), adminAgentesController.actualizarAgente);
+router.delete('/admin/agentes/:id', verificarToken, requiere('agente:administrar'), auditar('agente', { tabla: 'agentes' }), adminAgentesController.eliminarAgente);
+router.post('/admin/agentes/:id/rotar-clave', verificarToken, requiere('agente:administrar'), validar(esquemaRotarClaveAgente), auditar('agente', { tabla: 'agentes', accion: 'rotar_clave' }), adminAgentesController.rotarClaveAgente);
+router.delete('/admin/agentes/:id/clave-anterior', verificarToken, requiere('agente:administrar'), auditar('agente', { tabla: 'agentes', accion: 'revocar_clave_anterior' }), adminAgentesController.revocarClaveAnteriorAgente);
+router.get('/admin/agentes/:id/comandos', verificarToken, requiere('agente:administrar'), adminAgentesController.listarComandosAgente);
+
+// Panel Admin - Releases del agente: artefactos, canales, versiones fijadas y despliegues (solo superadmin)
+// La subida lleva el archivo como body binario y los metadatos en la query (se validan en el controlador)
+const recibirArtefacto = express.raw({ type: 'application/octet-stream', limit: process.env.AGENTE_RELEASE_LIMITE || '200mb' });
+router.get('/admin/releases', verificarToken, requiere('agente:administrar'), releasesAgenteController.listarReleases);
+router.post('/admin/releases', verificarToken, requiere('agente:administrar'), recibirArtefacto, auditar('release_agente', { tabla: 'releases_agente' }), releasesAgenteController.subirRelease);
+router.put('/admin/releases/:id', verificarToken, requiere('agente:administrar'), validar(esquemaActualizarRelease), auditar('release_agente', { tabla: 'releases_agente' }), releasesAgenteController.actualizarRelease);
+router.post('/admin/releases/:id/desplegar', verificarToken, requiere('agente:administrar'), validar(esquemaDesplegarRelease), auditar('release_agente', { accion: 'desplegar' }), releasesAgenteController.desplegarRelease);
+router.get('/admin/releases/:id/despliegues', verificarToken, requiere('agente:administrar'), releasesAgenteController.listarDesplieguesRelease);
+router.get('/admin/agentes-versiones', verificarToken, requiere('agente:administrar'), releasesAgenteController.listarVersionesAgentes);
+router.put('/admin/agentes/:id/actualizacion', verificarToken, requiere('agente:administrar'), validar(esquemaConfigurarActualizacionAgente), auditar('agente', { tabla: 'agentes', accion: 'configurar_actualizacion' }), releasesAgenteController.configurarActualizacionAgente);
 
 // Agentes disponibles para vincular (admin+)
 router.get('/agentes/disponibles', verificarToken, adminAgentesController.listarAgentesDisponibles);
 
 // Vinculación workspace-agente (N:M)
-router.get('/workspaces/:workspaceId/agentes', verificarToken, adminAgentesController.listarAgentesWorkspace);
-router.post('/workspaces/:workspaceId/agentes', verificarToken, validar(esquemaVincularAgenteWorkspace), adminAgentesController.vincularAgenteWorkspace);
-router.delete('/workspaces/:workspaceId/agentes/:agenteId', verificarToken, adminAgentesController.desvincularAgenteWorkspace);
+router.get('/workspaces/:workspaceId/agentes', verificarToken, requiere('agente:ver'), adminAgentesController.listarAgentesWorkspace);
+router.post('/workspaces/:workspaceId/agentes', verificarToken, requiere('agente:vincular'), workspaceActivo, validar(esquemaVincularAgenteWorkspace), auditar('agente', { accion: 'vincular', id: (req) => req.body.agenteId }), adminAgentesController.vincularAgenteWorkspace);
+router.delete('/workspaces/:workspaceId/agentes/:agenteId', verificarToken, requiere('agente:vincular'), auditar('agente', { accion: 'desvincular', id: (req) => req.params.agenteId }), adminAgentesController.desvincularAgenteWorkspace);
 
 // Registradores de un agente específico (CRUD - solo superadmin)
 router.get('/agentes/:agenteId/registradores', verificarToken, adminAgentesController.listarRegistradoresAgente);
-router.post('/agentes/:agenteId/registradores', verificarToken, validar(esquemaCrearRegistradorAgente), adminAgentesController.crearRegistradorAgente);
-router.put('/agentes/:agenteId/registradores/:registradorId', verificarToken, validar(esquemaActualizarRegistradorAgente), adminAgentesController.actualizarRegistradorAgente);
-router.delete('/agentes/:agenteId/registradores/:registradorId', verificarToken, adminAgentesController.eliminarRegistradorAgente);
-router.post('/agentes/:agenteId/registradores/:registradorId/toggle', verificarToken, adminAgentesController.toggleRegistradorAgente);
+router.post('/agentes/:agenteId/registradores', verificarToken, requiere('agente:administrar'), validar(esquemaCrearRegistradorAgente), auditar('registrador', { tabla: 'registradores' }), adminAgentesController.crearRegistradorAgente);
+router.put('/agentes/:agenteId/registradores/:registradorId', verificarToken, requiere('agente:administrar'), validar(esquemaActualizarRegistradorAgente), auditar('registrador', { tabla: 'registradores', id: (req) => req.params.registradorId }), adminAgentesController.actualizarRegistradorAgente);
+router.delete('/agentes/:agenteId/registradores/:registradorId', verificarToken, requiere('agente:administrar'), auditar('registrador', { tabla: 'registradores', id: (req) => req.params.registradorId }), adminAgentesController.eliminarRegistradorAgente);
+router.post('/agentes/:agenteId/registradores/:registradorId/toggle', verificarToken, requiere('agente:administrar'), auditar('registrador', { tabla: 'registradores', accion: 'toggle', id: (req) => req.params.registradorId }), adminAgentesController.toggleRegistradorAgente);
 
-// Test de conexión de registrador (superadmin solicita, agente ejecuta)
-router.post('/agentes/:agenteId/test-registrador', verificarToken, validar(esquemaSolicitarTest), testRegistradorController.solicitarTest);
-router.post('/agentes/:agenteId/test-coils', verificarToken, validar(esquemaSolicitarTestCoils), testRegistradorController.solicitarTestCoils);
-router.get('/agentes/:agenteId/test-registrador/:testId', verificarToken, testRegistradorController.consultarTest);
+// Test de conexión de registrador (superadmin o rol con registrador:probar solicita, agente ejecuta)
+router.post('/agentes/:agenteId/test-registrador', verificarToken, requiere('registrador:probar', { agente: (req) => req.params.agenteId }), validar(esquemaSolicitarTest), testRegistradorController.solicitarTest);
+router.post('/agentes/:agenteId/test-coils', verificarToken, requiere('registrador:probar', { agente: (req) => req.params.agenteId }), validar(esquemaSolicitarTestCoils), testRegistradorController.solicitarTestCoils);
+router.get('/agentes/:agenteId/test-registrador/:testId', verificarToken, requiere('registrador:probar', { agente: (req) => req.params.agenteId }), testRegistradorController.consultarTest);
 
 // ============================================
 // Rutas de administración de usuarios (solo superadmin)
 // ============================================
-router.get('/admin/usuarios', verificarToken, adminUsuariosController.listarUsuarios);
-router.get('/admin/usuarios/:id/detalles', verificarToken, adminUsuariosController.obtenerDetallesUsuario);
-router.put('/admin/usuarios/:id/rol', verificarToken, validar(esquemaCambiarRolUsuario), adminUsuariosController.cambiarRolUsuario);
-router.put('/admin/usuarios/:id/agentes', verificarToken, validar(esquemaActualizarAgentesUsuario), adminUsuariosController.actualizarAgentesUsuario);
-router.get('/admin/agentes-disponibles', verificarToken, adminUsuariosController.listarAgentesDisponibles);
+router.get('/admin/usuarios', verificarToken, requiere('usuario:administrar'), adminUsuariosController.listarUsuarios);
+router.get('/admin/usuarios/:id/detalles', verificarToken, requiere('usuario:administrar'), adminUsuariosController.obtenerDetallesUsuario);
+router.put('/admin/usuarios/:id/rol', verificarToken, requiere('usuario:administrar'), validar(esquemaCambiarRolUsuario), auditar('usuario', { tabla: 'usuarios', accion: 'cambiar_rol' }), adminUsuariosController.cambiarRolUsuario);
+router.put('/admin/usuarios/:id/agentes', verificarToken, requiere('usuario:administrar'), validar(esquemaActualizarAgentesUsuario), auditar('usuario', { accion: 'actualizar_agentes' }), adminUsuariosController.actualizarAgentesUsuario);
+router.get('/admin/auditoria', verificarToken, requiere('usuario:administrar'), auditoriaController.obtenerAuditoriaGlobal);
+router.get('/admin/agentes-disponibles', verificarToken, requiere('usuario:administrar'), adminUsuariosController.listarAgentesDisponibles);
+router.post('/admin/migraciones/lecturas-legado', verificarToken, requiere('usuario:administrar'), validar(esquemaMigrarLecturasLegado), auditar('registrador', { accion: 'migrar_lecturas' }), registradoresController.migrarLecturasLegado);
 
 // ============================================
 // Rutas de registradores
 // ============================================
-router.get('/registradores', verificarToken, registradoresController.obtenerRegistradores);
-router.post('/registradores', verificarToken, validar(esquemaCrearRegistrador), registradoresController.crearRegistrador);
-router.put('/registradores/:id', verificarToken, validar(esquemaActualizarRegistrador), registradoresController.actualizarRegistrador);
-router.delete('/registradores/:id', verificarToken, registradoresController.eliminarRegistrador);
-router.post('/registradores/:id/toggle-activo', verificarToken, validar(esquemaToggleActivo), registradoresController.toggleActivo);
+router.get('/registradores', verificarToken, requiere('registrador:ver'), registradoresController.obtenerRegistradores);
+router.post('/registradores', verificarToken, requiere('registrador:crear'), validar(esquemaCrearRegistrador), auditar('registrador', { tabla: 'registradores' }), registradoresController.crearRegistrador);
+router.put('/registradores/:id', verificarToken, requiere('registrador:editar', { registrador: (req) => req.params.id }), validar(esquemaActualizarRegistrador), auditar('registrador', { tabla: 'registradores' }), registradoresController.actualizarRegistrador);
+router.delete('/registradores/:id', verificarToken, requiere('registrador:eliminar', { registrador: (req) => req.params.id }), auditar('registrador', { tabla: 'registradores' }), registradoresController.eliminarRegistrador);
+router.post('/registradores/:id/toggle-activo', verificarToken, requiere('registrador:toggle', { registrador: (req) => req.params.id }), validar(esquemaToggleActivo), auditar('registrador', { tabla: 'registradores', accion: 'toggle' }), registradoresController.toggleActivo);
 router.get('/registradores/:id/funcionalidades', verificarToken, registradoresController.obtenerFuncionalidadesRegistrador);
 
 // ============================================
@@ -229,6 +292,7 @@ router.get('/registradores/:id/funcionalidades', verificarToken, registradoresCo
 // Sin autenticación
 router.get('/agente/ping', rateLimitPing, agenteApiController.ping);
 router.post('/agente/auth', rateLimitAuth, validar(esquemaAuth), agenteApiController.autenticar);
+router.post('/agente/refresh', rateLimitAuth, validar(esquemaRefresh), agenteApiController.refrescarToken);
 
 // Con autenticación JWT del agente
 router.post('/agente/heartbeat', verificarTokenAgente, rateLimitAgente, validar(esquemaHeartbeat), agenteApiController.heartbeat);
@@ -239,28 +303,36 @@ router.post('/agente/vincular', verificarTokenAgente, validar(esquemaVincular),
 
 // SSE para recibir comandos en tiempo real
 router.get('/agente/eventos', verificarTokenAgente, sseController.conectarSSE);
+router.post('/agente/eventos/:comandoAgenteId/ack', verificarTokenAgente, agenteApiController.confirmarEvento);
 
 // Tests de registrador (el agente reporta resultado)
 router.post('/agente/tests/:testId/resultado', verificarTokenAgente, validar(esquemaReportarResultadoTest), testRegistradorController.reportarResultadoTest);
 
+// Comandos de escritura Modbus (el agente reporta resultado)
+router.post('/agente/comandos/:comandoId/resultado', verificarTokenAgente, validar(esquemaReportarResultadoComando), comandosController.reportarResultadoComando);
+
+// Actualizaciones de software (el agente descarga el artefacto y reporta resultado)
+router.get('/agente/releases/:id/descarga', verificarTokenAgente, releasesAgenteController.descargarRelease);
+router.post('/agente/actualizaciones/:despliegueId/resultado', verificarTokenAgente, validar(esquemaResultadoActualizacion), releasesAgenteController.reportarResultadoActualizacion);
+
 // ============================================
 // Rutas de transformadores (TI/TV)
 // ============================================
-router.get('/workspaces/:workspaceId/transformadores', verificarToken, transformadoresController.obtenerTransformadores);
-router.post('/workspaces/:workspaceId/transformadores', verificarToken, validar(esquemaCrearTransformador), transformadoresController.crearTransformador);
-router.post('/workspaces/:workspaceId/transformadores/migrar', verificarToken, validar(esquemaMigrarTransformadores), transformadoresController.migrarTransformadores);
-router.put('/transformadores/:id', verificarToken, validar(esquemaActualizarTransformador), transformadoresController.actualizarTransformador);
-router.delete('/transformadores/:id', verificarToken, transformadoresController.eliminarTransformador);
+router.get('/workspaces/:workspaceId/transformadores', verificarToken, requiere('transformador:ver'), transformadoresController.obtenerTransformadores);
+router.post('/workspaces/:workspaceId/transformadores', verificarToken, requiere('transformador:gestionar'), workspaceActivo, validar(esquemaCrearTransformador), auditar('transformador', { tabla: 'transformadores' }), transformadoresController.crearTransformador);
+router.post('/workspaces/:workspaceId/transformadores/migrar', verificarToken, requiere('transformador:gestionar'), validar(esquemaMigrarTransformadores), auditar('transformador', { accion: 'migrar' }), transformadoresController.migrarTransformadores);
+router.put('/transformadores/:id', verificarToken, validar(esquemaActualizarTransformador), auditar('transformador', { tabla: 'transformadores' }), transformadoresController.actualizarTransformador);
+router.delete('/transformadores/:id', verificarToken, auditar('transformador', { tabla: 'transformadores' }), transformadoresController.eliminarTransformador);
 
 // ============================================
 // Rutas de plantillas de dispositivo (Relés y Analizadores)
 // ============================================
-router.get('/workspaces/:workspaceId/plantillas-dispositivo', verificarToken, plantillasDispositivoController.obtenerPlantillas);
-router.post('/workspaces/:workspaceId/plantillas-dispositivo', verificarToken, validar(esquemaCrearPlantilla), plantillasDispositivoController.crearPlantilla);
-router.post('/workspaces/:workspaceId/plantillas-dispositivo/migrar', verificarToken, validar(esquemaMigrarPlantillas), plantillasDispositivoController.migrarPlantillas);
+router.get('/workspaces/:workspaceId/plantillas-dispositivo', verificarToken, requiere('plantilla:ver'), plantillasDispositivoController.obtenerPlantillas);
+router.post('/workspaces/:workspaceId/plantillas-dispositivo', verificarToken, requiere('plantilla:gestionar'), workspaceActivo, validar(esquemaCrearPlantilla), auditar('plantilla', { tabla: 'plantillas_dispositivo' }), plantillasDispositivoController.crearPlantilla);
+router.post('/workspaces/:workspaceId/plantillas-dispositivo/migrar', verificarToken, requiere('plantilla:gestionar'), validar(esquemaMigrarPlantillas), auditar('plantilla', { accion: 'migrar' }), plantillasDispositivoController.migrarPlantillas);
 router.get('/plantillas-dispositivo/:id', verificarToken, plantillasDispositivoController.obtenerPlantilla);
-router.put('/plantillas-dispositivo/:id', verificarToken, validar(esquemaActualizarPlantilla), plantillasDispositivoController.actualizarPlantilla);
-router.delete('/plantillas-dispositivo/:id', verificarToken, plantillasDispositivoController.eliminarPlantilla);
+router.put('/plantillas-dispositivo/:id', verificarToken, validar(esquemaActualizarPlantilla), auditar('plantilla', { tabla: 'plantillas_dispositivo' }), plantillasDispositivoController.actualizarPlantilla);
+router.delete('/plantillas-dispositivo/:id', verificarToken, auditar('plantilla', { tabla: 'plantillas_dispositivo' }), plantillasDispositivoController.eliminarPlantilla);
 
 // ============================================
 // Rutas de modelos de dispositivo (Catálogo - lectura)
@@ -277,7 +349,32 @@ router.get('/configuraciones-proteccion/:id', verificarToken, modelosDispositivo
 // ============================================
 // Admin: Modelos y configuraciones (solo superadmin)
 // ============================================
-router.post('/admin/modelos-dispositivo', verificarToken, validar(esquemaCrearModelo), modelosDispositivoController.crearModelo);
-router.post('/admin/configuraciones-proteccion', verificarToken, validar(esquemaCrearConfiguracion), modelosDispositivoController.crearConfiguracion);
+router.post('/admin/modelos-dispositivo', verificarToken, requiere('modelo:gestionar'), validar(esquemaCrearModelo), auditar('modelo_dispositivo', { tabla: 'modelos_dispositivo' }), modelosDispositivoController.crearModelo);
+router.post('/admin/configuraciones-proteccion', verificarToken, requiere('modelo:gestionar'), validar(esquemaCrearConfiguracion), auditar('configuracion_proteccion', { tabla: 'configuraciones_proteccion' }), modelosDispositivoController.crearConfiguracion);
+
+// ============================================
+// Rutas de alarmas (reglas por workspace y alarmas generadas en la ingesta)
+// ============================================
+router.get('/workspaces/:workspaceId/reglas-alarma', verificarToken, requiere('alarma:ver'), alarmasController.obtenerReglas);
+router.post('/workspaces/:workspaceId/reglas-alarma', verificarToken, requiere('alarma:configurar'), workspaceActivo, validar(esquemaCrearReglaAlarma), auditar('regla_alarma', { tabla: 'reglas_alarma' }), alarmasController.crearRegla);
+router.put('/reglas-alarma/:id', verificarToken, validar(esquemaActualizarReglaAlarma), auditar('regla_alarma', { tabla: 'reglas_alarma' }), alarmasController.actualizarRegla);
+router.delete('/reglas-alarma/:id', verificarToken, auditar('regla_alarma', { tabla: 'reglas_alarma' }), alarmasController.eliminarRegla);
+router.get('/workspaces/:workspaceId/alarmas', verificarToken, requiere('alarma:ver'), alarmasController.obtenerAlarmas);
+router.post('/alarmas/:id/reconocer', verificarToken, validar(esquemaReconocerAlarma), alarmasController.reconocerAlarma);
+
+// ============================================
+// Rutas de comandos de escritura Modbus (operador solicita y confirma, agente ejecuta)
+// ============================================
+router.post('/registradores/:registradorId/comandos', verificarToken, validar(esquemaSolicitarComando), comandosController.solicitarComando);
+router.post('/comandos/:id/confirmar', verificarToken, comandosController.confirmarComando);
+router.get('/comandos/:id', verificarToken, comandosController.consultarComando);
+router.get('/workspaces/:workspaceId/comandos/auditoria', verificarToken, requiere('comando:auditoria'), comandosController.obtenerAuditoriaComandos);
+
+// ============================================
+// Rutas de retención de lecturas (crudas, agregados por minuto y por hora)
+// ============================================
+router.get('/workspaces/:workspaceId/retencion', verificarToken, requiere('workspace:ver'), retencionController.obtenerRetencion);
+router.put('/workspaces/:workspaceId/retencion', verificarToken, requiere('workspace:editar'), validar(esquemaGuardarRetencion), auditar('politica_retencion', { id: (req) => req.body.registradorId || null }), retencionController.guardarRetencion);
+router.delete('/workspaces/:workspaceId/retencion', verificarToken, requiere('workspace:editar'), auditar('politica_retencion', { id: (req) => req.query.registradorId || null }), retencionController.eliminarRetencion);
 
 module.exports = router;
@@ -0,0 +1,184 @@
+// src/servicios/accesoService.js
+// Reglas de acceso de usuarios a agentes y registradores
+// Compartidas por las consultas de lecturas, eventos y el canal en tiempo real
+
+const supabase = require('../config/supabase');
+const { puedeEnAgente } = require('../middleware/politicas');
+
+/**
+ * Helper: Obtiene los IDs de agentes a los que el usuario tiene acceso
+ * @returns {null} si tiene acceso total (sin filtro)
+ * @returns {string[]} array de IDs de agentes permitidos
+ * @returns {[]} array vacío si no tiene permisos configurados
+ */
+async function obtenerAgentesPermitidos(usuarioId) {
+  if (!usuarioId) {
+    return [];
+  }
+
+  // Primero verificar si es superadmin (tiene acceso a todo)
+  const { data: usuario, error: errorUsuario } = await supabase
+    .from('usuarios')
+    .select('rol_id, roles (codigo)')
+    .eq('id', usuarioId)
+    .single();
+
+  if (errorUsuario || !usuario) {
+    return [];
+  }
+
+  if (usuario?.roles?.codigo === 'superadmin') {
+    return null; // Acceso total
+  }
+
+  // Obtener permisos de agentes del usuario
+  const { data: permisos } = await supabase
+    .from('usuario_agentes')
+    .select('agente_id, acceso_total')
+    .eq('usuario_id', usuarioId);
+
+  if (!permisos || permisos.length === 0) {
+    return []; // Sin permisos configurados
+  }
+
+  // Si tiene acceso total, retornar null (sin filtro)
+  if (permisos.some(p => p.acceso_total)) {
+    return null;
+  }
+
+  // Retornar array de IDs de agentes específicos
+  return permisos.filter(p => p.agente_id).map(p => p.agente_id);
+}
+
+/**
+ * Helper: Verifica si el usuario tiene acceso a los registradores de un agente
+ *
+ * El acceso puede ser:
+ * 1. DIRECTO: usuario tiene permisos en usuario_agentes (acceso_total o agente específico)
+ * 2. TRANSITIVO: usuario es invitado a un workspace que tiene vinculado el agente
+ *    (usuario_workspaces → workspace → workspace_agentes → agente)
+ * @param {string} usuarioId - ID del usuario
+ * @param {string} agenteId - ID del agente
+ * @param {null|string[]} [agentesPermitidos] - Resultado previo de obtenerAgentesPermitidos
+ *   (para no repetir la consulta al evaluar varios agentes)
+ */
+async function tieneAccesoAAgente(usuarioId, agenteId, agentesPermitidos) {
+  if (!agenteId) {
+    return false;
+  }
+
+  // 1. Verificar acceso DIRECTO (permisos en usuario_agentes)
+  if (agentesPermitidos === undefined) {
+    agentesPermitidos = await obtenerAgentesPermitidos(usuarioId);
+  }
+
+  // Acceso total directo
+  if (agentesPermitidos === null) {
+    return true;
+  }
+
+  // Acceso directo a este agente específico
+  if (agentesPermitidos.length > 0 && agentesPermitidos.includes(agenteId)) {
+    return true;
+  }
+
+  // 2. Verificar acceso TRANSITIVO (vía workspace compartido)
+  // El usuario tiene acceso si pertenece a algún workspace que tiene vinculado este agente
+  const { data: accesoTransitivo, error } = await supabase
+    .from('usuario_workspaces')
+    .select(`
+      workspace_id,
+      workspaces!inner (
+        workspace_agentes!inner (
+          agente_id
+        )
+      )
+    `)
+    .eq('usuario_id', usuarioId)
+    .eq('workspaces.workspace_agentes.agente_id', agenteId)
+    .limit(1);
+
+  if (error) {
+    console.error('Error verificando acceso transitivo:', error);
+    return false;
+  }
+
+  // Si encontró al menos un workspace donde el usuario tiene acceso y el agente está vinculado
+  return accesoTransitivo && accesoTransitivo.length > 0;
+}
+
+/**
+ * Helper: Verifica si el usuario tiene acceso a un registrador específico
+ * (mismas reglas que tieneAccesoAAgente, aplicadas al agente del registrador)
+ */
+async function tieneAccesoARegistrador(usuarioId, registradorId) {
+  const { data: registrador } = await supabase
+    .from('registradores')
+    .select('agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (!registrador) {
+    return false;
+  }
+
+  return tieneAccesoAAgente(usuarioId, registrador.agente_id);
+}
+
+/**
+ * Helper: Verifica el acceso a lecturas de un registrador que además exigen una capacidad
+ * (histórico, exportación, eventos). El acceso directo al agente (usuario_agentes) no depende de roles;
+ * el acceso vía workspace requiere la capacidad en algún workspace vinculado al agente.
+ */
+async function tieneCapacidadSobreRegistrador(req, registradorId, capacidad) {
+  const { data: registrador } = await supabase
+    .from('registradores')
+    .select('agente_id')
+    .eq('id', registradorId)
+    .single();
+
+  if (!registrador) {
+    return false;
+  }
+
+  const agentesPermitidos = await obtenerAgentesPermitidos(req.user.id);
+  if (agentesPermitidos === null || agentesPermitidos.includes(registrador.agente_id)) {
+    return true;
+  }
+
+  return puedeEnAgente(req, capacidad, registrador.agente_id);
+}
+
+/**
+ * Helper: Obtiene los agentes vinculados al workspace cuyos registradores puede ver el usuario
+ * @returns {Promise<Set<string>>}
+ */
+async function obtenerAgentesVisibles(usuarioId, workspaceId) {
+  const { data: vinculados, error } = await supabase
+    .from('workspace_agentes')
+    .select('agente_id')
+    .eq('workspace_id', workspaceId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const agentesPermitidos = await obtenerAgentesPermitidos(usuarioId);
+  const visibles = new Set();
+
+  for (const { agente_id: agenteId } of vinculados || []) {
+    if (await tieneAccesoAAgente(usuarioId, agenteId, agentesPermitidos)) {
+      visibles.add(agenteId);
+    }
+  }
+
+  return visibles;
+}
+
+module.exports = {
+  obtenerAgentesPermitidos,
+  tieneAccesoAAgente,
+  obtenerAgentesVisibles,
+  tieneAccesoARegistrador,
+  tieneCapacidadSobreRegistrador,
+};
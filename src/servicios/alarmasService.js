@@ -0,0 +1,309 @@
+// src/servicios/alarmasService.js
+// Motor de alarmas por umbral: evalúa las reglas de cada registrador sobre las lecturas ingresadas
+// y gestiona el ciclo de vida de las alarmas (activa -> reconocida -> normalizada)
+// Tablas reglas_alarma y alarmas: migrations/002_alarmas.sql
+
+const supabase = require('../config/supabase');
+const { aplicarFormula } = require('./formulasService');
+const {
+  obtenerConfiguracionRegistrador,
+  obtenerFormulasPorRegistro,
+  obtenerEtiquetaBit,
+  obtenerEtiquetasBitsRegistro,
+} = require('./funcionalidadesService');
+const { enviarNotificacionAWorkspace } = require('./notificacionesService');
+const { publicarEventoTiempoReal } = require('./tiempoRealService');
+
+const ESTADOS_ABIERTOS = ['activa', 'reconocida'];
+
+/**
+ * Obtiene el valor de una dirección Modbus dentro de una lectura
+ * @returns {number|null}
+ */
+function obtenerValorRegistro(lectura, indiceInicial, registro) {
+  const indice = registro - indiceInicial;
+  const valor = Array.isArray(lectura.valores) ? lectura.valores[indice] : undefined;
+  return typeof valor === 'number' && Number.isFinite(valor) ? valor : null;
+}
+
+/**
+ * Valor que evalúa una regla en una lectura (con la fórmula del transformador si la regla lo pide)
+ * @returns {number|null}
+ */
+function valorDeRegla(regla, lectura, indiceInicial, configuracion) {
+  const valor = obtenerValorRegistro(lectura, indiceInicial, regla.registro);
+  if (valor === null || !regla.aplicar_transformador || regla.tipo === 'bit') return valor;
+
+  const transformador = configuracion?.formulas.get(regla.registro);
+  return transformador ? aplicarFormula(transformador.formula, valor) : valor;
+}
+
+/**
+ * Última lectura exitosa guardada de un registrador anterior a un instante
+ * Da el valor previo de las reglas de tasa de cambio: sale de la base y no de memoria, así
+ * funciona igual con varias instancias, después de un reinicio y con lotes que llegan tarde.
+ * @returns {Promise<{timestamp: string, valores: Array}|null>}
+ */
+async function obtenerLecturaAnterior(registradorId, timestamp) {
+  const { data, error } = await supabase
+    .from('lecturas')
+    .select('timestamp, valores')
+    .eq('registrador_id', registradorId)
+    .eq('exito', true)
+    .lt('timestamp', timestamp)
+    .order('timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[Alarmas] Error obteniendo lectura anterior:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Evalúa si la condición de la regla se cumple
+ * Usa histéresis para normalizar: una alarma activa solo se normaliza
+ * cuando el valor vuelve más allá de umbral ± histeresis.
+ * @param {object} regla - Fila de reglas_alarma
+ * @param {number} valor - Valor actual
+ * @param {{valor: number, timestamp: string}|undefined} anterior - Valor previo (tasa de cambio)
+ * @param {string} timestamp - Timestamp de la lectura actual
+ * @param {boolean} activa - Si la alarma está abierta actualmente
+ * @returns {{ cumple: boolean, medida: number }}
+ */
+function evaluarCondicion(regla, valor, anterior, timestamp, activa) {
+  const umbral = Number(regla.umbral) || 0;
+  const histeresis = Number(regla.histeresis) || 0;
+
+  switch (regla.tipo) {
+    case 'limite_superior':
+      return { cumple: activa ? valor > umbral - histeresis : valor > umbral, medida: valor };
+
+    case 'limite_inferior':
+      return { cumple: activa ? valor < umbral + histeresis : valor < umbral, medida: valor };
+
+    case 'tasa_cambio': {
+      if (!anterior) return { cumple: activa, medida: 0 };
+      const segundos = (new Date(timestamp).getTime() - new Date(anterior.timestamp).getTime()) / 1000;
+      if (!(segundos > 0)) return { cumple: activa, medida: 0 };
+      const tasa = Math.abs(valor - anterior.valor) / segundos;
+      return { cumple: activa ? tasa > umbral - histeresis : tasa > umbral, medida: tasa };
+    }
+
+    case 'bit': {
+      const palabra = Math.trunc(valor) & 0xFFFF;
+      return { cumple: ((palabra >>> regla.bit) & 1) === 1, medida: valor };
+    }
+
+    default:
+      return { cumple: false, medida: valor };
+  }
+}
+
+/**
+ * Construye el mensaje descriptivo de una alarma
+ */
+function construirMensaje(regla, medida, configuracion) {
+  const umbral = Number(regla.umbral);
+
+  switch (regla.tipo) {
+    case 'limite_superior':
+      return `Valor ${medida} supera el límite ${umbral}`;
+    case 'limite_inferior':
+      return `Valor ${medida} por debajo del límite ${umbral}`;
+    case 'tasa_cambio':
+      return `Tasa de cambio ${medida.toFixed(2)}/s supera ${umbral}/s`;
+    case 'bit': {
+      const etiquetas = obtenerEtiquetasBitsRegistro(configuracion, regla.registro);
+      return `${obtenerEtiquetaBit(etiquetas, regla.registro, regla.bit)} activo`;
+    }
+    default:
+      return `Condición de alarma cumplida (${medida})`;
+  }
+}
+
+/**
+ * Envía la alarma al canal en tiempo real del workspace y,
+ * si la regla lo pide, la push notification (sin bloquear la ingesta)
+ */
+function notificarAlarma(regla, alarma, normalizada) {
+  publicarEventoTiempoReal('alarma', regla.registradores?.agente_id, {
+    tipo: normalizada ? 'normalizada' : 'activada',
+    alarma,
+  }, regla.workspace_id).catch(err => console.error('[Alarmas] Error publicando en tiempo real:', err));
+
+  if (regla.notificar === false) return;
+
+  const nombreRegistrador = regla.registradores?.nombre || 'Registrador';
+  const titulo = normalizada
+    ? `✅ Normalizada: ${regla.nombre}`
+    : `🚨 Alarma: ${regla.nombre}`;
+
+  enviarNotificacionAWorkspace(regla.workspace_id, titulo, `${nombreRegistrador}: ${alarma.mensaje}`, {
+    tipo: normalizada ? 'alarma_normalizada' : 'alarma_activada',
+    alarma_id: alarma.id,
+    regla_id: regla.id,
+    registrador_id: regla.registrador_id,
+    severidad: regla.severidad || 'media',
+  }).catch(err => console.error('[Alarmas] Error enviando notificación:', err));
+}
+
+/**
+ * Evalúa las reglas de alarma activas sobre un lote de lecturas
+ * Crea alarmas nuevas cuando se cumple una condición y normaliza las abiertas
+ * cuando la condición deja de cumplirse.
+ * @param {Array<object>} lecturas - Lecturas formateadas para la tabla lecturas
+ *   (registrador_id, timestamp, valores, exito)
+ * @returns {Promise<{activadas: number, normalizadas: number}>}
+ */
+async function evaluarReglasAlarma(lecturas) {
+  const resultado = { activadas: 0, normalizadas: 0 };
+
+  const exitosas = lecturas.filter(l => l.exito && Array.isArray(l.valores));
+  const registradorIds = [...new Set(exitosas.map(l => l.registrador_id))];
+
+  if (registradorIds.length === 0) {
+    return resultado;
+  }
+
+  const { data: reglas, error: errorReglas } = await supabase
+    .from('reglas_alarma')
+    .select('*, registradores (id, nombre, indice_inicial, agente_id)')
+    .in('registrador_id', registradorIds)
+    .eq('activo', true);
+
+  if (errorReglas) {
+    console.error('[Alarmas] Error obteniendo reglas:', errorReglas);
+    return resultado;
+  }
+
+  if (!reglas || reglas.length === 0) {
+    return resultado;
+  }
+
+  // Alarmas abiertas de estas reglas: reglaId -> alarma
+  const { data: abiertas, error: errorAbiertas } = await supabase
+    .from('alarmas')
+    .select('id, regla_id, estado')
+    .in('regla_id', reglas.map(r => r.id))
+    .in('estado', ESTADOS_ABIERTOS);
+
+  if (errorAbiertas) {
+    console.error('[Alarmas] Error obteniendo alarmas abiertas:', errorAbiertas);
+    return resultado;
+  }
+
+  const abiertasPorRegla = new Map((abiertas || []).map(a => [a.regla_id, a]));
+
+  // Configuración (plantilla y transformadores) por registrador, solo si alguna regla la necesita
+  const configuraciones = new Map();
+  const obtenerConfiguracion = async (registradorId) => {
+    if (!configuraciones.has(registradorId)) {
+      const configuracion = await obtenerConfiguracionRegistrador(registradorId);
+      const formulas = await obtenerFormulasPorRegistro(configuracion?.funcionalidades || []);
+      configuraciones.set(registradorId, { ...configuracion, formulas });
+    }
+    return configuraciones.get(registradorId);
+  };
+
+  // Lecturas ordenadas por timestamp, agrupadas por registrador
+  const lecturasPorRegistrador = new Map();
+  for (const lectura of [...exitosas].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))) {
+    if (!lecturasPorRegistrador.has(lectura.registrador_id)) {
+      lecturasPorRegistrador.set(lectura.registrador_id, []);
+    }
+    lecturasPorRegistrador.get(lectura.registrador_id).push(lectura);
+  }
+
+  // Lectura previa a cada lote, para las reglas de tasa de cambio: registradorId -> lectura
+  const anteriores = new Map();
+  const obtenerAnterior = async (registradorId) => {
+    if (!anteriores.has(registradorId)) {
+      const primera = lecturasPorRegistrador.get(registradorId)?.[0];
+      anteriores.set(registradorId, primera ? await obtenerLecturaAnterior(registradorId, primera.timestamp) : null);
+    }
+    return anteriores.get(registradorId);
+  };
+
+  for (const regla of reglas) {
+    const indiceInicial = regla.registradores?.indice_inicial ?? 0;
+    const necesitaConfig = regla.tipo === 'bit' || regla.aplicar_transformador;
+    const configuracion = necesitaConfig ? await obtenerConfiguracion(regla.registrador_id) : null;
+    let abierta = abiertasPorRegla.get(regla.id) || null;
+
+    let anterior;
+    if (regla.tipo === 'tasa_cambio') {
+      const lecturaAnterior = await obtenerAnterior(regla.registrador_id);
+      const valorAnterior = lecturaAnterior ? valorDeRegla(regla, lecturaAnterior, indiceInicial, configuracion) : null;
+      if (valorAnterior !== null) anterior = { valor: valorAnterior, timestamp: lecturaAnterior.timestamp };
+    }
+
+    for (const lectura of lecturasPorRegistrador.get(regla.registrador_id) || []) {
+      const valor = valorDeRegla(regla, lectura, indiceInicial, configuracion);
+      if (valor === null) continue;
+
+      const { cumple, medida } = evaluarCondicion(regla, valor, anterior, lectura.timestamp, !!abierta);
+      anterior = { valor, timestamp: lectura.timestamp };
+
+      if (cumple && !abierta) {
+        // Activar alarma
+        const { data: alarma, error } = await supabase
+          .from('alarmas')
+          .insert({
+            regla_id: regla.id,
+            workspace_id: regla.workspace_id,
+            registrador_id: regla.registrador_id,
+            estado: 'activa',
+            severidad: regla.severidad || 'media',
+            valor: medida,
+            mensaje: construirMensaje(regla, medida, configuracion),
+            activada_at: lectura.timestamp,
+          })
+          .select()
+          .single();
+
+        if (error) {
+          console.error('[Alarmas] Error creando alarma:', error);
+          continue;
+        }
+
+        abierta = alarma;
+        resultado.activadas++;
+        notificarAlarma(regla, alarma, false);
+      } else if (!cumple && abierta) {
+        // Normalizar alarma
+        const { data: alarma, error } = await supabase
+          .from('alarmas')
+          .update({
+            estado: 'normalizada',
+            valor_normalizacion: medida,
+            normalizada_at: lectura.timestamp,
+          })
+          .eq('id', abierta.id)
+          .select()
+          .single();
+
+        if (error) {
+          console.error('[Alarmas] Error normalizando alarma:', error);
+          continue;
+        }
+
+        abierta = null;
+        resultado.normalizadas++;
+        notificarAlarma(regla, alarma, true);
+      }
+    }
+  }
+
+  if (resultado.activadas || resultado.normalizadas) {
+    console.log(`[Alarmas] ${resultado.activadas} activadas, ${resultado.normalizadas} normalizadas`);
+  }
+
+  return resultado;
+}
+
+module.exports = {
+  evaluarReglasAlarma,
+};
@@ -0,0 +1,138 @@
+// src/servicios/auditoriaService.js
+// Registro de auditoría de cambios de configuración
+// Cada entrada guarda quién (usuario, IP), qué (acción, entidad) y cómo cambió (diff antes/después).
+// Las entradas se escriben desde el middleware auditar() (middleware/auditoria.js).
+// Los comandos de escritura Modbus tienen su propia auditoría (auditoria_comandos).
+
+const supabase = require('../config/supabase');
+
+// Campos que nunca se guardan en claro (solo se registra que cambiaron)
+const PATRON_SENSIBLE = /clave|password|token|secret/i;
+const VALOR_OCULTO = '[oculto]';
+
+// Campos que cambian en cada escritura y no aportan al diff
+const CAMPOS_IGNORADOS_DIFF = ['updated_at'];
+
+/**
+ * Reemplaza los valores sensibles de un objeto (recursivo)
+ */
+function ocultarSensibles(valor) {
+  if (Array.isArray(valor)) {
+    return valor.map(ocultarSensibles);
+  }
+  if (!valor || typeof valor !== 'object') {
+    return valor;
+  }
+
+  const resultado = {};
+  for (const [campo, v] of Object.entries(valor)) {
+    resultado[campo] = PATRON_SENSIBLE.test(campo) && v !== null && v !== undefined ? VALOR_OCULTO : ocultarSensibles(v);
+  }
+  return resultado;
+}
+
+/**
+ * Campos de primer nivel que cambiaron entre dos versiones de una fila
+ * @returns {Object<string, {antes: any, despues: any}>}
+ */
+function calcularDiferencias(antes, despues) {
+  const cambios = {};
+  const campos = new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})]);
+
+  for (const campo of campos) {
+    if (CAMPOS_IGNORADOS_DIFF.includes(campo)) continue;
+
+    const valorAntes = antes?.[campo] ?? null;
+    const valorDespues = despues?.[campo] ?? null;
+    if (JSON.stringify(valorAntes) === JSON.stringify(valorDespues)) continue;
+
+    cambios[campo] = PATRON_SENSIBLE.test(campo)
+      ? { antes: valorAntes === null ? null : VALOR_OCULTO, despues: valorDespues === null ? null : VALOR_OCULTO }
+      : { antes: valorAntes, despues: valorDespues };
+  }
+  return cambios;
+}
+
+/**
+ * Registra una entrada de auditoría (nunca lanza: un fallo de auditoría no revierte el cambio)
+ * @param {object} entrada
+ * @param {string|null} entrada.usuarioId - Actor
+ * @param {string|null} [entrada.usuarioEmail]
+ * @param {string} entrada.accion - crear | actualizar | eliminar | otra acción específica (mover, reordenar...)
+ * @param {string} entrada.entidad - puesto, alimentador, registrador...
+ * @param {string|null} [entrada.entidadId]
+ * @param {string|null} [entrada.workspaceId] - null para cambios globales (panel admin)
+ * @param {object|null} [entrada.antes] - Fila antes del cambio
+ * @param {object|null} [entrada.despues] - Fila después del cambio
+ * @param {object|null} [entrada.detalles] - Datos de la solicitud cuando no hay fila que comparar
+ * @param {string|null} [entrada.ip]
+ * @param {string|null} [entrada.ruta] - "METODO /ruta"
+ */
+async function registrarAuditoria({ usuarioId, usuarioEmail = null, accion, entidad, entidadId = null, workspaceId = null, antes = null, despues = null, detalles = null, ip = null, ruta = null }) {
+  try {
+    const { error } = await supabase.from('auditoria').insert({
+      usuario_id: usuarioId,
+      usuario_email: usuarioEmail,
+      accion,
+      entidad,
+      entidad_id: entidadId,
+      workspace_id: workspaceId,
+      cambios: antes || despues ? calcularDiferencias(antes, despues) : null,
+      // La fila completa solo se guarda cuando desaparece o aparece; en actualizaciones basta el diff
+      antes: accion === 'eliminar' ? ocultarSensibles(antes) : null,
+      despues: accion === 'crear' ? ocultarSensibles(despues) : null,
+      detalles: ocultarSensibles(detalles),
+      ip,
+      ruta,
+    });
+
+    if (error) throw error;
+  } catch (err) {
+    console.error(`Error registrando auditoría (${accion} ${entidad}):`, err.message || err);
+  }
+}
+
+/**
+ * Consulta entradas de auditoría con filtros
+ * @param {object} filtros
+ * @param {string|null} filtros.workspaceId - null = entradas globales y de todos los workspaces
+ * @param {string} [filtros.entidad]
+ * @param {string} [filtros.entidadId]
+ * @param {string} [filtros.usuarioId]
+ * @param {string} [filtros.accion]
+ * @param {string} [filtros.desde] - ISO
+ * @param {string} [filtros.hasta] - ISO
+ * @param {number} [filtros.limite] - máx. 500
+ * @param {number} [filtros.pagina] - desde 1
+ * @returns {Promise<{entradas: object[], total: number}>}
+ */
+async function consultarAuditoria({ workspaceId = null, entidad, entidadId, usuarioId, accion, desde, hasta, limite = 100, pagina = 1 }) {
+  const tamanio = Math.min(Math.max(parseInt(limite) || 100, 1), 500);
+  const inicio = (Math.max(parseInt(pagina) || 1, 1) - 1) * tamanio;
+
+  let query = supabase
+    .from('auditoria')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(inicio, inicio + tamanio - 1);
+
+  if (workspaceId) query = query.eq('workspace_id', workspaceId);
+  if (entidad) query = query.eq('entidad', entidad);
+  if (entidadId) query = query.eq('entidad_id', entidadId);
+  if (usuarioId) query = query.eq('usuario_id', usuarioId);
+  if (accion) query = query.eq('accion', accion);
+  if (desde) query = query.gte('created_at', desde);
+  if (hasta) query = query.lte('created_at', hasta);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return { entradas: data || [], total: count || 0 };
+}
+
+module.exports = {
+  ocultarSensibles,
+  calcularDiferencias,
+  registrarAuditoria,
+  consultarAuditoria,
+};
@@ -0,0 +1,214 @@
+// src/servicios/clavesAgenteService.js
+// Claves secretas de los agentes: generación, rotación con período de gracia y búsqueda para autenticar
+//
+// Formato de clave: "ak_<claveId>.<secreto>". El claveId es público y se guarda en claro
+// (agentes.clave_id / clave_anterior_id, indexados), así que autenticar es una sola consulta
+// y una sola comparación bcrypt. Solo se guarda el hash del secreto completo.
+//
+// Las claves anteriores a este formato (sin prefijo) siguen funcionando: se buscan entre los
+// agentes que todavía no tienen clave_id, como antes. Dejan de existir al rotar.
+//
+// Al rotar, la clave anterior sigue siendo válida hasta clave_anterior_expira_at
+// (ventana de gracia configurable por rotación) o hasta que se revoca.
+// Rotar o revocar corta las sesiones abiertas del agente (tokensAgenteService).
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { revocarSesionesAgente } = require('./tokensAgenteService');
+
+const PREFIJO_CLAVE = 'ak_';
+const PATRON_CLAVE = /^ak_([0-9a-f]{16})\.[0-9a-f]{64}$/;
+
+// Ventana de gracia por defecto y máxima para la clave anterior (horas)
+const HORAS_GRACIA_DEFECTO = Number.isNaN(parseInt(process.env.AGENTE_CLAVE_GRACIA_HORAS))
+  ? 24
+  : parseInt(process.env.AGENTE_CLAVE_GRACIA_HORAS);
+const HORAS_GRACIA_MAXIMO = 24 * 30;
+
+// Las claves rotadas antes de que existiera clave_anterior_expira_at tenían 24h fijas
+const HORAS_GRACIA_LEGADO = 24;
+
+const COLUMNAS_AGENTE = 'id, nombre, activo, clave_id, clave_hash, clave_anterior_id, clave_anterior_hash, clave_anterior_expira_at, clave_rotada_at';
+
+/**
+ * Genera una clave nueva
+ * @returns {Promise<{claveSecreta: string, claveId: string, claveHash: string}>}
+ */
+async function generarClave() {
+  const claveId = crypto.randomBytes(8).toString('hex');
+  const claveSecreta = `${PREFIJO_CLAVE}${claveId}.${crypto.randomBytes(32).toString('hex')}`;
+  const claveHash = await bcrypt.hash(claveSecreta, 10);
+  return { claveSecreta, claveId, claveHash };
+}
+
+/**
+ * claveId de una clave con prefijo (null para claves en el formato anterior)
+ */
+function extraerClaveId(claveSecreta) {
+  const coincidencia = PATRON_CLAVE.exec(claveSecreta);
+  return coincidencia ? coincidencia[1] : null;
+}
+
+/**
+ * Indica si la clave anterior de un agente todavía está dentro de su ventana de gracia
+ */
+function claveAnteriorVigente(agente) {
+  if (!agente.clave_anterior_hash) return false;
+
+  const expira = agente.clave_anterior_expira_at
+    ? new Date(agente.clave_anterior_expira_at).getTime()
+    : agente.clave_rotada_at
+      ? new Date(agente.clave_rotada_at).getTime() + HORAS_GRACIA_LEGADO * 60 * 60 * 1000
+      : 0;
+
+  return Date.now() < expira;
+}
+
+/**
+ * Compara la clave con la actual y la anterior (vigente) de un agente
+ * @returns {Promise<{agente: object, usoClavePrincipal: boolean}|null>}
+ */
+async function compararClaves(agente, claveSecreta) {
+  if (agente.clave_hash && await bcrypt.compare(claveSecreta, agente.clave_hash)) {
+    return { agente, usoClavePrincipal: true };
+  }
+  if (claveAnteriorVigente(agente) && await bcrypt.compare(claveSecreta, agente.clave_anterior_hash)) {
+    return { agente, usoClavePrincipal: false };
+  }
+  return null;
+}
+
+/**
+ * Busca el agente activo dueño de una clave
+ * @param {string} claveSecreta
+ * @returns {Promise<{agente: object, usoClavePrincipal: boolean}|null>}
+ */
+async function buscarAgentePorClave(claveSecreta) {
+  const claveId = extraerClaveId(claveSecreta);
+
+  if (claveId) {
+    const { data: agente, error } = await supabase
+      .from('agentes')
+      .select(COLUMNAS_AGENTE)
+      .eq('activo', true)
+      .or(`clave_id.eq.${claveId},clave_anterior_id.eq.${claveId}`)
+      .maybeSingle();
+
+    if (error) throw error;
+    return agente ? compararClaves(agente, claveSecreta) : null;
+  }
+
+  // Formato anterior: solo agentes que todavía tienen una clave sin clave_id
+  const { data: agentes, error } = await supabase
+    .from('agentes')
+    .select(COLUMNAS_AGENTE)
+    .eq('activo', true)
+    .or('clave_id.is.null,and(clave_anterior_id.is.null,clave_anterior_hash.not.is.null)');
+
+  if (error) throw error;
+
+  for (const agente of agentes || []) {
+    const candidato = {
+      ...agente,
+      clave_hash: agente.clave_id ? null : agente.clave_hash,
+      clave_anterior_hash: agente.clave_anterior_id ? null : agente.clave_anterior_hash,
+    };
+    const resultado = await compararClaves(candidato, claveSecreta);
+    if (resultado) return { ...resultado, agente };
+  }
+  return null;
+}
+
+/**
+ * Normaliza la ventana de gracia pedida (horas; 0 = la clave anterior deja de valer ya)
+ */
+function normalizarHorasGracia(horas) {
+  if (horas === undefined || horas === null) return HORAS_GRACIA_DEFECTO;
+  return Math.min(Math.max(Number(horas) || 0, 0), HORAS_GRACIA_MAXIMO);
+}
+
+/**
+ * Rota la clave de un agente: la actual pasa a ser la anterior durante la ventana de gracia
+ * @param {string} agenteId
+ * @param {object} [opciones]
+ * @param {number} [opciones.horasGracia] - Default AGENTE_CLAVE_GRACIA_HORAS (24)
+ * @returns {Promise<{nuevaClave: string, anteriorExpiraAt: string|null}|null>} - null si el agente no existe
+ */
+async function rotarClave(agenteId, { horasGracia } = {}) {
+  const { data: agente } = await supabase
+    .from('agentes')
+    .select('id, clave_id, clave_hash')
+    .eq('id', agenteId)
+    .maybeSingle();
+
+  if (!agente) return null;
+
+  const horas = normalizarHorasGracia(horasGracia);
+  const ahora = new Date();
+  const anteriorExpiraAt = horas > 0 ? new Date(ahora.getTime() + horas * 60 * 60 * 1000).toISOString() : null;
+  const { claveSecreta, claveId, claveHash } = await generarClave();
+
+  const { error } = await supabase
+    .from('agentes')
+    .update({
+      clave_id: claveId,
+      clave_hash: claveHash,
+      clave_anterior_id: anteriorExpiraAt ? agente.clave_id : null,
+      clave_anterior_hash: anteriorExpiraAt ? agente.clave_hash : null,
+      clave_anterior_expira_at: anteriorExpiraAt,
+      clave_rotada_at: ahora.toISOString(),
+      updated_at: ahora.toISOString(),
+    })
+    .eq('id', agenteId);
+
+  if (error) throw error;
+
+  // Las sesiones abiertas con la clave vieja se cortan; el agente vuelve a autenticarse
+  await revocarSesionesAgente(agenteId, 'Clave rotada');
+
+  return { nuevaClave: claveSecreta, anteriorExpiraAt };
+}
+
+/**
+ * Invalida de inmediato la clave anterior de un agente (por ejemplo, si se filtró)
+ * @returns {Promise<boolean>} - false si el agente no existe
+ */
+async function revocarClaveAnterior(agenteId) {
+  const { data, error } = await supabase
+    .from('agentes')
+    .update({
+      clave_anterior_id: null,
+      clave_anterior_hash: null,
+      clave_anterior_expira_at: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', agenteId)
+    .select('id');
+
+  if (error) throw error;
+  if ((data || []).length === 0) return false;
+
+  await revocarSesionesAgente(agenteId, 'Clave anterior revocada');
+  return true;
+}
+
+/**
+ * Texto para las respuestas de rotación
+ */
+function mensajeRotacion(anteriorExpiraAt) {
+  return anteriorExpiraAt
+    ? `Clave rotada. La anterior será válida hasta ${anteriorExpiraAt}.`
+    : 'Clave rotada. La anterior ya no es válida.';
+}
+
+module.exports = {
+  HORAS_GRACIA_DEFECTO,
+  HORAS_GRACIA_MAXIMO,
+  generarClave,
+  extraerClaveId,
+  buscarAgentePorClave,
+  rotarClave,
+  revocarClaveAnterior,
+  mensajeRotacion,
+};
@@ -0,0 +1,92 @@
+// src/servicios/emailService.js
+// Envío de emails con transporte intercambiable
+//
+// Transportes (variable EMAIL_TRANSPORTE):
+//   - consola (default): imprime el email en el log, para desarrollo
+//   - archivo: guarda cada email como JSON en EMAIL_DIRECTORIO (default ./emails)
+// Un proveedor real (SMTP, API HTTP...) se agrega con registrarTransporte(nombre, fabrica)
+// antes del primer envío, sin tocar a quienes llaman a enviarEmail.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Transporte de consola: el email solo se imprime
+ * @returns {{nombre: string, enviar: (email: object) => Promise<void>}}
+ */
+function crearTransporteConsola() {
+  return {
+    nombre: 'consola',
+    async enviar({ para, asunto, texto }) {
+      console.log(`[Email] Para: ${para} | Asunto: ${asunto}\n${texto}`);
+    },
+  };
+}
+
+/**
+ * Transporte de archivo: un JSON por email, para inspeccionar en desarrollo o tests manuales
+ * @param {string} directorio - Carpeta donde se escriben los emails
+ */
+function crearTransporteArchivo(directorio) {
+  return {
+    nombre: 'archivo',
+    async enviar(email) {
+      await fs.mkdir(directorio, { recursive: true });
+      const nombreArchivo = `${new Date().toISOString().replace(/[:.]/g, '-')}_${crypto.randomBytes(3).toString('hex')}.json`;
+      const ruta = path.join(directorio, nombreArchivo);
+      await fs.writeFile(ruta, JSON.stringify({ ...email, fecha: new Date().toISOString() }, null, 2));
+      console.log(`[Email] Guardado en ${ruta} (para: ${email.para})`);
+    },
+  };
+}
+
+const fabricas = {
+  consola: () => crearTransporteConsola(),
+  archivo: () => crearTransporteArchivo(process.env.EMAIL_DIRECTORIO || path.join(process.cwd(), 'emails')),
+};
+
+let transporte = null;
+
+/**
+ * Registra un transporte adicional seleccionable con EMAIL_TRANSPORTE
+ * @param {string} nombre - Valor de EMAIL_TRANSPORTE que lo activa
+ * @param {() => {nombre: string, enviar: Function}} fabrica
+ */
+function registrarTransporte(nombre, fabrica) {
+  fabricas[nombre] = fabrica;
+  transporte = null;
+}
+
+/**
+ * Devuelve el transporte configurado (se crea en el primer uso)
+ * Si el configurado no existe, usa consola y lo informa.
+ */
+function obtenerTransporte() {
+  if (!transporte) {
+    const nombre = process.env.EMAIL_TRANSPORTE || 'consola';
+    if (!fabricas[nombre]) {
+      console.log(`[Email] Transporte desconocido "${nombre}", usando consola`);
+    }
+    transporte = (fabricas[nombre] || fabricas.consola)();
+  }
+  return transporte;
+}
+
+/**
+ * Envía un email con el transporte configurado
+ * @param {{para: string, asunto: string, texto: string, html?: string}} email
+ */
+async function enviarEmail(email) {
+  await obtenerTransporte().enviar({
+    de: process.env.EMAIL_REMITENTE || 'no-responder@localhost',
+    ...email,
+  });
+}
+
+module.exports = {
+  enviarEmail,
+  registrarTransporte,
+  crearTransporteConsola,
+  crearTransporteArchivo,
+};
@@ -0,0 +1,535 @@
+// src/servicios/energiaService.js
+// Energía activa (kWh) y reactiva (kvarh) por intervalos de demanda de 15 minutos
+//
+// Los registros a usar salen de las funcionalidades de la plantilla. Una funcionalidad de energía
+// lleva, además de sus registros:
+//   "energia": { "magnitud": "activa" | "reactiva", "fuente": "potencia" | "contador",
+//                "factor": 0.001, "rollover": 4294967296, "ordenPalabras": "alta-baja" }
+// - fuente potencia: la suma de sus registros (cada uno con la fórmula de su transformador) es la
+//   potencia trifásica; se integra por trapecios entre lecturas consecutivas.
+// - fuente contador: sus registros son un contador de energía (un registro, o dos palabras de un
+//   contador de 32 bits); la energía es la diferencia entre lecturas consecutivas.
+// factor lleva el valor a kW / kWh (por ejemplo 0.001 si el equipo mide en W o Wh).
+//
+// Huecos (agente caído, lecturas fallidas): entre lecturas separadas más de ENERGIA_HUECO_MAXIMO_S
+// la potencia no se integra (la energía del tramo es desconocida y baja la cobertura del intervalo);
+// la diferencia de un contador sí es energía real y se reparte en proporción al tiempo, marcando
+// esos intervalos como estimados. Si un contador baja y la caída supera medio rango, dio la vuelta
+// (rollover); si no, se reinició o se cambió el medidor y ese tramo no suma.
+// La demanda de un intervalo con cobertura menor a ENERGIA_COBERTURA_MINIMA no se calcula (su
+// energía es parcial y promediarla en los 15 minutos la subestima) y no cuenta para la máxima.
+//
+// El job procesa los registradores vinculados a alimentadores desde energia_estado.procesado_hasta,
+// recalculando siempre los últimos ENERGIA_RECALCULO_MIN minutos. Las lecturas que llegan más tarde
+// (un agente que vacía su buffer después de horas sin conexión) retroceden procesado_hasta a la más
+// antigua del lote al ingerirlas (reabrirEnergia), y el job recalcula desde ahí.
+// Trabaja sobre lecturas crudas: va muy por delante de su retención (mínimo 1 día).
+//
+// Tablas (migrations/009_energia.sql):
+//   energia_intervalos (registrador_id, inicio, kwh, kvarh, cobertura, estimado, updated_at,
+//                       PRIMARY KEY (registrador_id, inicio))
+//   energia_estado (registrador_id PRIMARY KEY, procesado_hasta, updated_at)
+//   reabrir_energia(p_pendientes jsonb)
+
+const supabase = require('../config/supabase');
+const { INTERVALOS_AGREGACION, recorrerLecturas } = require('./historicoService');
+const { obtenerConfiguracionRegistrador, obtenerFormulasPorRegistro } = require('./funcionalidadesService');
+const { aplicarFormula } = require('./formulasService');
+
+const INTERVALO_DEMANDA_MS = INTERVALOS_AGREGACION['15m'];
+const HORA_MS = INTERVALOS_AGREGACION['1h'];
+const MAGNITUDES = ['activa', 'reactiva'];
+
+// Supabase tiene límite de 1000 registros por consulta por defecto
+const PAGE_SIZE = 1000;
+
+// Configuración (variables de entorno)
+const HUECO_MAXIMO_MS = (parseInt(process.env.ENERGIA_HUECO_MAXIMO_S) || 300) * 1000;
+const COBERTURA_MINIMA = parseFloat(process.env.ENERGIA_COBERTURA_MINIMA) || 0.9;
+const RECALCULO_MS = (parseInt(process.env.ENERGIA_RECALCULO_MIN) || 60) * 60 * 1000;
+const VENTANA_MS = (parseInt(process.env.ENERGIA_VENTANA_HORAS) || 24) * HORA_MS;
+const INTERVALO_MS = parseInt(process.env.ENERGIA_INTERVALO_MS) || 5 * 60 * 1000;
+
+let intervalo = null;
+let ejecutando = false;
+
+/**
+ * Alinea un instante (epoch ms) al inicio de su intervalo de demanda
+ */
+function alinearIntervalo(ms) {
+  return Math.floor(ms / INTERVALO_DEMANDA_MS) * INTERVALO_DEMANDA_MS;
+}
+
+/**
+ * Fuentes de energía activa y reactiva de un registrador, según sus funcionalidades
+ * @param {{registrador: object, funcionalidades: Array}} configuracion - Resultado de obtenerConfiguracionRegistrador
+ * @param {Map<number, {formula: string}>} formulasPorRegistro
+ * @returns {{activa?: object, reactiva?: object}}
+ */
+function obtenerFuentesEnergia(configuracion, formulasPorRegistro) {
+  const indiceInicial = configuracion.registrador?.indice_inicial ?? 0;
+  const fuentes = {};
+
+  for (const func of configuracion.funcionalidades || []) {
+    const energia = func.energia;
+    if (!energia || !MAGNITUDES.includes(energia.magnitud) || fuentes[energia.magnitud]) continue;
+
+    const direcciones = func.registros
+      .map(reg => parseInt(reg.registro, 10))
+      .filter(direccion => !Number.isNaN(direccion));
+    const tipo = energia.fuente === 'contador' ? 'contador' : 'potencia';
+
+    if (direcciones.length === 0 || (tipo === 'contador' && direcciones.length > 2)) {
+      console.warn(`[Energia] Funcionalidad "${func.nombre}" de ${configuracion.registrador?.nombre}: registros inválidos para ${tipo}`);
+      continue;
+    }
+
+    fuentes[energia.magnitud] = {
+      tipo,
+      indices: direcciones.map(direccion => direccion - indiceInicial),
+      formulas: direcciones.map(direccion => formulasPorRegistro.get(direccion)?.formula || null),
+      factor: Number(energia.factor) || 1,
+      rollover: Number(energia.rollover) || (direcciones.length === 2 ? 2 ** 32 : 2 ** 16),
+      ordenPalabras: energia.ordenPalabras === 'baja-alta' ? 'baja-alta' : 'alta-baja',
+    };
+  }
+
+  return fuentes;
+}
+
+/**
+ * Valor de una fuente en una lectura: potencia en kW/kvar, o valor crudo del contador
+ * @returns {number|null} - null si falta algún registro
+ */
+function valorFuente(fuente, valores) {
+  const crudos = fuente.indices.map(i => valores?.[i]);
+  if (crudos.some(v => typeof v !== 'number' || !Number.isFinite(v))) return null;
+
+  if (fuente.tipo === 'contador') {
+    if (crudos.length === 1) return crudos[0];
+    const [alta, baja] = fuente.ordenPalabras === 'alta-baja' ? crudos : [crudos[1], crudos[0]];
+    return alta * 65536 + baja;
+  }
+
+  let total = 0;
+  for (let i = 0; i < crudos.length; i++) {
+    const valor = fuente.formulas[i] ? aplicarFormula(fuente.formulas[i], crudos[i]) : crudos[i];
+    if (valor === null) return null;
+    total += valor;
+  }
+  return total * fuente.factor;
+}
+
+/**
+ * Energía entre cada par de lecturas consecutivas
+ * @param {Array<{t: number, v: number}>} muestras - Ordenadas por tiempo
+ * @returns {Array<{t0: number, t1: number, energia: number, estimado: boolean}>}
+ */
+function calcularSegmentos(muestras, fuente) {
+  const segmentos = [];
+
+  for (let i = 1; i < muestras.length; i++) {
+    const a = muestras[i - 1];
+    const b = muestras[i];
+    const duracion = b.t - a.t;
+    if (duracion <= 0) continue;
+
+    const hueco = duracion > HUECO_MAXIMO_MS;
+
+    if (fuente.tipo === 'potencia') {
+      if (hueco) continue;
+      segmentos.push({ t0: a.t, t1: b.t, energia: ((a.v + b.v) / 2) * (duracion / HORA_MS), estimado: false });
+      continue;
+    }
+
+    let delta = b.v - a.v;
+    if (delta < 0) {
+      delta = a.v - b.v > fuente.rollover / 2 ? delta + fuente.rollover : 0;
+    }
+    segmentos.push({ t0: a.t, t1: b.t, energia: delta * fuente.factor, estimado: hueco });
+  }
+
+  return segmentos;
+}
+
+/**
+ * Reparte los segmentos en los intervalos de [desde, hasta) en proporción al tiempo
+ * @param {Map<number, object>} intervalos - inicio -> acumulado del intervalo (se modifica)
+ */
+function repartirEnIntervalos(segmentos, magnitud, desde, hasta, intervalos) {
+  for (const segmento of segmentos) {
+    const inicio = Math.max(segmento.t0, desde);
+    const fin = Math.min(segmento.t1, hasta);
+    const duracion = segmento.t1 - segmento.t0;
+
+    for (let t = alinearIntervalo(inicio); t < fin; t += INTERVALO_DEMANDA_MS) {
+      const solapamiento = Math.min(fin, t + INTERVALO_DEMANDA_MS) - Math.max(inicio, t);
+      if (solapamiento <= 0) continue;
+
+      let acumulado = intervalos.get(t);
+      if (!acumulado) {
+        acumulado = { activa: null, reactiva: null, cubierto: { activa: 0, reactiva: 0 }, estimado: false };
+        intervalos.set(t, acumulado);
+      }
+
+      acumulado[magnitud] = (acumulado[magnitud] || 0) + segmento.energia * (solapamiento / duracion);
+      acumulado.cubierto[magnitud] += solapamiento;
+      acumulado.estimado = acumulado.estimado || segmento.estimado;
+    }
+  }
+}
+
+/**
+ * Lectura exitosa más cercana antes o después de un instante
+ */
+async function lecturaVecina(registradorId, timestamp, anterior) {
+  let query = supabase
+    .from('lecturas')
+    .select('timestamp, valores')
+    .eq('registrador_id', registradorId)
+    .eq('exito', true);
+
+  query = anterior
+    ? query.lt('timestamp', timestamp).order('timestamp', { ascending: false })
+    : query.gt('timestamp', timestamp).order('timestamp', { ascending: true });
+
+  const { data, error } = await query.limit(1);
+  if (error) throw new Error(error.message);
+  return data?.[0] || null;
+}
+
+/**
+ * Calcula los intervalos de energía de un registrador en [desde, hasta)
+ * Usa también la lectura anterior y la siguiente al rango, para los tramos que lo cruzan.
+ * @returns {Promise<Array<object>>} - Filas de energia_intervalos
+ */
+async function calcularIntervalos(registradorId, fuentes, desde, hasta) {
+  const desdeIso = new Date(desde).toISOString();
+  const hastaIso = new Date(hasta).toISOString();
+
+  let lecturas = [];
+  await recorrerLecturas(registradorId, desdeIso, hastaIso, (pagina) => {
+    lecturas = lecturas.concat(pagina);
+  }, { columnas: 'timestamp, valores', soloExitosas: true });
+
+  const [anterior, siguiente] = await Promise.all([
+    lecturaVecina(registradorId, desdeIso, true),
+    lecturaVecina(registradorId, hastaIso, false),
+  ]);
+  if (anterior) lecturas.unshift(anterior);
+  if (siguiente) lecturas.push(siguiente);
+
+  const intervalos = new Map();
+  for (const magnitud of MAGNITUDES) {
+    const fuente = fuentes[magnitud];
+    if (!fuente) continue;
+
+    const muestras = lecturas
+      .map(lectura => ({ t: new Date(lectura.timestamp).getTime(), v: valorFuente(fuente, lectura.valores) }))
+      .filter(muestra => muestra.v !== null);
+
+    repartirEnIntervalos(calcularSegmentos(muestras, fuente), magnitud, desde, hasta, intervalos);
+  }
+
+  // La cobertura es la de la energía activa (o la reactiva si el registrador no mide activa)
+  const magnitudCobertura = fuentes.activa ? 'activa' : 'reactiva';
+
+  return [...intervalos.entries()].map(([inicio, acumulado]) => ({
+    registrador_id: registradorId,
+    inicio: new Date(inicio).toISOString(),
+    kwh: acumulado.activa,
+    kvarh: acumulado.reactiva,
+    cobertura: Math.min(1, acumulado.cubierto[magnitudCobertura] / INTERVALO_DEMANDA_MS),
+    estimado: acumulado.estimado,
+    updated_at: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Procesa el siguiente tramo pendiente de un registrador
+ * @returns {Promise<number>} - Intervalos guardados
+ */
+async function procesarRegistrador(registradorId) {
+  const configuracion = await obtenerConfiguracionRegistrador(registradorId);
+  if (!configuracion) return 0;
+
+  const formulasPorRegistro = await obtenerFormulasPorRegistro(configuracion.funcionalidades);
+  const fuentes = obtenerFuentesEnergia(configuracion, formulasPorRegistro);
+  if (!fuentes.activa && !fuentes.reactiva) return 0;
+
+  const { data: estado } = await supabase
+    .from('energia_estado')
+    .select('procesado_hasta')
+    .eq('registrador_id', registradorId)
+    .maybeSingle();
+
+  let desde;
+  if (estado?.procesado_hasta) {
+    desde = alinearIntervalo(new Date(estado.procesado_hasta).getTime() - RECALCULO_MS);
+  } else {
+    const primera = await lecturaVecina(registradorId, new Date(0).toISOString(), false);
+    if (!primera) return 0;
+    desde = alinearIntervalo(new Date(primera.timestamp).getTime());
+  }
+
+  // Solo intervalos ya terminados
+  const hasta = Math.min(desde + VENTANA_MS, alinearIntervalo(Date.now()));
+  if (hasta <= desde) return 0;
+
+  const filas = await calcularIntervalos(registradorId, fuentes, desde, hasta);
+
+  if (filas.length > 0) {
+    const { error } = await supabase
+      .from('energia_intervalos')
+      .upsert(filas, { onConflict: 'registrador_id,inicio' });
+
+    if (error) throw new Error(error.message);
+  }
+
+  await guardarProcesadoHasta(registradorId, estado?.procesado_hasta || null, hasta);
+  return filas.length;
+}
+
+/**
+ * Guarda hasta dónde se procesó un registrador
+ * Si la ingesta retrocedió procesado_hasta mientras se calculaba, no se pisa: el próximo
+ * ciclo recalcula desde ahí.
+ * @param {string|null} leido - procesado_hasta leído al empezar (null si no había estado)
+ */
+async function guardarProcesadoHasta(registradorId, leido, hasta) {
+  const fila = {
+    registrador_id: registradorId,
+    procesado_hasta: new Date(hasta).toISOString(),
+    updated_at: new Date().toISOString(),
+  };
+
+  const { error } = leido
+    ? await supabase
+      .from('energia_estado')
+      .update(fila)
+      .eq('registrador_id', registradorId)
+      .eq('procesado_hasta', leido)
+    : await supabase
+      .from('energia_estado')
+      .upsert(fila, { onConflict: 'registrador_id' });
+
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Marca para recalcular los intervalos afectados por lecturas recién ingeridas
+ * Retrocede procesado_hasta de cada registrador a su lectura nueva más antigua (si es anterior).
+ * @param {Array<{registrador_id: string, timestamp: string}>} lecturas - Lecturas insertadas
+ */
+async function reabrirEnergia(lecturas) {
+  const desdePorRegistrador = new Map();
+  for (const { registrador_id: registradorId, timestamp } of lecturas) {
+    const actual = desdePorRegistrador.get(registradorId);
+    if (!actual || new Date(timestamp) < new Date(actual)) {
+      desdePorRegistrador.set(registradorId, timestamp);
+    }
+  }
+  if (desdePorRegistrador.size === 0) return;
+
+  const pendientes = [...desdePorRegistrador].map(([registradorId, desde]) => ({ registrador_id: registradorId, desde }));
+  const { error } = await supabase.rpc('reabrir_energia', { p_pendientes: pendientes });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Una ejecución del job: procesa los registradores vinculados a algún alimentador
+ */
+async function ejecutarEnergia() {
+  if (ejecutando) return;
+  ejecutando = true;
+
+  try {
+    const { data: alimentadores, error } = await supabase
+      .from('alimentadores')
+      .select('registrador_id')
+      .not('registrador_id', 'is', null)
+      .is('eliminado_at', null);
+
+    if (error) throw error;
+
+    for (const registradorId of new Set((alimentadores || []).map(a => a.registrador_id))) {
+      try {
+        await procesarRegistrador(registradorId);
+      } catch (err) {
+        // Un registrador con error no frena a los demás; se reintenta en la próxima ejecución
+        console.error(`[Energia] Error procesando registrador ${registradorId}:`, err.message || err);
+      }
+    }
+  } catch (err) {
+    console.error('[Energia] Error en la ejecución:', err.message || err);
+  } finally {
+    ejecutando = false;
+  }
+}
+
+/**
+ * Intervalos guardados de un registrador en [desde, hasta), página por página
+ * @returns {Promise<Array<object>>}
+ */
+async function obtenerIntervalos(registradorId, desde, hasta) {
+  let intervalos = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('energia_intervalos')
+      .select('inicio, kwh, kvarh, cobertura, estimado')
+      .eq('registrador_id', registradorId)
+      .gte('inicio', desde)
+      .lt('inicio', hasta)
+      .order('inicio', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+    intervalos = intervalos.concat(data || []);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return intervalos.map(intervalo => ({
+    ...intervalo,
+    inicio: new Date(intervalo.inicio).toISOString(),
+    fin: new Date(new Date(intervalo.inicio).getTime() + INTERVALO_DEMANDA_MS).toISOString(),
+  }));
+}
+
+/**
+ * Agrupa intervalos por día o mes de la zona horaria
+ * @param {(timestamp: string) => string} formatearFecha - "YYYY-MM-DD HH:mm:ss" en la zona
+ * @returns {Map<string, Array<object>>} - periodo ("YYYY-MM-DD" o "YYYY-MM") -> intervalos
+ */
+function agruparPorPeriodo(intervalos, agrupacion, formatearFecha) {
+  const largo = agrupacion === 'mes' ? 7 : 10;
+  const grupos = new Map();
+
+  for (const intervalo of intervalos) {
+    const periodo = formatearFecha(intervalo.inicio).slice(0, largo);
+    if (!grupos.has(periodo)) grupos.set(periodo, []);
+    grupos.get(periodo).push(intervalo);
+  }
+  return grupos;
+}
+
+/**
+ * Suma de una magnitud (null si ningún intervalo la tiene)
+ */
+function sumar(intervalos, campo) {
+  const valores = intervalos.map(i => i[campo]).filter(v => v !== null && v !== undefined);
+  return valores.length > 0 ? valores.reduce((a, b) => a + b, 0) : null;
+}
+
+/**
+ * Energía por intervalo, día o mes
+ * @param {Array<object>} intervalos - Resultado de obtenerIntervalos
+ * @param {'intervalo'|'dia'|'mes'} agrupacion
+ * @param {(timestamp: string) => string} formatearFecha
+ */
+function resumirEnergia(intervalos, agrupacion, formatearFecha) {
+  const periodos = agrupacion === 'intervalo'
+    ? intervalos
+    : [...agruparPorPeriodo(intervalos, agrupacion, formatearFecha).entries()].map(([periodo, grupo]) => ({
+      periodo,
+      kwh: sumar(grupo, 'kwh'),
+      kvarh: sumar(grupo, 'kvarh'),
+      intervalos: grupo.length,
+      estimado: grupo.some(i => i.estimado),
+    }));
+
+  return {
+    periodos,
+    total: { kwh: sumar(intervalos, 'kwh'), kvarh: sumar(intervalos, 'kvarh') },
+  };
+}
+
+/**
+ * Demanda de 15 minutos (energía del intervalo / 0,25 h) por intervalo, o su máximo por día o mes
+ * Los intervalos con cobertura menor a COBERTURA_MINIMA quedan sin demanda y marcados como incompletos.
+ * @param {Array<object>} intervalos - Resultado de obtenerIntervalos
+ * @param {'intervalo'|'dia'|'mes'} agrupacion
+ * @param {(timestamp: string) => string} formatearFecha
+ */
+function resumirDemanda(intervalos, agrupacion, formatearFecha) {
+  const horasIntervalo = INTERVALO_DEMANDA_MS / HORA_MS;
+  const demandas = intervalos.map(intervalo => {
+    const incompleto = (intervalo.cobertura ?? 0) < COBERTURA_MINIMA;
+    return {
+      inicio: intervalo.inicio,
+      fin: intervalo.fin,
+      kw: incompleto || intervalo.kwh === null ? null : intervalo.kwh / horasIntervalo,
+      kvar: incompleto || intervalo.kvarh === null ? null : intervalo.kvarh / horasIntervalo,
+      cobertura: intervalo.cobertura,
+      estimado: intervalo.estimado,
+      incompleto,
+    };
+  });
+
+  const maximo = (grupo, campo) => grupo.reduce(
+    (max, d) => (d[campo] !== null && (max === null || d[campo] > max[campo]) ? d : max),
+    null
+  );
+
+  const resumirGrupo = (grupo) => {
+    const maxKw = maximo(grupo, 'kw');
+    const maxKvar = maximo(grupo, 'kvar');
+    return {
+      demandaMaximaKw: maxKw?.kw ?? null,
+      momentoKw: maxKw?.inicio ?? null,
+      demandaMaximaKvar: maxKvar?.kvar ?? null,
+      momentoKvar: maxKvar?.inicio ?? null,
+    };
+  };
+
+  const periodos = agrupacion === 'intervalo'
+    ? demandas
+    : [...agruparPorPeriodo(demandas, agrupacion, formatearFecha).entries()].map(([periodo, grupo]) => ({
+      periodo,
+      ...resumirGrupo(grupo),
+      intervalos: grupo.length,
+      incompletos: grupo.filter(d => d.incompleto).length,
+      estimado: grupo.some(d => d.estimado),
+    }));
+
+  return { periodos, maximo: resumirGrupo(demandas) };
+}
+
+/**
+ * Inicia el cálculo periódico de energía
+ * Se puede deshabilitar con ENERGIA_HABILITADA=false
+ */
+function iniciarEnergia() {
+  if (process.env.ENERGIA_HABILITADA === 'false') {
+    console.log('[Energia] Deshabilitado por configuración');
+    return;
+  }
+  if (intervalo) return;
+
+  intervalo = setInterval(ejecutarEnergia, INTERVALO_MS);
+  console.log(`[Energia] Cálculo cada ${INTERVALO_MS / 60000} min (hueco máximo ${HUECO_MAXIMO_MS / 1000}s)`);
+}
+
+/**
+ * Detiene el cálculo periódico de energía
+ */
+function detenerEnergia() {
+  if (intervalo) {
+    clearInterval(intervalo);
+    intervalo = null;
+  }
+}
+
+module.exports = {
+  INTERVALO_DEMANDA_MS,
+  obtenerFuentesEnergia,
+  valorFuente,
+  calcularSegmentos,
+  obtenerIntervalos,
+  resumirEnergia,
+  resumirDemanda,
+  ejecutarEnergia,
+  reabrirEnergia,
+  iniciarEnergia,
+  detenerEnergia,
+};
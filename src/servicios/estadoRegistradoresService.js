@@ -0,0 +1,95 @@
+// src/servicios/estadoRegistradoresService.js
+// Actualización del estado de los registradores (última lectura, último error, contadores)
+// a partir de un lote de lecturas, en una sola sentencia por lote
+//
+// Usa la función RPC actualizar_estado_registradores (migrations/003_estado_registradores.sql),
+// que aplica todos los cambios en un único UPDATE ... FROM jsonb_to_recordset.
+
+const supabase = require('../config/supabase');
+
+/**
+ * Resume un lote de lecturas en un cambio de estado por registrador
+ * Solo se conserva el timestamp más reciente por registrador. Los fallos consecutivos
+ * son los que quedan después de la última lectura exitosa del lote (si no hubo ninguna
+ * exitosa, se suman a los que ya tenía el registrador). ultimo_timestamp es la última
+ * lectura del lote: la función solo aplica el error y los fallos si es posterior a la
+ * última ya aplicada (los lotes atrasados solo suman a los contadores).
+ * @param {Array<object>} lecturas - Lecturas con formato de la tabla lecturas
+ *   (registrador_id, timestamp, exito, error_mensaje)
+ * @returns {Array<object>} - Un estado por registrador para actualizar_estado_registradores
+ */
+function resumirEstadoPorRegistrador(lecturas) {
+  const porRegistrador = new Map();
+  const ordenadas = [...lecturas].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  for (const lectura of ordenadas) {
+    let estado = porRegistrador.get(lectura.registrador_id);
+    if (!estado) {
+      estado = {
+        id: lectura.registrador_id,
+        ultima_lectura_exitosa: null,
+        ultimo_error: null,
+        hubo_exito: false,
+        exitosas: 0,
+        fallidas: 0,
+        fallos_finales: 0,
+        ultimo_timestamp: null,
+      };
+      porRegistrador.set(lectura.registrador_id, estado);
+    }
+
+    estado.ultimo_timestamp = lectura.timestamp;
+
+    if (lectura.exito) {
+      estado.ultima_lectura_exitosa = lectura.timestamp;
+      estado.ultimo_error = null;
+      estado.hubo_exito = true;
+      estado.exitosas++;
+      estado.fallos_finales = 0;
+    } else {
+      estado.ultimo_error = lectura.error_mensaje || 'Error de lectura';
+      estado.fallidas++;
+      estado.fallos_finales++;
+    }
+  }
+
+  return [...porRegistrador.values()];
+}
+
+/**
+ * Aplica el estado de un lote de lecturas a los registradores en una sola llamada
+ * @param {Array<object>} lecturas - Lecturas insertadas del lote
+ * @returns {Promise<{actualizados: number}>}
+ */
+async function actualizarEstadoRegistradores(lecturas) {
+  const estados = resumirEstadoPorRegistrador(lecturas);
+
+  if (estados.length === 0) {
+    return { actualizados: 0 };
+  }
+
+  const { error } = await supabase.rpc('actualizar_estado_registradores', { p_estados: estados });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return { actualizados: estados.length };
+}
+
+/**
+ * Calcula el porcentaje de lecturas exitosas de un registrador (null si aún no tiene lecturas)
+ * @param {{lecturas_exitosas?: number, lecturas_fallidas?: number}} registrador
+ * @returns {number|null}
+ */
+function calcularTasaExito(registrador) {
+  const exitosas = registrador.lecturas_exitosas || 0;
+  const total = exitosas + (registrador.lecturas_fallidas || 0);
+  return total > 0 ? Math.round((exitosas / total) * 10000) / 100 : null;
+}
+
+module.exports = {
+  resumirEstadoPorRegistrador,
+  actualizarEstadoRegistradores,
+  calcularTasaExito,
+};
@@ -0,0 +1,361 @@
+// src/servicios/eventosSoeService.js
+// Secuencia de eventos (SOE): cambios de los bits de estado/alarma de relés entre lecturas consecutivas
+//
+// Solo se vigilan los registros con etiquetas de bits (de la funcionalidad o del registrador),
+// y dentro de cada uno solo los bits etiquetados. Cada cambio de un bit es un evento con el
+// timestamp de la lectura en que se vio el valor nuevo, por ejemplo "51 Pickup ON".
+// Una etiqueta puede ser un texto o un objeto { nombre, textoActivo, textoInactivo, severidad }
+// ({ nombre: 'Interruptor', textoActivo: 'CERRADO', textoInactivo: 'ABIERTO' } -> "Interruptor ABIERTO").
+//
+// Se evalúa en la ingesta sobre las lecturas nuevas, comparando la primera con la lectura
+// anterior guardada. La primera lectura de un registrador no genera eventos (no hay estado previo).
+// Si el lote llega tarde (ya hay lecturas guardadas después), la primera lectura posterior se
+// vuelve a comparar contra la última del lote y sus eventos se corrigen.
+//
+// Tabla (migrations/010_eventos_soe.sql):
+//   eventos_soe (id, registrador_id, timestamp, registro, bit, activo, etiqueta, mensaje,
+//                severidad, created_at, UNIQUE (registrador_id, registro, bit, timestamp))
+
+const supabase = require('../config/supabase');
+const { obtenerConfiguracionRegistrador, obtenerEtiquetaBit } = require('./funcionalidadesService');
+const { publicarEventoTiempoReal } = require('./tiempoRealService');
+
+// La configuración de un registrador cambia poco: se reutiliza entre lotes de lecturas
+const CACHE_CONFIG_MS = 60 * 1000;
+const cacheRegistros = new Map();
+
+const LIMITE_DEFECTO = 200;
+const LIMITE_MAXIMO = 1000;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Etiquetas por bit de un registro, a partir de un objeto de etiquetas por registro o plano
+ * @returns {object|null} - { bit: etiqueta }
+ */
+function etiquetasDeRegistro(etiquetasBits, registro) {
+  const porRegistro = etiquetasBits?.[registro];
+  if (porRegistro && typeof porRegistro === 'object') return porRegistro;
+  return null;
+}
+
+/**
+ * Etiquetas planas ({ "3": "..." }): las claves son bits y los valores no son mapas de bits
+ */
+function sonEtiquetasPlanas(etiquetasBits) {
+  return !!etiquetasBits && Object.entries(etiquetasBits).some(([clave, valor]) =>
+    /^\d+$/.test(clave) && Number(clave) <= 15 && (typeof valor === 'string' || valor?.nombre || valor?.etiqueta)
+  );
+}
+
+/**
+ * Registros con bits etiquetados de un registrador
+ * Etiquetas por registro de la funcionalidad > planas de la funcionalidad (para todos sus
+ * registros) > etiquetas por registro del registrador. Las etiquetas planas del registrador
+ * no dicen a qué registro aplican, así que no se vigilan.
+ * @param {{funcionalidades: Array, etiquetasBits: object|null}} configuracion
+ * @returns {Map<number, object>} - dirección Modbus -> etiquetas de ese registro
+ */
+function obtenerRegistrosVigilados(configuracion) {
+  const registros = new Map();
+
+  for (const func of configuracion?.funcionalidades || []) {
+    if (!func.etiquetasBits) continue;
+    for (const reg of func.registros) {
+      const direccion = parseInt(reg.registro, 10);
+      if (Number.isNaN(direccion) || registros.has(direccion)) continue;
+
+      const etiquetas = etiquetasDeRegistro(func.etiquetasBits, direccion)
+        || (sonEtiquetasPlanas(func.etiquetasBits) ? func.etiquetasBits : null);
+      if (etiquetas) registros.set(direccion, etiquetas);
+    }
+  }
+
+  for (const [clave, valor] of Object.entries(configuracion?.etiquetasBits || {})) {
+    const direccion = parseInt(clave, 10);
+    if (Number.isNaN(direccion) || registros.has(direccion) || !valor || typeof valor !== 'object') continue;
+    if (valor.nombre || valor.etiqueta) continue; // Etiqueta plana de un bit, no un registro
+    registros.set(direccion, valor);
+  }
+
+  return registros;
+}
+
+/**
+ * Bits con etiqueta dentro de las etiquetas de un registro
+ */
+function bitsEtiquetados(etiquetas) {
+  return Object.keys(etiquetas)
+    .map(clave => Number(clave))
+    .filter(bit => Number.isInteger(bit) && bit >= 0 && bit <= 15);
+}
+
+/**
+ * Texto del evento para un bit que cambió
+ */
+function describirEvento(etiquetas, registro, bit, activo) {
+  const etiqueta = obtenerEtiquetaBit({ [registro]: etiquetas }, registro, bit);
+  const definicion = etiquetas[bit];
+  const texto = definicion && typeof definicion === 'object'
+    ? (activo ? definicion.textoActivo : definicion.textoInactivo)
+    : null;
+
+  return {
+    etiqueta,
+    mensaje: `${etiqueta} ${texto || (activo ? 'ON' : 'OFF')}`,
+    severidad: (definicion && typeof definicion === 'object' && definicion.severidad) || null,
+  };
+}
+
+/**
+ * Palabra de 16 bits de un registro en una lectura (null si no está)
+ */
+function palabraRegistro(lectura, indiceInicial, registro) {
+  const valor = Array.isArray(lectura.valores) ? lectura.valores[registro - indiceInicial] : undefined;
+  return typeof valor === 'number' && Number.isFinite(valor) ? Math.trunc(valor) & 0xFFFF : null;
+}
+
+/**
+ * Detecta los cambios de bits etiquetados entre lecturas consecutivas
+ * @param {object|null} anterior - Lectura previa a las nuevas (null si no hay)
+ * @param {Array<object>} lecturas - Lecturas nuevas, ordenadas por timestamp
+ * @param {Map<number, object>} registros - Resultado de obtenerRegistrosVigilados
+ * @param {number} indiceInicial
+ * @returns {Array<object>} - Filas de eventos_soe (sin registrador_id)
+ */
+function detectarTransiciones(anterior, lecturas, registros, indiceInicial) {
+  const eventos = [];
+  const ultimas = new Map();
+
+  if (anterior) {
+    for (const registro of registros.keys()) {
+      const palabra = palabraRegistro(anterior, indiceInicial, registro);
+      if (palabra !== null) ultimas.set(registro, palabra);
+    }
+  }
+
+  for (const lectura of lecturas) {
+    for (const [registro, etiquetas] of registros) {
+      const palabra = palabraRegistro(lectura, indiceInicial, registro);
+      if (palabra === null) continue;
+
+      const previa = ultimas.get(registro);
+      ultimas.set(registro, palabra);
+      if (previa === undefined || previa === palabra) continue;
+
+      for (const bit of bitsEtiquetados(etiquetas)) {
+        if ((((previa ^ palabra) >>> bit) & 1) === 0) continue;
+        const activo = ((palabra >>> bit) & 1) === 1;
+        eventos.push({
+          timestamp: lectura.timestamp,
+          registro,
+          bit,
+          activo,
+          ...describirEvento(etiquetas, registro, bit, activo),
+        });
+      }
+    }
+  }
+
+  return eventos;
+}
+
+/**
+ * Registros vigilados de un registrador (con cache corto) e indice_inicial
+ */
+async function obtenerVigilancia(registradorId) {
+  const enCache = cacheRegistros.get(registradorId);
+  if (enCache && Date.now() - enCache.cargadoAt < CACHE_CONFIG_MS) {
+    return enCache;
+  }
+
+  const configuracion = await obtenerConfiguracionRegistrador(registradorId);
+  const vigilancia = {
+    registros: obtenerRegistrosVigilados(configuracion),
+    indiceInicial: configuracion?.registrador?.indice_inicial ?? 0,
+    cargadoAt: Date.now(),
+  };
+  cacheRegistros.set(registradorId, vigilancia);
+  return vigilancia;
+}
+
+/**
+ * Lectura exitosa guardada inmediatamente antes o después de un timestamp (null si no hay)
+ * @param {'anterior'|'posterior'} lado
+ */
+async function lecturaVecina(registradorId, timestamp, lado) {
+  const anterior = lado === 'anterior';
+  let query = supabase
+    .from('lecturas')
+    .select('timestamp, valores')
+    .eq('registrador_id', registradorId)
+    .eq('exito', true);
+
+  query = anterior ? query.lt('timestamp', timestamp) : query.gt('timestamp', timestamp);
+
+  const { data, error } = await query
+    .order('timestamp', { ascending: !anterior })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Borra los eventos guardados de una lectura que ya no corresponden
+ * Se usa con la lectura posterior a un lote que llegó tarde: sus eventos se habían calculado
+ * contra una lectura previa que ya no es la inmediatamente anterior.
+ * @param {Array<object>} vigentes - Eventos recalculados (de cualquier timestamp)
+ */
+async function corregirEventosLectura(registradorId, timestamp, vigentes) {
+  const { data: guardados, error } = await supabase
+    .from('eventos_soe')
+    .select('id, registro, bit')
+    .eq('registrador_id', registradorId)
+    .eq('timestamp', timestamp);
+
+  if (error) throw error;
+
+  const claves = new Set(vigentes
+    .filter(e => e.timestamp === timestamp)
+    .map(e => `${e.registro}:${e.bit}`));
+  const obsoletos = (guardados || []).filter(e => !claves.has(`${e.registro}:${e.bit}`));
+  if (obsoletos.length === 0) return;
+
+  const { error: errorBorrado } = await supabase
+    .from('eventos_soe')
+    .delete()
+    .in('id', obsoletos.map(e => e.id));
+
+  if (errorBorrado) throw errorBorrado;
+}
+
+/**
+ * Detecta y guarda los eventos SOE de un lote de lecturas recién insertadas
+ * Los eventos nuevos se publican en el canal en tiempo real ('evento-soe').
+ * @param {Array<object>} lecturas - Lecturas con formato de la tabla lecturas
+ * @param {string} agenteId - Agente que envió el lote
+ * @returns {Promise<number>} - Eventos registrados
+ */
+async function registrarEventosSoe(lecturas, agenteId) {
+  const porRegistrador = new Map();
+  for (const lectura of lecturas) {
+    if (!lectura.exito || !Array.isArray(lectura.valores)) continue;
+    if (!porRegistrador.has(lectura.registrador_id)) porRegistrador.set(lectura.registrador_id, []);
+    porRegistrador.get(lectura.registrador_id).push(lectura);
+  }
+
+  let total = 0;
+
+  for (const [registradorId, nuevas] of porRegistrador) {
+    const { registros, indiceInicial } = await obtenerVigilancia(registradorId);
+    if (registros.size === 0) continue;
+
+    nuevas.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const anterior = await lecturaVecina(registradorId, nuevas[0].timestamp, 'anterior');
+    const posterior = await lecturaVecina(registradorId, nuevas[nuevas.length - 1].timestamp, 'posterior');
+
+    const eventos = detectarTransiciones(anterior, posterior ? [...nuevas, posterior] : nuevas, registros, indiceInicial)
+      .map(evento => ({ registrador_id: registradorId, ...evento }));
+
+    if (posterior) {
+      await corregirEventosLectura(registradorId, posterior.timestamp, eventos);
+    }
+
+    if (eventos.length === 0) continue;
+
+    // Un reenvío del mismo lote no duplica eventos
+    const { data: insertados, error } = await supabase
+      .from('eventos_soe')
+      .upsert(eventos, { onConflict: 'registrador_id,registro,bit,timestamp', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+
+    for (const evento of insertados || []) {
+      publicarEventoTiempoReal('evento-soe', agenteId, evento)
+        .catch(err => console.error('[SOE] Error publicando en tiempo real:', err));
+    }
+    total += insertados?.length || 0;
+  }
+
+  return total;
+}
+
+/**
+ * Cursor de paginación: timestamp e id del último evento de la página ("<timestamp>|<id>")
+ * El id desempata los eventos de un mismo timestamp, así ninguno queda entre dos páginas.
+ */
+function crearCursor(evento) {
+  return `${evento.timestamp}|${evento.id}`;
+}
+
+/**
+ * @returns {{timestamp: string, id: string}|null} - null si el cursor no es válido
+ */
+function leerCursor(cursor) {
+  const separador = cursor.lastIndexOf('|');
+  if (separador === -1) return null;
+
+  const timestamp = cursor.slice(0, separador);
+  const id = cursor.slice(separador + 1);
+  if (Number.isNaN(new Date(timestamp).getTime()) || !UUID_REGEX.test(id)) return null;
+  return { timestamp, id };
+}
+
+/**
+ * Consulta eventos SOE (más recientes primero; en un mismo instante, por registro y bit)
+ * @param {object} filtros
+ * @param {string[]} filtros.registradorIds
+ * @param {string} [filtros.desde] - Fecha ISO
+ * @param {string} [filtros.hasta] - Fecha ISO
+ * @param {string} [filtros.cursor] - Para paginar: el `siguiente` de la página anterior (ver leerCursor)
+ * @param {number} [filtros.registro] - Dirección Modbus
+ * @param {boolean} [filtros.activo] - Solo activaciones (true) o desactivaciones (false)
+ * @param {string} [filtros.texto] - Busca en el mensaje
+ * @param {string} [filtros.severidad]
+ * @param {number} [filtros.limite] - Default 200, máximo 1000
+ */
+async function consultarEventos(filtros) {
+  const limite = Math.min(parseInt(filtros.limite) || LIMITE_DEFECTO, LIMITE_MAXIMO);
+
+  let query = supabase
+    .from('eventos_soe')
+    .select('id, registrador_id, timestamp, registro, bit, activo, etiqueta, mensaje, severidad, registradores (id, nombre)')
+    .in('registrador_id', filtros.registradorIds)
+    .order('timestamp', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limite);
+
+  if (filtros.desde) query = query.gte('timestamp', filtros.desde);
+  if (filtros.hasta) query = query.lte('timestamp', filtros.hasta);
+  if (filtros.cursor) {
+    const { timestamp, id } = leerCursor(filtros.cursor);
+    query = query.or(`timestamp.lt."${timestamp}",and(timestamp.eq."${timestamp}",id.lt.${id})`);
+  }
+  if (filtros.registro !== undefined) query = query.eq('registro', filtros.registro);
+  if (filtros.activo !== undefined) query = query.eq('activo', filtros.activo);
+  if (filtros.severidad) query = query.eq('severidad', filtros.severidad);
+  if (filtros.texto) {
+    query = query.ilike('mensaje', `%${filtros.texto.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const eventos = data || [];
+  const siguiente = eventos.length === limite ? crearCursor(eventos[eventos.length - 1]) : null;
+
+  // Para mostrar, los cambios de una misma lectura van por registro y bit
+  eventos.sort((a, b) => (new Date(b.timestamp) - new Date(a.timestamp)) || (a.registro - b.registro) || (a.bit - b.bit));
+
+  return { eventos, siguiente };
+}
+
+module.exports = {
+  obtenerRegistrosVigilados,
+  detectarTransiciones,
+  registrarEventosSoe,
+  leerCursor,
+  consultarEventos,
+};
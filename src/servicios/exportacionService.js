@@ -0,0 +1,204 @@
+// src/servicios/exportacionService.js
+// Exportación del histórico de lecturas de un registrador a CSV y XLSX
+// Escribe fila por fila sobre la respuesta HTTP a medida que se recorren las páginas de lecturas
+// (los tramos ya purgados por la retención salen con el promedio de cada minuto u hora)
+
+const ExcelJS = require('exceljs');
+const { recorrerHistorico } = require('./historicoService');
+const { aplicarFormula } = require('./formulasService');
+
+const FORMATOS_EXPORTACION = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Verifica que la zona horaria sea válida para Intl (ej: America/Argentina/Buenos_Aires)
+ */
+function zonaHorariaValida(zonaHoraria) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zonaHoraria });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Crea un formateador de timestamps a "YYYY-MM-DD HH:mm:ss" en la zona horaria indicada
+ * @param {string} zonaHoraria - Zona horaria IANA
+ * @returns {(timestamp: string) => string}
+ */
+function crearFormateadorFecha(zonaHoraria) {
+  const formato = new Intl.DateTimeFormat('en-CA', {
+    timeZone: zonaHoraria,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23',
+  });
+
+  return (timestamp) => {
+    const partes = Object.fromEntries(
+      formato.formatToParts(new Date(timestamp)).map(p => [p.type, p.value])
+    );
+    return `${partes.year}-${partes.month}-${partes.day} ${partes.hour}:${partes.minute}:${partes.second}`;
+  };
+}
+
+/**
+ * Construye las columnas de la exportación a partir de las funcionalidades de la plantilla
+ * Encabezado: "<etiqueta> [<dirección>]". Si el registrador no tiene funcionalidades
+ * configuradas, exporta todos sus registros como "Registro <dirección>".
+ * @param {{registrador: object, funcionalidades: Array}} configuracion - Resultado de obtenerConfiguracionRegistrador
+ * @param {Map<number, {formula: string}>|null} formulasPorRegistro - Fórmulas a aplicar (null = valores crudos)
+ * @returns {Array<{encabezado: string, indice: number, formula: string|null}>}
+ */
+function construirColumnas(configuracion, formulasPorRegistro) {
+  const indiceInicial = configuracion.registrador?.indice_inicial ?? 0;
+  const columnas = [];
+
+  for (const func of configuracion.funcionalidades || []) {
+    for (const reg of func.registros) {
+      const direccion = parseInt(reg.registro, 10);
+      if (Number.isNaN(direccion)) continue;
+      columnas.push({
+        encabezado: `${reg.etiqueta || func.nombre} [${direccion}]`,
+        indice: direccion - indiceInicial,
+        formula: formulasPorRegistro?.get(direccion)?.formula || null,
+      });
+    }
+  }
+
+  if (columnas.length === 0) {
+    const cantidad = configuracion.registrador?.cantidad_registros || 0;
+    for (let i = 0; i < cantidad; i++) {
+      const direccion = indiceInicial + i;
+      columnas.push({
+        encabezado: `Registro ${direccion}`,
+        indice: i,
+        formula: formulasPorRegistro?.get(direccion)?.formula || null,
+      });
+    }
+  }
+
+  return columnas;
+}
+
+/**
+ * Convierte una lectura en la fila de valores de la exportación
+ */
+function construirFila(lectura, columnas) {
+  return columnas.map(col => {
+    const valor = Array.isArray(lectura.valores) ? lectura.valores[col.indice] : undefined;
+    if (typeof valor !== 'number' || !Number.isFinite(valor)) return null;
+    return col.formula ? aplicarFormula(col.formula, valor) : valor;
+  });
+}
+
+/**
+ * Escapa un campo CSV (comillas dobles si contiene separador, comillas o saltos de línea)
+ */
+function escaparCsv(valor, separador) {
+  if (valor === null || valor === undefined) return '';
+  const texto = String(valor);
+  if (texto.includes(separador) || texto.includes('"') || /[\r\n]/.test(texto)) {
+    return `"${texto.replace(/"/g, '""')}"`;
+  }
+  return texto;
+}
+
+/**
+ * Espera a que el stream drene su buffer
+ * Rechaza si el stream se cierra o falla antes (ej: el cliente cortó la descarga),
+ * para que la exportación deje de recorrer páginas.
+ */
+function esperarDrenado(stream) {
+  if (stream.destroyed || stream.writableEnded) {
+    return Promise.reject(new Error('La conexión se cerró durante la exportación'));
+  }
+  if (!stream.writableNeedDrain) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const limpiar = () => {
+      stream.off('drain', alDrenar);
+      stream.off('close', alCerrar);
+      stream.off('error', alFallar);
+    };
+    const alDrenar = () => { limpiar(); resolve(); };
+    const alCerrar = () => { limpiar(); reject(new Error('La conexión se cerró durante la exportación')); };
+    const alFallar = (err) => { limpiar(); reject(err); };
+    stream.once('drain', alDrenar);
+    stream.once('close', alCerrar);
+    stream.once('error', alFallar);
+  });
+}
+
+/**
+ * Escribe en el stream respetando la contrapresión (espera 'drain' si el buffer está lleno)
+ */
+async function escribir(stream, chunk) {
+  if (stream.destroyed || stream.writableEnded) {
+    throw new Error('La conexión se cerró durante la exportación');
+  }
+  stream.write(chunk);
+  await esperarDrenado(stream);
+}
+
+/**
+ * Exporta las lecturas del rango a CSV sobre el stream (y lo cierra al terminar)
+ * @returns {Promise<number>} - Cantidad de filas exportadas
+ */
+async function exportarCsv(stream, { registradorId, desde, hasta, columnas, formatearFecha, separador = ',' }) {
+  const encabezados = ['Fecha', ...columnas.map(c => c.encabezado)];
+  // BOM para que Excel detecte UTF-8 (acentos en etiquetas)
+  await escribir(stream, '\uFEFF' + encabezados.map(e => escaparCsv(e, separador)).join(separador) + '\r\n');
+
+  const total = await recorrerHistorico(registradorId, desde, hasta, async (pagina) => {
+    let bloque = '';
+    for (const lectura of pagina) {
+      const fila = [formatearFecha(lectura.timestamp), ...construirFila(lectura, columnas)];
+      bloque += fila.map(v => escaparCsv(v, separador)).join(separador) + '\r\n';
+    }
+    await escribir(stream, bloque);
+  }, { columnas: 'timestamp, valores', soloExitosas: true });
+
+  stream.end();
+  return total;
+}
+
+/**
+ * Exporta las lecturas del rango a XLSX sobre el stream (WorkbookWriter de exceljs,
+ * cada fila se confirma al escribirla para no retener la hoja en memoria)
+ * Entre páginas espera a que el stream drene; libro.commit() cierra el stream.
+ * @returns {Promise<number>} - Cantidad de filas exportadas
+ */
+async function exportarXlsx(stream, { registradorId, desde, hasta, columnas, formatearFecha, nombreHoja }) {
+  const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  // Excel limita el nombre de la hoja a 31 caracteres y no admite : \ / ? * [ ]
+  const hoja = libro.addWorksheet((nombreHoja || 'Lecturas').replace(/[:\\/?*[\]]/g, '_').slice(0, 31));
+
+  hoja.addRow(['Fecha', ...columnas.map(c => c.encabezado)]).commit();
+
+  const total = await recorrerHistorico(registradorId, desde, hasta, async (pagina) => {
+    for (const lectura of pagina) {
+      hoja.addRow([formatearFecha(lectura.timestamp), ...construirFila(lectura, columnas)]).commit();
+    }
+    await esperarDrenado(stream);
+  }, { columnas: 'timestamp, valores', soloExitosas: true });
+
+  hoja.commit();
+  await libro.commit();
+  return total;
+}
+
+module.exports = {
+  FORMATOS_EXPORTACION,
+  CONTENT_TYPES,
+  zonaHorariaValida,
+  crearFormateadorFecha,
+  construirColumnas,
+  exportarCsv,
+  exportarXlsx,
+};
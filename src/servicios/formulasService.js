@@ -0,0 +1,343 @@
+// src/servicios/formulasService.js
+// Motor de expresiones para fórmulas de transformadores (TI/TV/REL)
+// Parsea y evalúa fórmulas sin usar eval ni Function: solo números, la variable x,
+// operadores aritméticos, paréntesis y un conjunto cerrado de funciones matemáticas
+
+/**
+ * Funciones permitidas en las fórmulas: nombre -> { fn, minArgs, maxArgs }
+ */
+const FUNCIONES = {
+  abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+  sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+  round: { fn: Math.round, minArgs: 1, maxArgs: 1 },
+  floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+  ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+  log10: { fn: Math.log10, minArgs: 1, maxArgs: 1 },
+  pow: { fn: Math.pow, minArgs: 2, maxArgs: 2 },
+  min: { fn: Math.min, minArgs: 1, maxArgs: 10 },
+  max: { fn: Math.max, minArgs: 1, maxArgs: 10 },
+};
+
+/**
+ * Constantes permitidas en las fórmulas
+ */
+const CONSTANTES = {
+  pi: Math.PI,
+  sqrt3: Math.sqrt(3),
+};
+
+const MAX_CACHE = 500;
+
+// Cache de fórmulas compiladas: texto -> función evaluadora
+const cacheFormulas = new Map();
+
+// ============================================
+// Tokenizador
+// ============================================
+
+/**
+ * Convierte el texto de la fórmula en una lista de tokens
+ * @param {string} texto - Fórmula a tokenizar
+ * @returns {Array<{tipo: string, valor: string|number, pos: number}>}
+ */
+function tokenizar(texto) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < texto.length) {
+    const c = texto[i];
+
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+
+    // Números: 12, 0.5, .5, 1e3
+    if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(texto[i + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(texto.slice(i));
+      if (!match) {
+        throw new Error(`Número inválido en posición ${i + 1}`);
+      }
+      tokens.push({ tipo: 'numero', valor: parseFloat(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Identificadores: variable, constantes y funciones
+    if (/[a-zA-Z_]/.test(c)) {
+      const match = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(texto.slice(i));
+      tokens.push({ tipo: 'identificador', valor: match[0].toLowerCase(), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if ('+-*/%^(),'.includes(c)) {
+      tokens.push({ tipo: 'simbolo', valor: c, pos: i });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Carácter no permitido '${c}' en posición ${i + 1}`);
+  }
+
+  return tokens;
+}
+
+// ============================================
+// Parser (descenso recursivo)
+// ============================================
+//
+// expresion := termino (('+' | '-') termino)*
+// termino   := unario (('*' | '/' | '%') unario)*
+// unario    := ('+' | '-') unario | potencia
+// potencia  := primario ('^' unario)?
+// primario  := numero | 'x' | constante | funcion '(' args ')' | '(' expresion ')'
+
+/**
+ * Construye el árbol sintáctico de una fórmula
+ * @param {string} texto - Fórmula a parsear
+ * @returns {object} - Nodo raíz del árbol
+ */
+function parsear(texto) {
+  const tokens = tokenizar(texto);
+  let pos = 0;
+
+  const actual = () => tokens[pos];
+  const esSimbolo = (valor) => actual()?.tipo === 'simbolo' && actual().valor === valor;
+
+  const esperar = (valor) => {
+    if (!esSimbolo(valor)) {
+      const encontrado = actual() ? `'${actual().valor}'` : 'fin de la fórmula';
+      throw new Error(`Se esperaba '${valor}' pero se encontró ${encontrado}`);
+    }
+    pos++;
+  };
+
+  function expresion() {
+    let nodo = termino();
+    while (esSimbolo('+') || esSimbolo('-')) {
+      const op = tokens[pos++].valor;
+      nodo = { tipo: 'binario', op, izq: nodo, der: termino() };
+    }
+    return nodo;
+  }
+
+  function termino() {
+    let nodo = unario();
+    while (esSimbolo('*') || esSimbolo('/') || esSimbolo('%')) {
+      const op = tokens[pos++].valor;
+      nodo = { tipo: 'binario', op, izq: nodo, der: unario() };
+    }
+    return nodo;
+  }
+
+  // El signo se aplica después de la potencia: -x^2 = -(x^2)
+  function unario() {
+    if (esSimbolo('-') || esSimbolo('+')) {
+      const op = tokens[pos++].valor;
+      return { tipo: 'unario', op, arg: unario() };
+    }
+    return potencia();
+  }
+
+  function potencia() {
+    const base = primario();
+    if (esSimbolo('^')) {
+      pos++;
+      return { tipo: 'binario', op: '^', izq: base, der: unario() };
+    }
+    return base;
+  }
+
+  function primario() {
+    const token = actual();
+
+    if (!token) {
+      throw new Error('La fórmula termina de forma inesperada');
+    }
+
+    if (token.tipo === 'numero') {
+      pos++;
+      return { tipo: 'numero', valor: token.valor };
+    }
+
+    if (token.tipo === 'identificador') {
+      pos++;
+      const nombre = token.valor;
+
+      if (nombre === 'x') {
+        return { tipo: 'variable' };
+      }
+
+      if (esSimbolo('(')) {
+        const funcion = FUNCIONES[nombre];
+        if (!funcion) {
+          throw new Error(`Función desconocida '${nombre}'`);
+        }
+        pos++;
+        const args = [];
+        if (!esSimbolo(')')) {
+          args.push(expresion());
+          while (esSimbolo(',')) {
+            pos++;
+            args.push(expresion());
+          }
+        }
+        esperar(')');
+        if (args.length < funcion.minArgs || args.length > funcion.maxArgs) {
+          throw new Error(`Cantidad de argumentos inválida para '${nombre}'`);
+        }
+        return { tipo: 'funcion', nombre, args };
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTES, nombre)) {
+        return { tipo: 'numero', valor: CONSTANTES[nombre] };
+      }
+
+      throw new Error(`Identificador desconocido '${nombre}' (la única variable permitida es x)`);
+    }
+
+    if (esSimbolo('(')) {
+      pos++;
+      const nodo = expresion();
+      esperar(')');
+      return nodo;
+    }
+
+    throw new Error(`Símbolo inesperado '${token.valor}' en posición ${token.pos + 1}`);
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('La fórmula está vacía');
+  }
+
+  const arbol = expresion();
+
+  if (pos < tokens.length) {
+    throw new Error(`Símbolo inesperado '${tokens[pos].valor}' en posición ${tokens[pos].pos + 1}`);
+  }
+
+  return arbol;
+}
+
+// ============================================
+// Evaluador
+// ============================================
+
+/**
+ * Evalúa un nodo del árbol sintáctico para un valor de x
+ */
+function evaluarNodo(nodo, x) {
+  switch (nodo.tipo) {
+    case 'numero':
+      return nodo.valor;
+    case 'variable':
+      return x;
+    case 'unario': {
+      const valor = evaluarNodo(nodo.arg, x);
+      return nodo.op === '-' ? -valor : valor;
+    }
+    case 'binario': {
+      const izq = evaluarNodo(nodo.izq, x);
+      const der = evaluarNodo(nodo.der, x);
+      switch (nodo.op) {
+        case '+': return izq + der;
+        case '-': return izq - der;
+        case '*': return izq * der;
+        case '/': return izq / der;
+        case '%': return izq % der;
+        case '^': return Math.pow(izq, der);
+        default: throw new Error(`Operador desconocido '${nodo.op}'`);
+      }
+    }
+    case 'funcion':
+      return FUNCIONES[nodo.nombre].fn(...nodo.args.map(a => evaluarNodo(a, x)));
+    default:
+      throw new Error(`Nodo desconocido '${nodo.tipo}'`);
+  }
+}
+
+// ============================================
+// API pública
+// ============================================
+
+/**
+ * Compila una fórmula a una función evaluadora (con cache)
+ * Lanza Error con un mensaje descriptivo si la fórmula es inválida
+ * @param {string} formula - Texto de la fórmula (ej: "x * 200 / 5")
+ * @returns {(x: number) => number|null} - Devuelve null si el resultado no es finito
+ */
+function compilarFormula(formula) {
+  const texto = String(formula ?? '').trim();
+
+  const enCache = cacheFormulas.get(texto);
+  if (enCache) return enCache;
+
+  const arbol = parsear(texto);
+  const evaluar = (x) => {
+    const resultado = evaluarNodo(arbol, Number(x));
+    return Number.isFinite(resultado) ? resultado : null;
+  };
+
+  if (cacheFormulas.size >= MAX_CACHE) {
+    cacheFormulas.delete(cacheFormulas.keys().next().value);
+  }
+  cacheFormulas.set(texto, evaluar);
+
+  return evaluar;
+}
+
+/**
+ * Valida una fórmula sin lanzar excepciones
+ * @param {string} formula - Texto de la fórmula
+ * @returns {{ valida: boolean, error: string|null }}
+ */
+function validarFormula(formula) {
+  try {
+    compilarFormula(formula);
+    return { valida: true, error: null };
+  } catch (error) {
+    return { valida: false, error: error.message };
+  }
+}
+
+/**
+ * Aplica una fórmula a un valor crudo
+ * Si la fórmula es inválida o el resultado no es finito, devuelve null
+ * @param {string} formula - Texto de la fórmula
+ * @param {number} valor - Valor crudo leído por Modbus
+ * @returns {number|null}
+ */
+function aplicarFormula(formula, valor) {
+  if (valor === null || valor === undefined) return null;
+  try {
+    return compilarFormula(formula)(valor);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convierte un array de valores crudos a unidades de ingeniería
+ * valores[i] corresponde a la dirección Modbus indiceInicial + i.
+ * Las direcciones sin transformador asociado conservan el valor crudo.
+ * @param {number[]} valores - Valores crudos de la lectura
+ * @param {number} indiceInicial - Dirección Modbus del primer valor
+ * @param {Map<number, {formula: string}>} formulasPorRegistro - Mapa dirección -> transformador
+ * @returns {Array<number|null>}
+ */
+function convertirValores(valores, indiceInicial, formulasPorRegistro) {
+  if (!Array.isArray(valores)) return [];
+
+  return valores.map((valor, i) => {
+    const transformador = formulasPorRegistro.get(indiceInicial + i);
+    return transformador ? aplicarFormula(transformador.formula, valor) : valor;
+  });
+}
+
+module.exports = {
+  compilarFormula,
+  validarFormula,
+  aplicarFormula,
+  convertirValores,
+};
@@ -0,0 +1,186 @@
+// src/servicios/funcionalidadesService.js
+// Resolución de funcionalidades de un registrador a partir de su plantilla
+// y su configuracion_completa (registros Modbus, transformadores y etiquetas de bits)
+
+const supabase = require('../config/supabase');
+
+/**
+ * Combina las funcionalidades de la plantilla con las activas en la configuración del registrador
+ * Solo incluye las funcionalidades habilitadas, ordenadas por el campo 'orden'
+ * @param {object} plantilla - Fila de plantillas_dispositivo (usa plantilla.funcionalidades)
+ * @param {object} configCompleta - registradores.configuracion_completa
+ * @returns {Array<object>} - Funcionalidades con sus registros (etiqueta, registro, transformadorId)
+ */
+function resolverFuncionalidades(plantilla, configCompleta = {}) {
+  const funcionalidadesActivas = configCompleta?.funcionalidadesActivas || {};
+  const funcionalidadesDisponibles = [];
+
+  if (plantilla?.funcionalidades) {
+    for (const [funcId, func] of Object.entries(plantilla.funcionalidades)) {
+      // Solo incluir si está activa en la configuración del registrador
+      const funcActiva = funcionalidadesActivas[funcId];
+      if (funcActiva && funcActiva.habilitado) {
+        funcionalidadesDisponibles.push({
+          id: funcId,
+          nombre: funcActiva.nombre || func.nombre,
+          categoria: func.categoria || 'general',
+          orden: funcActiva.orden ?? func.orden ?? Infinity,
+          registros: (funcActiva.registros || func.registros || []).map(reg => ({
+            etiqueta: reg.etiqueta,
+            registro: reg.valor,
+            transformadorId: reg.transformadorId || null
+          })),
+          // Incluir configHistorial para configuración de visualización en historial
+          configHistorial: funcActiva.configHistorial || func.configHistorial || null,
+          // Incluir etiquetasBits específicas de esta funcionalidad (para estados/alarmas)
+          etiquetasBits: funcActiva.etiquetasBits || func.etiquetasBits || null,
+          // Si sus registros son potencia o contador de energía (ver energiaService)
+          energia: funcActiva.energia || func.energia || null
+        });
+      }
+    }
+  }
+
+  // Ordenar por el campo 'orden' para preservar el orden configurado por el usuario
+  funcionalidadesDisponibles.sort((a, b) => a.orden - b.orden);
+
+  return funcionalidadesDisponibles;
+}
+
+/**
+ * Obtiene el registrador con su plantilla y funcionalidades resueltas
+ * @param {string} registradorId - ID del registrador
+ * @returns {Promise<{registrador: object, plantilla: object|null, funcionalidades: Array, etiquetasBits: object|null}|null>}
+ *   null si el registrador no existe
+ */
+async function obtenerConfiguracionRegistrador(registradorId) {
+  const { data: registrador, error: errorReg } = await supabase
+    .from('registradores')
+    .select('id, nombre, ip, puerto, indice_inicial, cantidad_registros, plantilla_id, configuracion_completa')
+    .eq('id', registradorId)
+    .single();
+
+  if (errorReg || !registrador) {
+    return null;
+  }
+
+  if (!registrador.plantilla_id) {
+    return { registrador, plantilla: null, funcionalidades: [], etiquetasBits: null };
+  }
+
+  const { data: plantilla } = await supabase
+    .from('plantillas_dispositivo')
+    .select('id, nombre, tipo_dispositivo, funcionalidades, etiquetas_bits')
+    .eq('id', registrador.plantilla_id)
+    .single();
+
+  if (!plantilla) {
+    return { registrador, plantilla: null, funcionalidades: [], etiquetasBits: null };
+  }
+
+  const configCompleta = registrador.configuracion_completa || {};
+
+  return {
+    registrador,
+    plantilla,
+    funcionalidades: resolverFuncionalidades(plantilla, configCompleta),
+    // Prioridad: configuracion_completa > plantilla
+    etiquetasBits: configCompleta.etiquetasBits || plantilla.etiquetas_bits || null,
+  };
+}
+
+/**
+ * Construye el mapa de fórmulas por dirección Modbus a partir de las funcionalidades
+ * @param {Array<object>} funcionalidades - Resultado de resolverFuncionalidades
+ * @returns {Promise<Map<number, {transformadorId: string, tipo: string, nombre: string, formula: string}>>}
+ */
+async function obtenerFormulasPorRegistro(funcionalidades) {
+  const mapa = new Map();
+  const transformadorIds = new Set();
+
+  for (const func of funcionalidades) {
+    for (const reg of func.registros) {
+      if (reg.transformadorId) transformadorIds.add(reg.transformadorId);
+    }
+  }
+
+  if (transformadorIds.size === 0) {
+    return mapa;
+  }
+
+  const { data: transformadores, error } = await supabase
+    .from('transformadores')
+    .select('id, tipo, nombre, formula')
+    .in('id', [...transformadorIds]);
+
+  if (error) {
+    console.error('Error obteniendo transformadores:', error);
+    return mapa;
+  }
+
+  const porId = new Map((transformadores || []).map(t => [t.id, t]));
+
+  for (const func of funcionalidades) {
+    for (const reg of func.registros) {
+      const transformador = porId.get(reg.transformadorId);
+      const direccion = parseInt(reg.registro, 10);
+      if (transformador && !Number.isNaN(direccion)) {
+        mapa.set(direccion, {
+          transformadorId: transformador.id,
+          tipo: transformador.tipo,
+          nombre: transformador.nombre,
+          formula: transformador.formula,
+        });
+      }
+    }
+  }
+
+  return mapa;
+}
+
+/**
+ * Obtiene la etiqueta de un bit de una palabra de estado
+ * Soporta etiquetas por registro ({ "40010": { "3": "Interruptor abierto" } })
+ * y etiquetas planas por bit ({ "3": "Interruptor abierto" }).
+ * Cada etiqueta puede ser un string o un objeto con nombre/etiqueta.
+ * @param {object|null} etiquetasBits - Etiquetas de bits del registrador o funcionalidad
+ * @param {number} registro - Dirección Modbus de la palabra de estado
+ * @param {number} bit - Número de bit (0-15)
+ * @returns {string} - Etiqueta configurada o "Bit N" si no hay ninguna
+ */
+function obtenerEtiquetaBit(etiquetasBits, registro, bit) {
+  const porRegistro = etiquetasBits?.[registro];
+  const etiqueta = (porRegistro && typeof porRegistro === 'object' ? porRegistro[bit] : undefined)
+    ?? etiquetasBits?.[bit];
+
+  if (typeof etiqueta === 'string' && etiqueta.trim()) {
+    return etiqueta.trim();
+  }
+  if (etiqueta && typeof etiqueta === 'object') {
+    return etiqueta.nombre || etiqueta.etiqueta || `Bit ${bit}`;
+  }
+  return `Bit ${bit}`;
+}
+
+/**
+ * Obtiene las etiquetas de bits aplicables a una dirección Modbus
+ * Prioridad: etiquetasBits de la funcionalidad que contiene el registro > etiquetas del registrador
+ * @param {{funcionalidades: Array, etiquetasBits: object|null}} configuracion - Resultado de obtenerConfiguracionRegistrador
+ * @param {number} registro - Dirección Modbus
+ * @returns {object|null}
+ */
+function obtenerEtiquetasBitsRegistro(configuracion, registro) {
+  const funcionalidad = (configuracion?.funcionalidades || []).find(func =>
+    func.etiquetasBits && func.registros.some(reg => parseInt(reg.registro, 10) === registro)
+  );
+
+  return funcionalidad?.etiquetasBits || configuracion?.etiquetasBits || null;
+}
+
+module.exports = {
+  resolverFuncionalidades,
+  obtenerConfiguracionRegistrador,
+  obtenerFormulasPorRegistro,
+  obtenerEtiquetaBit,
+  obtenerEtiquetasBitsRegistro,
+};
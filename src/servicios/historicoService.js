@@ -0,0 +1,450 @@
+// src/servicios/historicoService.js
+// Lectura paginada del histórico de un registrador y agregación por intervalos de tiempo
+// (min/max/promedio/último por registro), para no enviar millones de filas crudas al frontend
+//
+// Las lecturas crudas viejas se purgan según la retención (retencionLecturasService) y quedan
+// agregadas por minuto y por hora en lecturas_agregadas. Las consultas de histórico leen cada
+// tramo del rango del nivel que lo conserva.
+//
+// La agregación por intervalo se hace en la base con la función RPC agregar_historico
+// (migrations/008_historico_agregado.sql), que devuelve solo los buckets con el mismo formato
+// que lecturas_agregadas.
+
+const supabase = require('../config/supabase');
+
+// Supabase tiene límite de 1000 registros por consulta por defecto
+const PAGE_SIZE = 1000;
+
+// Tamaños de intervalo soportados
+const INTERVALOS_AGREGACION = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+// Cantidad máxima de puntos que se buscan al elegir el intervalo automáticamente
+const MAX_PUNTOS_AUTO = 1000;
+
+/**
+ * Elige el menor intervalo que deja el rango en MAX_PUNTOS_AUTO puntos o menos
+ * (si ninguno alcanza, usa el mayor)
+ * @param {string} desde - Fecha ISO inicio
+ * @param {string} hasta - Fecha ISO fin
+ * @returns {string} - Clave de INTERVALOS_AGREGACION
+ */
+function elegirIntervalo(desde, hasta) {
+  const rangoMs = Math.max(0, new Date(hasta).getTime() - new Date(desde).getTime());
+  const claves = Object.keys(INTERVALOS_AGREGACION);
+
+  for (const clave of claves) {
+    if (rangoMs / INTERVALOS_AGREGACION[clave] <= MAX_PUNTOS_AUTO) {
+      return clave;
+    }
+  }
+  return claves[claves.length - 1];
+}
+
+/**
+ * Recorre todas las lecturas de un registrador en un rango, página por página,
+ * sin acumularlas en memoria
+ * @param {string} registradorId - ID del registrador
+ * @param {string} desde - Fecha ISO inicio
+ * @param {string} hasta - Fecha ISO fin
+ * @param {(pagina: Array<object>) => (void|Promise<void>)} alPagina - Callback por página
+ * @param {{ columnas?: string, soloExitosas?: boolean }} opciones
+ * @returns {Promise<number>} - Total de lecturas recorridas
+ */
+async function recorrerLecturas(registradorId, desde, hasta, alPagina, opciones = {}) {
+  const { columnas = '*', soloExitosas = false } = opciones;
+  let offset = 0;
+  let total = 0;
+
+  while (true) {
+    let query = supabase
+      .from('lecturas')
+      .select(columnas)
+      .eq('registrador_id', registradorId)
+      .gte('timestamp', desde)
+      .lte('timestamp', hasta);
+
+    if (soloExitosas) {
+      query = query.eq('exito', true);
+    }
+
+    const { data, error } = await query
+      .order('timestamp', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data || data.length === 0) break;
+
+    await alPagina(data);
+    total += data.length;
+    offset += PAGE_SIZE;
+
+    // Si recibimos menos de PAGE_SIZE, no hay más datos
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return total;
+}
+
+/**
+ * Recorre las filas de un nivel de agregación guardado (lecturas_agregadas) en [desde, hasta)
+ * @param {string} registradorId
+ * @param {string} intervalo - '1m' | '1h'
+ * @param {string} desde - Fecha ISO inicio
+ * @param {string} hasta - Fecha ISO fin (excluida)
+ * @param {(pagina: Array<object>) => (void|Promise<void>)} alPagina
+ * @returns {Promise<number>} - Total de filas recorridas
+ */
+async function recorrerAgregados(registradorId, intervalo, desde, hasta, alPagina) {
+  let offset = 0;
+  let total = 0;
+
+  while (true) {
+    const { data, error } = await supabase
+      .from('lecturas_agregadas')
+      .select('timestamp, intervalo, muestras, valores_min, valores_max, valores_promedio, valores_ultimo')
+      .eq('registrador_id', registradorId)
+      .eq('intervalo', intervalo)
+      .gte('timestamp', desde)
+      .lt('timestamp', hasta)
+      .order('timestamp', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data || data.length === 0) break;
+
+    await alPagina(data);
+    total += data.length;
+    offset += PAGE_SIZE;
+
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  return total;
+}
+
+/**
+ * Recorre los buckets de un tramo agregados en la base (RPC agregar_historico)
+ * Pagina por tiempo: cada página empieza en el bucket siguiente al último recibido.
+ * @param {string} registradorId
+ * @param {{nivel: string|null, desde: string, hasta: string}} tramo - Resultado de obtenerTramos
+ * @param {number} intervaloMs - Tamaño del bucket
+ * @param {(pagina: Array<object>) => (void|Promise<void>)} alPagina - Filas con el formato de lecturas_agregadas
+ */
+async function recorrerBuckets(registradorId, tramo, intervaloMs, alPagina) {
+  let desde = tramo.desde;
+
+  while (true) {
+    const { data, error } = await supabase
+      .rpc('agregar_historico', {
+        p_registrador_id: registradorId,
+        p_nivel: tramo.nivel,
+        p_desde: desde,
+        p_hasta: tramo.hasta,
+        p_intervalo: `${intervaloMs / 1000} seconds`,
+      })
+      .order('timestamp', { ascending: true })
+      .limit(PAGE_SIZE);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    if (!data || data.length === 0) break;
+
+    await alPagina(data);
+
+    if (data.length < PAGE_SIZE) break;
+    desde = new Date(new Date(data[data.length - 1].timestamp).getTime() + intervaloMs).toISOString();
+  }
+}
+
+/**
+ * Desde dónde hay datos en cada nivel de un registrador
+ * La retención purga de lo más viejo a lo más nuevo y guarda los agregados de 1m y 1h de
+ * cada hora purgada, así que los niveles son contiguos: 1h hasta inicioMinuto, 1m hasta
+ * inicioCrudo y lecturas crudas desde ahí. null = ese nivel empieza al principio de todo.
+ * @returns {Promise<{inicioMinuto: number|null, inicioCrudo: number|null}>} - Epoch ms
+ */
+async function obtenerLimitesNiveles(registradorId) {
+  const consultar = (intervalo, ascendente) => supabase
+    .from('lecturas_agregadas')
+    .select('timestamp')
+    .eq('registrador_id', registradorId)
+    .eq('intervalo', intervalo)
+    .order('timestamp', { ascending: ascendente })
+    .limit(1);
+
+  const [{ data: ultimaHora, error: errorHora }, { data: primerMinuto, error: errorMinuto }] = await Promise.all([
+    consultar('1h', false),
+    consultar('1m', true),
+  ]);
+
+  if (errorHora || errorMinuto) {
+    throw new Error((errorHora || errorMinuto).message);
+  }
+
+  // Las crudas empiezan donde termina la última hora purgada
+  const inicioCrudo = ultimaHora?.length
+    ? new Date(ultimaHora[0].timestamp).getTime() + INTERVALOS_AGREGACION['1h']
+    : null;
+  const inicioMinuto = primerMinuto?.length
+    ? new Date(primerMinuto[0].timestamp).getTime()
+    : inicioCrudo;
+
+  return { inicioMinuto, inicioCrudo };
+}
+
+/**
+ * Divide [desde, hasta] en tramos según el nivel que tiene los datos de cada parte
+ * @returns {Promise<Array<{nivel: string|null, desde: string, hasta: string}>>} - nivel null = crudas
+ */
+async function obtenerTramos(registradorId, desde, hasta) {
+  const { inicioMinuto, inicioCrudo } = await obtenerLimitesNiveles(registradorId);
+  const desdeMs = new Date(desde).getTime();
+  const hastaMs = new Date(hasta).getTime();
+  const tramos = [];
+
+  const agregarTramo = (nivel, inicio, fin) => {
+    const a = Math.max(desdeMs, inicio ?? -Infinity);
+    const b = Math.min(hastaMs, fin ?? Infinity);
+    if (a < b || (nivel === null && a <= b)) {
+      tramos.push({ nivel, desde: new Date(a).toISOString(), hasta: new Date(b).toISOString() });
+    }
+  };
+
+  if (inicioMinuto !== null) agregarTramo('1h', null, inicioMinuto);
+  if (inicioCrudo !== null) agregarTramo('1m', inicioMinuto, inicioCrudo);
+  agregarTramo(null, inicioCrudo, null);
+
+  return tramos;
+}
+
+/**
+ * Convierte una fila de lecturas_agregadas en un punto del histórico
+ */
+function puntoDesdeAgregado(registradorId, fila) {
+  const inicio = new Date(fila.timestamp).getTime();
+  return {
+    registrador_id: registradorId,
+    timestamp: new Date(inicio).toISOString(),
+    timestamp_fin: new Date(inicio + INTERVALOS_AGREGACION[fila.intervalo]).toISOString(),
+    muestras: fila.muestras,
+    exito: true,
+    valores: fila.valores_promedio,
+    valores_min: fila.valores_min,
+    valores_max: fila.valores_max,
+    valores_promedio: fila.valores_promedio,
+    valores_ultimo: fila.valores_ultimo,
+    intervalo: fila.intervalo,
+  };
+}
+
+/**
+ * Recorre el histórico de un registrador leyendo cada tramo del nivel que lo tiene:
+ * las partes ya purgadas llegan como puntos agregados (con `intervalo`), el resto crudo
+ * @param {(pagina: Array<object>) => (void|Promise<void>)} alPagina
+ * @param {{ columnas?: string, soloExitosas?: boolean }} opciones - Para las lecturas crudas
+ * @returns {Promise<number>} - Total de filas recorridas
+ */
+async function recorrerHistorico(registradorId, desde, hasta, alPagina, opciones = {}) {
+  let total = 0;
+
+  for (const tramo of await obtenerTramos(registradorId, desde, hasta)) {
+    total += tramo.nivel
+      ? await recorrerAgregados(registradorId, tramo.nivel, tramo.desde, tramo.hasta, (pagina) =>
+        alPagina(pagina.map(fila => puntoDesdeAgregado(registradorId, fila))))
+      : await recorrerLecturas(registradorId, tramo.desde, tramo.hasta, alPagina, opciones);
+  }
+
+  return total;
+}
+
+/**
+ * Obtiene el histórico sin agregar de un registrador: lecturas crudas donde todavía
+ * existen y, para las partes ya purgadas, los puntos del nivel agregado que las conserva
+ */
+async function obtenerLecturasHistoricas(registradorId, desde, hasta) {
+  let lecturas = [];
+  await recorrerHistorico(registradorId, desde, hasta, (pagina) => {
+    lecturas = lecturas.concat(pagina);
+  });
+  return lecturas;
+}
+
+/**
+ * Crea un acumulador de buckets de un intervalo
+ * Acepta lecturas crudas y filas ya agregadas (de un nivel más fino), así los agregados
+ * se pueden combinar entre sí sin volver a las lecturas crudas.
+ * @param {number} intervaloMs
+ */
+function crearAcumulador(intervaloMs) {
+  return { intervaloMs, buckets: new Map() };
+}
+
+function obtenerBucket(acumulador, timestamp) {
+  const inicio = Math.floor(new Date(timestamp).getTime() / acumulador.intervaloMs) * acumulador.intervaloMs;
+  let bucket = acumulador.buckets.get(inicio);
+  if (!bucket) {
+    bucket = { muestras: 0, longitud: 0, min: [], max: [], suma: [], cantidad: [], ultimo: [], ultimoAt: [] };
+    acumulador.buckets.set(inicio, bucket);
+  }
+  return bucket;
+}
+
+function esNumero(valor) {
+  return typeof valor === 'number' && Number.isFinite(valor);
+}
+
+/**
+ * Suma una lectura cruda (timestamp, valores) al acumulador
+ */
+function acumularLectura(acumulador, lectura) {
+  if (!Array.isArray(lectura.valores)) return;
+
+  const bucket = obtenerBucket(acumulador, lectura.timestamp);
+  const momento = new Date(lectura.timestamp).getTime();
+
+  bucket.muestras++;
+  bucket.longitud = Math.max(bucket.longitud, lectura.valores.length);
+  lectura.valores.forEach((valor, i) => {
+    if (!esNumero(valor)) return;
+    bucket.min[i] = bucket.min[i] === undefined ? valor : Math.min(bucket.min[i], valor);
+    bucket.max[i] = bucket.max[i] === undefined ? valor : Math.max(bucket.max[i], valor);
+    bucket.suma[i] = (bucket.suma[i] || 0) + valor;
+    bucket.cantidad[i] = (bucket.cantidad[i] || 0) + 1;
+    if (bucket.ultimoAt[i] === undefined || momento >= bucket.ultimoAt[i]) {
+      bucket.ultimo[i] = valor;
+      bucket.ultimoAt[i] = momento;
+    }
+  });
+}
+
+/**
+ * Suma una fila agregada (de lecturas_agregadas o un punto) al acumulador
+ * El promedio se pondera por la cantidad de muestras de la fila.
+ */
+function acumularAgregado(acumulador, fila) {
+  const promedios = fila.valores_promedio || [];
+  const bucket = obtenerBucket(acumulador, fila.timestamp);
+  const momento = new Date(fila.timestamp).getTime();
+  const muestras = fila.muestras || 0;
+
+  bucket.muestras += muestras;
+  bucket.longitud = Math.max(bucket.longitud, promedios.length);
+  promedios.forEach((promedio, i) => {
+    if (!esNumero(promedio)) return;
+    const min = esNumero(fila.valores_min?.[i]) ? fila.valores_min[i] : promedio;
+    const max = esNumero(fila.valores_max?.[i]) ? fila.valores_max[i] : promedio;
+    bucket.min[i] = bucket.min[i] === undefined ? min : Math.min(bucket.min[i], min);
+    bucket.max[i] = bucket.max[i] === undefined ? max : Math.max(bucket.max[i], max);
+    bucket.suma[i] = (bucket.suma[i] || 0) + promedio * muestras;
+    bucket.cantidad[i] = (bucket.cantidad[i] || 0) + muestras;
+    const ultimo = fila.valores_ultimo?.[i];
+    if (esNumero(ultimo) && (bucket.ultimoAt[i] === undefined || momento >= bucket.ultimoAt[i])) {
+      bucket.ultimo[i] = ultimo;
+      bucket.ultimoAt[i] = momento;
+    }
+  });
+}
+
+/**
+ * Puntos del acumulador, ordenados por tiempo
+ * Cada punto contiene, por posición del array valores: valores_min, valores_max,
+ * valores_promedio y valores_ultimo; `valores` es el promedio.
+ */
+function puntosDelAcumulador(acumulador, registradorId) {
+  const { intervaloMs } = acumulador;
+
+  return [...acumulador.buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([inicio, bucket]) => {
+      const { longitud } = bucket;
+      const completar = (arr) => Array.from({ length: longitud }, (_, i) => arr[i] ?? null);
+      const promedio = Array.from({ length: longitud }, (_, i) =>
+        bucket.cantidad[i] ? bucket.suma[i] / bucket.cantidad[i] : null
+      );
+
+      return {
+        registrador_id: registradorId,
+        timestamp: new Date(inicio).toISOString(),
+        timestamp_fin: new Date(inicio + intervaloMs).toISOString(),
+        muestras: bucket.muestras,
+        exito: true,
+        valores: promedio,
+        valores_min: completar(bucket.min),
+        valores_max: completar(bucket.max),
+        valores_promedio: promedio,
+        valores_ultimo: completar(bucket.ultimo),
+      };
+    });
+}
+
+/**
+ * Obtiene las lecturas de un registrador agregadas por intervalo
+ * Solo considera lecturas exitosas. Cada tramo se agrega en la base; los buckets que quedan
+ * partidos entre dos tramos se combinan acá. Los tramos ya purgados se agregan desde el nivel
+ * guardado; si ese nivel es más grueso que el intervalo pedido (por ejemplo 15m sobre
+ * datos que solo quedan por hora), sus puntos se devuelven con su propio intervalo.
+ * @param {string} registradorId - ID del registrador
+ * @param {string} desde - Fecha ISO inicio
+ * @param {string} hasta - Fecha ISO fin
+ * @param {string} intervalo - Clave de INTERVALOS_AGREGACION
+ * @returns {Promise<{ puntos: Array<object>, totalLecturas: number }>} - Cada punto incluye `intervalo`
+ */
+async function obtenerLecturasAgregadas(registradorId, desde, hasta, intervalo) {
+  const intervaloMs = INTERVALOS_AGREGACION[intervalo];
+  const acumulador = crearAcumulador(intervaloMs);
+  const puntosGruesos = [];
+  let totalLecturas = 0;
+
+  for (const tramo of await obtenerTramos(registradorId, desde, hasta)) {
+    if (tramo.nivel && INTERVALOS_AGREGACION[tramo.nivel] > intervaloMs) {
+      await recorrerAgregados(registradorId, tramo.nivel, tramo.desde, tramo.hasta, (pagina) => {
+        for (const fila of pagina) {
+          puntosGruesos.push(puntoDesdeAgregado(registradorId, fila));
+          totalLecturas += fila.muestras || 0;
+        }
+      });
+      continue;
+    }
+
+    await recorrerBuckets(registradorId, tramo, intervaloMs, (pagina) => {
+      for (const bucket of pagina) {
+        acumularAgregado(acumulador, bucket);
+        totalLecturas += Number(bucket.muestras) || 0;
+      }
+    });
+  }
+
+  const puntos = puntosDelAcumulador(acumulador, registradorId)
+    .map(punto => ({ ...punto, intervalo }))
+    .concat(puntosGruesos)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  return { puntos, totalLecturas };
+}
+
+module.exports = {
+  INTERVALOS_AGREGACION,
+  elegirIntervalo,
+  recorrerLecturas,
+  recorrerAgregados,
+  recorrerHistorico,
+  obtenerLecturasHistoricas,
+  obtenerLecturasAgregadas,
+  crearAcumulador,
+  acumularLectura,
+  acumularAgregado,
+  puntosDelAcumulador,
+};
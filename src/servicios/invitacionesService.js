@@ -0,0 +1,199 @@
+// src/servicios/invitacionesService.js
+// Invitaciones a workspaces para emails que todavía no tienen cuenta
+//
+// Una invitación queda 'pendiente' hasta que el usuario crea su perfil con ese email
+// (aceptarInvitacionesPendientes) o hasta que se revoca. Las vencidas no se aceptan;
+// se listan con vencida=true hasta que alguien las renueve invitando de nuevo.
+
+const supabase = require('../config/supabase');
+const { enviarEmail } = require('./emailService');
+
+const DIAS_VIGENCIA_DEFECTO = parseInt(process.env.INVITACION_DIAS_VIGENCIA) || 7;
+
+const SELECT_INVITACION = `
+  id,
+  workspace_id,
+  email,
+  estado,
+  expira_at,
+  created_at,
+  invitado_por,
+  roles (id, codigo, nombre),
+  roles_workspace (id, nombre)
+`;
+
+/**
+ * Normaliza un email para comparar invitaciones con cuentas
+ */
+function normalizarEmail(email) {
+  return email.toLowerCase().trim();
+}
+
+/**
+ * Formato de respuesta de una invitación
+ */
+function transformarInvitacion(i) {
+  return {
+    id: i.id,
+    workspace_id: i.workspace_id,
+    email: i.email,
+    estado: i.estado,
+    rol: i.roles?.codigo,
+    rolNombre: i.roles?.nombre,
+    rolPersonalizado: i.roles_workspace || null,
+    expira_at: i.expira_at,
+    vencida: i.estado === 'pendiente' && new Date(i.expira_at) <= new Date(),
+    invitado_por: i.invitado_por,
+    created_at: i.created_at,
+  };
+}
+
+/**
+ * URL que recibe el invitado en el email
+ */
+function urlRegistro(email) {
+  const base = process.env.INVITACIONES_URL || (process.env.FRONTEND_URL || 'http://localhost:5173').split(',')[0].trim();
+  return `${base.replace(/\/$/, '')}/registro?email=${encodeURIComponent(email)}`;
+}
+
+/**
+ * Envía el email de invitación (un fallo de envío no invalida la invitación)
+ * @returns {Promise<boolean>} - true si el transporte aceptó el email
+ */
+async function enviarEmailInvitacion(invitacion) {
+  try {
+    const { data: workspace } = await supabase
+      .from('workspaces')
+      .select('nombre')
+      .eq('id', invitacion.workspace_id)
+      .single();
+
+    const nombreWorkspace = workspace?.nombre || 'un workspace';
+    const vence = new Date(invitacion.expira_at).toISOString().slice(0, 10);
+
+    await enviarEmail({
+      para: invitacion.email,
+      asunto: `Invitación a ${nombreWorkspace}`,
+      texto: [
+        `Te invitaron a ${nombreWorkspace} con el rol ${invitacion.roles_workspace?.nombre || invitacion.roles?.nombre || invitacion.roles?.codigo}.`,
+        `Crea tu cuenta con este email para acceder: ${urlRegistro(invitacion.email)}`,
+        `La invitación vence el ${vence}.`,
+      ].join('\n\n'),
+    });
+    return true;
+  } catch (err) {
+    console.error(`[Invitaciones] Error enviando email a ${invitacion.email}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Crea una invitación pendiente (o renueva la pendiente del mismo email) y envía el email
+ * @param {object} params
+ * @param {string} params.workspaceId
+ * @param {string} params.email
+ * @param {string} params.rolId - ID del rol fijo
+ * @param {string|null} [params.rolWorkspaceId] - Rol personalizado del workspace
+ * @param {string} params.invitadoPor - Usuario que invita
+ * @param {number} [params.diasVigencia]
+ * @returns {Promise<{invitacion: object, emailEnviado: boolean}>}
+ */
+async function crearInvitacion({ workspaceId, email, rolId, rolWorkspaceId = null, invitadoPor, diasVigencia = DIAS_VIGENCIA_DEFECTO }) {
+  const emailNormalizado = normalizarEmail(email);
+  const datos = {
+    rol_id: rolId,
+    rol_workspace_id: rolWorkspaceId,
+    invitado_por: invitadoPor,
+    expira_at: new Date(Date.now() + diasVigencia * 24 * 60 * 60 * 1000).toISOString(),
+  };
+
+  const { data: existente } = await supabase
+    .from('invitaciones_workspace')
+    .select('id')
+    .eq('workspace_id', workspaceId)
+    .eq('email', emailNormalizado)
+    .eq('estado', 'pendiente')
+    .maybeSingle();
+
+  const consulta = existente
+    ? supabase.from('invitaciones_workspace').update(datos).eq('id', existente.id)
+    : supabase.from('invitaciones_workspace').insert({ ...datos, workspace_id: workspaceId, email: emailNormalizado, estado: 'pendiente' });
+
+  const { data, error } = await consulta.select(SELECT_INVITACION).single();
+  if (error) throw error;
+
+  const emailEnviado = await enviarEmailInvitacion(data);
+  return { invitacion: transformarInvitacion(data), emailEnviado };
+}
+
+/**
+ * Invitaciones pendientes de un workspace (incluye las vencidas, marcadas con vencida=true)
+ */
+async function listarInvitacionesPendientes(workspaceId) {
+  const { data, error } = await supabase
+    .from('invitaciones_workspace')
+    .select(SELECT_INVITACION)
+    .eq('workspace_id', workspaceId)
+    .eq('estado', 'pendiente')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data.map(transformarInvitacion);
+}
+
+/**
+ * Adjunta al usuario los workspaces de sus invitaciones pendientes y vigentes
+ * Quien llama debe verificar antes que el email está confirmado (req.user.email_confirmed_at).
+ * @returns {Promise<string[]>} - IDs de los workspaces adjuntados
+ */
+async function aceptarInvitacionesPendientes(usuarioId, email) {
+  if (!email) return [];
+
+  const { data: invitaciones, error } = await supabase
+    .from('invitaciones_workspace')
+    .select('id, workspace_id, rol_id, rol_workspace_id')
+    .eq('email', normalizarEmail(email))
+    .eq('estado', 'pendiente')
+    .gt('expira_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  const adjuntados = [];
+  for (const invitacion of invitaciones || []) {
+    const { error: errorPermiso } = await supabase
+      .from('usuario_workspaces')
+      .upsert({
+        workspace_id: invitacion.workspace_id,
+        usuario_id: usuarioId,
+        rol_id: invitacion.rol_id,
+        rol_workspace_id: invitacion.rol_workspace_id,
+      }, {
+        onConflict: 'usuario_id,workspace_id',
+      });
+
+    if (errorPermiso) {
+      console.error(`[Invitaciones] Error aceptando invitación ${invitacion.id}:`, errorPermiso.message);
+      continue;
+    }
+
+    await supabase
+      .from('invitaciones_workspace')
+      .update({ estado: 'aceptada', aceptada_por: usuarioId, aceptada_at: new Date().toISOString() })
+      .eq('id', invitacion.id);
+
+    adjuntados.push(invitacion.workspace_id);
+  }
+
+  if (adjuntados.length > 0) {
+    console.log(`[Invitaciones] ${email} agregado a ${adjuntados.length} workspace(s) por invitación`);
+  }
+  return adjuntados;
+}
+
+module.exports = {
+  DIAS_VIGENCIA_DEFECTO,
+  normalizarEmail,
+  crearInvitacion,
+  listarInvitacionesPendientes,
+  aceptarInvitacionesPendientes,
+};
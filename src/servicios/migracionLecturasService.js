@@ -0,0 +1,177 @@
+// src/servicios/migracionLecturasService.js
+// Migración de las tablas de lecturas por registrador (modelo anterior) a la tabla unificada `lecturas`
+//
+// Antes, crear un registrador creaba una tabla "lecturas_<nombre>_<timestamp>" con una columna
+// numérica por registro Modbus ("40001", "40002"...) y la guardaba en registradores.tabla_lecturas.
+// La ingesta escribe en `lecturas` (valores como array), así que esas tablas quedaron huérfanas.
+//
+// La migración copia cada tabla a `lecturas` (ignorando lecturas que ya existan para el mismo
+// registrador y timestamp) y después la elimina con la función RPC eliminar_tabla_lecturas_legado
+// (migrations/006_lecturas_legado.sql). La función recibe la cantidad de filas copiadas y se
+// niega a eliminar la tabla si no coincide con la que tiene o si alguna fila no está en `lecturas`.
+// Una tabla que no se pudo leer (por ejemplo, PostgREST no la expone) nunca se elimina.
+//
+// Es idempotente: si se corta a mitad, volver a ejecutarla continúa donde quedó.
+
+const supabase = require('../config/supabase');
+
+const PATRON_TABLA_LEGADO = /^lecturas_[a-z0-9_]+$/;
+const TAMANIO_PAGINA = 1000;
+
+// Error de Postgres cuando la tabla ya no existe
+// (PGRST205 no alcanza: solo dice que PostgREST no la tiene en su cache de esquema)
+const CODIGO_TABLA_INEXISTENTE = '42P01';
+
+/**
+ * Convierte una fila de la tabla por registrador al formato de `lecturas`
+ * Las columnas de la tabla vieja se llaman como el índice del registro Modbus.
+ */
+function convertirFila(fila, registrador) {
+  const valores = [];
+  for (let i = 0; i < registrador.cantidad_registros; i++) {
+    const valor = fila[String(registrador.indice_inicial + i)];
+    valores.push(valor === null || valor === undefined ? null : Number(valor));
+  }
+
+  return {
+    registrador_id: registrador.id,
+    timestamp: new Date(fila.timestamp).toISOString(),
+    valores,
+    tiempo_respuesta_ms: null,
+    exito: true,
+    error_mensaje: null,
+  };
+}
+
+/**
+ * Elimina la tabla vieja de un registrador ya migrado y limpia registradores.tabla_lecturas
+ * La base verifica que la tabla tenga exactamente filasCopiadas filas, todas en `lecturas`.
+ * @param {string} registradorId
+ * @param {number} filasCopiadas - Filas leídas y copiadas a `lecturas`
+ */
+async function eliminarTablaLegado(registradorId, filasCopiadas) {
+  const { error } = await supabase.rpc('eliminar_tabla_lecturas_legado', {
+    p_registrador_id: registradorId,
+    p_filas_copiadas: filasCopiadas,
+  });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Descarta la tabla vieja de un registrador que se está eliminando (sin migrar sus lecturas)
+ */
+async function descartarTablaLegado(registradorId) {
+  const { error } = await supabase.rpc('descartar_tabla_lecturas_legado', { p_registrador_id: registradorId });
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Copia la tabla vieja de un registrador a `lecturas` y la elimina
+ * @param {object} registrador - id, nombre, tabla_lecturas, indice_inicial, cantidad_registros
+ * @param {boolean} simular - Solo cuenta filas, no escribe ni elimina
+ * @returns {Promise<object>} - Resultado del registrador
+ */
+async function migrarRegistrador(registrador, simular) {
+  const resultado = {
+    registradorId: registrador.id,
+    nombre: registrador.nombre,
+    tabla: registrador.tabla_lecturas,
+    filasLeidas: 0,
+    filasInsertadas: 0,
+    tablaEliminada: false,
+  };
+
+  if (!PATRON_TABLA_LEGADO.test(registrador.tabla_lecturas)) {
+    return { ...resultado, error: 'Nombre de tabla inesperado; se omite' };
+  }
+
+  let tablaExiste = true;
+  let filasTabla = null;
+  for (let desde = 0; ; desde += TAMANIO_PAGINA) {
+    // id como desempate: con timestamps repetidos el orden entre páginas tiene que ser estable
+    const { data: filas, count, error } = await supabase
+      .from(registrador.tabla_lecturas)
+      .select('*', { count: desde === 0 ? 'exact' : undefined })
+      .order('timestamp', { ascending: true })
+      .order('id', { ascending: true })
+      .range(desde, desde + TAMANIO_PAGINA - 1);
+
+    if (error) {
+      if (error.code === CODIGO_TABLA_INEXISTENTE) {
+        tablaExiste = false;
+        break;
+      }
+      throw new Error(error.message);
+    }
+
+    if (desde === 0) filasTabla = count;
+    resultado.filasLeidas += filas.length;
+
+    if (!simular && filas.length > 0) {
+      const { data: insertadas, error: errorInsert } = await supabase
+        .from('lecturas')
+        .upsert(filas.map(f => convertirFila(f, registrador)), { onConflict: 'registrador_id,timestamp', ignoreDuplicates: true })
+        .select('registrador_id');
+
+      if (errorInsert) throw new Error(errorInsert.message);
+      resultado.filasInsertadas += insertadas?.length || 0;
+    }
+
+    if (filas.length < TAMANIO_PAGINA) break;
+  }
+
+  if (tablaExiste && filasTabla !== resultado.filasLeidas) {
+    throw new Error(`Se leyeron ${resultado.filasLeidas} de ${filasTabla} filas; la tabla no se elimina`);
+  }
+
+  if (!simular) {
+    await eliminarTablaLegado(registrador.id, resultado.filasLeidas);
+    resultado.tablaEliminada = tablaExiste;
+  }
+
+  return resultado;
+}
+
+/**
+ * Migra todas las tablas de lecturas por registrador que queden
+ * @param {object} [opciones]
+ * @param {string[]} [opciones.registradorIds] - Solo estos registradores
+ * @param {boolean} [opciones.simular] - Solo informa qué se migraría
+ * @returns {Promise<{registradores: object[], pendientes: number}>}
+ */
+async function migrarTablasLecturasLegado({ registradorIds, simular = false } = {}) {
+  let query = supabase
+    .from('registradores')
+    .select('id, nombre, tabla_lecturas, indice_inicial, cantidad_registros')
+    .not('tabla_lecturas', 'is', null)
+    .order('created_at', { ascending: true });
+
+  if (registradorIds?.length) query = query.in('id', registradorIds);
+
+  const { data: registradores, error } = await query;
+  if (error) throw error;
+
+  const resultados = [];
+  for (const registrador of registradores || []) {
+    try {
+      resultados.push(await migrarRegistrador(registrador, simular));
+    } catch (err) {
+      // Un registrador con error no frena a los demás; su tabla queda para reintentar
+      console.error(`[MigracionLecturas] Error migrando ${registrador.tabla_lecturas}:`, err.message);
+      resultados.push({ registradorId: registrador.id, nombre: registrador.nombre, tabla: registrador.tabla_lecturas, error: err.message });
+    }
+  }
+
+  return {
+    registradores: resultados,
+    pendientes: simular
+      ? resultados.length
+      : resultados.filter(r => r.error).length,
+  };
+}
+
+module.exports = {
+  eliminarTablaLegado,
+  descartarTablaLegado,
+  migrarTablasLecturasLegado,
+};
@@ -209,10 +209,69 @@ async function enviarAlertaAlimentadorSinServicio(workspaceId, alimentadorNombre
   );
 }
 
+/**
+ * Envía aviso de alimentador con lecturas restablecidas
+ * @param {string} workspaceId - ID del workspace
+ * @param {string} alimentadorNombre - Nombre del alimentador
+ * @param {string} alimentadorId - ID del alimentador
+ */
+async function enviarAvisoAlimentadorRestablecido(workspaceId, alimentadorNombre, alimentadorId) {
+  return enviarNotificacionAWorkspace(
+    workspaceId,
+    `✅ Restablecido: ${alimentadorNombre}`,
+    'Las lecturas se reanudaron',
+    {
+      tipo: 'lectura_restablecida',
+      alimentador_id: alimentadorId,
+    }
+  );
+}
+
+/**
+ * Envía alerta de agente sin conexión (heartbeat vencido)
+ * @param {string} workspaceId - ID del workspace
+ * @param {string} agenteNombre - Nombre del agente
+ * @param {string} agenteId - ID del agente
+ * @param {number} minutosSinHeartbeat - Minutos desde el último heartbeat
+ */
+async function enviarAlertaAgenteSinConexion(workspaceId, agenteNombre, agenteId, minutosSinHeartbeat) {
+  return enviarNotificacionAWorkspace(
+    workspaceId,
+    `⚠️ Agente sin conexión: ${agenteNombre}`,
+    `Sin heartbeat hace ${minutosSinHeartbeat} minutos`,
+    {
+      tipo: 'alerta_agente_sin_conexion',
+      agente_id: agenteId,
+      minutos_sin_heartbeat: minutosSinHeartbeat,
+    }
+  );
+}
+
+/**
+ * Envía aviso de agente reconectado
+ * @param {string} workspaceId - ID del workspace
+ * @param {string} agenteNombre - Nombre del agente
+ * @param {string} agenteId - ID del agente
+ */
+async function enviarAvisoAgenteReconectado(workspaceId, agenteNombre, agenteId) {
+  return enviarNotificacionAWorkspace(
+    workspaceId,
+    `✅ Agente reconectado: ${agenteNombre}`,
+    'El agente volvió a reportar heartbeat',
+    {
+      tipo: 'agente_reconectado',
+      agente_id: agenteId,
+    }
+  );
+}
+
 module.exports = {
   inicializarFirebase,
   firebaseDisponible,
   enviarNotificacionAUsuario,
   enviarNotificacionAWorkspace,
   enviarAlertaAlimentadorSinServicio,
+  enviarAvisoAlimentadorRestablecido,
+  enviarAlertaAgenteSinConexion,
+  enviarAvisoAgenteReconectado,
 };
@@ -0,0 +1,198 @@
+// src/servicios/outboxAgenteService.js
+// Cola persistente (outbox) de comandos para agentes
+// Los comandos quedan en comandos_agente hasta que el agente los confirma o vencen.
+// Estados: pendiente -> entregado (enviado por SSE) -> confirmado (ack del agente) | expirado (TTL)
+// Tabla: migrations/005_comandos_agente.sql
+
+const supabase = require('../config/supabase');
+
+const TTL_DEFAULT_SEGUNDOS = 24 * 60 * 60;
+const ESTADOS_OUTBOX = ['pendiente', 'entregado', 'confirmado', 'expirado'];
+
+/**
+ * Guarda un comando en la cola del agente
+ * @param {string} agenteId - ID del agente
+ * @param {string} evento - Nombre del evento SSE
+ * @param {object} datos - Datos del evento
+ * @param {{ttlSegundos?: number, unico?: boolean}} opciones
+ *   unico: si ya hay un comando sin confirmar del mismo evento, se reutiliza en lugar de duplicarlo
+ * @returns {Promise<object>} - Fila de comandos_agente
+ */
+async function encolarComando(agenteId, evento, datos, opciones = {}) {
+  const { ttlSegundos = TTL_DEFAULT_SEGUNDOS, unico = false } = opciones;
+  const ahora = new Date();
+
+  if (unico) {
+    const { data: existente } = await supabase
+      .from('comandos_agente')
+      .select('*')
+      .eq('agente_id', agenteId)
+      .eq('evento', evento)
+      .in('estado', ['pendiente', 'entregado'])
+      .gt('expira_at', ahora.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (existente && existente.length > 0) {
+      return existente[0];
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('comandos_agente')
+    .insert({
+      agente_id: agenteId,
+      evento,
+      datos,
+      estado: 'pendiente',
+      expira_at: new Date(ahora.getTime() + ttlSegundos * 1000).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Marca como expirados los comandos sin confirmar cuyo TTL venció
+ * @param {string|null} agenteId - Limitar a un agente (null = todos)
+ */
+async function expirarComandosVencidos(agenteId = null) {
+  let query = supabase
+    .from('comandos_agente')
+    .update({ estado: 'expirado' })
+    .in('estado', ['pendiente', 'entregado'])
+    .lte('expira_at', new Date().toISOString());
+
+  if (agenteId) {
+    query = query.eq('agente_id', agenteId);
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error('[Outbox] Error expirando comandos:', error);
+  }
+}
+
+/**
+ * Descarta comandos que ya no deben llegar al agente (por ejemplo, reemplazados por uno más nuevo)
+ * Los ya confirmados no se tocan.
+ * @param {string[]} comandoIds
+ */
+async function descartarComandos(comandoIds) {
+  if (comandoIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('comandos_agente')
+    .update({ estado: 'expirado' })
+    .in('id', comandoIds)
+    .in('estado', ['pendiente', 'entregado']);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Obtiene los comandos sin confirmar y vigentes de un agente, en orden de creación
+ * Incluye los ya entregados: si el agente no confirmó, se reenvían al reconectar.
+ */
+async function obtenerComandosPendientes(agenteId) {
+  await expirarComandosVencidos(agenteId);
+
+  const { data, error } = await supabase
+    .from('comandos_agente')
+    .select('*')
+    .eq('agente_id', agenteId)
+    .in('estado', ['pendiente', 'entregado'])
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data || [];
+}
+
+/**
+ * Marca un comando como entregado al agente
+ */
+async function marcarEntregado(comandoId, intentosPrevios = 0) {
+  const { error } = await supabase
+    .from('comandos_agente')
+    .update({
+      estado: 'entregado',
+      entregado_at: new Date().toISOString(),
+      intentos: intentosPrevios + 1,
+    })
+    .eq('id', comandoId)
+    .in('estado', ['pendiente', 'entregado']);
+
+  if (error) {
+    console.error('[Outbox] Error marcando comando entregado:', error);
+  }
+}
+
+/**
+ * Registra la confirmación (ack) del agente
+ * @returns {Promise<object|null>} - El comando confirmado, o null si no existe / no es del agente
+ */
+async function confirmarComando(agenteId, comandoId) {
+  const { data, error } = await supabase
+    .from('comandos_agente')
+    .update({ estado: 'confirmado', confirmado_at: new Date().toISOString() })
+    .eq('id', comandoId)
+    .eq('agente_id', agenteId)
+    .in('estado', ['pendiente', 'entregado'])
+    .select()
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Lista los comandos de un agente (más recientes primero)
+ * @param {string} agenteId - ID del agente
+ * @param {{estado?: string, limite?: number}} filtros
+ */
+async function listarComandos(agenteId, { estado, limite = 100 } = {}) {
+  await expirarComandosVencidos(agenteId);
+
+  let query = supabase
+    .from('comandos_agente')
+    .select('*')
+    .eq('agente_id', agenteId)
+    .order('created_at', { ascending: false })
+    .limit(limite);
+
+  if (estado) {
+    query = query.eq('estado', estado);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  ESTADOS_OUTBOX,
+  encolarComando,
+  expirarComandosVencidos,
+  descartarComandos,
+  obtenerComandosPendientes,
+  marcarEntregado,
+  confirmarComando,
+  listarComandos,
+};
@@ -0,0 +1,284 @@
+// src/servicios/papeleraService.js
+// Papelera de workspaces, puestos y alimentadores (borrado lógico)
+//
+// Eliminar marca eliminado_at / eliminado_por y un eliminacion_id común a todo lo que
+// se eliminó en la misma operación: al eliminar un puesto, sus alimentadores activos
+// quedan en el mismo lote; al eliminar un workspace, sus puestos y alimentadores.
+// Restaurar devuelve el lote completo, pero no lo que ya estaba en la papelera antes
+// (un alimentador eliminado por separado sigue eliminado al restaurar su puesto).
+// Las preferencias de usuario no se tocan al eliminar, así que vuelven con el workspace.
+//
+// Pasado el período de retención, la purga periódica borra definitivamente.
+
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+
+// Configuración (variables de entorno)
+const RETENCION_DIAS = parseInt(process.env.PAPELERA_RETENCION_DIAS) || 30;
+const INTERVALO_PURGA_MS = parseInt(process.env.PAPELERA_INTERVALO_PURGA_MS) || 6 * 60 * 60 * 1000;
+
+let intervalo = null;
+let purgando = false;
+
+/**
+ * Fecha en que se purgará algo eliminado en `eliminadoAt`
+ */
+function fechaPurga(eliminadoAt) {
+  return new Date(new Date(eliminadoAt).getTime() + RETENCION_DIAS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Marca filas activas como eliminadas dentro de un lote
+ * @param {string} tabla
+ * @param {(query) => query} filtro - Aplica el filtro de filas a la consulta
+ * @param {{eliminacionId: string, usuarioId: string, ahora: string}} lote
+ * @returns {Promise<string[]>} - IDs marcados
+ */
+async function marcarEliminados(tabla, filtro, { eliminacionId, usuarioId, ahora }) {
+  const { data, error } = await filtro(
+    supabase
+      .from(tabla)
+      .update({ eliminado_at: ahora, eliminado_por: usuarioId, eliminacion_id: eliminacionId })
+      .is('eliminado_at', null)
+  ).select('id');
+
+  if (error) throw error;
+  return (data || []).map(fila => fila.id);
+}
+
+/**
+ * Crea un lote de eliminación nuevo
+ */
+function nuevoLote(usuarioId) {
+  return { eliminacionId: crypto.randomUUID(), usuarioId, ahora: new Date().toISOString() };
+}
+
+/**
+ * Envía un alimentador a la papelera
+ * @returns {Promise<boolean>} - false si no existía o ya estaba eliminado
+ */
+async function eliminarAlimentador(alimentadorId, usuarioId) {
+  const lote = nuevoLote(usuarioId);
+  const ids = await marcarEliminados('alimentadores', q => q.eq('id', alimentadorId), lote);
+  return ids.length > 0;
+}
+
+/**
+ * Envía un puesto y sus alimentadores activos a la papelera
+ * @returns {Promise<boolean>}
+ */
+async function eliminarPuesto(puestoId, usuarioId) {
+  const lote = nuevoLote(usuarioId);
+  const ids = await marcarEliminados('puestos', q => q.eq('id', puestoId), lote);
+  if (ids.length === 0) return false;
+
+  await marcarEliminados('alimentadores', q => q.eq('puesto_id', puestoId), lote);
+  return true;
+}
+
+/**
+ * Envía un workspace, sus puestos y sus alimentadores activos a la papelera
+ * @returns {Promise<boolean>}
+ */
+async function eliminarWorkspace(workspaceId, usuarioId) {
+  const lote = nuevoLote(usuarioId);
+  const ids = await marcarEliminados('workspaces', q => q.eq('id', workspaceId), lote);
+  if (ids.length === 0) return false;
+
+  const puestoIds = await marcarEliminados('puestos', q => q.eq('workspace_id', workspaceId), lote);
+  if (puestoIds.length > 0) {
+    await marcarEliminados('alimentadores', q => q.in('puesto_id', puestoIds), lote);
+  }
+  return true;
+}
+
+/**
+ * Quita de la papelera todo lo eliminado en un lote
+ */
+async function restaurarLote(eliminacionId) {
+  const restaurar = { eliminado_at: null, eliminado_por: null, eliminacion_id: null };
+
+  // De padres a hijos, para que nunca quede un hijo activo bajo un padre eliminado
+  for (const tabla of ['workspaces', 'puestos', 'alimentadores']) {
+    const { error } = await supabase
+      .from(tabla)
+      .update(restaurar)
+      .eq('eliminacion_id', eliminacionId);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Lee una fila eliminada (para restaurar)
+ * @returns {Promise<object|null>}
+ */
+async function obtenerEliminado(tabla, id, columnas) {
+  const { data } = await supabase
+    .from(tabla)
+    .select(`id, eliminacion_id, ${columnas}`)
+    .eq('id', id)
+    .not('eliminado_at', 'is', null)
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Contenido de la papelera de un workspace
+ * Puestos eliminados (con los alimentadores de su mismo lote) y alimentadores
+ * eliminados por separado cuyo puesto sigue activo.
+ */
+async function listarPapelera(workspaceId) {
+  const { data: puestos, error: errorPuestos } = await supabase
+    .from('puestos')
+    .select('id, nombre, eliminado_at, eliminado_por, eliminacion_id, alimentadores (id, nombre, eliminacion_id)')
+    .eq('workspace_id', workspaceId)
+    .not('eliminado_at', 'is', null)
+    .order('eliminado_at', { ascending: false });
+
+  if (errorPuestos) throw errorPuestos;
+
+  const { data: alimentadores, error: errorAlim } = await supabase
+    .from('alimentadores')
+    .select('id, nombre, puesto_id, eliminado_at, eliminado_por, puestos!inner (id, nombre, workspace_id, eliminado_at)')
+    .eq('puestos.workspace_id', workspaceId)
+    .is('puestos.eliminado_at', null)
+    .not('eliminado_at', 'is', null)
+    .order('eliminado_at', { ascending: false });
+
+  if (errorAlim) throw errorAlim;
+
+  return {
+    retencionDias: RETENCION_DIAS,
+    puestos: (puestos || []).map(p => ({
+      id: p.id,
+      nombre: p.nombre,
+      eliminado_at: p.eliminado_at,
+      eliminado_por: p.eliminado_por,
+      purga_at: fechaPurga(p.eliminado_at),
+      alimentadores: (p.alimentadores || [])
+        .filter(a => a.eliminacion_id === p.eliminacion_id)
+        .map(a => ({ id: a.id, nombre: a.nombre })),
+    })),
+    alimentadores: (alimentadores || []).map(a => ({
+      id: a.id,
+      nombre: a.nombre,
+      puesto: { id: a.puestos.id, nombre: a.puestos.nombre },
+      eliminado_at: a.eliminado_at,
+      eliminado_por: a.eliminado_por,
+      purga_at: fechaPurga(a.eliminado_at),
+    })),
+  };
+}
+
+/**
+ * Workspaces eliminados por su creador (la papelera de workspaces es por usuario)
+ */
+async function listarWorkspacesEliminados(usuarioId) {
+  const { data, error } = await supabase
+    .from('workspaces')
+    .select('id, nombre, descripcion, eliminado_at')
+    .eq('creado_por', usuarioId)
+    .not('eliminado_at', 'is', null)
+    .order('eliminado_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(ws => ({ ...ws, purga_at: fechaPurga(ws.eliminado_at) }));
+}
+
+/**
+ * Borra definitivamente lo que lleva en la papelera más que el período de retención
+ * Los hijos se borran primero; las tablas dependientes (lecturas, preferencias...)
+ * siguen las reglas ON DELETE de la base, como con el borrado físico anterior.
+ * @returns {Promise<{workspaces: number, puestos: number, alimentadores: number}>}
+ */
+async function purgarPapelera() {
+  const limite = new Date(Date.now() - RETENCION_DIAS * 24 * 60 * 60 * 1000).toISOString();
+  const resultado = {};
+
+  for (const tabla of ['alimentadores', 'puestos', 'workspaces']) {
+    if (tabla === 'workspaces') {
+      // El borrado físico anterior eliminaba las preferencias explícitamente
+      const { data: vencidos } = await supabase
+        .from('workspaces')
+        .select('id')
+        .lt('eliminado_at', limite);
+
+      const ids = (vencidos || []).map(ws => ws.id);
+      if (ids.length > 0) {
+        await supabase.from('preferencias_usuario').delete().in('workspace_id', ids);
+      }
+    }
+
+    const { data, error } = await supabase
+      .from(tabla)
+      .delete()
+      .lt('eliminado_at', limite)
+      .select('id');
+
+    if (error) throw error;
+    resultado[tabla] = data?.length || 0;
+  }
+
+  return resultado;
+}
+
+/**
+ * Una ejecución de la purga (sin solaparse consigo misma)
+ */
+async function ejecutarPurga() {
+  if (purgando) return;
+  purgando = true;
+
+  try {
+    const { workspaces, puestos, alimentadores } = await purgarPapelera();
+    if (workspaces + puestos + alimentadores > 0) {
+      console.log(`[Papelera] Purgados: ${workspaces} workspaces, ${puestos} puestos, ${alimentadores} alimentadores`);
+    }
+  } catch (err) {
+    console.error('[Papelera] Error en la purga:', err.message || err);
+  } finally {
+    purgando = false;
+  }
+}
+
+/**
+ * Inicia la purga periódica
+ * Se puede deshabilitar con PAPELERA_PURGA_HABILITADA=false
+ */
+function iniciarPurgaPapelera() {
+  if (process.env.PAPELERA_PURGA_HABILITADA === 'false') {
+    console.log('[Papelera] Purga deshabilitada por configuración');
+    return;
+  }
+  if (intervalo) return;
+
+  intervalo = setInterval(ejecutarPurga, INTERVALO_PURGA_MS);
+  console.log(`[Papelera] Purga cada ${INTERVALO_PURGA_MS / 60000} min, retención ${RETENCION_DIAS} días`);
+}
+
+/**
+ * Detiene la purga periódica
+ */
+function detenerPurgaPapelera() {
+  if (intervalo) {
+    clearInterval(intervalo);
+    intervalo = null;
+  }
+}
+
+module.exports = {
+  RETENCION_DIAS,
+  eliminarAlimentador,
+  eliminarPuesto,
+  eliminarWorkspace,
+  restaurarLote,
+  obtenerEliminado,
+  listarPapelera,
+  listarWorkspacesEliminados,
+  purgarPapelera,
+  ejecutarPurga,
+  iniciarPurgaPapelera,
+  detenerPurgaPapelera,
+};
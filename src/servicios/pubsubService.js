@@ -0,0 +1,199 @@
+// src/servicios/pubsubService.js
+// Capa de publicación/suscripción entre instancias del backend
+// Permite que una instancia entregue eventos SSE a un agente conectado en otra instancia.
+//
+// Adaptadores (variable PUBSUB_ADAPTADOR):
+//   - memoria (default): un solo proceso, los mensajes no salen de la instancia
+//   - postgres: LISTEN/NOTIFY sobre PUBSUB_DATABASE_URL (o DATABASE_URL).
+//     NOTIFY limita el payload a ~8000 bytes, suficiente para comandos y avisos de configuración.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Identificador de esta instancia (para ignorar los mensajes propios y dirigir entregas)
+const INSTANCIA_ID = process.env.RENDER_INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+
+/**
+ * Adaptador en memoria: los suscriptores del mismo proceso reciben los mensajes
+ * @returns {{nombre: string, publicar: Function, suscribir: Function, cerrar: Function}}
+ */
+function crearAdaptadorMemoria() {
+  const emisor = new EventEmitter();
+  emisor.setMaxListeners(0);
+
+  return {
+    nombre: 'memoria',
+    async publicar(canal, mensaje) {
+      emisor.emit(canal, mensaje);
+    },
+    async suscribir(canal, manejador) {
+      emisor.on(canal, manejador);
+    },
+    async cerrar() {
+      emisor.removeAllListeners();
+    },
+  };
+}
+
+/**
+ * Adaptador Postgres LISTEN/NOTIFY
+ * Usa una conexión dedicada para LISTEN (se reconecta si se cae) y otra para NOTIFY.
+ * Las suscripciones concurrentes comparten la misma conexión LISTEN (una sola en vuelo).
+ * @param {string} connectionString - URL de conexión a Postgres
+ */
+function crearAdaptadorPostgres(connectionString) {
+  const { Client } = require('pg');
+  const manejadores = new Map(); // canal -> [manejador]
+  let escucha = null;
+  let conectando = null; // Promise<Client> de la conexión LISTEN actual o en curso
+  let canalesEscuchados = new Set(); // Canales con LISTEN en la conexión actual
+  let publicador = null;
+  let cerrado = false;
+
+  async function conectarEscucha() {
+    const cliente = new Client({ connectionString });
+    await cliente.connect();
+    const escuchados = new Set();
+
+    cliente.on('notification', (notificacion) => {
+      let mensaje;
+      try {
+        mensaje = JSON.parse(notificacion.payload);
+      } catch {
+        return;
+      }
+      for (const manejador of manejadores.get(notificacion.channel) || []) {
+        manejador(mensaje);
+      }
+    });
+
+    cliente.on('error', (err) => {
+      console.error('[PubSub] Error en conexión LISTEN:', err.message);
+      if (escucha === cliente) {
+        escucha = null;
+        conectando = null;
+      }
+      cliente.end().catch(() => {});
+      if (!cerrado) {
+        setTimeout(() => reconectar().catch(() => {}), 5000);
+      }
+    });
+
+    for (const canal of manejadores.keys()) {
+      escuchados.add(canal);
+      await cliente.query(`LISTEN "${canal}"`);
+    }
+
+    escucha = cliente;
+    canalesEscuchados = escuchados;
+    return cliente;
+  }
+
+  /**
+   * Conexión LISTEN compartida: la abre una sola vez aunque varias suscripciones la pidan a la vez
+   * @returns {Promise<Client>}
+   */
+  function asegurarEscucha() {
+    if (!conectando) {
+      conectando = conectarEscucha().catch((err) => {
+        conectando = null;
+        throw err;
+      });
+    }
+    return conectando;
+  }
+
+  async function reconectar() {
+    try {
+      await asegurarEscucha();
+      console.log('[PubSub] Conexión LISTEN restablecida');
+    } catch (err) {
+      console.error('[PubSub] No se pudo reconectar LISTEN:', err.message);
+      if (!cerrado) {
+        setTimeout(() => reconectar().catch(() => {}), 5000);
+      }
+    }
+  }
+
+  async function obtenerPublicador() {
+    if (!publicador) {
+      const cliente = new Client({ connectionString });
+      cliente.on('error', (err) => {
+        console.error('[PubSub] Error en conexión NOTIFY:', err.message);
+        publicador = null;
+        cliente.end().catch(() => {});
+      });
+      await cliente.connect();
+      publicador = cliente;
+    }
+    return publicador;
+  }
+
+  return {
+    nombre: 'postgres',
+    async publicar(canal, mensaje) {
+      const cliente = await obtenerPublicador();
+      await cliente.query('SELECT pg_notify($1, $2)', [canal, JSON.stringify(mensaje)]);
+    },
+    async suscribir(canal, manejador) {
+      if (!manejadores.has(canal)) {
+        manejadores.set(canal, []);
+      }
+      manejadores.get(canal).push(manejador);
+
+      const cliente = await asegurarEscucha();
+      // Si la conexión ya existía (o se abrió antes de registrar este canal), falta su LISTEN
+      if (cliente === escucha && !canalesEscuchados.has(canal)) {
+        canalesEscuchados.add(canal);
+        await cliente.query(`LISTEN "${canal}"`);
+      }
+    },
+    async cerrar() {
+      cerrado = true;
+      await Promise.all([escucha, publicador].filter(Boolean).map(c => c.end().catch(() => {})));
+      escucha = null;
+      conectando = null;
+      publicador = null;
+    },
+  };
+}
+
+/**
+ * Crea el adaptador configurado por PUBSUB_ADAPTADOR
+ * Si falta configuración para postgres, usa memoria y lo informa.
+ */
+function crearPubSub() {
+  const adaptador = process.env.PUBSUB_ADAPTADOR || 'memoria';
+
+  if (adaptador === 'postgres') {
+    const connectionString = process.env.PUBSUB_DATABASE_URL || process.env.DATABASE_URL;
+    if (connectionString) {
+      return crearAdaptadorPostgres(connectionString);
+    }
+    console.log('[PubSub] PUBSUB_ADAPTADOR=postgres sin DATABASE_URL, usando memoria');
+  } else if (adaptador !== 'memoria') {
+    console.log(`[PubSub] Adaptador desconocido "${adaptador}", usando memoria`);
+  }
+
+  return crearAdaptadorMemoria();
+}
+
+let pubsubCompartido = null;
+
+/**
+ * Devuelve el adaptador compartido por todo el proceso (se crea en el primer uso)
+ */
+function obtenerPubSub() {
+  if (!pubsubCompartido) {
+    pubsubCompartido = crearPubSub();
+  }
+  return pubsubCompartido;
+}
+
+module.exports = {
+  INSTANCIA_ID,
+  crearPubSub,
+  obtenerPubSub,
+  crearAdaptadorMemoria,
+  crearAdaptadorPostgres,
+};
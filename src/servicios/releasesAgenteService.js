@@ -0,0 +1,414 @@
+// src/servicios/releasesAgenteService.js
+// Distribución de versiones del agente: registro de releases, canales, versiones fijadas y despliegues
+//
+// Cada release es un artefacto del agente guardado en disco (AGENTE_RELEASES_DIRECTORIO,
+// default ./releases) con su SHA-256. Un release se publica en un canal:
+//   - stable: lo reciben todos los agentes
+//   - beta: solo los agentes en canal beta (que también reciben los stable)
+// La versión objetivo de un agente es la fijada (agentes.version_fijada) o, si no tiene,
+// la más alta no retirada de los canales que recibe. Un agente está desactualizado si la
+// versión que reporta en el heartbeat no es la objetivo.
+//
+// Desplegar un release envía el comando SSE 'actualizar-software' (por la cola persistente)
+// a los agentes cuyo objetivo es ese release. El agente descarga el artefacto, verifica el
+// SHA-256 y reporta el resultado; un heartbeat con la versión nueva también lo da por exitoso.
+// Estados de un despliegue: en_curso -> exitoso | fallido | cancelado (otro despliegue lo
+// reemplazó) | expirado (sin resultado dentro de AGENTE_ACTUALIZACION_TTL_HORAS).
+//
+// Tablas (migrations/011_releases_agente.sql):
+//   releases_agente (id, version UNIQUE, canal, nombre_archivo, archivo, tamanio_bytes, sha256,
+//                    notas, retirado, creado_por, created_at, updated_at)
+//   despliegues_agente (id, release_id, agente_id, version_anterior, estado, comando_agente_id
+//                       REFERENCES comandos_agente, mensaje, created_at, completado_at)
+//   agentes.canal_actualizacion ('stable' | 'beta', default 'stable'), agentes.version_fijada
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { encolarEventoAgente } = require('../controllers/sseController');
+const { descartarComandos } = require('./outboxAgenteService');
+
+const CANALES = ['stable', 'beta'];
+const ESTADOS_DESPLIEGUE = ['en_curso', 'exitoso', 'fallido', 'cancelado', 'expirado'];
+
+const DIRECTORIO = process.env.AGENTE_RELEASES_DIRECTORIO || path.join(process.cwd(), 'releases');
+const TTL_HORAS = parseInt(process.env.AGENTE_ACTUALIZACION_TTL_HORAS) || 72;
+
+const COLUMNAS_RELEASE = 'id, version, canal, nombre_archivo, tamanio_bytes, sha256, notas, retirado, creado_por, created_at, updated_at';
+
+/**
+ * Compara dos versiones "x.y.z[-pre]" (una prerelease es menor que su versión final)
+ * @returns {number} - negativo si a < b, 0 si son iguales, positivo si a > b
+ */
+function compararVersiones(a, b) {
+  const [baseA, preA] = String(a).split(/-(.*)/s);
+  const [baseB, preB] = String(b).split(/-(.*)/s);
+  const partesA = baseA.split('.').map(n => parseInt(n, 10) || 0);
+  const partesB = baseB.split('.').map(n => parseInt(n, 10) || 0);
+
+  for (let i = 0; i < Math.max(partesA.length, partesB.length); i++) {
+    const diferencia = (partesA[i] || 0) - (partesB[i] || 0);
+    if (diferencia !== 0) return diferencia;
+  }
+
+  if (!preA && !preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+  return preA.localeCompare(preB, undefined, { numeric: true });
+}
+
+/**
+ * Versión objetivo de un agente entre los releases disponibles
+ * @param {{canal_actualizacion?: string, version_fijada?: string|null}} agente
+ * @param {Array<object>} releases - Releases no retirados
+ * @returns {object|null} - El release objetivo (null si no hay ninguno aplicable)
+ */
+function resolverObjetivo(agente, releases) {
+  if (agente.version_fijada) {
+    return releases.find(r => r.version === agente.version_fijada) || null;
+  }
+
+  const canales = agente.canal_actualizacion === 'beta' ? CANALES : ['stable'];
+  return releases
+    .filter(r => canales.includes(r.canal))
+    .reduce((mejor, r) => (!mejor || compararVersiones(r.version, mejor.version) > 0 ? r : mejor), null);
+}
+
+/**
+ * Releases que se pueden instalar (no retirados)
+ */
+async function obtenerReleasesVigentes() {
+  const { data, error } = await supabase
+    .from('releases_agente')
+    .select(COLUMNAS_RELEASE)
+    .eq('retirado', false);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Ruta en disco del artefacto de un release
+ */
+function rutaArtefacto(release) {
+  return path.join(DIRECTORIO, release.archivo);
+}
+
+/**
+ * Guarda un artefacto nuevo y lo registra
+ * @param {Buffer} contenido
+ * @param {object} datos
+ * @param {string} datos.version
+ * @param {string} datos.canal
+ * @param {string} [datos.nombreArchivo] - Nombre con el que se descarga
+ * @param {string} [datos.sha256] - Checksum esperado; si no coincide no se guarda
+ * @param {string} [datos.notas]
+ * @param {string} usuarioId
+ * @returns {Promise<{release?: object, error?: string, status?: number}>}
+ */
+async function registrarRelease(contenido, { version, canal, nombreArchivo, sha256, notas }, usuarioId) {
+  const calculado = crypto.createHash('sha256').update(contenido).digest('hex');
+  if (sha256 && sha256.toLowerCase() !== calculado) {
+    return { status: 400, error: `El SHA-256 del archivo (${calculado}) no coincide con el indicado` };
+  }
+
+  const { data: existente } = await supabase
+    .from('releases_agente')
+    .select('id')
+    .eq('version', version)
+    .maybeSingle();
+
+  if (existente) {
+    return { status: 409, error: `Ya existe un release con la versión ${version}` };
+  }
+
+  // La versión y el nombre ya vienen validados por el esquema (x.y.z y [A-Za-z0-9._-]), así que son seguros en un nombre de archivo
+  const archivo = `agente-${version}-${calculado.slice(0, 12)}${path.extname(nombreArchivo || '')}`;
+  await fs.mkdir(DIRECTORIO, { recursive: true });
+  const temporal = path.join(DIRECTORIO, `.${archivo}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  await fs.writeFile(temporal, contenido);
+  await fs.rename(temporal, path.join(DIRECTORIO, archivo));
+
+  const { data: release, error } = await supabase
+    .from('releases_agente')
+    .insert({
+      version,
+      canal,
+      nombre_archivo: nombreArchivo || archivo,
+      archivo,
+      tamanio_bytes: contenido.length,
+      sha256: calculado,
+      notas: notas || null,
+      creado_por: usuarioId,
+    })
+    .select(COLUMNAS_RELEASE)
+    .single();
+
+  if (error) {
+    await fs.unlink(path.join(DIRECTORIO, archivo)).catch(() => {});
+    if (error.code === '23505') {
+      return { status: 409, error: `Ya existe un release con la versión ${version}` };
+    }
+    throw error;
+  }
+
+  return { release };
+}
+
+/**
+ * Marca como expirados los despliegues sin resultado más viejos que el TTL
+ */
+async function expirarDesplieguesVencidos() {
+  const limite = new Date(Date.now() - TTL_HORAS * 60 * 60 * 1000).toISOString();
+  const { error } = await supabase
+    .from('despliegues_agente')
+    .update({ estado: 'expirado', mensaje: 'Sin resultado del agente', completado_at: new Date().toISOString() })
+    .eq('estado', 'en_curso')
+    .lt('created_at', limite);
+
+  if (error) {
+    console.error('[Releases] Error expirando despliegues:', error);
+  }
+}
+
+/**
+ * Envía 'actualizar-software' a un agente para instalar un release
+ * Un despliegue en curso anterior del mismo agente queda cancelado y su comando, si el agente
+ * todavía no lo recibió, ya no se le reenvía.
+ * @returns {Promise<object>} - Fila de despliegues_agente
+ */
+async function desplegarEnAgente(release, agente) {
+  const { data: cancelados, error: errorCancelar } = await supabase
+    .from('despliegues_agente')
+    .update({ estado: 'cancelado', mensaje: `Reemplazado por la versión ${release.version}`, completado_at: new Date().toISOString() })
+    .eq('agente_id', agente.id)
+    .eq('estado', 'en_curso')
+    .select('comando_agente_id');
+
+  if (errorCancelar) throw errorCancelar;
+  await descartarComandos((cancelados || []).map(d => d.comando_agente_id).filter(Boolean));
+
+  const { data: despliegue, error } = await supabase
+    .from('despliegues_agente')
+    .insert({
+      release_id: release.id,
+      agente_id: agente.id,
+      version_anterior: agente.version_software || null,
+      estado: 'en_curso',
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { comandoAgenteId } = await encolarEventoAgente(agente.id, 'actualizar-software', {
+    despliegueId: despliegue.id,
+    version: release.version,
+    sha256: release.sha256,
+    tamanioBytes: release.tamanio_bytes,
+    nombreArchivo: release.nombre_archivo,
+    url: `/api/agente/releases/${release.id}/descarga`,
+  }, { ttlSegundos: TTL_HORAS * 60 * 60 });
+
+  await supabase
+    .from('despliegues_agente')
+    .update({ comando_agente_id: comandoAgenteId })
+    .eq('id', despliegue.id);
+
+  return { ...despliegue, comando_agente_id: comandoAgenteId };
+}
+
+/**
+ * Despliega un release en los agentes activos cuyo objetivo es ese release
+ * Quedan fuera los que ya lo tienen instalado, los fijados a otra versión y los de un canal
+ * que no lo recibe (un beta no llega a agentes en stable).
+ * @param {string} releaseId
+ * @param {string[]} [agenteIds] - Limitar el despliegue a estos agentes
+ * @returns {Promise<{release?: object, despliegues?: object[], omitidos?: object[], error?: string, status?: number}>}
+ */
+async function desplegarRelease(releaseId, agenteIds) {
+  const releases = await obtenerReleasesVigentes();
+  const release = releases.find(r => r.id === releaseId);
+  if (!release) {
+    return { status: 404, error: 'Release no encontrado o retirado' };
+  }
+
+  let query = supabase
+    .from('agentes')
+    .select('id, nombre, version_software, canal_actualizacion, version_fijada')
+    .eq('activo', true);
+
+  if (agenteIds?.length) query = query.in('id', agenteIds);
+
+  const { data: agentes, error } = await query;
+  if (error) throw error;
+
+  const despliegues = [];
+  const omitidos = [];
+
+  for (const agente of agentes || []) {
+    const objetivo = resolverObjetivo(agente, releases);
+    if (objetivo?.id !== release.id) {
+      omitidos.push({
+        agenteId: agente.id,
+        nombre: agente.nombre,
+        motivo: agente.version_fijada ? `Fijado a la versión ${agente.version_fijada}` : 'Su canal tiene otra versión objetivo',
+      });
+      continue;
+    }
+    if (agente.version_software === release.version) {
+      omitidos.push({ agenteId: agente.id, nombre: agente.nombre, motivo: 'Ya tiene esta versión' });
+      continue;
+    }
+
+    try {
+      despliegues.push(await desplegarEnAgente(release, agente));
+    } catch (err) {
+      // Un agente con error no frena a los demás
+      console.error(`[Releases] Error desplegando ${release.version} en ${agente.nombre}:`, err.message);
+      omitidos.push({ agenteId: agente.id, nombre: agente.nombre, motivo: 'Error encolando el comando' });
+    }
+  }
+
+  return { release, despliegues, omitidos };
+}
+
+/**
+ * Registra el resultado que reporta el agente
+ * @returns {Promise<object|null>} - El despliegue actualizado, o null si no existe / no es del agente / ya terminó
+ */
+async function registrarResultadoDespliegue(agenteId, despliegueId, { exito, version, error: mensajeError }) {
+  const { data, error } = await supabase
+    .from('despliegues_agente')
+    .update({
+      estado: exito ? 'exitoso' : 'fallido',
+      mensaje: exito ? (version ? `Versión instalada: ${version}` : null) : (mensajeError || 'Error sin detalle'),
+      completado_at: new Date().toISOString(),
+    })
+    .eq('id', despliegueId)
+    .eq('agente_id', agenteId)
+    .eq('estado', 'en_curso')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Da por exitoso el despliegue en curso de un agente si el heartbeat ya reporta su versión
+ * (agentes que reinician tras actualizar sin reportar el resultado)
+ */
+async function confirmarVersionReportada(agenteId, version) {
+  if (!version) return;
+
+  const { data: enCurso, error } = await supabase
+    .from('despliegues_agente')
+    .select('id, releases_agente (version)')
+    .eq('agente_id', agenteId)
+    .eq('estado', 'en_curso');
+
+  if (error) throw error;
+
+  const despliegue = (enCurso || []).find(d => d.releases_agente?.version === version);
+  if (!despliegue) return;
+
+  await supabase
+    .from('despliegues_agente')
+    .update({ estado: 'exitoso', mensaje: `Versión ${version} reportada en el heartbeat`, completado_at: new Date().toISOString() })
+    .eq('id', despliegue.id)
+    .eq('estado', 'en_curso');
+}
+
+/**
+ * Estado de versión de todos los agentes: instalada, objetivo y último despliegue
+ * @param {{soloDesactualizados?: boolean}} opciones
+ */
+async function obtenerEstadoVersiones({ soloDesactualizados = false } = {}) {
+  await expirarDesplieguesVencidos();
+
+  const [releases, { data: agentes, error }, { data: despliegues, error: errorDespliegues }] = await Promise.all([
+    obtenerReleasesVigentes(),
+    supabase
+      .from('agentes')
+      .select('id, nombre, activo, ultimo_heartbeat, version_software, canal_actualizacion, version_fijada')
+      .order('nombre', { ascending: true }),
+    supabase
+      .from('despliegues_agente')
+      .select('id, agente_id, estado, mensaje, created_at, completado_at, releases_agente (version)')
+      .order('created_at', { ascending: false })
+      .limit(1000),
+  ]);
+
+  if (error) throw error;
+  if (errorDespliegues) throw errorDespliegues;
+
+  const ultimoPorAgente = new Map();
+  for (const d of despliegues || []) {
+    if (!ultimoPorAgente.has(d.agente_id)) ultimoPorAgente.set(d.agente_id, d);
+  }
+
+  const resultado = (agentes || []).map(agente => {
+    const objetivo = resolverObjetivo(agente, releases);
+    const ultimo = ultimoPorAgente.get(agente.id);
+    return {
+      id: agente.id,
+      nombre: agente.nombre,
+      activo: agente.activo,
+      ultimoHeartbeat: agente.ultimo_heartbeat,
+      version: agente.version_software,
+      canal: agente.canal_actualizacion || 'stable',
+      versionFijada: agente.version_fijada,
+      versionObjetivo: objetivo?.version || null,
+      desactualizado: !!objetivo && agente.version_software !== objetivo.version,
+      ultimoDespliegue: ultimo ? {
+        id: ultimo.id,
+        version: ultimo.releases_agente?.version || null,
+        estado: ultimo.estado,
+        mensaje: ultimo.mensaje,
+        creadoAt: ultimo.created_at,
+        completadoAt: ultimo.completado_at,
+      } : null,
+    };
+  });
+
+  return soloDesactualizados ? resultado.filter(a => a.desactualizado) : resultado;
+}
+
+/**
+ * Despliegues de un release con el resumen por estado
+ */
+async function obtenerDesplieguesRelease(releaseId) {
+  await expirarDesplieguesVencidos();
+
+  const { data, error } = await supabase
+    .from('despliegues_agente')
+    .select('id, agente_id, version_anterior, estado, mensaje, created_at, completado_at, agentes (nombre), comandos_agente (estado, entregado_at, confirmado_at)')
+    .eq('release_id', releaseId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const resumen = Object.fromEntries(ESTADOS_DESPLIEGUE.map(e => [e, 0]));
+  for (const d of data || []) resumen[d.estado] = (resumen[d.estado] || 0) + 1;
+
+  return { resumen, despliegues: data || [] };
+}
+
+module.exports = {
+  CANALES,
+  ESTADOS_DESPLIEGUE,
+  COLUMNAS_RELEASE,
+  compararVersiones,
+  resolverObjetivo,
+  obtenerReleasesVigentes,
+  rutaArtefacto,
+  registrarRelease,
+  desplegarEnAgente,
+  desplegarRelease,
+  registrarResultadoDespliegue,
+  confirmarVersionReportada,
+  obtenerEstadoVersiones,
+  obtenerDesplieguesRelease,
+};
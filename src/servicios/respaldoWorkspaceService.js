@@ -0,0 +1,389 @@
+// src/servicios/respaldoWorkspaceService.js
+// Exportación e importación de un workspace completo como paquete JSON (respaldo y clonación)
+//
+// El paquete guarda los ids originales solo como claves de referencia: al importar se crean
+// filas nuevas y se remapean las referencias internas (alimentador -> registrador,
+// plantilla -> transformadores de sus registros, plantilla -> plantilla de etiquetas).
+// Agentes y registradores no se copian: son de la instalación, no del workspace. Al importar
+// se vuelven a vincular los agentes del paquete que existan y que el usuario pueda vincular;
+// los alimentadores de registradores que quedan fuera se importan sin registrador.
+//
+// Los endpoints de migración desde localStorage (migrarTransformadores / migrarPlantillas)
+// usan las mismas funciones de preparación de filas.
+
+const supabase = require('../config/supabase');
+
+const FORMATO_PAQUETE = 'lector-mediciones/workspace';
+const VERSION_PAQUETE = 1;
+
+const CAMPOS_PUESTO = ['nombre', 'descripcion', 'orden', 'color', 'bg_color', 'gaps_verticales', 'escala'];
+const CAMPOS_ALIMENTADOR = ['nombre', 'color', 'orden', 'registrador_id', 'intervalo_consulta_ms', 'card_design', 'gap_horizontal', 'escala', 'config_tarjeta'];
+
+/**
+ * Copia solo los campos indicados que vengan definidos
+ */
+function elegirCampos(origen, campos) {
+  const resultado = {};
+  for (const campo of campos) {
+    if (origen[campo] !== undefined) resultado[campo] = origen[campo];
+  }
+  return resultado;
+}
+
+// ============================================
+// Preparación de filas (compartida con los endpoints de migración)
+// ============================================
+
+/**
+ * Fila de transformadores lista para insertar
+ * @param {object} t - { tipo, nombre, formula, descripcion }
+ */
+function prepararTransformador(t, workspaceId, usuarioId) {
+  return {
+    tipo: t.tipo || 'TI',
+    nombre: t.nombre?.trim() || 'Sin nombre',
+    formula: t.formula?.trim() || 'x',
+    descripcion: t.descripcion?.trim() || null,
+    workspace_id: workspaceId,
+    created_by: usuarioId,
+  };
+}
+
+/**
+ * Reemplaza los transformadorId de los registros de cada funcionalidad
+ * Los ids que no están en el mapa quedan en null (el transformador no viaja con la plantilla).
+ * @param {object} funcionalidades - plantillas_dispositivo.funcionalidades
+ * @param {Map<string, string>} mapaTransformadores - id original -> id nuevo
+ */
+function remapearTransformadores(funcionalidades, mapaTransformadores) {
+  const resultado = {};
+  for (const [funcId, func] of Object.entries(funcionalidades || {})) {
+    resultado[funcId] = Array.isArray(func?.registros)
+      ? {
+        ...func,
+        registros: func.registros.map(reg => (reg.transformadorId
+          ? { ...reg, transformadorId: mapaTransformadores.get(reg.transformadorId) || null }
+          : reg)),
+      }
+      : func;
+  }
+  return resultado;
+}
+
+/**
+ * Fila de plantillas_dispositivo lista para insertar
+ * Acepta los nombres de campo del frontend (etiquetasBits, plantillaEtiquetasId) y los de la tabla.
+ * @param {object} p - Plantilla
+ * @param {object} opciones
+ * @param {string} opciones.workspaceId
+ * @param {string} opciones.usuarioId
+ * @param {string} [opciones.tipoDispositivo] - Default: p.tipo_dispositivo
+ * @param {Map<string, string>} [opciones.mapaTransformadores] - Si viene, remapea los transformadorId
+ */
+function prepararPlantilla(p, { workspaceId, usuarioId, tipoDispositivo, mapaTransformadores }) {
+  const funcionalidades = p.funcionalidades || {};
+  return {
+    tipo_dispositivo: tipoDispositivo || p.tipo_dispositivo,
+    nombre: p.nombre?.trim() || 'Sin nombre',
+    descripcion: p.descripcion?.trim() || null,
+    workspace_id: workspaceId,
+    funcionalidades: mapaTransformadores ? remapearTransformadores(funcionalidades, mapaTransformadores) : funcionalidades,
+    etiquetas_bits: p.etiquetasBits || p.etiquetas_bits || {},
+    plantilla_etiquetas_id: p.plantillaEtiquetasId || p.plantilla_etiquetas_id || null,
+    created_by: usuarioId,
+  };
+}
+
+// ============================================
+// Exportación
+// ============================================
+
+/**
+ * Arma el paquete de un workspace
+ * @returns {Promise<object|null>} - null si el workspace no existe o está en la papelera
+ */
+async function exportarWorkspace(workspaceId) {
+  const { data: workspace } = await supabase
+    .from('workspaces')
+    .select('id, nombre, descripcion')
+    .eq('id', workspaceId)
+    .is('eliminado_at', null)
+    .maybeSingle();
+
+  if (!workspace) return null;
+
+  const [puestos, transformadores, plantillas, vinculos] = await Promise.all([
+    supabase
+      .from('puestos')
+      .select('*, alimentadores (*)')
+      .eq('workspace_id', workspaceId)
+      .is('eliminado_at', null)
+      .is('alimentadores.eliminado_at', null)
+      .order('orden', { ascending: true }),
+    supabase
+      .from('transformadores')
+      .select('id, tipo, nombre, formula, descripcion')
+      .eq('workspace_id', workspaceId),
+    supabase
+      .from('plantillas_dispositivo')
+      .select('id, tipo_dispositivo, nombre, descripcion, funcionalidades, etiquetas_bits, plantilla_etiquetas_id')
+      .eq('workspace_id', workspaceId),
+    supabase
+      .from('workspace_agentes')
+      .select('agentes (id, nombre)')
+      .eq('workspace_id', workspaceId),
+  ]);
+
+  for (const consulta of [puestos, transformadores, plantillas, vinculos]) {
+    if (consulta.error) throw consulta.error;
+  }
+
+  const puestosExportados = (puestos.data || []).map(p => ({
+    id: p.id,
+    ...elegirCampos(p, CAMPOS_PUESTO),
+    alimentadores: (p.alimentadores || [])
+      .sort((a, b) => (a.orden ?? 0) - (b.orden ?? 0))
+      .map(a => ({ id: a.id, ...elegirCampos(a, CAMPOS_ALIMENTADOR) })),
+  }));
+
+  // Registradores usados por los alimentadores (referencia para revincular al importar)
+  const registradorIds = [...new Set(puestosExportados
+    .flatMap(p => p.alimentadores.map(a => a.registrador_id))
+    .filter(Boolean))];
+
+  let registradores = [];
+  if (registradorIds.length > 0) {
+    const { data, error } = await supabase
+      .from('registradores')
+      .select('id, nombre, agente_id, plantilla_id')
+      .in('id', registradorIds);
+
+    if (error) throw error;
+    registradores = data || [];
+  }
+
+  return {
+    formato: FORMATO_PAQUETE,
+    version: VERSION_PAQUETE,
+    exportado_at: new Date().toISOString(),
+    origen: { workspace_id: workspace.id },
+    workspace: { nombre: workspace.nombre, descripcion: workspace.descripcion },
+    transformadores: transformadores.data || [],
+    plantillas: plantillas.data || [],
+    agentes: (vinculos.data || []).map(v => v.agentes).filter(Boolean),
+    registradores,
+    puestos: puestosExportados,
+  };
+}
+
+// ============================================
+// Importación
+// ============================================
+
+/**
+ * Inserta filas y devuelve el mapa id original -> id nuevo (mismo orden de inserción)
+ */
+async function insertarConMapa(tabla, originales, filas) {
+  const mapa = new Map();
+  if (filas.length === 0) return mapa;
+
+  const { data, error } = await supabase
+    .from(tabla)
+    .insert(filas)
+    .select('id');
+
+  if (error) throw error;
+  originales.forEach((original, i) => {
+    if (original.id && data[i]) mapa.set(original.id, data[i].id);
+  });
+  return mapa;
+}
+
+/**
+ * Agentes del paquete que se pueden vincular al workspace nuevo
+ * @returns {Promise<{agenteIds: Set<string>, advertencias: string[]}>}
+ */
+async function resolverAgentes(paquete, puedeVincularAgente) {
+  const agenteIds = new Set();
+  const advertencias = [];
+
+  for (const agente of paquete.agentes || []) {
+    const { data: existente } = await supabase
+      .from('agentes')
+      .select('id, activo')
+      .eq('id', agente.id)
+      .maybeSingle();
+
+    if (!existente) {
+      advertencias.push(`El agente "${agente.nombre || agente.id}" no existe en esta instalación`);
+    } else if (!existente.activo) {
+      advertencias.push(`El agente "${agente.nombre || agente.id}" no está activo y no se vinculó`);
+    } else if (!await puedeVincularAgente(agente.id)) {
+      advertencias.push(`No tienes permiso para vincular el agente "${agente.nombre || agente.id}"`);
+    } else {
+      agenteIds.add(agente.id);
+    }
+  }
+
+  return { agenteIds, advertencias };
+}
+
+/**
+ * Registradores del paquete que siguen existiendo y pertenecen a un agente vinculado
+ */
+async function resolverRegistradores(paquete, agenteIds) {
+  const ids = (paquete.registradores || []).map(r => r.id);
+  if (ids.length === 0 || agenteIds.size === 0) return new Set();
+
+  const { data, error } = await supabase
+    .from('registradores')
+    .select('id, agente_id')
+    .in('id', ids);
+
+  if (error) throw error;
+  return new Set((data || []).filter(r => agenteIds.has(r.agente_id)).map(r => r.id));
+}
+
+/**
+ * Crea un workspace nuevo a partir de un paquete
+ * Si algo falla después de crear el workspace, se borra lo creado.
+ * @param {object} paquete - Resultado de exportarWorkspace (ya validado con esquemaImportarWorkspace)
+ * @param {object} opciones
+ * @param {string} opciones.usuarioId - Creador del workspace nuevo
+ * @param {string} [opciones.nombre] - Default: nombre del paquete
+ * @param {boolean} [opciones.vincularAgentes] - Default true
+ * @param {(agenteId: string) => Promise<boolean>} opciones.puedeVincularAgente
+ * @returns {Promise<{workspace: object, resumen: object, advertencias: string[]}>}
+ */
+async function importarWorkspace(paquete, { usuarioId, nombre, vincularAgentes = true, puedeVincularAgente }) {
+  const { agenteIds, advertencias } = vincularAgentes
+    ? await resolverAgentes(paquete, puedeVincularAgente)
+    : { agenteIds: new Set(), advertencias: [] };
+  const registradoresValidos = await resolverRegistradores(paquete, agenteIds);
+
+  const { data: rolAdmin } = await supabase
+    .from('roles')
+    .select('id')
+    .eq('codigo', 'admin')
+    .single();
+
+  const { data: workspace, error: errorWorkspace } = await supabase
+    .from('workspaces')
+    .insert({
+      nombre: (nombre || paquete.workspace.nombre).trim(),
+      descripcion: paquete.workspace.descripcion?.trim() || null,
+      creado_por: usuarioId,
+    })
+    .select()
+    .single();
+
+  if (errorWorkspace) throw errorWorkspace;
+
+  try {
+    const { error: errorAsignacion } = await supabase
+      .from('usuario_workspaces')
+      .insert({ usuario_id: usuarioId, workspace_id: workspace.id, rol_id: rolAdmin?.id });
+
+    if (errorAsignacion) throw errorAsignacion;
+
+    const transformadores = paquete.transformadores || [];
+    const mapaTransformadores = await insertarConMapa(
+      'transformadores',
+      transformadores,
+      transformadores.map(t => prepararTransformador(t, workspace.id, usuarioId))
+    );
+
+    // Las plantillas de etiquetas son otras plantillas del paquete (pueden encadenarse):
+    // se insertan todas sin la referencia y después se apunta cada una a su copia.
+    // Las que apuntan a una plantilla que no viaja en el paquete quedan en null.
+    const plantillas = paquete.plantillas || [];
+    const mapaPlantillas = await insertarConMapa(
+      'plantillas_dispositivo',
+      plantillas,
+      plantillas.map(p => ({
+        ...prepararPlantilla(p, { workspaceId: workspace.id, usuarioId, mapaTransformadores }),
+        plantilla_etiquetas_id: null,
+      }))
+    );
+
+    for (const p of plantillas) {
+      const original = p.plantillaEtiquetasId || p.plantilla_etiquetas_id;
+      const nuevaEtiquetas = original ? mapaPlantillas.get(original) : null;
+      if (!nuevaEtiquetas || !mapaPlantillas.has(p.id)) continue;
+
+      const { error } = await supabase
+        .from('plantillas_dispositivo')
+        .update({ plantilla_etiquetas_id: nuevaEtiquetas })
+        .eq('id', mapaPlantillas.get(p.id));
+
+      if (error) throw error;
+    }
+
+    if (agenteIds.size > 0) {
+      const { error } = await supabase
+        .from('workspace_agentes')
+        .insert([...agenteIds].map(agenteId => ({ workspace_id: workspace.id, agente_id: agenteId })));
+
+      if (error) throw error;
+    }
+
+    let cantidadAlimentadores = 0;
+    let sinRegistrador = 0;
+    for (const puesto of paquete.puestos || []) {
+      const { data: nuevoPuesto, error: errorPuesto } = await supabase
+        .from('puestos')
+        .insert({ ...elegirCampos(puesto, CAMPOS_PUESTO), workspace_id: workspace.id })
+        .select('id')
+        .single();
+
+      if (errorPuesto) throw errorPuesto;
+
+      const alimentadores = (puesto.alimentadores || []).map(a => {
+        const fila = { ...elegirCampos(a, CAMPOS_ALIMENTADOR), puesto_id: nuevoPuesto.id };
+        if (fila.registrador_id && !registradoresValidos.has(fila.registrador_id)) {
+          fila.registrador_id = null;
+          sinRegistrador++;
+        }
+        return fila;
+      });
+
+      if (alimentadores.length > 0) {
+        const { error } = await supabase.from('alimentadores').insert(alimentadores);
+        if (error) throw error;
+        cantidadAlimentadores += alimentadores.length;
+      }
+    }
+
+    if (sinRegistrador > 0) {
+      advertencias.push(`${sinRegistrador} alimentador(es) quedaron sin registrador porque su agente no se vinculó`);
+    }
+
+    return {
+      workspace,
+      resumen: {
+        puestos: (paquete.puestos || []).length,
+        alimentadores: cantidadAlimentadores,
+        transformadores: mapaTransformadores.size,
+        plantillas: plantillas.length,
+        agentesVinculados: agenteIds.size,
+      },
+      advertencias,
+    };
+  } catch (err) {
+    // Deshacer: el borrado del workspace arrastra puestos, alimentadores y vínculos;
+    // transformadores y plantillas se borran explícitamente
+    await supabase.from('plantillas_dispositivo').delete().eq('workspace_id', workspace.id);
+    await supabase.from('transformadores').delete().eq('workspace_id', workspace.id);
+    await supabase.from('workspaces').delete().eq('id', workspace.id);
+    throw err;
+  }
+}
+
+module.exports = {
+  FORMATO_PAQUETE,
+  VERSION_PAQUETE,
+  prepararTransformador,
+  prepararPlantilla,
+  exportarWorkspace,
+  importarWorkspace,
+};
@@ -0,0 +1,438 @@
+// src/servicios/retencionLecturasService.js
+// Retención de lecturas por niveles: crudas -> agregados por minuto -> agregados por hora
+//
+// Cada workspace define cuántos días conservar cada nivel (politicas_retencion, con una fila
+// por workspace y filas opcionales por registrador). null = sin límite. Sin política se usan
+// los valores por defecto de RETENCION_CRUDO_DIAS / RETENCION_MINUTO_DIAS / RETENCION_HORA_DIAS;
+// si no se configuran, no se borra nada hasta que el workspace guarde su política.
+// Un registrador puede estar en varios workspaces (vía su agente): se aplica la retención
+// más larga de todos, para no borrar datos que otro workspace quiere conservar.
+//
+// El job recorre los registradores y, hora por hora desde la más vieja:
+//   1. Consolida las lecturas crudas vencidas en lecturas_agregadas ('1m' y '1h'),
+//      combinando con lo que ya hubiera de esa hora (lecturas que llegaron tarde).
+//   2. Guarda los agregados y borra exactamente las lecturas crudas que leyó, en una sola
+//      transacción (RPC consolidar_lecturas_hora): si algo falla no se pierde nada, y una
+//      lectura que llegue a esa hora mientras tanto queda para la próxima ejecución.
+// Después borra por día los agregados de minuto y de hora vencidos.
+// historicoService lee cada tramo de un rango del nivel que lo conserva.
+//
+// Tablas (migrations/007_retencion_lecturas.sql, junto con la función consolidar_lecturas_hora):
+//   politicas_retencion (id, workspace_id, registrador_id NULL, crudo_dias, minuto_dias,
+//                        hora_dias, updated_at, updated_por)
+//   lecturas_agregadas (registrador_id, intervalo '1m'|'1h', timestamp, muestras,
+//                       valores_min, valores_max, valores_promedio, valores_ultimo,
+//                       PRIMARY KEY (registrador_id, intervalo, timestamp))
+
+const supabase = require('../config/supabase');
+const {
+  INTERVALOS_AGREGACION,
+  recorrerLecturas,
+  recorrerAgregados,
+  crearAcumulador,
+  acumularLectura,
+  acumularAgregado,
+  puntosDelAcumulador,
+} = require('./historicoService');
+
+const DIA_MS = INTERVALOS_AGREGACION['1d'];
+const HORA_MS = INTERVALOS_AGREGACION['1h'];
+const MINUTO_MS = INTERVALOS_AGREGACION['1m'];
+
+/**
+ * Días de un nivel desde una variable de entorno ('sin-limite' = null)
+ */
+function leerDias(variable, defecto) {
+  const valor = process.env[variable];
+  if (valor === 'sin-limite') return null;
+  const dias = parseInt(valor);
+  return Number.isNaN(dias) ? defecto : dias;
+}
+
+// Configuración (variables de entorno)
+const POLITICA_DEFECTO = {
+  crudoDias: leerDias('RETENCION_CRUDO_DIAS', null),
+  minutoDias: leerDias('RETENCION_MINUTO_DIAS', null),
+  horaDias: leerDias('RETENCION_HORA_DIAS', null),
+};
+const INTERVALO_MS = parseInt(process.env.RETENCION_INTERVALO_MS) || 15 * 60 * 1000;
+// Horas de lecturas crudas (y días de agregados) que se procesan por registrador en cada ejecución
+const BLOQUES_POR_EJECUCION = parseInt(process.env.RETENCION_BLOQUES_POR_EJECUCION) || 24;
+
+let intervalo = null;
+let ejecutando = false;
+
+/**
+ * Convierte una fila de politicas_retencion al formato del servicio
+ */
+function normalizarPolitica(fila) {
+  return {
+    crudoDias: fila.crudo_dias,
+    minutoDias: fila.minuto_dias,
+    horaDias: fila.hora_dias,
+  };
+}
+
+/**
+ * Combina dos políticas quedándose con la retención más larga de cada nivel
+ */
+function combinarPoliticas(a, b) {
+  const mayor = (x, y) => (x === null || y === null ? null : Math.max(x, y));
+  return {
+    crudoDias: mayor(a.crudoDias, b.crudoDias),
+    minutoDias: mayor(a.minutoDias, b.minutoDias),
+    horaDias: mayor(a.horaDias, b.horaDias),
+  };
+}
+
+/**
+ * Carga todas las políticas y los vínculos workspace-agente (una vez por ejecución)
+ */
+async function cargarContexto() {
+  const { data: politicas, error: errorPoliticas } = await supabase
+    .from('politicas_retencion')
+    .select('workspace_id, registrador_id, crudo_dias, minuto_dias, hora_dias');
+
+  if (errorPoliticas) throw errorPoliticas;
+
+  const { data: vinculos, error: errorVinculos } = await supabase
+    .from('workspace_agentes')
+    .select('workspace_id, agente_id');
+
+  if (errorVinculos) throw errorVinculos;
+
+  const contexto = { porWorkspace: new Map(), porRegistrador: new Map(), workspacesPorAgente: new Map() };
+
+  for (const fila of politicas || []) {
+    if (fila.registrador_id) {
+      contexto.porRegistrador.set(`${fila.workspace_id}|${fila.registrador_id}`, normalizarPolitica(fila));
+    } else {
+      contexto.porWorkspace.set(fila.workspace_id, normalizarPolitica(fila));
+    }
+  }
+
+  for (const { workspace_id: workspaceId, agente_id: agenteId } of vinculos || []) {
+    if (!contexto.workspacesPorAgente.has(agenteId)) contexto.workspacesPorAgente.set(agenteId, []);
+    contexto.workspacesPorAgente.get(agenteId).push(workspaceId);
+  }
+
+  return contexto;
+}
+
+/**
+ * Política que se aplica a un registrador
+ * En cada workspace del agente: la del registrador, si no la del workspace, si no la por defecto.
+ */
+function resolverPolitica(registrador, contexto) {
+  const workspaces = contexto.workspacesPorAgente.get(registrador.agente_id) || [];
+  if (workspaces.length === 0) return POLITICA_DEFECTO;
+
+  return workspaces
+    .map(workspaceId =>
+      contexto.porRegistrador.get(`${workspaceId}|${registrador.id}`)
+      || contexto.porWorkspace.get(workspaceId)
+      || POLITICA_DEFECTO)
+    .reduce(combinarPoliticas);
+}
+
+/**
+ * Inicio (epoch ms, alineado a `alinearMs`) desde el que vence un nivel de `dias` días
+ */
+function corteRetencion(dias, alinearMs) {
+  return Math.floor((Date.now() - dias * DIA_MS) / alinearMs) * alinearMs;
+}
+
+/**
+ * Filas de lecturas_agregadas a partir de un acumulador
+ */
+function filasAgregadas(registradorId, intervaloNivel, acumulador) {
+  return puntosDelAcumulador(acumulador, registradorId).map(punto => ({
+    registrador_id: registradorId,
+    intervalo: intervaloNivel,
+    timestamp: punto.timestamp,
+    muestras: punto.muestras,
+    valores_min: punto.valores_min,
+    valores_max: punto.valores_max,
+    valores_promedio: punto.valores_promedio,
+    valores_ultimo: punto.valores_ultimo,
+  }));
+}
+
+/**
+ * Consolida una hora de lecturas crudas de un registrador en los agregados y las borra
+ * @param {string} registradorId
+ * @param {number} inicio - Epoch ms, alineado a la hora
+ * @returns {Promise<number>} - Lecturas crudas borradas
+ */
+async function consolidarHora(registradorId, inicio) {
+  const desde = new Date(inicio).toISOString();
+  const hasta = new Date(inicio + HORA_MS).toISOString();
+  const minutos = crearAcumulador(MINUTO_MS);
+  const horas = crearAcumulador(HORA_MS);
+
+  // Agregados que ya existan de esta hora (lecturas que llegaron después de consolidarla)
+  await recorrerAgregados(registradorId, '1m', desde, hasta, (pagina) => {
+    pagina.forEach(fila => acumularAgregado(minutos, fila));
+  });
+  await recorrerAgregados(registradorId, '1h', desde, hasta, (pagina) => {
+    pagina.forEach(fila => acumularAgregado(horas, fila));
+  });
+
+  let crudas = [];
+  await recorrerLecturas(registradorId, desde, new Date(inicio + HORA_MS - 1).toISOString(), (pagina) => {
+    crudas = crudas.concat(pagina);
+  });
+
+  for (const lectura of crudas) {
+    if (!lectura.exito) continue;
+    acumularLectura(minutos, lectura);
+    acumularLectura(horas, lectura);
+  }
+
+  if (crudas.length === 0) return 0;
+
+  // Agregados y borrado en la misma transacción; solo se borran las lecturas leídas arriba
+  // (por timestamp exacto), nunca las que entren a esta hora mientras tanto
+  const { data: borradas, error } = await supabase.rpc('consolidar_lecturas_hora', {
+    p_registrador_id: registradorId,
+    p_agregados: [
+      ...filasAgregadas(registradorId, '1m', minutos),
+      ...filasAgregadas(registradorId, '1h', horas),
+    ],
+    p_timestamps: crudas.map(lectura => lectura.timestamp),
+  });
+
+  if (error) throw new Error(error.message);
+  return borradas || 0;
+}
+
+/**
+ * Consolida y borra las lecturas crudas vencidas de un registrador, de la hora más vieja en adelante
+ * @returns {Promise<number>} - Lecturas crudas borradas
+ */
+async function purgarCrudas(registradorId, dias) {
+  const corte = new Date(corteRetencion(dias, HORA_MS)).toISOString();
+  let borradas = 0;
+
+  for (let bloque = 0; bloque < BLOQUES_POR_EJECUCION; bloque++) {
+    const { data: primera, error } = await supabase
+      .from('lecturas')
+      .select('timestamp')
+      .eq('registrador_id', registradorId)
+      .lt('timestamp', corte)
+      .order('timestamp', { ascending: true })
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    if (!primera || primera.length === 0) break;
+
+    const inicio = Math.floor(new Date(primera[0].timestamp).getTime() / HORA_MS) * HORA_MS;
+    borradas += await consolidarHora(registradorId, inicio);
+  }
+
+  return borradas;
+}
+
+/**
+ * Borra por día los agregados vencidos de un nivel
+ * @returns {Promise<number>} - Filas borradas
+ */
+async function purgarAgregados(registradorId, intervaloNivel, dias) {
+  const corte = corteRetencion(dias, HORA_MS);
+  let borradas = 0;
+
+  for (let bloque = 0; bloque < BLOQUES_POR_EJECUCION; bloque++) {
+    const { data: primera, error } = await supabase
+      .from('lecturas_agregadas')
+      .select('timestamp')
+      .eq('registrador_id', registradorId)
+      .eq('intervalo', intervaloNivel)
+      .lt('timestamp', new Date(corte).toISOString())
+      .order('timestamp', { ascending: true })
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    if (!primera || primera.length === 0) break;
+
+    const inicio = new Date(primera[0].timestamp).getTime();
+    const { data: eliminadas, error: errorBorrar } = await supabase
+      .from('lecturas_agregadas')
+      .delete()
+      .eq('registrador_id', registradorId)
+      .eq('intervalo', intervaloNivel)
+      .gte('timestamp', new Date(inicio).toISOString())
+      .lt('timestamp', new Date(Math.min(inicio + DIA_MS, corte)).toISOString())
+      .select('timestamp');
+
+    if (errorBorrar) throw new Error(errorBorrar.message);
+    borradas += eliminadas?.length || 0;
+  }
+
+  return borradas;
+}
+
+/**
+ * Aplica la política a un registrador
+ * @returns {Promise<{crudas: number, minuto: number, hora: number}>} - Filas borradas por nivel
+ */
+async function aplicarRetencion(registradorId, politica) {
+  return {
+    crudas: politica.crudoDias === null ? 0 : await purgarCrudas(registradorId, politica.crudoDias),
+    minuto: politica.minutoDias === null ? 0 : await purgarAgregados(registradorId, '1m', politica.minutoDias),
+    hora: politica.horaDias === null ? 0 : await purgarAgregados(registradorId, '1h', politica.horaDias),
+  };
+}
+
+/**
+ * Una ejecución del job: aplica la retención a todos los registradores
+ */
+async function ejecutarRetencion() {
+  if (ejecutando) return;
+  ejecutando = true;
+
+  try {
+    const contexto = await cargarContexto();
+    const { data: registradores, error } = await supabase
+      .from('registradores')
+      .select('id, nombre, agente_id');
+
+    if (error) throw error;
+
+    const totales = { crudas: 0, minuto: 0, hora: 0 };
+    for (const registrador of registradores || []) {
+      try {
+        const resultado = await aplicarRetencion(registrador.id, resolverPolitica(registrador, contexto));
+        totales.crudas += resultado.crudas;
+        totales.minuto += resultado.minuto;
+        totales.hora += resultado.hora;
+      } catch (err) {
+        // Un registrador con error no frena a los demás; se reintenta en la próxima ejecución
+        console.error(`[Retencion] Error en registrador ${registrador.nombre}:`, err.message || err);
+      }
+    }
+
+    if (totales.crudas + totales.minuto + totales.hora > 0) {
+      console.log(`[Retencion] Consolidadas ${totales.crudas} lecturas crudas; borrados ${totales.minuto} agregados de 1m y ${totales.hora} de 1h`);
+    }
+  } catch (err) {
+    console.error('[Retencion] Error en la ejecución:', err.message || err);
+  } finally {
+    ejecutando = false;
+  }
+}
+
+/**
+ * Políticas configuradas en un workspace (la del workspace y las de sus registradores)
+ * @returns {Promise<{defecto: object, workspace: object|null, registradores: Array<object>}>}
+ */
+async function obtenerPoliticasWorkspace(workspaceId) {
+  const { data, error } = await supabase
+    .from('politicas_retencion')
+    .select('id, registrador_id, crudo_dias, minuto_dias, hora_dias, updated_at, registradores (id, nombre)')
+    .eq('workspace_id', workspaceId);
+
+  if (error) throw error;
+
+  const filas = data || [];
+  const general = filas.find(f => !f.registrador_id);
+
+  return {
+    defecto: POLITICA_DEFECTO,
+    workspace: general ? { id: general.id, ...normalizarPolitica(general), updated_at: general.updated_at } : null,
+    registradores: filas
+      .filter(f => f.registrador_id)
+      .map(f => ({
+        id: f.id,
+        registrador: f.registradores,
+        ...normalizarPolitica(f),
+        updated_at: f.updated_at,
+      })),
+  };
+}
+
+/**
+ * Guarda la política del workspace o de uno de sus registradores
+ * @param {string} workspaceId
+ * @param {string|null} registradorId - null = política del workspace
+ * @param {{crudoDias: number|null, minutoDias: number|null, horaDias: number|null}} politica
+ * @param {string} usuarioId
+ */
+async function guardarPolitica(workspaceId, registradorId, politica, usuarioId) {
+  const datos = {
+    crudo_dias: politica.crudoDias,
+    minuto_dias: politica.minutoDias,
+    hora_dias: politica.horaDias,
+    updated_at: new Date().toISOString(),
+    updated_por: usuarioId,
+  };
+
+  let query = supabase
+    .from('politicas_retencion')
+    .select('id')
+    .eq('workspace_id', workspaceId);
+  query = registradorId ? query.eq('registrador_id', registradorId) : query.is('registrador_id', null);
+
+  const { data: existente } = await query.maybeSingle();
+
+  const { data, error } = existente
+    ? await supabase.from('politicas_retencion').update(datos).eq('id', existente.id).select().single()
+    : await supabase
+      .from('politicas_retencion')
+      .insert({ ...datos, workspace_id: workspaceId, registrador_id: registradorId })
+      .select()
+      .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Elimina la política del workspace o de uno de sus registradores
+ * @returns {Promise<boolean>} - false si no existía
+ */
+async function eliminarPolitica(workspaceId, registradorId) {
+  let query = supabase
+    .from('politicas_retencion')
+    .delete()
+    .eq('workspace_id', workspaceId);
+  query = registradorId ? query.eq('registrador_id', registradorId) : query.is('registrador_id', null);
+
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Inicia el job de retención
+ * Se puede deshabilitar con RETENCION_HABILITADA=false
+ */
+function iniciarRetencionLecturas() {
+  if (process.env.RETENCION_HABILITADA === 'false') {
+    console.log('[Retencion] Deshabilitada por configuración');
+    return;
+  }
+  if (intervalo) return;
+
+  intervalo = setInterval(ejecutarRetencion, INTERVALO_MS);
+  console.log(`[Retencion] Cada ${INTERVALO_MS / 60000} min (por defecto: crudas ${POLITICA_DEFECTO.crudoDias ?? 'sin límite'} días, 1m ${POLITICA_DEFECTO.minutoDias ?? 'sin límite'} días, 1h ${POLITICA_DEFECTO.horaDias ?? 'sin límite'} días)`);
+}
+
+/**
+ * Detiene el job de retención
+ */
+function detenerRetencionLecturas() {
+  if (intervalo) {
+    clearInterval(intervalo);
+    intervalo = null;
+  }
+}
+
+module.exports = {
+  POLITICA_DEFECTO,
+  obtenerPoliticasWorkspace,
+  guardarPolitica,
+  eliminarPolitica,
+  ejecutarRetencion,
+  iniciarRetencionLecturas,
+  detenerRetencionLecturas,
+};
@@ -0,0 +1,161 @@
+// src/servicios/tiempoRealService.js
+// Canal en tiempo real para usuarios del dashboard (SSE del navegador)
+// Distribuye lecturas nuevas, estado de registradores y alarmas a los usuarios
+// suscriptos a un workspace, a medida que los agentes envían lecturas.
+//
+// Cada suscriptor guarda el conjunto de agentes cuyos registradores puede ver
+// (mismas reglas que tieneAccesoARegistrador); los eventos de otros agentes no se le envían.
+// Con varias instancias los eventos se reenvían por pub/sub: cada instancia entrega
+// a sus propios suscriptores.
+
+const { INSTANCIA_ID, obtenerPubSub } = require('./pubsubService');
+const { resumirEstadoPorRegistrador } = require('./estadoRegistradoresService');
+
+// Suscriptores locales: workspaceId -> Set<{ usuarioId, res, agentes: Set<string> }>
+const suscriptores = new Map();
+const CANAL_TIEMPO_REAL = 'tiempo_real';
+const pubsub = obtenerPubSub();
+let distribucionIniciada = false;
+
+/**
+ * Registra una conexión SSE de usuario en un workspace
+ * @param {string} workspaceId - ID del workspace
+ * @param {{usuarioId: string, res: object, agentes: Set<string>}} suscriptor
+ */
+function agregarSuscriptor(workspaceId, suscriptor) {
+  if (!suscriptores.has(workspaceId)) {
+    suscriptores.set(workspaceId, new Set());
+  }
+  suscriptores.get(workspaceId).add(suscriptor);
+}
+
+/**
+ * Quita una conexión SSE de usuario
+ */
+function quitarSuscriptor(workspaceId, suscriptor) {
+  const conjunto = suscriptores.get(workspaceId);
+  if (!conjunto) return;
+
+  conjunto.delete(suscriptor);
+  if (conjunto.size === 0) {
+    suscriptores.delete(workspaceId);
+  }
+}
+
+/**
+ * Escribe un evento en las conexiones locales que pueden verlo
+ * @param {{evento: string, agenteId: string, workspaceId?: string|null, datos: object}} mensaje
+ *   workspaceId null = todos los workspaces donde el suscriptor tenga acceso al agente
+ */
+function entregarLocal({ evento, agenteId, workspaceId = null, datos }) {
+  const mensaje = `event: ${evento}\ndata: ${JSON.stringify(datos)}\n\n`;
+
+  for (const [id, conjunto] of suscriptores) {
+    if (workspaceId && id !== workspaceId) continue;
+
+    for (const suscriptor of conjunto) {
+      if (!suscriptor.agentes.has(agenteId) || suscriptor.res.writableEnded) continue;
+
+      try {
+        suscriptor.res.write(mensaje);
+      } catch (err) {
+        console.error(`[TiempoReal] Error escribiendo a usuario ${suscriptor.usuarioId}:`, err.message);
+      }
+    }
+  }
+}
+
+/**
+ * Publica un evento para los usuarios del dashboard (esta instancia y las demás)
+ */
+async function publicarEventoTiempoReal(evento, agenteId, datos, workspaceId = null) {
+  const mensaje = { evento, agenteId, workspaceId, datos };
+  entregarLocal(mensaje);
+
+  try {
+    await pubsub.publicar(CANAL_TIEMPO_REAL, { ...mensaje, origen: INSTANCIA_ID });
+  } catch (err) {
+    console.error('[TiempoReal] Error publicando evento:', err.message);
+  }
+}
+
+/**
+ * Publica un lote de lecturas recién insertadas
+ * Por registrador se envía solo la lectura más reciente del lote ('lectura')
+ * y el estado resultante ('estado-registrador'); el dashboard no necesita
+ * cada muestra intermedia y así los mensajes entran en el límite de NOTIFY.
+ * @param {string} agenteId - Agente que envió el lote
+ * @param {Array<object>} lecturas - Lecturas con formato de la tabla lecturas
+ * @param {Map<string, number>} indicesIniciales - registradorId -> indice_inicial
+ */
+async function publicarLecturas(agenteId, lecturas, indicesIniciales = new Map()) {
+  // Con el adaptador en memoria no hay otras instancias: sin suscriptores locales no hay a quién enviar
+  if (lecturas.length === 0 || (pubsub.nombre === 'memoria' && suscriptoresTotales() === 0)) {
+    return;
+  }
+
+  const ultimas = new Map();
+  for (const lectura of lecturas) {
+    const previa = ultimas.get(lectura.registrador_id);
+    if (!previa || new Date(lectura.timestamp) > new Date(previa.timestamp)) {
+      ultimas.set(lectura.registrador_id, lectura);
+    }
+  }
+
+  for (const lectura of ultimas.values()) {
+    await publicarEventoTiempoReal('lectura', agenteId, {
+      registradorId: lectura.registrador_id,
+      timestamp: lectura.timestamp,
+      exito: lectura.exito,
+      valores: lectura.valores,
+      indiceInicial: indicesIniciales.get(lectura.registrador_id) ?? null,
+      tiempoMs: lectura.tiempo_respuesta_ms,
+      error: lectura.error_mensaje,
+    });
+  }
+
+  for (const estado of resumirEstadoPorRegistrador(lecturas)) {
+    await publicarEventoTiempoReal('estado-registrador', agenteId, {
+      registradorId: estado.id,
+      conectado: estado.fallos_finales === 0,
+      ultimaLecturaExitosa: estado.ultima_lectura_exitosa,
+      ultimoError: estado.ultimo_error,
+      fallosEnLote: estado.fallidas,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Cantidad de conexiones de usuario en esta instancia
+ */
+function suscriptoresTotales() {
+  let total = 0;
+  for (const conjunto of suscriptores.values()) {
+    total += conjunto.size;
+  }
+  return total;
+}
+
+/**
+ * Se suscribe al canal pub/sub para entregar los eventos publicados por otras instancias
+ * Llamar una vez al iniciar el servidor.
+ */
+async function iniciarTiempoReal() {
+  if (distribucionIniciada) return;
+  distribucionIniciada = true;
+
+  await pubsub.suscribir(CANAL_TIEMPO_REAL, (mensaje) => {
+    if (!mensaje || mensaje.origen === INSTANCIA_ID) return;
+    entregarLocal(mensaje);
+  });
+}
+
+module.exports = {
+  agregarSuscriptor,
+  quitarSuscriptor,
+  publicarEventoTiempoReal,
+  publicarLecturas,
+  suscriptoresTotales,
+  iniciarTiempoReal,
+};
@@ -0,0 +1,159 @@
+// src/servicios/tokensAgenteService.js
+// Sesiones de agentes: access token JWT de corta duración + refresh token opaco
+//
+// El refresh token se guarda hasheado (SHA-256) en agente_refresh_tokens y se rota en
+// cada uso: el usado queda revocado y apunta al nuevo (reemplazado_por). Si llega un
+// refresh token ya reemplazado, alguien lo copió: se revocan todas las sesiones del agente.
+//
+// Revocar las sesiones de un agente (desactivar, eliminar, rotar clave) marca
+// agentes.tokens_revocados_at, que verificarTokenAgente compara con la emisión de cada
+// access token, revoca los refresh tokens y corta su conexión SSE.
+
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const { generarTokenAgente, DURACION_TOKEN_SEGUNDOS } = require('../middleware/authAgente');
+const { desconectarAgente } = require('../controllers/sseController');
+
+const REFRESH_DIAS = parseInt(process.env.AGENTE_REFRESH_DIAS) || 30;
+
+/**
+ * Hash con el que se guarda y se busca un refresh token
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Crea un refresh token para el agente
+ * @returns {Promise<{id: string, refreshToken: string, expiraAt: string}>}
+ */
+async function crearRefreshToken(agenteId, ip) {
+  const refreshToken = `rt_${crypto.randomBytes(48).toString('hex')}`;
+  const expiraAt = new Date(Date.now() + REFRESH_DIAS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('agente_refresh_tokens')
+    .insert({
+      agente_id: agenteId,
+      token_hash: hashRefreshToken(refreshToken),
+      expira_at: expiraAt,
+      ip: ip || null,
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return { id: data.id, refreshToken, expiraAt };
+}
+
+/**
+ * Emite una sesión nueva (access + refresh) para un agente ya autenticado
+ * @param {{id: string, nombre: string}} agente
+ * @param {string} [ip]
+ * @returns {Promise<{token: string, expiraEn: number, refreshToken: string, refreshExpiraAt: string}>}
+ */
+async function emitirSesionAgente(agente, ip) {
+  const { refreshToken, expiraAt } = await crearRefreshToken(agente.id, ip);
+  return {
+    token: generarTokenAgente(agente.id, agente.nombre),
+    expiraEn: DURACION_TOKEN_SEGUNDOS,
+    refreshToken,
+    refreshExpiraAt: expiraAt,
+  };
+}
+
+/**
+ * Canjea un refresh token por una sesión nueva (el usado queda revocado)
+ * @returns {Promise<{sesion: object, agente: object}|{error: string}>}
+ */
+async function refrescarSesionAgente(refreshToken, ip) {
+  const { data: registro, error } = await supabase
+    .from('agente_refresh_tokens')
+    .select('id, agente_id, expira_at, revocado_at, reemplazado_por, agentes (id, nombre, activo)')
+    .eq('token_hash', hashRefreshToken(refreshToken))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!registro || !registro.agentes) {
+    return { error: 'Refresh token inválido' };
+  }
+
+  if (registro.revocado_at) {
+    if (registro.reemplazado_por) {
+      console.warn(`[Agente] Refresh token reutilizado para ${registro.agentes.nombre}: se revocan todas sus sesiones`);
+      await revocarSesionesAgente(registro.agente_id, 'Refresh token reutilizado');
+    }
+    return { error: 'Refresh token revocado' };
+  }
+
+  if (new Date(registro.expira_at) <= new Date()) {
+    return { error: 'Refresh token expirado' };
+  }
+
+  if (!registro.agentes.activo) {
+    return { error: 'Agente inactivo' };
+  }
+
+  const nuevo = await crearRefreshToken(registro.agente_id, ip);
+
+  // Solo gana un canje concurrente: el update exige que el token siga sin revocar
+  const { data: revocados } = await supabase
+    .from('agente_refresh_tokens')
+    .update({ revocado_at: new Date().toISOString(), reemplazado_por: nuevo.id })
+    .eq('id', registro.id)
+    .is('revocado_at', null)
+    .select('id');
+
+  if (!revocados || revocados.length === 0) {
+    await supabase.from('agente_refresh_tokens').delete().eq('id', nuevo.id);
+    return { error: 'Refresh token revocado' };
+  }
+
+  return {
+    agente: registro.agentes,
+    sesion: {
+      token: generarTokenAgente(registro.agentes.id, registro.agentes.nombre),
+      expiraEn: DURACION_TOKEN_SEGUNDOS,
+      refreshToken: nuevo.refreshToken,
+      refreshExpiraAt: nuevo.expiraAt,
+    },
+  };
+}
+
+/**
+ * Invalida todos los tokens emitidos a un agente y corta su conexión SSE
+ * Nunca lanza: se llama después de cambios ya guardados (desactivar, eliminar, rotar clave).
+ * @param {string} agenteId
+ * @param {string} motivo - Se envía al agente en el evento de desconexión
+ */
+async function revocarSesionesAgente(agenteId, motivo) {
+  const ahora = new Date().toISOString();
+
+  try {
+    const { error: errorAgente } = await supabase
+      .from('agentes')
+      .update({ tokens_revocados_at: ahora })
+      .eq('id', agenteId);
+
+    if (errorAgente) throw errorAgente;
+
+    const { error: errorRefresh } = await supabase
+      .from('agente_refresh_tokens')
+      .update({ revocado_at: ahora })
+      .eq('agente_id', agenteId)
+      .is('revocado_at', null);
+
+    if (errorRefresh) throw errorRefresh;
+  } catch (err) {
+    console.error(`[Agente] Error revocando sesiones de ${agenteId}:`, err.message || err);
+  }
+
+  desconectarAgente(agenteId, motivo);
+}
+
+module.exports = {
+  emitirSesionAgente,
+  refrescarSesionAgente,
+  revocarSesionesAgente,
+};
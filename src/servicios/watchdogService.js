@@ -0,0 +1,232 @@
+// src/servicios/watchdogService.js
+// Watchdog de datos: detecta agentes sin heartbeat y registradores sin lecturas,
+// y notifica por alimentador cuando se pierden y cuando se restablecen las lecturas
+//
+// Seguro con varias instancias del backend: cada transición (offline/restablecido) se marca
+// con un UPDATE condicional sobre alerta_offline_at; solo la instancia cuyo UPDATE afecta
+// la fila envía la notificación, así la misma alerta no se envía dos veces.
+
+const supabase = require('../config/supabase');
+const { registrarLogAgente } = require('../controllers/agentesController');
+const {
+  enviarAlertaAlimentadorSinServicio,
+  enviarAvisoAlimentadorRestablecido,
+  enviarAlertaAgenteSinConexion,
+  enviarAvisoAgenteReconectado,
+} = require('./notificacionesService');
+
+// Configuración (variables de entorno)
+const INTERVALO_MS = parseInt(process.env.WATCHDOG_INTERVALO_MS) || 60 * 1000;
+const AGENTE_TIMEOUT_SEGUNDOS = parseInt(process.env.WATCHDOG_AGENTE_TIMEOUT_SEGUNDOS) || 180;
+const CICLOS_PERDIDOS = parseInt(process.env.WATCHDOG_CICLOS_PERDIDOS) || 3;
+
+let intervalo = null;
+let ejecutando = false;
+
+/**
+ * Marca la transición a offline solo si no estaba marcada (compare-and-set)
+ * @returns {Promise<boolean>} - true si esta instancia realizó la transición
+ */
+async function marcarOffline(tabla, id) {
+  const { data, error } = await supabase
+    .from(tabla)
+    .update({ alerta_offline_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('alerta_offline_at', null)
+    .select('id');
+
+  if (error) {
+    console.error(`[Watchdog] Error marcando ${tabla} ${id} offline:`, error);
+    return false;
+  }
+  return !!(data && data.length > 0);
+}
+
+/**
+ * Limpia la marca de offline solo si estaba marcada (compare-and-set)
+ * @returns {Promise<boolean>} - true si esta instancia realizó la transición
+ */
+async function marcarRestablecido(tabla, id) {
+  const { data, error } = await supabase
+    .from(tabla)
+    .update({ alerta_offline_at: null })
+    .eq('id', id)
+    .not('alerta_offline_at', 'is', null)
+    .select('id');
+
+  if (error) {
+    console.error(`[Watchdog] Error marcando ${tabla} ${id} restablecido:`, error);
+    return false;
+  }
+  return !!(data && data.length > 0);
+}
+
+/**
+ * Obtiene los alimentadores (con su workspace) asociados a un registrador
+ */
+async function obtenerAlimentadoresDeRegistrador(registradorId) {
+  const { data, error } = await supabase
+    .from('alimentadores')
+    .select('id, nombre, puestos (workspace_id)')
+    .eq('registrador_id', registradorId)
+    .is('eliminado_at', null);
+
+  if (error) {
+    console.error('[Watchdog] Error obteniendo alimentadores:', error);
+    return [];
+  }
+  return (data || []).filter(a => a.puestos?.workspace_id);
+}
+
+/**
+ * Obtiene los workspaces vinculados a un agente
+ */
+async function obtenerWorkspacesDeAgente(agenteId) {
+  const { data } = await supabase
+    .from('workspace_agentes')
+    .select('workspace_id')
+    .eq('agente_id', agenteId);
+
+  return (data || []).map(w => w.workspace_id);
+}
+
+/**
+ * Minutos transcurridos desde una fecha (o null si no hay fecha)
+ */
+function minutosDesde(fecha, ahora) {
+  return fecha ? Math.round((ahora - new Date(fecha).getTime()) / 60000) : null;
+}
+
+/**
+ * Revisa los agentes activos y notifica los que perdieron o recuperaron el heartbeat
+ */
+async function revisarAgentes(ahora) {
+  const { data: agentes, error } = await supabase
+    .from('agentes')
+    .select('id, nombre, ultimo_heartbeat, alerta_offline_at')
+    .eq('activo', true);
+
+  if (error) {
+    console.error('[Watchdog] Error obteniendo agentes:', error);
+    return new Set();
+  }
+
+  const agentesOffline = new Set();
+
+  for (const agente of agentes || []) {
+    const ultimo = agente.ultimo_heartbeat ? new Date(agente.ultimo_heartbeat).getTime() : null;
+    // Un agente que nunca reportó heartbeat no se considera caído
+    if (!ultimo) continue;
+
+    const offline = ahora - ultimo > AGENTE_TIMEOUT_SEGUNDOS * 1000;
+
+    if (offline) {
+      agentesOffline.add(agente.id);
+      if (!agente.alerta_offline_at && await marcarOffline('agentes', agente.id)) {
+        const minutos = minutosDesde(agente.ultimo_heartbeat, ahora);
+        console.warn(`[Watchdog] Agente sin heartbeat: ${agente.nombre} (${minutos} min)`);
+        await registrarLogAgente(agente.id, 'watchdog_offline', null, { minutosSinHeartbeat: minutos }, false);
+        for (const workspaceId of await obtenerWorkspacesDeAgente(agente.id)) {
+          await enviarAlertaAgenteSinConexion(workspaceId, agente.nombre, agente.id, minutos);
+        }
+      }
+    } else if (agente.alerta_offline_at && await marcarRestablecido('agentes', agente.id)) {
+      console.log(`[Watchdog] Agente reconectado: ${agente.nombre}`);
+      await registrarLogAgente(agente.id, 'watchdog_reconectado', null, {}, true);
+      for (const workspaceId of await obtenerWorkspacesDeAgente(agente.id)) {
+        await enviarAvisoAgenteReconectado(workspaceId, agente.nombre, agente.id);
+      }
+    }
+  }
+
+  return agentesOffline;
+}
+
+/**
+ * Revisa los registradores activos y notifica por alimentador los que dejaron
+ * de leer (N ciclos de intervalo_segundos perdidos o agente caído) y los que se restablecieron
+ */
+async function revisarRegistradores(ahora, agentesOffline) {
+  const { data: registradores, error } = await supabase
+    .from('registradores')
+    .select('id, nombre, agente_id, intervalo_segundos, ultima_lectura_exitosa, alerta_offline_at')
+    .eq('activo', true);
+
+  if (error) {
+    console.error('[Watchdog] Error obteniendo registradores:', error);
+    return;
+  }
+
+  for (const registrador of registradores || []) {
+    // Un registrador que nunca leyó no se considera caído
+    if (!registrador.ultima_lectura_exitosa) continue;
+
+    const intervaloMs = (registrador.intervalo_segundos || 60) * 1000;
+    const sinLecturaMs = ahora - new Date(registrador.ultima_lectura_exitosa).getTime();
+    const offline = sinLecturaMs > intervaloMs * CICLOS_PERDIDOS || agentesOffline.has(registrador.agente_id);
+
+    if (offline) {
+      if (!registrador.alerta_offline_at && await marcarOffline('registradores', registrador.id)) {
+        const minutos = minutosDesde(registrador.ultima_lectura_exitosa, ahora);
+        console.warn(`[Watchdog] Registrador sin lecturas: ${registrador.nombre} (${minutos} min)`);
+        for (const alimentador of await obtenerAlimentadoresDeRegistrador(registrador.id)) {
+          await enviarAlertaAlimentadorSinServicio(alimentador.puestos.workspace_id, alimentador.nombre, alimentador.id, minutos);
+        }
+      }
+    } else if (registrador.alerta_offline_at && await marcarRestablecido('registradores', registrador.id)) {
+      console.log(`[Watchdog] Registrador restablecido: ${registrador.nombre}`);
+      for (const alimentador of await obtenerAlimentadoresDeRegistrador(registrador.id)) {
+        await enviarAvisoAlimentadorRestablecido(alimentador.puestos.workspace_id, alimentador.nombre, alimentador.id);
+      }
+    }
+  }
+}
+
+/**
+ * Ejecuta una pasada del watchdog (no se solapa con una pasada en curso)
+ */
+async function ejecutarWatchdog() {
+  if (ejecutando) return;
+  ejecutando = true;
+
+  try {
+    const ahora = Date.now();
+    const agentesOffline = await revisarAgentes(ahora);
+    await revisarRegistradores(ahora, agentesOffline);
+  } catch (err) {
+    console.error('[Watchdog] Error en ejecución:', err);
+  } finally {
+    ejecutando = false;
+  }
+}
+
+/**
+ * Inicia el watchdog periódico
+ * Se puede deshabilitar con WATCHDOG_HABILITADO=false
+ */
+function iniciarWatchdog() {
+  if (process.env.WATCHDOG_HABILITADO === 'false') {
+    console.log('[Watchdog] Deshabilitado por configuración');
+    return;
+  }
+  if (intervalo) return;
+
+  intervalo = setInterval(ejecutarWatchdog, INTERVALO_MS);
+  console.log(`[Watchdog] Iniciado: cada ${INTERVALO_MS / 1000}s, agente offline tras ${AGENTE_TIMEOUT_SEGUNDOS}s, registrador tras ${CICLOS_PERDIDOS} ciclos`);
+}
+
+/**
+ * Detiene el watchdog periódico
+ */
+function detenerWatchdog() {
+  if (intervalo) {
+    clearInterval(intervalo);
+    intervalo = null;
+  }
+}
+
+module.exports = {
+  iniciarWatchdog,
+  detenerWatchdog,
+  ejecutarWatchdog,
+};
@@ -0,0 +1,391 @@
+// test/rutasPermisos.test.js
+// Verifica quién puede usar cada ruta de la API según su rol
+//
+// Supabase se reemplaza por un cliente falso que responde el rol global y la membresía del
+// usuario de prueba, así el middleware real de cada ruta decide como lo haría en producción.
+// Un rol se prueba como rol global y como rol en el workspace a la vez.
+//
+// Lo esperado está escrito a mano (no se calcula de MATRIZ_ROLES): un cambio en la matriz
+// que abra o cierre una ruta tiene que reflejarse también aquí.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:1';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test';
+
+const USUARIO_ID = 'usuario-1';
+// Para los esquemas que exigen UUID
+const UUID = '00000000-0000-4000-8000-000000000001';
+
+// Rol del usuario de prueba para la consulta en curso
+let rolActual = null;
+// Escrituras (insert/update/delete/upsert/rpc) hechas durante la consulta en curso
+let escrituras = [];
+
+// Fila que devuelve cualquier recurso leído por id: pertenece a workspace-1
+const RECURSO = {
+  id: 'recurso-1',
+  workspace_id: 'workspace-1',
+  puesto_id: 'puesto-1',
+  puestos: { workspace_id: 'workspace-1', eliminado_at: null },
+  agente_id: 'agente-1',
+  registrador_id: 'registrador-1',
+  rol_workspace_id: null,
+  roles: { codigo: 'observador' },
+  eliminado_at: new Date().toISOString(),
+};
+
+// Comando de escritura pendiente de confirmación, solicitado por el usuario de prueba
+function comandoPendiente() {
+  return {
+    ...RECURSO,
+    tipo: 'escribir_registro',
+    estado: 'pendiente_confirmacion',
+    solicitado_por: USUARIO_ID,
+    created_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Resultado de una consulta según la tabla y los filtros aplicados
+ */
+function datosDe(tabla, filtros, unaFila) {
+  if (tabla === 'usuarios') {
+    return { rol_id: rolActual, roles: rolActual ? { codigo: rolActual } : null };
+  }
+  if (tabla === 'usuario_workspaces' && filtros.usuario_id) {
+    return rolActual && rolActual !== 'superadmin'
+      ? { rol_id: rolActual, roles: { codigo: rolActual }, roles_workspace: null, workspaces: { eliminado_at: null } }
+      : null;
+  }
+  if (tabla === 'workspace_agentes') {
+    return unaFila ? { workspace_id: 'workspace-1', agente_id: 'agente-1' } : [{ workspace_id: 'workspace-1' }];
+  }
+  if (tabla === 'roles') {
+    return unaFila ? { id: 'rol-1', codigo: filtros.codigo } : [];
+  }
+  if (tabla === 'workspaces') {
+    return unaFila ? { id: 'workspace-1', creado_por: USUARIO_ID, eliminado_at: null } : [];
+  }
+  if (tabla === 'invitaciones_workspace') {
+    return unaFila ? { ...RECURSO, estado: 'pendiente' } : [];
+  }
+  if (tabla === 'comandos_modbus') {
+    return unaFila ? comandoPendiente() : [];
+  }
+  return unaFila ? RECURSO : [];
+}
+
+const ESCRITURAS = new Set(['insert', 'update', 'upsert', 'delete']);
+
+/**
+ * Consulta encadenable: cualquier filtro devuelve la misma consulta; single/maybeSingle o await la resuelven
+ */
+function consulta(tabla) {
+  const filtros = {};
+  const builder = new Proxy({}, {
+    get(_, prop) {
+      if (prop === 'then') {
+        return (resolver, rechazar) => Promise.resolve({ data: datosDe(tabla, filtros, false), error: null }).then(resolver, rechazar);
+      }
+      if (prop === 'single' || prop === 'maybeSingle') {
+        return () => Promise.resolve({ data: datosDe(tabla, filtros, true), error: null });
+      }
+      return (...args) => {
+        if (prop === 'eq') filtros[args[0]] = args[1];
+        if (ESCRITURAS.has(prop) && tabla !== 'auditoria_comandos') escrituras.push(`${prop} ${tabla}`);
+        return builder;
+      };
+    },
+  });
+  return builder;
+}
+
+const rutaSupabase = path.join(__dirname, '..', 'src', 'config', 'supabase.js');
+require.cache[rutaSupabase] = {
+  id: rutaSupabase,
+  filename: rutaSupabase,
+  loaded: true,
+  exports: {
+    from: consulta,
+    rpc: async (funcion) => {
+      escrituras.push(`rpc ${funcion}`);
+      return { data: null, error: null };
+    },
+  },
+};
+
+const router = require('../src/routes');
+const { CAPACIDADES } = require('../src/middleware/politicas');
+
+// Roles que se prueban; superadmin siempre pasa y sin rol nunca
+const ROLES = ['observador', 'operador', 'admin', 'superadmin', null];
+
+const TODOS = ['observador', 'operador', 'admin'];
+const OPERADOR = ['operador', 'admin'];
+const ADMIN = ['admin'];
+const SOLO_SUPERADMIN = [];
+
+/**
+ * Rutas protegidas con requiere(): capacidad exigida y roles (además de superadmin) que pasan
+ */
+const RUTAS_REQUIERE = {
+  'POST /workspaces/import': ['workspace:crear', ADMIN],
+  'GET /workspaces/:id': ['workspace:ver', TODOS],
+  'POST /workspaces': ['workspace:crear', ADMIN],
+  'PUT /workspaces/:id': ['workspace:editar', ADMIN],
+  'GET /workspaces/:id/export': ['workspace:exportar', ADMIN],
+  'GET /workspaces/:id/auditoria': ['auditoria:ver', ADMIN],
+  'GET /workspaces/:workspaceId/papelera': ['workspace:ver', TODOS],
+  'GET /workspaces/:workspaceId/puestos': ['workspace:ver', TODOS],
+  'POST /workspaces/:workspaceId/puestos': ['puesto:editar', OPERADOR],
+  'PUT /workspaces/:workspaceId/puestos/reordenar': ['puesto:editar', OPERADOR],
+  'GET /workspaces/:workspaceId/permisos': ['permisos:ver', TODOS],
+  'POST /workspaces/:workspaceId/permisos': ['permisos:gestionar', ADMIN],
+  'GET /workspaces/:workspaceId/invitaciones': ['permisos:ver', TODOS],
+  'GET /workspaces/:workspaceId/roles': ['permisos:ver', TODOS],
+  'POST /workspaces/:workspaceId/roles': ['permisos:gestionar', ADMIN],
+  'GET /workspaces/:workspaceId/eventos': ['lecturas:historico', TODOS],
+  'GET /workspaces/:workspaceId/tiempo-real': ['lecturas:ver', TODOS],
+  'POST /agentes/solicitar-vinculacion': ['agente:vincular', ADMIN],
+  'GET /agentes/estado': ['agente:ver', TODOS],
+  'POST /agentes/desvincular': ['agente:vincular', ADMIN],
+  'POST /agentes/rotar-clave': ['agente:rotar-clave', ADMIN],
+  'POST /agentes/revocar-clave-anterior': ['agente:rotar-clave', ADMIN],
+  'GET /admin/agentes': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /admin/agentes': ['agente:administrar', SOLO_SUPERADMIN],
+  'PUT /admin/agentes/:id': ['agente:administrar', SOLO_SUPERADMIN],
+  'DELETE /admin/agentes/:id': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /admin/agentes/:id/rotar-clave': ['agente:administrar', SOLO_SUPERADMIN],
+  'DELETE /admin/agentes/:id/clave-anterior': ['agente:administrar', SOLO_SUPERADMIN],
+  'GET /admin/agentes/:id/comandos': ['agente:administrar', SOLO_SUPERADMIN],
+  'GET /admin/releases': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /admin/releases': ['agente:administrar', SOLO_SUPERADMIN],
+  'PUT /admin/releases/:id': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /admin/releases/:id/desplegar': ['agente:administrar', SOLO_SUPERADMIN],
+  'GET /admin/releases/:id/despliegues': ['agente:administrar', SOLO_SUPERADMIN],
+  'GET /admin/agentes-versiones': ['agente:administrar', SOLO_SUPERADMIN],
+  'PUT /admin/agentes/:id/actualizacion': ['agente:administrar', SOLO_SUPERADMIN],
+  'GET /workspaces/:workspaceId/agentes': ['agente:ver', TODOS],
+  'POST /workspaces/:workspaceId/agentes': ['agente:vincular', ADMIN],
+  'DELETE /workspaces/:workspaceId/agentes/:agenteId': ['agente:vincular', ADMIN],
+  'POST /agentes/:agenteId/registradores': ['agente:administrar', SOLO_SUPERADMIN],
+  'PUT /agentes/:agenteId/registradores/:registradorId': ['agente:administrar', SOLO_SUPERADMIN],
+  'DELETE /agentes/:agenteId/registradores/:registradorId': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /agentes/:agenteId/registradores/:registradorId/toggle': ['agente:administrar', SOLO_SUPERADMIN],
+  'POST /agentes/:agenteId/test-registrador': ['registrador:probar', SOLO_SUPERADMIN],
+  'POST /agentes/:agenteId/test-coils': ['registrador:probar', SOLO_SUPERADMIN],
+  'GET /agentes/:agenteId/test-registrador/:testId': ['registrador:probar', SOLO_SUPERADMIN],
+  'GET /admin/usuarios': ['usuario:administrar', SOLO_SUPERADMIN],
+  'GET /admin/usuarios/:id/detalles': ['usuario:administrar', SOLO_SUPERADMIN],
+  'PUT /admin/usuarios/:id/rol': ['usuario:administrar', SOLO_SUPERADMIN],
+  'PUT /admin/usuarios/:id/agentes': ['usuario:administrar', SOLO_SUPERADMIN],
+  'GET /admin/auditoria': ['usuario:administrar', SOLO_SUPERADMIN],
+  'GET /admin/agentes-disponibles': ['usuario:administrar', SOLO_SUPERADMIN],
+  'POST /admin/migraciones/lecturas-legado': ['usuario:administrar', SOLO_SUPERADMIN],
+  'GET /registradores': ['registrador:ver', TODOS],
+  'POST /registradores': ['registrador:crear', ADMIN],
+  'PUT /registradores/:id': ['registrador:editar', ADMIN],
+  'DELETE /registradores/:id': ['registrador:eliminar', ADMIN],
+  'POST /registradores/:id/toggle-activo': ['registrador:toggle', OPERADOR],
+  'GET /workspaces/:workspaceId/transformadores': ['transformador:ver', TODOS],
+  'POST /workspaces/:workspaceId/transformadores': ['transformador:gestionar', ADMIN],
+  'POST /workspaces/:workspaceId/transformadores/migrar': ['transformador:gestionar', ADMIN],
+  'GET /workspaces/:workspaceId/plantillas-dispositivo': ['plantilla:ver', TODOS],
+  'POST /workspaces/:workspaceId/plantillas-dispositivo': ['plantilla:gestionar', ADMIN],
+  'POST /workspaces/:workspaceId/plantillas-dispositivo/migrar': ['plantilla:gestionar', ADMIN],
+  'POST /admin/modelos-dispositivo': ['modelo:gestionar', SOLO_SUPERADMIN],
+  'POST /admin/configuraciones-proteccion': ['modelo:gestionar', SOLO_SUPERADMIN],
+  'GET /workspaces/:workspaceId/reglas-alarma': ['alarma:ver', TODOS],
+  'POST /workspaces/:workspaceId/reglas-alarma': ['alarma:configurar', ADMIN],
+  'GET /workspaces/:workspaceId/alarmas': ['alarma:ver', TODOS],
+  'GET /workspaces/:workspaceId/comandos/auditoria': ['comando:auditoria', ADMIN],
+  'GET /workspaces/:workspaceId/retencion': ['workspace:ver', TODOS],
+  'PUT /workspaces/:workspaceId/retencion': ['workspace:editar', ADMIN],
+  'DELETE /workspaces/:workspaceId/retencion': ['workspace:editar', ADMIN],
+};
+
+/**
+ * Rutas cuyo controlador carga el recurso y verifica con puede() (o reglas propias)
+ * Cada caso: body del request y roles (además de superadmin) que pasan.
+ */
+const RUTAS_CONTROLADOR = {
+  'PUT /puestos/:id': [{ nombre: 'Puesto' }, OPERADOR],
+  'DELETE /puestos/:id': [{}, OPERADOR],
+  'POST /puestos/:id/restaurar': [{}, OPERADOR],
+  'GET /puestos/:puestoId/alimentadores': [{}, TODOS],
+  'POST /puestos/:puestoId/alimentadores': [{ nombre: 'Alimentador' }, OPERADOR],
+  'PUT /puestos/:puestoId/alimentadores/reordenar': [{ ordenes: [{ id: UUID, orden: 1 }] }, OPERADOR],
+  'PUT /alimentadores/:id': [{ nombre: 'Alimentador' }, OPERADOR],
+  'PUT /alimentadores/:id/mover': [{ nuevo_puesto_id: UUID }, OPERADOR],
+  'DELETE /alimentadores/:id': [{}, OPERADOR],
+  'POST /alimentadores/:id/restaurar': [{}, OPERADOR],
+  'PUT /reglas-alarma/:id': [{ nombre: 'Regla' }, ADMIN],
+  'DELETE /reglas-alarma/:id': [{}, ADMIN],
+  'POST /alarmas/:id/reconocer': [{}, OPERADOR],
+  'POST /registradores/:registradorId/comandos': [{ workspaceId: UUID, tipo: 'escribir_registro', direccion: 100, valor: 1 }, OPERADOR],
+  'POST /comandos/:id/confirmar': [{}, OPERADOR],
+  'GET /comandos/:id': [{}, TODOS],
+  'PUT /transformadores/:id': [{ nombre: 'Transformador' }, ADMIN],
+  'DELETE /transformadores/:id': [{}, ADMIN],
+  'GET /plantillas-dispositivo/:id': [{}, TODOS],
+  'PUT /plantillas-dispositivo/:id': [{ nombre: 'Plantilla' }, ADMIN],
+  'DELETE /plantillas-dispositivo/:id': [{}, ADMIN],
+  'PUT /permisos/:id': [{ rol: 'observador' }, ADMIN],
+  'DELETE /permisos/:id': [{}, ADMIN],
+  'DELETE /invitaciones/:id': [{}, ADMIN],
+  'PUT /roles-workspace/:id': [{ nombre: 'Rol' }, ADMIN],
+  'DELETE /roles-workspace/:id': [{}, ADMIN],
+};
+
+/**
+ * Rutas del router con la capacidad que exige cada una (null si no usa requiere())
+ */
+function listarRutas() {
+  const rutas = [];
+  for (const capa of router.stack) {
+    if (!capa.route) continue;
+    const protector = capa.route.stack.map(c => c.handle).find(h => h.capacidad);
+    for (const metodo of Object.keys(capa.route.methods)) {
+      rutas.push({
+        clave: `${metodo.toUpperCase()} ${capa.route.path}`,
+        capacidad: protector?.capacidad || null,
+        middleware: protector || null,
+        manejadores: capa.route.stack.map(c => c.handle),
+      });
+    }
+  }
+  return rutas;
+}
+
+function crearRequest(metodo, body) {
+  return {
+    method: metodo,
+    originalUrl: '/api/prueba',
+    headers: {},
+    params: new Proxy({}, { get: (_, clave) => (typeof clave === 'string' ? `${clave}-1` : undefined) }),
+    body: { workspaceId: 'workspace-1', ...body },
+    query: { workspaceId: 'workspace-1' },
+  };
+}
+
+function crearResponse() {
+  return {
+    statusCode: 200,
+    status(codigo) { this.statusCode = codigo; return this; },
+    json() { return this; },
+    send() { return this; },
+    on() { return this; },
+  };
+}
+
+/**
+ * Ejecuta el middleware requiere() de una ruta como un usuario con el rol dado
+ * @returns {Promise<boolean>} - true si dejó pasar el request
+ */
+async function permite(middleware, rol) {
+  rolActual = rol;
+  const res = crearResponse();
+
+  let paso = false;
+  const req = crearRequest('GET', {});
+  req.user = { id: USUARIO_ID, email: 'prueba@example.com' };
+  await middleware(req, res, () => { paso = true; });
+  assert.ok(paso || res.statusCode === 403, `respuesta inesperada ${res.statusCode}`);
+  return paso;
+}
+
+/**
+ * Ejecuta la ruta completa (después de verificarToken) como un usuario con el rol dado
+ * Los recursos son del usuario de prueba; usuarioId permite actuar como otro usuario.
+ * @returns {Promise<{status: number, escrituras: string[]}>}
+ */
+async function ejecutarRuta(manejadores, metodo, body, rol, usuarioId = USUARIO_ID) {
+  rolActual = rol;
+  escrituras = [];
+  const req = crearRequest(metodo, body);
+  req.user = { id: usuarioId, email: `${usuarioId}@example.com` };
+  const res = crearResponse();
+
+  for (const manejador of manejadores.slice(1)) {
+    let siguiente = false;
+    await manejador(req, res, () => { siguiente = true; });
+    if (!siguiente) break;
+  }
+  return { status: res.statusCode, escrituras };
+}
+
+const rutas = listarRutas();
+const porClave = new Map(rutas.map(r => [r.clave, r]));
+const protegidas = rutas.filter(r => r.capacidad);
+
+test('las rutas con requiere() son exactamente las de la tabla', () => {
+  assert.deepEqual(protegidas.map(r => r.clave).sort(), Object.keys(RUTAS_REQUIERE).sort());
+});
+
+test('cada ruta exige la capacidad de la tabla', () => {
+  for (const { clave, capacidad } of protegidas) {
+    assert.ok(CAPACIDADES[capacidad], `${clave}: capacidad desconocida ${capacidad}`);
+    assert.equal(capacidad, RUTAS_REQUIERE[clave][0], clave);
+  }
+});
+
+test('las rutas /admin/ exigen una capacidad global', () => {
+  for (const { clave, capacidad } of rutas.filter(r => r.clave.split(' ')[1].startsWith('/admin/'))) {
+    assert.ok(capacidad, `${clave} no usa requiere()`);
+    assert.equal(CAPACIDADES[capacidad].alcance, 'global', `${clave}: ${capacidad} no es global`);
+  }
+});
+
+for (const { clave, capacidad, middleware } of protegidas) {
+  const permitidos = RUTAS_REQUIERE[clave]?.[1] || [];
+
+  describe(`${clave} (${capacidad})`, () => {
+    for (const rol of ROLES) {
+      const esperado = rol === 'superadmin' || permitidos.includes(rol);
+
+      test(`${rol || 'sin rol'}: ${esperado ? 'permitido' : 'denegado'}`, async () => {
+        assert.equal(await permite(middleware, rol), esperado);
+      });
+    }
+  });
+}
+
+for (const [clave, [body, permitidos]] of Object.entries(RUTAS_CONTROLADOR)) {
+  describe(`${clave} (verificado en el controlador)`, () => {
+    for (const rol of ROLES) {
+      const esperado = rol === 'superadmin' || permitidos.includes(rol);
+
+      test(`${rol || 'sin rol'}: ${esperado ? 'permitido' : 'denegado'}`, async () => {
+        const ruta = porClave.get(clave);
+        assert.ok(ruta, `${clave} no existe en el router`);
+        assert.equal(ruta.capacidad, null, `${clave} usa requiere(): va en RUTAS_REQUIERE`);
+
+        const { status, escrituras: hechas } = await ejecutarRuta(ruta.manejadores, clave.split(' ')[0], body, rol);
+        if (esperado) {
+          assert.notEqual(status, 403, `${clave} rechazó a ${rol}`);
+        } else {
+          assert.equal(status, 403, `${clave} dejó pasar a ${rol || 'sin rol'} (${status})`);
+          assert.deepEqual(hechas, [], `${clave} escribió antes de rechazar`);
+        }
+      });
+    }
+  });
+}
+
+describe('DELETE /workspaces/:id (solo el creador)', () => {
+  const ruta = porClave.get('DELETE /workspaces/:id');
+
+  test('el creador puede enviarlo a la papelera', async () => {
+    const { status } = await ejecutarRuta(ruta.manejadores, 'DELETE', {}, 'admin');
+    assert.notEqual(status, 403);
+  });
+
+  test('un admin que no lo creó no puede', async () => {
+    const { status, escrituras: hechas } = await ejecutarRuta(ruta.manejadores, 'DELETE', {}, 'admin', 'usuario-2');
+    assert.equal(status, 403);
+    assert.deepEqual(hechas, []);
+  });
+});